@@ -0,0 +1,135 @@
+/**
+ * Attachment file storage backed by IndexedDB
+ * localStorage only holds strings and a few megabytes, so attachment files are
+ * kept here as blobs keyed by attachment ID.
+ */
+
+const DB_NAME = 'campusLifePlannerAttachments';
+const DB_VERSION = 1;
+const STORE_NAME = 'files';
+
+let databasePromise = null;
+
+/**
+ * Open (and on first use create) the attachment database
+ * @private
+ */
+function openDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+
+  databasePromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('Attachment storage is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('Could not open attachment storage'));
+    request.onblocked = () => reject(new Error('Attachment storage is in use by another tab'));
+  });
+
+  // Allow a later call to retry after a failed open
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Run requests inside a transaction and resolve once it commits
+ * @private
+ */
+async function withStore(mode, work) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error || new Error('Attachment storage request failed'));
+    transaction.onabort = () => reject(transaction.error || new Error('Attachment storage request was aborted'));
+
+    work(transaction.objectStore(STORE_NAME));
+  });
+}
+
+/**
+ * Attachment storage functions
+ */
+export const attachmentStore = {
+  /**
+   * Check whether the browser supports attachment storage
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  /**
+   * Save a file under an attachment ID
+   */
+  async save(id, blob) {
+    await withStore('readwrite', store => {
+      store.put({ id, blob, size: blob.size, savedAt: new Date().toISOString() });
+    });
+    return id;
+  },
+
+  /**
+   * Load the file stored for an attachment
+   * @returns {Promise<Blob|null>} The file, or null if it is missing
+   */
+  async get(id) {
+    const holder = {};
+    await withStore('readonly', store => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        holder.record = request.result;
+      };
+    });
+    return holder.record ? holder.record.blob : null;
+  },
+
+  /**
+   * Delete the files stored for the given attachment IDs
+   */
+  async remove(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return;
+    }
+    await withStore('readwrite', store => {
+      ids.forEach(id => store.delete(id));
+    });
+  },
+
+  /**
+   * Get the number of stored files and their combined size
+   * @returns {Promise<Object>} { count, totalSize } in bytes
+   */
+  async getUsage() {
+    const usage = { count: 0, totalSize: 0 };
+    await withStore('readonly', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          usage.count++;
+          usage.totalSize += cursor.value.size || 0;
+          cursor.continue();
+        }
+      };
+    });
+    return usage;
+  }
+};
@@ -0,0 +1,319 @@
+/**
+ * Attachments module for files and reference links kept with a task
+ * Task records only hold attachment metadata; the file contents live in
+ * IndexedDB (see attachment-store.js) under the attachment ID.
+ */
+
+/**
+ * Largest file a single attachment may hold
+ */
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Longest file name or link label kept on a task
+ */
+export const MAX_ATTACHMENT_NAME_LENGTH = 255;
+
+/**
+ * File types that can be previewed inside the app; everything else is download-only
+ * (HTML and SVG documents are deliberately left out so a file can never run script)
+ */
+export const PREVIEWABLE_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain'
+];
+
+/**
+ * URL schemes reference links may use
+ */
+export const LINK_PROTOCOLS = ['http:', 'https:'];
+
+// Attachment IDs double as IndexedDB keys and archive file names
+const ATTACHMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Generate unique attachment ID
+ * @returns {string} Attachment ID
+ */
+export function generateAttachmentId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `attachment_${timestamp}_${random}`;
+}
+
+/**
+ * Generate unique link ID
+ * @returns {string} Link ID
+ */
+export function generateLinkId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `link_${timestamp}_${random}`;
+}
+
+/**
+ * Build the metadata stored on a task for an uploaded file
+ * @param {File} file - Selected file
+ * @returns {Object} Attachment metadata
+ */
+export function createAttachmentMetadata(file) {
+  return {
+    id: generateAttachmentId(),
+    name: String(file.name || 'attachment').slice(0, MAX_ATTACHMENT_NAME_LENGTH),
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+    addedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check whether a file can be attached
+ * @param {File} file - Selected file
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateAttachmentFile(file) {
+  const errors = [];
+
+  if (!file || typeof file.size !== 'number') {
+    errors.push('Attachment must be a file');
+  } else if (file.size === 0) {
+    errors.push(`"${file.name}" is empty`);
+  } else if (file.size > MAX_ATTACHMENT_SIZE) {
+    errors.push(`"${file.name}" is larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize attachment metadata from a task or the task form
+ * Entries without an ID or name are dropped, as are duplicate IDs.
+ * @param {Array} attachments - Raw attachment metadata
+ * @returns {Array} Clean attachment metadata
+ */
+export function normalizeAttachments(attachments) {
+  if (!Array.isArray(attachments)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return attachments
+    .filter(attachment => attachment && typeof attachment.id === 'string' && ATTACHMENT_ID_PATTERN.test(attachment.id) &&
+      typeof attachment.name === 'string' && attachment.name.trim() !== '')
+    .filter(attachment => !seen.has(attachment.id) && seen.add(attachment.id))
+    .map(attachment => ({
+      id: attachment.id,
+      name: attachment.name.trim().slice(0, MAX_ATTACHMENT_NAME_LENGTH),
+      type: typeof attachment.type === 'string' && attachment.type ? attachment.type : 'application/octet-stream',
+      size: Math.max(0, parseInt(attachment.size, 10) || 0),
+      addedAt: attachment.addedAt || new Date().toISOString()
+    }));
+}
+
+/**
+ * Validate attachment metadata
+ * @param {Array} attachments - Metadata to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateAttachments(attachments) {
+  const errors = [];
+
+  if (attachments === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(attachments)) {
+    errors.push('attachments must be an array');
+    return errors;
+  }
+
+  attachments.forEach((attachment, index) => {
+    const label = `attachment ${index + 1}`;
+
+    if (!attachment || typeof attachment !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (typeof attachment.id !== 'string' || !ATTACHMENT_ID_PATTERN.test(attachment.id)) {
+      errors.push(`${label} must have an id made of letters, digits, - or _`);
+    }
+
+    if (typeof attachment.name !== 'string' || attachment.name.trim() === '') {
+      errors.push(`${label} must have a name`);
+    }
+
+    if (typeof attachment.size !== 'number' || attachment.size < 0) {
+      errors.push(`${label} size must be a non-negative number`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether a reference link URL is allowed
+ * @param {string} url - Link URL
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+export function isValidLinkUrl(url) {
+  if (typeof url !== 'string' || url.trim() === '') {
+    return false;
+  }
+
+  try {
+    const parsed = new URL(url.trim());
+    return LINK_PROTOCOLS.includes(parsed.protocol) && parsed.hostname !== '';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize reference links
+ * Links with invalid URLs are dropped; a missing label falls back to the URL.
+ * @param {Array} links - Raw links
+ * @returns {Array} Clean links
+ */
+export function normalizeLinks(links) {
+  if (!Array.isArray(links)) {
+    return [];
+  }
+
+  return links
+    .filter(link => link && isValidLinkUrl(link.url))
+    .map(link => {
+      const url = new URL(link.url.trim()).href;
+      const label = typeof link.label === 'string' ? link.label.trim() : '';
+      return {
+        id: link.id || generateLinkId(),
+        url,
+        label: (label || url).slice(0, MAX_ATTACHMENT_NAME_LENGTH)
+      };
+    });
+}
+
+/**
+ * Validate reference links
+ * @param {Array} links - Links to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateLinks(links) {
+  const errors = [];
+
+  if (links === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(links)) {
+    errors.push('links must be an array');
+    return errors;
+  }
+
+  links.forEach((link, index) => {
+    if (!link || typeof link !== 'object' || !isValidLinkUrl(link.url)) {
+      errors.push(`link ${index + 1} must have an http or https URL`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Host name shown next to a link
+ * @param {string} url - Link URL
+ * @returns {string} Host without a leading "www."
+ */
+export function getLinkHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Check whether an attachment can be previewed in the app
+ * @param {Object} attachment - Attachment metadata
+ * @returns {boolean} True if previewable
+ */
+export function isPreviewable(attachment) {
+  return PREVIEWABLE_TYPES.includes(attachment?.type);
+}
+
+/**
+ * Check whether a task has attachments or links
+ * @param {Object} task - Task object
+ * @returns {boolean} True if the task has any
+ */
+export function hasAttachments(task) {
+  return (Array.isArray(task?.attachments) && task.attachments.length > 0) ||
+    (Array.isArray(task?.links) && task.links.length > 0);
+}
+
+/**
+ * Collect the IDs of every attachment referenced by the given tasks
+ * @param {Array} tasks - Tasks to scan
+ * @returns {Set} Attachment IDs
+ */
+export function getAttachmentIds(tasks) {
+  const ids = new Set();
+  tasks.forEach(task => (task.attachments || []).forEach(attachment => ids.add(attachment.id)));
+  return ids;
+}
+
+/**
+ * Find attachments that no task refers to any more
+ * Recurring tasks share attachments with earlier occurrences, so a file is
+ * only unreferenced once the last task holding it lets go.
+ * @param {Array} attachments - Attachments that were removed from a task
+ * @param {Array} tasks - Remaining tasks
+ * @returns {Array} IDs whose stored files can be deleted
+ */
+export function getUnreferencedAttachmentIds(attachments, tasks) {
+  const referenced = getAttachmentIds(tasks);
+  return (attachments || [])
+    .map(attachment => attachment.id)
+    .filter(id => !referenced.has(id));
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Text such as "820 B", "14 KB" or "2.4 MB"
+ */
+export function formatFileSize(bytes) {
+  if (!bytes || bytes < 1024) {
+    return `${bytes || 0} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default {
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENT_NAME_LENGTH,
+  PREVIEWABLE_TYPES,
+  LINK_PROTOCOLS,
+  generateAttachmentId,
+  generateLinkId,
+  createAttachmentMetadata,
+  validateAttachmentFile,
+  normalizeAttachments,
+  validateAttachments,
+  isValidLinkUrl,
+  normalizeLinks,
+  validateLinks,
+  getLinkHost,
+  isPreviewable,
+  hasAttachments,
+  getAttachmentIds,
+  getUnreferencedAttachmentIds,
+  formatFileSize
+};
@@ -0,0 +1,284 @@
+/**
+ * Change log module for per-task audit trails
+ * Every edit that changes a task's fields appends one entry to the task's
+ * changeLog with the old and new value of each field, when it happened and
+ * where it came from, so earlier versions of the task can be shown and
+ * restored long after the undo history is gone.
+ */
+
+export const MAX_CHANGE_LOG_ENTRIES = 100;
+
+/**
+ * Where a change came from
+ */
+export const ChangeSources = {
+  UI: 'ui',
+  BULK: 'bulk',
+  IMPORT: 'import',
+  REVERT: 'revert'
+};
+
+/**
+ * Labels shown in the timeline for each source
+ */
+export const CHANGE_SOURCE_LABELS = {
+  [ChangeSources.UI]: 'Edited',
+  [ChangeSources.BULK]: 'Bulk edit',
+  [ChangeSources.IMPORT]: 'Imported',
+  [ChangeSources.REVERT]: 'Reverted'
+};
+
+/**
+ * Fields recorded in the change log, with their display labels
+ * Bookkeeping fields (timestamps, timers, attachments, series links) are left
+ * out: they either change on every edit or can't be restored from a value.
+ */
+export const TRACKED_FIELDS = {
+  title: 'Title',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  dueTime: 'Due time',
+  duration: 'Estimate',
+  tags: 'Tags',
+  courseId: 'Course',
+  termId: 'Term',
+  notes: 'Notes',
+  subtasks: 'Subtasks',
+  blockedBy: 'Blocked by',
+  recurrence: 'Repeat',
+  grade: 'Grade',
+  links: 'Links'
+};
+
+// Change entry IDs are written into data attributes
+const CHANGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Generate unique change entry ID
+ * @returns {string} Change entry ID
+ */
+export function generateChangeId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `edit_${timestamp}_${random}`;
+}
+
+/**
+ * Check whether a change source is known
+ * @param {string} source - Change source
+ * @returns {boolean} True if valid
+ */
+export function isValidChangeSource(source) {
+  return Object.values(ChangeSources).includes(source);
+}
+
+// Missing, blank and empty values all mean "not set"
+const normalizeValue = value => {
+  if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  return value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Work out which tracked fields differ between two versions of a task
+ * @param {Object} before - Task before the change
+ * @param {Object} after - Task after the change
+ * @returns {Array} Changes as { field, from, to }
+ */
+export function diffTaskFields(before, after) {
+  return Object.keys(TRACKED_FIELDS)
+    .map(field => ({
+      field,
+      from: normalizeValue(before?.[field]),
+      to: normalizeValue(after?.[field])
+    }))
+    .filter(change => !isSameValue(change.from, change.to));
+}
+
+/**
+ * Create a change log entry
+ * @param {Array} changes - Changes from diffTaskFields
+ * @param {string} source - Where the change came from
+ * @param {Date} now - Change time (defaults to now)
+ * @returns {Object} Change log entry
+ */
+export function createChangeEntry(changes, source = ChangeSources.UI, now = new Date()) {
+  return {
+    id: generateChangeId(),
+    at: now.toISOString(),
+    source: isValidChangeSource(source) ? source : ChangeSources.UI,
+    changes
+  };
+}
+
+/**
+ * Record the fields that changed between two versions of a task
+ * The entry is added to the change log of the new version, which keeps the
+ * newest MAX_CHANGE_LOG_ENTRIES entries.
+ * @param {Object} before - Task before the change
+ * @param {Object} after - Task after the change
+ * @param {string} source - Where the change came from
+ * @param {Date} now - Change time (defaults to now)
+ * @returns {Array|undefined} Change log for the new version
+ */
+export function appendTaskChanges(before, after, source = ChangeSources.UI, now = new Date()) {
+  const changeLog = Array.isArray(after.changeLog) ? after.changeLog : undefined;
+  const changes = diffTaskFields(before, after);
+  if (changes.length === 0) {
+    return changeLog;
+  }
+
+  return [...(changeLog || []), createChangeEntry(changes, source, now)]
+    .slice(-MAX_CHANGE_LOG_ENTRIES);
+}
+
+/**
+ * Record what an import changed in tasks that already existed
+ * Imported tasks are matched to the current ones by ID; new tasks are
+ * returned as they are.
+ * @param {Array} existingTasks - Tasks before the import
+ * @param {Array} importedTasks - Tasks replacing them
+ * @param {Date} now - Import time (defaults to now)
+ * @returns {Array} Imported tasks with their change logs updated
+ */
+export function logImportedChanges(existingTasks, importedTasks, now = new Date()) {
+  const existingById = new Map((existingTasks || []).map(task => [task.id, task]));
+  return importedTasks.map(task => {
+    const previous = existingById.get(task.id);
+    if (!previous) {
+      return task;
+    }
+    const changeLog = appendTaskChanges(previous, task, ChangeSources.IMPORT, now);
+    return changeLog === task.changeLog ? task : { ...task, changeLog };
+  });
+}
+
+/**
+ * Check whether a task has any recorded changes
+ * @param {Object} task - Task
+ * @returns {boolean} True if the change log has entries
+ */
+export function hasChangeLog(task) {
+  return Array.isArray(task?.changeLog) && task.changeLog.length > 0;
+}
+
+/**
+ * Work out the updates that take a task back to an earlier version
+ * Every change made after the chosen entry is rolled back to the value it
+ * replaced. Without an entry ID the task goes back to how it was before its
+ * first recorded change.
+ * @param {Object} task - Task
+ * @param {string|null} changeId - Entry to go back to, or null for the first version
+ * @returns {Object} Field updates (null clears a field)
+ * @throws {Error} When the entry isn't in the task's change log
+ */
+export function getRevertUpdates(task, changeId = null) {
+  const changeLog = task.changeLog || [];
+  const index = changeId ? changeLog.findIndex(entry => entry.id === changeId) : -1;
+  if (changeId && index === -1) {
+    throw new Error(`That version of "${task.title}" is no longer in its history`);
+  }
+
+  const updates = {};
+  changeLog.slice(index + 1).forEach(entry => {
+    entry.changes.forEach(change => {
+      if (!(change.field in updates)) {
+        updates[change.field] = change.from;
+      }
+    });
+  });
+  return updates;
+}
+
+/**
+ * Describe a logged value for the timeline
+ * Course and term IDs should be swapped for their names by the caller.
+ * @param {string} field - Tracked field
+ * @param {*} value - Logged value
+ * @returns {string} Short description
+ */
+export function formatChangeValue(field, value) {
+  if (value === null || value === undefined) {
+    return 'none';
+  }
+
+  const count = (n, noun) => `${n} ${noun}${n !== 1 ? 's' : ''}`;
+
+  switch (field) {
+    case 'tags':
+      return value.join(', ');
+    case 'duration':
+      return `${value} min`;
+    case 'notes':
+      return value.length > 60 ? `${value.slice(0, 60)}…` : value;
+    case 'subtasks':
+      return count(value.length, 'subtask');
+    case 'blockedBy':
+      return count(value.length, 'task');
+    case 'links':
+      return count(value.length, 'link');
+    case 'recurrence':
+      return value.interval > 1 ? `every ${value.interval} ${value.frequency === 'weekly' ? 'weeks' : 'days'}` : value.frequency;
+    case 'grade':
+      return value.score !== undefined ? `${value.weight}%, scored ${value.score}/${value.outOf}` : `${value.weight}%`;
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+/**
+ * Validate a task's change log (e.g. from an import)
+ * @param {Array} changeLog - Change log to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateChangeLog(changeLog) {
+  if (changeLog === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(changeLog)) {
+    return ['changeLog must be an array'];
+  }
+
+  if (changeLog.length > MAX_CHANGE_LOG_ENTRIES) {
+    return [`changeLog can have at most ${MAX_CHANGE_LOG_ENTRIES} entries`];
+  }
+
+  const errors = [];
+  changeLog.forEach((entry, index) => {
+    if (!entry || typeof entry.id !== 'string' || !CHANGE_ID_PATTERN.test(entry.id)) {
+      errors.push(`changeLog entry ${index + 1} must have an id made of letters, digits, - or _`);
+    }
+    if (typeof entry?.at !== 'string' || isNaN(new Date(entry.at).getTime())) {
+      errors.push(`changeLog entry ${index + 1} must have a valid timestamp`);
+    }
+    if (!isValidChangeSource(entry?.source)) {
+      errors.push(`changeLog entry ${index + 1} has an unknown source`);
+    }
+    if (!Array.isArray(entry?.changes) || entry.changes.some(change => !change || !(change.field in TRACKED_FIELDS))) {
+      errors.push(`changeLog entry ${index + 1} must list changes to known fields`);
+    }
+  });
+  return errors;
+}
+
+export default {
+  MAX_CHANGE_LOG_ENTRIES,
+  ChangeSources,
+  CHANGE_SOURCE_LABELS,
+  TRACKED_FIELDS,
+  generateChangeId,
+  isValidChangeSource,
+  diffTaskFields,
+  createChangeEntry,
+  appendTaskChanges,
+  logImportedChanges,
+  hasChangeLog,
+  getRevertUpdates,
+  formatChangeValue,
+  validateChangeLog
+};
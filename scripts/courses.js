@@ -0,0 +1,247 @@
+/**
+ * Courses module for the classes tasks belong to
+ * Courses are stored alongside tasks; a task refers to its course by ID.
+ */
+
+/**
+ * Colours offered for new courses, used in order until each is taken
+ */
+export const COURSE_COLORS = [
+  '#2563eb',
+  '#16a34a',
+  '#dc2626',
+  '#9333ea',
+  '#ea580c',
+  '#0891b2',
+  '#db2777',
+  '#65a30d'
+];
+
+export const MAX_COURSE_CODE_LENGTH = 20;
+export const MAX_COURSE_NAME_LENGTH = 100;
+export const MAX_CREDIT_HOURS = 12;
+
+/**
+ * Course filter value that matches tasks without a course
+ */
+export const NO_COURSE_FILTER = 'none';
+
+// Course IDs are written into option values and data attributes
+const COURSE_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Codes such as "CS 101", "MATH-2B" or "ECON 1.01"
+const COURSE_CODE_PATTERN = /^[A-Za-z0-9 ._&\/-]+$/;
+
+/**
+ * Generate unique course ID
+ * @returns {string} Course ID
+ */
+export function generateCourseId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `course_${timestamp}_${random}`;
+}
+
+/**
+ * Check whether a course ID is well formed
+ * @param {string} id - Course ID
+ * @returns {boolean} True if valid
+ */
+export function isValidCourseId(id) {
+  return typeof id === 'string' && COURSE_ID_PATTERN.test(id) && id !== NO_COURSE_FILTER;
+}
+
+/**
+ * Check whether a colour is a #rrggbb hex value
+ * @param {string} color - Colour to check
+ * @returns {boolean} True if valid
+ */
+export function isValidCourseColor(color) {
+  return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+/**
+ * Pick a colour for a new course, preferring one no course uses yet
+ * @param {Array} courses - Existing courses
+ * @returns {string} Hex colour
+ */
+export function getNextCourseColor(courses = []) {
+  const used = courses.map(course => (course.color || '').toLowerCase());
+  return COURSE_COLORS.find(color => !used.includes(color)) ||
+    COURSE_COLORS[courses.length % COURSE_COLORS.length];
+}
+
+/**
+ * Normalize raw course input
+ * Text is trimmed, the code upper-cased, and credit hours rounded to halves.
+ * The optional target grade (in percent) is only kept when it is set.
+ * @param {Object} data - Raw course fields
+ * @param {Array} courses - Existing courses (used to pick a default colour)
+ * @returns {Object} Course
+ */
+export function normalizeCourse(data, courses = []) {
+  const creditHours = parseFloat(data.creditHours);
+  const targetGrade = parseFloat(data.targetGrade);
+
+  const course = {
+    id: isValidCourseId(data.id) ? data.id : generateCourseId(),
+    code: String(data.code || '').trim().replace(/\s+/g, ' ').toUpperCase(),
+    name: String(data.name || '').trim(),
+    instructor: String(data.instructor || '').trim(),
+    creditHours: isNaN(creditHours) ? 0 : Math.round(creditHours * 2) / 2,
+    color: isValidCourseColor(data.color) ? data.color.toLowerCase() : getNextCourseColor(courses)
+  };
+
+  if (!isNaN(targetGrade) && targetGrade >= 0 && targetGrade <= 100) {
+    course.targetGrade = Math.round(targetGrade * 10) / 10;
+  }
+
+  return course;
+}
+
+/**
+ * Validate a course
+ * @param {Object} course - Course to validate
+ * @param {Array} courses - Other courses (for the unique code check)
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateCourse(course, courses = []) {
+  const errors = [];
+
+  if (!course || typeof course !== 'object') {
+    return ['course must be an object'];
+  }
+
+  if (typeof course.code !== 'string' || course.code.trim() === '') {
+    errors.push('Course code is required');
+  } else if (course.code.length > MAX_COURSE_CODE_LENGTH) {
+    errors.push(`Course code must be ${MAX_COURSE_CODE_LENGTH} characters or less`);
+  } else if (!COURSE_CODE_PATTERN.test(course.code)) {
+    errors.push('Course code may only contain letters, digits, spaces and . _ & / -');
+  } else if (courses.some(other => other.id !== course.id && other.code.toLowerCase() === course.code.toLowerCase())) {
+    errors.push(`Another course already uses the code ${course.code}`);
+  }
+
+  if (typeof course.name !== 'string' || course.name.trim() === '') {
+    errors.push('Course name is required');
+  } else if (course.name.length > MAX_COURSE_NAME_LENGTH) {
+    errors.push(`Course name must be ${MAX_COURSE_NAME_LENGTH} characters or less`);
+  }
+
+  if (course.instructor !== undefined &&
+    (typeof course.instructor !== 'string' || course.instructor.length > MAX_COURSE_NAME_LENGTH)) {
+    errors.push(`Instructor must be ${MAX_COURSE_NAME_LENGTH} characters or less`);
+  }
+
+  if (course.creditHours !== undefined &&
+    (typeof course.creditHours !== 'number' || isNaN(course.creditHours) ||
+      course.creditHours < 0 || course.creditHours > MAX_CREDIT_HOURS)) {
+    errors.push(`Credit hours must be between 0 and ${MAX_CREDIT_HOURS}`);
+  }
+
+  if (course.targetGrade !== undefined &&
+    (typeof course.targetGrade !== 'number' || !(course.targetGrade >= 0 && course.targetGrade <= 100))) {
+    errors.push('Target grade must be between 0 and 100');
+  }
+
+  if (!isValidCourseColor(course.color)) {
+    errors.push('Colour must be a hex value such as #2563eb');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of courses (e.g. from an import)
+ * @param {Array} courses - Courses to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateCourses(courses) {
+  const errors = [];
+
+  if (courses === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(courses)) {
+    return ['courses must be an array'];
+  }
+
+  const ids = new Set();
+  courses.forEach((course, index) => {
+    if (!course || !isValidCourseId(course.id)) {
+      errors.push(`course ${index + 1} must have an id made of letters, digits, - or _`);
+    } else if (ids.has(course.id)) {
+      errors.push(`course ${index + 1} has a duplicate id`);
+    } else {
+      ids.add(course.id);
+    }
+
+    validateCourse(course, courses).forEach(error => errors.push(`course ${index + 1}: ${error}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Find a course by ID
+ * @param {Array} courses - All courses
+ * @param {string} courseId - Course ID
+ * @returns {Object|null} Course or null
+ */
+export function getCourseById(courses, courseId) {
+  if (!courseId || !Array.isArray(courses)) {
+    return null;
+  }
+  return courses.find(course => course.id === courseId) || null;
+}
+
+/**
+ * Label a course for lists and selects
+ * @param {Object} course - Course
+ * @returns {string} Text such as "CS101 – Intro to Programming"
+ */
+export function formatCourseLabel(course) {
+  return course.name ? `${course.code} – ${course.name}` : course.code;
+}
+
+/**
+ * Sort courses by code
+ * @param {Array} courses - Courses
+ * @returns {Array} New sorted array
+ */
+export function sortCourses(courses) {
+  return [...(courses || [])].sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+}
+
+/**
+ * Merge imported courses into existing ones
+ * Courses with the same ID are replaced by the imported version.
+ * @param {Array} existingCourses - Current courses
+ * @param {Array} importedCourses - Imported courses
+ * @returns {Array} Merged courses
+ */
+export function mergeCourses(existingCourses, importedCourses) {
+  const merged = new Map((existingCourses || []).map(course => [course.id, course]));
+  (importedCourses || []).forEach(course => merged.set(course.id, course));
+  return [...merged.values()];
+}
+
+export default {
+  COURSE_COLORS,
+  MAX_COURSE_CODE_LENGTH,
+  MAX_COURSE_NAME_LENGTH,
+  MAX_CREDIT_HOURS,
+  NO_COURSE_FILTER,
+  generateCourseId,
+  isValidCourseId,
+  isValidCourseColor,
+  getNextCourseColor,
+  normalizeCourse,
+  validateCourse,
+  validateCourses,
+  getCourseById,
+  formatCourseLabel,
+  sortCourses,
+  mergeCourses
+};
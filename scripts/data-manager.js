@@ -3,6 +3,31 @@
  * Works alongside localStorage to provide file-based data persistence
  */
 
+import { validateRecurrence } from './recurrence.js';
+import { validateSubtasks } from './subtasks.js';
+import { isValidPriority } from './priority.js';
+import { validateDependencies } from './dependencies.js';
+import { validateTags } from './tags.js';
+import { isValidDueTime } from './due-dates.js';
+import { isValidStatus } from './statuses.js';
+import { validateTimeLog, isValidTimestamp } from './time-tracking.js';
+import { validateNotes } from './notes.js';
+import { validateAttachments, validateLinks, getAttachmentIds } from './attachments.js';
+import { isValidCourseId, validateCourses } from './courses.js';
+import { validateGrade, isGraded } from './grades.js';
+import { isValidTermId, validateTerms } from './terms.js';
+import { validateTrashedTask } from './trash.js';
+import { validateTemplates } from './templates.js';
+import { isValidExamId, validateExams } from './exams.js';
+import { validateSmartLists } from './smart-lists.js';
+import { validateChangeLog } from './change-log.js';
+import { attachmentStore } from './attachment-store.js';
+import { createZip, readZip, isZip } from './zip.js';
+
+// Names used inside backup archives
+const ARCHIVE_DATA_FILE = 'backup.json';
+const ARCHIVE_ATTACHMENT_DIR = 'attachments/';
+
 export class DataManager {
   constructor() {
     this.jsonFilePath = './data/tasks.json';
@@ -120,6 +145,12 @@ export class DataManager {
       application: "Campus Life Planner",
       data: {
         tasks: state.tasks || [],
+        courses: state.courses || [],
+        terms: state.terms || [],
+        trash: state.trash || [],
+        templates: state.templates || [],
+        exams: state.exams || [],
+        smartLists: state.smartLists || [],
         settings: state.settings || {},
         ui: {
           sortBy: state.ui?.sortBy || 'date-newest',
@@ -129,6 +160,16 @@ export class DataManager {
         },
         metadata: {
           totalTasks: (state.tasks || []).length,
+          totalCourses: (state.courses || []).length,
+          totalTerms: (state.terms || []).length,
+          archivedTerms: (state.terms || []).filter(term => term.archived).length,
+          trashedTasks: (state.trash || []).length,
+          totalTemplates: (state.templates || []).length,
+          totalExams: (state.exams || []).length,
+          totalSmartLists: (state.smartLists || []).length,
+          totalAssessments: (state.tasks || []).filter(task => task.grade).length,
+          gradedAssessments: (state.tasks || []).filter(isGraded).length,
+          totalSubtasks: (state.tasks || []).reduce((sum, task) => sum + (task.subtasks || []).length, 0),
           settingsCount: Object.keys(state.settings || {}).length,
           exportedBy: 'Campus Life Planner Auto-Backup',
           format: 'JSON',
@@ -142,13 +183,14 @@ export class DataManager {
   /**
    * Download backup file
    * @param {Blob} blob - Backup data blob
+   * @param {string} extension - File extension ('json' or 'zip')
    */
-  downloadBackup(blob) {
+  downloadBackup(blob, extension = 'json') {
     try {
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `campus-life-planner-backup-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = `campus-life-planner-backup-${new Date().toISOString().split('T')[0]}.${extension}`;
       a.style.display = 'none';
       
       document.body.appendChild(a);
@@ -195,6 +237,49 @@ export class DataManager {
         }
       }
 
+      // Validate trashed tasks
+      if (data.data.trash !== undefined) {
+        if (!Array.isArray(data.data.trash)) {
+          return false;
+        }
+        for (const task of data.data.trash) {
+          if (!this.validateTask(task) || validateTrashedTask(task).length > 0) {
+            console.warn('DataManager: Invalid trashed task found:', task);
+            return false;
+          }
+        }
+      }
+
+      // Validate course list
+      if (validateCourses(data.data.courses).length > 0) {
+        console.warn('DataManager: Invalid courses found:', data.data.courses);
+        return false;
+      }
+
+      // Validate term list
+      if (validateTerms(data.data.terms).length > 0) {
+        console.warn('DataManager: Invalid terms found:', data.data.terms);
+        return false;
+      }
+
+      // Validate template list
+      if (validateTemplates(data.data.templates).length > 0) {
+        console.warn('DataManager: Invalid templates found:', data.data.templates);
+        return false;
+      }
+
+      // Validate exam list
+      if (validateExams(data.data.exams).length > 0) {
+        console.warn('DataManager: Invalid exams found:', data.data.exams);
+        return false;
+      }
+
+      // Validate smart lists
+      if (validateSmartLists(data.data.smartLists).length > 0) {
+        console.warn('DataManager: Invalid smart lists found:', data.data.smartLists);
+        return false;
+      }
+
       return true;
     } catch (error) {
       console.error('DataManager: Validation error:', error);
@@ -226,7 +311,12 @@ export class DataManager {
     }
 
     // Validate status
-    if (!['Pending', 'Complete'].includes(task.status)) {
+    if (!isValidStatus(task.status)) {
+      return false;
+    }
+
+    // Validate priority (optional for data created before priorities existed)
+    if (task.priority !== undefined && !isValidPriority(task.priority)) {
       return false;
     }
 
@@ -235,6 +325,79 @@ export class DataManager {
       return false;
     }
 
+    // Validate optional due time
+    if (task.dueTime !== undefined && !isValidDueTime(task.dueTime)) {
+      return false;
+    }
+
+    // Validate logged work sessions and any running timer
+    if (validateTimeLog(task.timeLog).length > 0) {
+      return false;
+    }
+
+    if (task.timerStartedAt !== undefined && !isValidTimestamp(task.timerStartedAt)) {
+      return false;
+    }
+
+    // Validate optional notes
+    if (validateNotes(task.notes).length > 0) {
+      return false;
+    }
+
+    // Validate attachment metadata and reference links
+    if (validateAttachments(task.attachments).length > 0 || validateLinks(task.links).length > 0) {
+      return false;
+    }
+
+    // Validate optional course link
+    if (task.courseId !== undefined && !isValidCourseId(task.courseId)) {
+      return false;
+    }
+
+    // Validate optional term link
+    if (task.termId !== undefined && !isValidTermId(task.termId)) {
+      return false;
+    }
+
+    // Validate optional exam link
+    if (task.examId !== undefined && !isValidExamId(task.examId)) {
+      return false;
+    }
+
+    // Validate assessment weight and score
+    if (validateGrade(task.grade).length > 0) {
+      return false;
+    }
+
+    // Validate field-level change history
+    if (validateChangeLog(task.changeLog).length > 0) {
+      return false;
+    }
+
+    // Validate recurrence rule and series bookkeeping
+    if (task.recurrence !== undefined && validateRecurrence(task.recurrence).length > 0) {
+      return false;
+    }
+
+    if (task.occurrence !== undefined && (!Number.isInteger(task.occurrence) || task.occurrence < 1)) {
+      return false;
+    }
+
+    // Validate checklist items
+    if (validateSubtasks(task.subtasks).length > 0) {
+      return false;
+    }
+
+    // Validate tag list (legacy single-tag tasks are migrated on load)
+    if (task.tags !== undefined && validateTags(task.tags).length > 0) {
+      return false;
+    }
+
+    // Validate blocker references
+    if (validateDependencies(task.blockedBy, task.id).length > 0) {
+      return false;
+    }
+
     return true;
   }
 
@@ -265,12 +428,31 @@ export class DataManager {
 
   /**
    * Manually trigger a backup download
+   * With includeAttachments the backup is a ZIP archive holding the JSON data
+   * and every attachment file; otherwise it is the plain JSON file.
    * @param {Object} state - Current application state
+   * @param {Object} options - Optional { includeAttachments }
    */
-  async manualBackup(state) {
+  async manualBackup(state, options = {}) {
     try {
       const backupData = this.createBackupData(state);
-      const blob = new Blob([JSON.stringify(backupData, null, 2)], { 
+      const json = JSON.stringify(backupData, null, 2);
+      
+      // Trashed tasks keep their files so they can still be restored
+      const tasks = [...(state.tasks || []), ...(state.trash || [])];
+      if (options.includeAttachments && getAttachmentIds(tasks).size > 0) {
+        const { archive, missing } = await this.createBackupArchive(json, tasks);
+        this.downloadBackup(new Blob([archive], { type: 'application/zip' }), 'zip');
+        
+        return {
+          success: true,
+          message: missing > 0
+            ? `Backup downloaded, but ${missing} attachment file${missing !== 1 ? 's were' : ' was'} missing`
+            : 'Backup with attachments downloaded successfully'
+        };
+      }
+      
+      const blob = new Blob([json], { 
         type: 'application/json' 
       });
       
@@ -290,23 +472,100 @@ export class DataManager {
   }
 
   /**
-   * Import data from uploaded JSON file
-   * @param {File} file - Uploaded JSON file
+   * Bundle backup data and attachment files into a ZIP archive
+   * @param {string} json - Serialized backup data
+   * @param {Array} tasks - Tasks whose attachment files to include
+   * @returns {Object} Archive bytes and the number of files that were missing
+   */
+  async createBackupArchive(json, tasks) {
+    const files = [{ name: ARCHIVE_DATA_FILE, data: new TextEncoder().encode(json) }];
+    let missing = 0;
+
+    for (const id of getAttachmentIds(tasks)) {
+      const blob = await attachmentStore.get(id);
+      if (blob) {
+        files.push({ name: ARCHIVE_ATTACHMENT_DIR + id, data: new Uint8Array(await blob.arrayBuffer()) });
+      } else {
+        missing++;
+      }
+    }
+
+    return { archive: createZip(files), missing };
+  }
+
+  /**
+   * Read backup data and attachment files from a ZIP archive
+   * @param {Uint8Array} bytes - Archive bytes
+   * @returns {Object} Parsed backup data and files as { id, data }
+   */
+  readBackupArchive(bytes) {
+    const entries = readZip(bytes);
+    const dataEntry = entries.find(entry => entry.name === ARCHIVE_DATA_FILE);
+    if (!dataEntry) {
+      throw new Error(`Archive has no ${ARCHIVE_DATA_FILE}`);
+    }
+
+    return {
+      data: JSON.parse(new TextDecoder().decode(dataEntry.data)),
+      files: entries
+        .filter(entry => entry.name.startsWith(ARCHIVE_ATTACHMENT_DIR) && entry.name.length > ARCHIVE_ATTACHMENT_DIR.length)
+        .map(entry => ({ id: entry.name.slice(ARCHIVE_ATTACHMENT_DIR.length), data: entry.data }))
+    };
+  }
+
+  /**
+   * Store attachment files from a backup archive
+   * Only files referenced by an imported task are kept.
+   * @param {Array} files - Files as { id, data }
+   * @param {Array} tasks - Imported tasks
+   * @returns {number} Number of files restored
+   */
+  async restoreAttachmentFiles(files, tasks) {
+    const attachmentsById = new Map();
+    tasks.forEach(task => (task.attachments || []).forEach(attachment => attachmentsById.set(attachment.id, attachment)));
+
+    let restored = 0;
+    for (const file of files) {
+      const attachment = attachmentsById.get(file.id);
+      if (attachment) {
+        await attachmentStore.save(file.id, new Blob([file.data], { type: attachment.type }));
+        restored++;
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Import data from an uploaded JSON file or backup archive
+   * @param {File} file - Uploaded JSON or ZIP file
    * @returns {Object} Import result
    */
   async importFromFile(file) {
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      let data;
+      let files = [];
+      
+      if (isZip(bytes)) {
+        ({ data, files } = this.readBackupArchive(bytes));
+      } else {
+        data = JSON.parse(new TextDecoder().decode(bytes));
+      }
       
       if (!this.validateJsonData(data)) {
         throw new Error('Invalid file format');
       }
 
+      // Files are only written once the data itself is known to be valid
+      const restored = await this.restoreAttachmentFiles(files, [...(data.data.tasks || []), ...(data.data.trash || [])]);
+
       return {
         success: true,
         data: data.data,
-        message: 'File imported successfully'
+        message: restored > 0
+          ? `File imported successfully with ${restored} attachment${restored !== 1 ? 's' : ''}`
+          : 'File imported successfully'
       };
     } catch (error) {
       console.error('DataManager: Import failed:', error);
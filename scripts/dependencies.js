@@ -0,0 +1,166 @@
+/**
+ * Dependencies module for tasks that block other tasks
+ * Resolves blockers, detects dependency cycles, and cleans up references
+ */
+
+import { isClosedStatus } from './statuses.js';
+
+/**
+ * Normalize a list of blocker task IDs
+ * Duplicates, empty values, and self-references are dropped.
+ * @param {Array} blockedBy - Raw blocker IDs
+ * @param {string} taskId - ID of the task that declares the blockers
+ * @returns {Array} Clean list of blocker IDs
+ */
+export function normalizeDependencies(blockedBy, taskId = null) {
+  if (!Array.isArray(blockedBy)) {
+    return [];
+  }
+
+  return [...new Set(
+    blockedBy.filter(id => typeof id === 'string' && id.trim() !== '' && id !== taskId)
+  )];
+}
+
+/**
+ * Validate a list of blocker task IDs
+ * @param {Array} blockedBy - Blocker IDs to validate
+ * @param {string} taskId - ID of the task that declares the blockers
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateDependencies(blockedBy, taskId = null) {
+  const errors = [];
+
+  if (blockedBy === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(blockedBy)) {
+    errors.push('blockedBy must be an array of task IDs');
+    return errors;
+  }
+
+  if (blockedBy.some(id => typeof id !== 'string' || id.trim() === '')) {
+    errors.push('blockedBy must only contain task ID strings');
+  }
+
+  if (taskId && blockedBy.includes(taskId)) {
+    errors.push('a task cannot be blocked by itself');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the tasks that still block a task
+ * A blocker stops blocking once it is completed or cancelled.
+ * @param {Object} task - Task with optional blockedBy list
+ * @param {Array} tasks - All tasks
+ * @returns {Array} Incomplete blocker tasks
+ */
+export function getBlockingTasks(task, tasks) {
+  if (!task || !Array.isArray(task.blockedBy) || task.blockedBy.length === 0) {
+    return [];
+  }
+
+  return tasks.filter(other => task.blockedBy.includes(other.id) && !isClosedStatus(other.status));
+}
+
+/**
+ * Check whether a task is blocked by any incomplete task
+ * @param {Object} task - Task with optional blockedBy list
+ * @param {Array} tasks - All tasks
+ * @returns {boolean} True if blocked
+ */
+export function isTaskBlocked(task, tasks) {
+  return getBlockingTasks(task, tasks).length > 0;
+}
+
+/**
+ * Find a dependency cycle that would be created by giving a task new blockers
+ * @param {string} taskId - ID of the task being saved
+ * @param {Array} blockedBy - Proposed blocker IDs for that task
+ * @param {Array} tasks - All tasks
+ * @returns {Array|null} Task IDs forming the cycle (first and last are the same), or null
+ */
+export function findDependencyCycle(taskId, blockedBy, tasks) {
+  const blockersById = new Map(tasks.map(task => [task.id, task.blockedBy || []]));
+  blockersById.set(taskId, blockedBy || []);
+
+  // Depth-first walk from the task through its blockers, looking for a way back
+  const visited = new Set();
+  const path = [taskId];
+
+  const walk = (currentId) => {
+    for (const blockerId of blockersById.get(currentId) || []) {
+      if (blockerId === taskId) {
+        return [...path, taskId];
+      }
+      if (visited.has(blockerId)) {
+        continue;
+      }
+      visited.add(blockerId);
+      path.push(blockerId);
+      const cycle = walk(blockerId);
+      if (cycle) {
+        return cycle;
+      }
+      path.pop();
+    }
+    return null;
+  };
+
+  return walk(taskId);
+}
+
+/**
+ * Remove references to a deleted task from every other task's blockers
+ * @param {Array} tasks - All tasks
+ * @param {string} deletedId - ID of the deleted task
+ * @returns {Array} Tasks with the reference removed (unchanged tasks are reused)
+ */
+export function removeDependencyReferences(tasks, deletedId) {
+  return tasks.map(task => {
+    if (!Array.isArray(task.blockedBy) || !task.blockedBy.includes(deletedId)) {
+      return task;
+    }
+
+    const { blockedBy, ...rest } = task;
+    const remaining = blockedBy.filter(id => id !== deletedId);
+    return remaining.length > 0 ? { ...rest, blockedBy: remaining } : rest;
+  });
+}
+
+/**
+ * Make a restored task block the tasks it blocked before it was deleted
+ * Tasks that no longer exist are skipped, as are links that would now create
+ * a dependency cycle.
+ * @param {Array} tasks - All tasks, including the restored one
+ * @param {string} restoredId - ID of the restored task
+ * @param {Array} blockedTaskIds - IDs of the tasks it blocked
+ * @returns {Array} New tasks array
+ */
+export function restoreDependencyReferences(tasks, restoredId, blockedTaskIds = []) {
+  return blockedTaskIds.reduce((current, taskId) => {
+    const task = current.find(t => t.id === taskId);
+    if (!task || (task.blockedBy || []).includes(restoredId)) {
+      return current;
+    }
+
+    const blockedBy = [...(task.blockedBy || []), restoredId];
+    if (findDependencyCycle(taskId, blockedBy, current)) {
+      return current;
+    }
+    return current.map(t => (t.id === taskId ? { ...t, blockedBy } : t));
+  }, tasks);
+}
+
+export default {
+  normalizeDependencies,
+  validateDependencies,
+  getBlockingTasks,
+  isTaskBlocked,
+  findDependencyCycle,
+  removeDependencyReferences,
+  restoreDependencyReferences
+};
@@ -0,0 +1,113 @@
+/**
+ * Due date module for deadlines with an optional time of day
+ * Turns a task's due date and time into a real timestamp for overdue checks and countdowns
+ */
+
+import { parseDateOnly } from './recurrence.js';
+import { isClosedStatus } from './statuses.js';
+
+/**
+ * Due time format: 24-hour HH:MM
+ */
+export const DUE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Check whether a value is a valid HH:MM due time
+ * @param {string} dueTime - Time to check
+ * @returns {boolean} True if valid
+ */
+export function isValidDueTime(dueTime) {
+  return typeof dueTime === 'string' && DUE_TIME_PATTERN.test(dueTime);
+}
+
+/**
+ * Get the moment a task is due
+ * Tasks without a due time are due at the very end of their due date.
+ * @param {Object} task - Task with dueDate and optional dueTime
+ * @returns {Date|null} Due timestamp or null if the task has no due date
+ */
+export function getDueTimestamp(task) {
+  if (!task || !task.dueDate) {
+    return null;
+  }
+
+  const due = parseDateOnly(task.dueDate);
+
+  if (isValidDueTime(task.dueTime)) {
+    const [hours, minutes] = task.dueTime.split(':').map(Number);
+    due.setHours(hours, minutes, 0, 0);
+  } else {
+    due.setHours(23, 59, 59, 999);
+  }
+
+  return due;
+}
+
+/**
+ * Check whether an unfinished task is past its deadline
+ * Completed and cancelled tasks are never overdue.
+ * @param {Object} task - Task object
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {boolean} True if overdue
+ */
+export function isTaskOverdue(task, now = new Date()) {
+  if (!task || isClosedStatus(task.status)) {
+    return false;
+  }
+
+  const due = getDueTimestamp(task);
+  return due !== null && due < now;
+}
+
+/**
+ * Check whether a task's due date falls on the same calendar day as now
+ * @param {Object} task - Task object
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {boolean} True if due today
+ */
+export function isTaskDueToday(task, now = new Date()) {
+  const due = getDueTimestamp(task);
+  return due !== null && due.toDateString() === now.toDateString();
+}
+
+/**
+ * Milliseconds left until a task is due (negative once overdue)
+ * @param {Object} task - Task object
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {number|null} Milliseconds until due or null without a due date
+ */
+export function getTimeUntilDue(task, now = new Date()) {
+  const due = getDueTimestamp(task);
+  return due === null ? null : due - now;
+}
+
+/**
+ * Describe the time left before a deadline
+ * @param {number} milliseconds - Time until due (negative once overdue)
+ * @returns {string} Text such as "Due in 3h", "Due in 45m" or "Overdue by 2h"
+ */
+export function formatCountdown(milliseconds) {
+  const remaining = Math.abs(milliseconds);
+  const amount = remaining >= HOUR
+    ? `${Math.floor(remaining / HOUR)}h`
+    : `${Math.max(1, Math.floor(remaining / MINUTE))}m`;
+
+  if (milliseconds < 0) {
+    return `Overdue by ${amount}`;
+  }
+
+  return remaining < MINUTE ? 'Due now' : `Due in ${amount}`;
+}
+
+export default {
+  DUE_TIME_PATTERN,
+  isValidDueTime,
+  getDueTimestamp,
+  isTaskOverdue,
+  isTaskDueToday,
+  getTimeUntilDue,
+  formatCountdown
+};
@@ -121,6 +121,13 @@ export class EventManager {
             this.focusSearchInput();
           }
           break;
+        case 'q':
+          // Quick-add shortcut (when not in input)
+          if (!this.isInputElement(event.target) && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            event.preventDefault();
+            this.triggerAction('quick-add');
+          }
+          break;
       }
 
       // Handle keyboard shortcuts with modifiers
@@ -141,6 +148,14 @@ export class EventManager {
             event.preventDefault();
             this.focusSearchInput();
             break;
+          case 'z':
+          case 'Z':
+            // Undo / redo, leaving text fields to their own undo
+            if (!this.isInputElement(event.target)) {
+              event.preventDefault();
+              this.triggerAction(event.shiftKey ? 'redo' : 'undo');
+            }
+            break;
         }
       }
     };
@@ -346,7 +361,7 @@ export class EventManager {
     }
 
     // Handle filter and sort changes
-    if (element.matches('#task-filter, #task-sort')) {
+    if (element.matches('#task-filter, #task-sort, #task-course-filter')) {
       this.handleFilterSortChange(element, event);
     }
 
@@ -661,6 +676,8 @@ export class EventManager {
       this.triggerAction('filter-tasks', { filter: element.value });
     } else if (element.id === 'task-sort') {
       this.triggerAction('sort-tasks', { sort: element.value });
+    } else if (element.id === 'task-course-filter') {
+      this.triggerAction('filter-by-course', { courseId: element.value });
     }
   }
 
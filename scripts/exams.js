@@ -0,0 +1,410 @@
+/**
+ * Exams module for exams and their study plans
+ * An exam has a date, a list of topics and a target number of study hours.
+ * Its study plan is a series of regular tasks (study sessions) spread over the
+ * days before the exam; each session refers back to its exam by ID, so the
+ * time studied can be rolled up to the exam.
+ */
+
+import { isValidDueTime } from './due-dates.js';
+import { isValidCourseId } from './courses.js';
+import { parseDateOnly, formatDateOnly } from './recurrence.js';
+import { TaskStatuses } from './statuses.js';
+import { DEFAULT_PRIORITY } from './priority.js';
+
+/**
+ * How study sessions are spread over the days before an exam
+ */
+export const ExamSpacing = {
+  EVEN: 'even',
+  SPACED: 'spaced'
+};
+
+export const SPACING_LABELS = {
+  [ExamSpacing.EVEN]: 'Evenly',
+  [ExamSpacing.SPACED]: 'Spaced repetition'
+};
+
+export const MAX_EXAM_TITLE_LENGTH = 100;
+export const MAX_EXAM_TOPICS = 30;
+export const MAX_TOPIC_LENGTH = 100;
+export const MAX_STUDY_HOURS = 200;
+export const MIN_SESSION_MINUTES = 15;
+export const MAX_SESSION_MINUTES = 240;
+export const DEFAULT_SESSION_MINUTES = 60;
+
+/**
+ * Tag given to generated study sessions
+ */
+export const STUDY_SESSION_TAG = 'Study';
+
+// Exam IDs are written into option values and data attributes
+const EXAM_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate unique exam ID
+ * @returns {string} Exam ID
+ */
+export function generateExamId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `exam_${timestamp}_${random}`;
+}
+
+/**
+ * Check whether an exam ID is well formed
+ * @param {string} id - Exam ID
+ * @returns {boolean} True if valid
+ */
+export function isValidExamId(id) {
+  return typeof id === 'string' && EXAM_ID_PATTERN.test(id);
+}
+
+/**
+ * Split topics typed one per line (or separated by commas) into a list
+ * Blank and repeated topics are dropped.
+ * @param {string|Array} topics - Raw topics
+ * @returns {Array} Topics
+ */
+export function normalizeTopics(topics) {
+  const list = Array.isArray(topics) ? topics : String(topics || '').split(/[\n,]/);
+  const seen = new Set();
+  return list
+    .map(topic => String(topic).trim().replace(/\s+/g, ' '))
+    .filter(topic => {
+      const key = topic.toLowerCase();
+      if (topic === '' || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Normalize raw exam input
+ * Study hours are rounded to halves and the session length to whole minutes.
+ * @param {Object} data - Raw exam fields
+ * @returns {Object} Exam
+ */
+export function normalizeExam(data) {
+  const studyHours = parseFloat(data.studyHours);
+  const sessionMinutes = parseInt(data.sessionMinutes, 10);
+
+  const exam = {
+    id: isValidExamId(data.id) ? data.id : generateExamId(),
+    title: String(data.title || '').trim().replace(/\s+/g, ' '),
+    date: String(data.date || ''),
+    topics: normalizeTopics(data.topics),
+    studyHours: isNaN(studyHours) ? 0 : Math.round(studyHours * 2) / 2,
+    sessionMinutes: isNaN(sessionMinutes) ? DEFAULT_SESSION_MINUTES : sessionMinutes,
+    spacing: Object.values(ExamSpacing).includes(data.spacing) ? data.spacing : ExamSpacing.EVEN
+  };
+
+  if (isValidDueTime(data.time)) {
+    exam.time = data.time;
+  }
+
+  if (isValidCourseId(data.courseId)) {
+    exam.courseId = data.courseId;
+  }
+
+  return exam;
+}
+
+/**
+ * Validate an exam
+ * @param {Object} exam - Exam to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateExam(exam) {
+  const errors = [];
+
+  if (!exam || typeof exam !== 'object') {
+    return ['exam must be an object'];
+  }
+
+  if (typeof exam.title !== 'string' || exam.title.trim() === '') {
+    errors.push('Exam title is required');
+  } else if (exam.title.length > MAX_EXAM_TITLE_LENGTH) {
+    errors.push(`Exam title must be ${MAX_EXAM_TITLE_LENGTH} characters or less`);
+  }
+
+  if (!DATE_PATTERN.test(exam.date) || isNaN(parseDateOnly(exam.date).getTime())) {
+    errors.push('Exam date must be in YYYY-MM-DD format');
+  }
+
+  if (exam.time !== undefined && !isValidDueTime(exam.time)) {
+    errors.push('Exam time must be in HH:MM format');
+  }
+
+  if (exam.courseId !== undefined && !isValidCourseId(exam.courseId)) {
+    errors.push('courseId is not a valid course id');
+  }
+
+  if (!Array.isArray(exam.topics)) {
+    errors.push('topics must be an array');
+  } else if (exam.topics.length > MAX_EXAM_TOPICS) {
+    errors.push(`An exam can have at most ${MAX_EXAM_TOPICS} topics`);
+  } else if (exam.topics.some(topic => typeof topic !== 'string' || topic.trim() === '' || topic.length > MAX_TOPIC_LENGTH)) {
+    errors.push(`Topics must be 1 to ${MAX_TOPIC_LENGTH} characters long`);
+  }
+
+  if (typeof exam.studyHours !== 'number' || !(exam.studyHours > 0 && exam.studyHours <= MAX_STUDY_HOURS)) {
+    errors.push(`Study hours must be more than 0 and at most ${MAX_STUDY_HOURS}`);
+  }
+
+  if (!Number.isInteger(exam.sessionMinutes) || exam.sessionMinutes < MIN_SESSION_MINUTES || exam.sessionMinutes > MAX_SESSION_MINUTES) {
+    errors.push(`Sessions must be between ${MIN_SESSION_MINUTES} and ${MAX_SESSION_MINUTES} minutes long`);
+  }
+
+  if (!Object.values(ExamSpacing).includes(exam.spacing)) {
+    errors.push(`spacing must be one of: ${Object.values(ExamSpacing).join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of exams (e.g. from an import)
+ * @param {Array} exams - Exams to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateExams(exams) {
+  const errors = [];
+
+  if (exams === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(exams)) {
+    return ['exams must be an array'];
+  }
+
+  const ids = new Set();
+  exams.forEach((exam, index) => {
+    if (!exam || !isValidExamId(exam.id)) {
+      errors.push(`exam ${index + 1} must have an id made of letters, digits, - or _`);
+    } else if (ids.has(exam.id)) {
+      errors.push(`exam ${index + 1} has a duplicate id`);
+    } else {
+      ids.add(exam.id);
+    }
+
+    validateExam(exam).forEach(error => errors.push(`exam ${index + 1}: ${error}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Find an exam by ID
+ * @param {Array} exams - All exams
+ * @param {string} examId - Exam ID
+ * @returns {Object|null} Exam or null
+ */
+export function getExamById(exams, examId) {
+  if (!examId || !Array.isArray(exams)) {
+    return null;
+  }
+  return exams.find(exam => exam.id === examId) || null;
+}
+
+/**
+ * Sort exams by date, soonest first
+ * @param {Array} exams - Exams
+ * @returns {Array} New sorted array
+ */
+export function sortExams(exams) {
+  return [...(exams || [])].sort((a, b) =>
+    a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || '') || a.title.localeCompare(b.title)
+  );
+}
+
+/**
+ * Count the whole days from today until an exam
+ * @param {Object} exam - Exam
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {number} Days left (0 on the day, negative once it has passed)
+ */
+export function getDaysUntilExam(exam, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((parseDateOnly(exam.date) - today) / DAY_MS);
+}
+
+/**
+ * Pick the days (counted from today) that study sessions fall on
+ * Both layouts end the day before the exam. Even spacing leaves the same gap
+ * between sessions; spaced repetition widens the gap by a day after each
+ * session, squeezed to fit when there isn't room.
+ * @private
+ */
+function getSessionOffsets(count, days, spacing) {
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    offsets.push(spacing === ExamSpacing.SPACED ? (i * (i + 1)) / 2 : i);
+  }
+
+  const last = offsets[count - 1];
+  if (spacing === ExamSpacing.SPACED && last <= days - 1) {
+    return offsets.map(offset => offset + days - 1 - last);
+  }
+
+  return spacing === ExamSpacing.SPACED
+    ? offsets.map(offset => Math.round((offset * (days - 1)) / last))
+    : offsets.map(i => days - 1 - Math.floor(((count - 1 - i) * days) / count));
+}
+
+/**
+ * Build the study sessions for an exam
+ * Topics are studied in turn; once every topic has had a session they come
+ * round again as reviews. Sessions are only planned on the days between today
+ * and the exam, so an exam that is today or past gets none.
+ * @param {Object} exam - Exam
+ * @param {Object} options - { minutes: study time to plan (defaults to the exam's target), now }
+ * @returns {Array} Task fields for each session, earliest first
+ */
+export function generateStudyPlan(exam, { minutes = exam.studyHours * 60, now = new Date() } = {}) {
+  const days = getDaysUntilExam(exam, now);
+  const count = Math.ceil(minutes / exam.sessionMinutes);
+  if (days < 1 || count < 1) {
+    return [];
+  }
+
+  const duration = Math.max(MIN_SESSION_MINUTES, Math.round(minutes / count / 5) * 5);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const topics = exam.topics || [];
+
+  return getSessionOffsets(count, days, exam.spacing).map((offset, index) => {
+    const topic = topics.length > 0 ? topics[index % topics.length] : null;
+    const session = {
+      title: topic
+        ? `Study ${topic} for ${exam.title}${index >= topics.length ? ' (review)' : ''}`
+        : `Study for ${exam.title} (${index + 1}/${count})`,
+      dueDate: formatDateOnly(new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset)),
+      duration,
+      tags: [STUDY_SESSION_TAG],
+      priority: DEFAULT_PRIORITY,
+      examId: exam.id
+    };
+    if (exam.courseId) {
+      session.courseId = exam.courseId;
+    }
+    return session;
+  });
+}
+
+/**
+ * List the study sessions of an exam
+ * @param {Object} exam - Exam
+ * @param {Array} tasks - All tasks
+ * @returns {Array} Sessions
+ */
+export function getExamSessions(exam, tasks) {
+  return (tasks || []).filter(task => task.examId === exam.id);
+}
+
+/**
+ * Check whether a session can be replaced when the plan is regenerated
+ * Only sessions nobody has started (still pending, with no time logged) are.
+ * @param {Object} task - Study session
+ * @returns {boolean} True if untouched
+ */
+export function isUntouchedSession(task) {
+  return task.status === TaskStatuses.PENDING &&
+    !task.timerStartedAt &&
+    !(Array.isArray(task.timeLog) && task.timeLog.length > 0);
+}
+
+/**
+ * Work out how much study time a regenerated plan still has to cover
+ * Sessions that are kept count towards the target; cancelled ones don't.
+ * @param {Object} exam - Exam
+ * @param {Array} keptSessions - Sessions that stay in the plan
+ * @returns {number} Minutes left to plan
+ */
+export function getUnplannedMinutes(exam, keptSessions) {
+  const planned = keptSessions
+    .filter(task => task.status !== TaskStatuses.CANCELLED)
+    .reduce((total, task) => total + (task.duration || 0), 0);
+  return Math.max(0, exam.studyHours * 60 - planned);
+}
+
+/**
+ * Check whether an edit changes how the study plan is laid out
+ * @param {Object} previousExam - Exam before the edit
+ * @param {Object} exam - Exam after the edit
+ * @returns {boolean} True if the plan should be regenerated
+ */
+export function isPlanChanged(previousExam, exam) {
+  return ['date', 'studyHours', 'sessionMinutes', 'spacing', 'topics'].some(field =>
+    JSON.stringify(previousExam[field]) !== JSON.stringify(exam[field])
+  );
+}
+
+/**
+ * Roll the progress of an exam's study sessions up to the exam
+ * @param {Object} exam - Exam
+ * @param {Array} tasks - All tasks
+ * @returns {Object} Session counts and minutes studied against the target
+ */
+export function getExamProgress(exam, tasks) {
+  const sessions = getExamSessions(exam, tasks).filter(task => task.status !== TaskStatuses.CANCELLED);
+  const completed = sessions.filter(task => task.status === TaskStatuses.COMPLETE);
+  const targetMinutes = exam.studyHours * 60;
+  const studiedMinutes = completed.reduce((total, task) => total + (task.duration || 0), 0);
+
+  return {
+    totalSessions: sessions.length,
+    completedSessions: completed.length,
+    targetMinutes,
+    studiedMinutes,
+    percentage: targetMinutes > 0 ? Math.min(100, Math.round((studiedMinutes / targetMinutes) * 100)) : 0
+  };
+}
+
+/**
+ * Merge imported exams into existing ones
+ * Exams with the same ID are replaced by the imported version.
+ * @param {Array} existingExams - Current exams
+ * @param {Array} importedExams - Imported exams
+ * @returns {Array} Merged exams
+ */
+export function mergeExams(existingExams, importedExams) {
+  const merged = new Map((existingExams || []).map(exam => [exam.id, exam]));
+  (importedExams || []).forEach(exam => merged.set(exam.id, exam));
+  return [...merged.values()];
+}
+
+export default {
+  ExamSpacing,
+  SPACING_LABELS,
+  MAX_EXAM_TITLE_LENGTH,
+  MAX_EXAM_TOPICS,
+  MAX_TOPIC_LENGTH,
+  MAX_STUDY_HOURS,
+  MIN_SESSION_MINUTES,
+  MAX_SESSION_MINUTES,
+  DEFAULT_SESSION_MINUTES,
+  STUDY_SESSION_TAG,
+  generateExamId,
+  isValidExamId,
+  normalizeTopics,
+  normalizeExam,
+  validateExam,
+  validateExams,
+  getExamById,
+  sortExams,
+  getDaysUntilExam,
+  generateStudyPlan,
+  getExamSessions,
+  isUntouchedSession,
+  getUnplannedMinutes,
+  isPlanChanged,
+  getExamProgress,
+  mergeExams
+};
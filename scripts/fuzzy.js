@@ -0,0 +1,248 @@
+/**
+ * Fuzzy module for typo-tolerant word matching
+ * Each query word is compared with the words of a text on its own, so word
+ * order doesn't matter. A word matches exactly, as a prefix, inside a longer
+ * word, or within a few typos (missing, extra, wrong or swapped letters).
+ */
+
+// Letters and digits in any script
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into lowercase words with their positions
+ * @param {string} text - Text to split
+ * @returns {Array} Words as { word, index }
+ */
+export function getWords(text) {
+  return [...String(text || '').matchAll(WORD_PATTERN)].map(match => ({
+    word: match[0].toLowerCase(),
+    index: match.index
+  }));
+}
+
+/**
+ * Number of typos tolerated in a query word of a given length
+ * Short words must match exactly, or they would match almost anything.
+ * @param {number} length - Query word length
+ * @returns {number} Allowed edits
+ */
+export function getMaxEdits(length) {
+  if (length <= 2) {
+    return 0;
+  }
+  return length <= 5 ? 1 : 2;
+}
+
+/**
+ * Align a query word with a target word
+ * Uses the optimal string alignment distance, where swapping two neighbouring
+ * letters counts as one edit.
+ * @private
+ * @returns {Object} { distance, positions } where positions are the target letters that matched
+ */
+function align(query, target) {
+  const rows = query.length + 1;
+  const cols = target.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = query[i - 1] === target[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && query[i - 1] === target[j - 2] && query[i - 2] === target[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  // Walk back through the table to find the letters that lined up
+  const positions = [];
+  let i = query.length;
+  let j = target.length;
+  while (i > 0 && j > 0) {
+    if (query[i - 1] === target[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+      positions.unshift(j - 1);
+      i--;
+      j--;
+    } else if (i > 1 && j > 1 && query[i - 1] === target[j - 2] && query[i - 2] === target[j - 1] &&
+      d[i][j] === d[i - 2][j - 2] + 1) {
+      positions.unshift(j - 2, j - 1);
+      i -= 2;
+      j -= 2;
+    } else if (d[i][j] === d[i - 1][j - 1] + 1) {
+      i--;
+      j--;
+    } else if (d[i][j] === d[i - 1][j] + 1) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return { distance: d[query.length][target.length], positions };
+}
+
+const range = (start, length) => Array.from({ length }, (_, k) => start + k);
+
+/**
+ * Match a query word against one word of a text
+ * Scores run from 1 (the same word) down: a prefix, a word containing the
+ * query, a word within the allowed typos, and a prefix within them.
+ * @param {string} query - Lowercase query word
+ * @param {string} word - Lowercase text word
+ * @returns {Object|null} { score, positions } with positions inside the word, or null
+ */
+export function matchWord(query, word) {
+  if (!query || !word) {
+    return null;
+  }
+
+  if (query === word) {
+    return { score: 1, positions: range(0, word.length) };
+  }
+
+  if (query.length >= 2 && word.startsWith(query)) {
+    return { score: 0.8 + 0.2 * (query.length / word.length), positions: range(0, query.length) };
+  }
+
+  const maxEdits = getMaxEdits(query.length);
+  let best = null;
+  const consider = (score, positions) => {
+    if (!best || score > best.score) {
+      best = { score, positions };
+    }
+  };
+
+  const inside = query.length >= 3 ? word.indexOf(query) : -1;
+  if (inside !== -1) {
+    consider(0.6, range(inside, query.length));
+  }
+
+  if (maxEdits > 0 && Math.abs(word.length - query.length) <= maxEdits) {
+    const { distance, positions } = align(query, word);
+    if (distance <= maxEdits) {
+      consider(0.7 * (1 - distance / (query.length + 1)), positions);
+    }
+  }
+
+  // A mistyped start of a longer word, e.g. "datbas" for "database"
+  if (maxEdits > 0) {
+    for (let length = query.length - 1; length <= query.length + 1; length++) {
+      if (length >= 2 && length < word.length) {
+        const { distance, positions } = align(query, word.slice(0, length));
+        if (distance <= maxEdits) {
+          consider(0.5 * (1 - distance / (query.length + 1)), positions);
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+// Tasks share most of their words, so recent word matches are reused
+const MAX_CACHED_MATCHES = 20000;
+// Query word -> text word -> match
+const matchCache = new Map();
+let cachedMatchCount = 0;
+
+/**
+ * Match a query word against a text word, reusing earlier results
+ * @private
+ */
+function matchWordCached(query, word) {
+  let matches = matchCache.get(query);
+  if (!matches) {
+    matches = new Map();
+    matchCache.set(query, matches);
+  }
+
+  let match = matches.get(word);
+  if (match === undefined) {
+    if (cachedMatchCount >= MAX_CACHED_MATCHES) {
+      matchCache.clear();
+      matchCache.set(query, matches = new Map());
+      cachedMatchCount = 0;
+    }
+    match = matchWord(query, word);
+    matches.set(word, match);
+    cachedMatchCount++;
+  }
+  return match;
+}
+
+// The same texts are searched again for each query word and keystroke
+const MAX_CACHED_TEXTS = 5000;
+const wordsCache = new Map();
+
+/**
+ * Split text into words, reusing earlier results
+ * The returned array is shared, so it must not be changed.
+ * @private
+ */
+function getWordsCached(text) {
+  let words = wordsCache.get(text);
+  if (!words) {
+    if (wordsCache.size >= MAX_CACHED_TEXTS) {
+      wordsCache.clear();
+    }
+    words = getWords(text);
+    wordsCache.set(text, words);
+  }
+  return words;
+}
+
+/**
+ * Find the best match for each query word in a text
+ * @param {string} text - Text to search
+ * @param {Array} queryWords - Lowercase query words
+ * @returns {Array} One entry per query word: { score, positions } with positions in the text, or null
+ */
+export function findFuzzyMatches(text, queryWords) {
+  const words = getWordsCached(String(text || ''));
+
+  return queryWords.map(queryWord => {
+    let best = null;
+    words.forEach(({ word, index }) => {
+      const match = matchWordCached(queryWord, word);
+      if (match && (!best || match.score > best.score)) {
+        best = { score: match.score, positions: match.positions.map(position => index + position) };
+      }
+    });
+    return best;
+  });
+}
+
+/**
+ * Merge matched letter positions into [start, end) ranges
+ * @param {Array} positions - Letter positions
+ * @returns {Array} Ranges as [start, end], in order
+ */
+export function toRanges(positions) {
+  const sorted = [...new Set(positions)].sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach(position => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) {
+      last[1] = position + 1;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+  });
+  return ranges;
+}
+
+export default {
+  getWords,
+  getMaxEdits,
+  matchWord,
+  findFuzzyMatches,
+  toRanges
+};
@@ -0,0 +1,204 @@
+/**
+ * Grades module for assessment weights, scores and course grade calculations
+ * A task that counts towards a course grade carries
+ * { weight, score, outOf }: weight is its share of the course grade in percent,
+ * score is the mark received (left out until the work is graded) out of outOf.
+ */
+
+import { TaskStatuses } from './statuses.js';
+
+export const DEFAULT_OUT_OF = 100;
+export const MAX_OUT_OF = 1000;
+
+/**
+ * Highest score allowed relative to outOf, leaving room for extra credit
+ */
+export const MAX_SCORE_RATIO = 1.5;
+
+/**
+ * Round to two decimals for storage and display
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalize raw grade input from a form or an imported task
+ * @param {Object} grade - Raw grade ({ weight, score, outOf })
+ * @returns {Object|null} Clean grade, or null when the task isn't assessed
+ */
+export function normalizeGrade(grade) {
+  if (!grade || typeof grade !== 'object') {
+    return null;
+  }
+
+  const weight = parseFloat(grade.weight);
+  if (isNaN(weight) || weight <= 0) {
+    return null;
+  }
+
+  const outOf = parseFloat(grade.outOf);
+  const normalized = {
+    weight: round(Math.min(weight, 100)),
+    outOf: isNaN(outOf) || outOf <= 0 ? DEFAULT_OUT_OF : round(Math.min(outOf, MAX_OUT_OF))
+  };
+
+  const score = parseFloat(grade.score);
+  if (grade.score !== '' && grade.score !== null && !isNaN(score) && score >= 0) {
+    normalized.score = round(Math.min(score, normalized.outOf * MAX_SCORE_RATIO));
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate task grade data
+ * @param {Object} grade - Grade to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateGrade(grade) {
+  const errors = [];
+
+  if (grade === undefined) {
+    return errors;
+  }
+
+  if (!grade || typeof grade !== 'object' || Array.isArray(grade)) {
+    errors.push('grade must be an object');
+    return errors;
+  }
+
+  if (typeof grade.weight !== 'number' || !(grade.weight > 0 && grade.weight <= 100)) {
+    errors.push('grade weight must be a number above 0 and at most 100');
+  }
+
+  if (grade.outOf !== undefined &&
+    (typeof grade.outOf !== 'number' || !(grade.outOf > 0 && grade.outOf <= MAX_OUT_OF))) {
+    errors.push(`grade outOf must be a number above 0 and at most ${MAX_OUT_OF}`);
+  }
+
+  if (grade.score !== undefined) {
+    const outOf = typeof grade.outOf === 'number' ? grade.outOf : DEFAULT_OUT_OF;
+    if (typeof grade.score !== 'number' || grade.score < 0 || grade.score > outOf * MAX_SCORE_RATIO) {
+      errors.push('grade score must be a non-negative number no higher than 150% of outOf');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a task counts towards a course grade
+ * Cancelled tasks are dropped work and never count.
+ * @param {Object} task - Task object
+ * @returns {boolean} True if the task is an assessment
+ */
+export function isAssessment(task) {
+  return Boolean(task?.grade && task.grade.weight > 0) && task.status !== TaskStatuses.CANCELLED;
+}
+
+/**
+ * Check whether an assessment has been graded
+ * @param {Object} task - Task object
+ * @returns {boolean} True if a score was entered
+ */
+export function isGraded(task) {
+  return isAssessment(task) && typeof task.grade.score === 'number';
+}
+
+/**
+ * Get an assessment's score as a percentage
+ * @param {Object} grade - Task grade
+ * @returns {number|null} Percentage, or null when ungraded
+ */
+export function getScorePercent(grade) {
+  if (!grade || typeof grade.score !== 'number') {
+    return null;
+  }
+  return (grade.score / (grade.outOf || DEFAULT_OUT_OF)) * 100;
+}
+
+/**
+ * Calculate the grade for one course from its assessments
+ * Percentages are relative to the total weight entered so far, so a course
+ * whose weights don't add up to 100 yet is graded on what is known.
+ * @param {Array} tasks - Tasks of the course
+ * @returns {Object} {
+ *   assessments, totalWeight, gradedWeight, remainingWeight,
+ *   earnedWeight (weight points earned so far),
+ *   currentGrade (running average of graded work, null before any score),
+ *   minimumGrade and maximumGrade (projected final grade if every remaining
+ *   assessment scores 0 or full marks)
+ * }
+ */
+export function calculateCourseGrade(tasks) {
+  const assessments = tasks.filter(isAssessment);
+  const totalWeight = assessments.reduce((sum, task) => sum + task.grade.weight, 0);
+  const graded = assessments.filter(isGraded);
+  const gradedWeight = graded.reduce((sum, task) => sum + task.grade.weight, 0);
+  const remainingWeight = totalWeight - gradedWeight;
+
+  // Share of the course grade already earned, in weight percentage points
+  const earned = graded.reduce((sum, task) => sum + task.grade.weight * getScorePercent(task.grade) / 100, 0);
+
+  return {
+    assessments,
+    totalWeight: round(totalWeight),
+    gradedWeight: round(gradedWeight),
+    remainingWeight: round(remainingWeight),
+    earnedWeight: earned,
+    currentGrade: gradedWeight > 0 ? (earned / gradedWeight) * 100 : null,
+    minimumGrade: totalWeight > 0 ? (earned / totalWeight) * 100 : null,
+    maximumGrade: totalWeight > 0 ? ((earned + remainingWeight) / totalWeight) * 100 : null
+  };
+}
+
+/**
+ * Work out the average score needed on the remaining assessments to reach a target
+ * With a single assessment left (usually the final) this is the score needed on it.
+ * @param {Array} tasks - Tasks of the course
+ * @param {number} targetGrade - Wanted course grade in percent
+ * @returns {Object|null} { requiredPercent, remaining, achievable, secured } or null when nothing is left to grade
+ */
+export function calculateRequiredScore(tasks, targetGrade) {
+  const { assessments, totalWeight, remainingWeight, earnedWeight } = calculateCourseGrade(tasks);
+  if (remainingWeight <= 0 || typeof targetGrade !== 'number' || isNaN(targetGrade)) {
+    return null;
+  }
+
+  const requiredPercent = ((targetGrade * totalWeight / 100 - earnedWeight) / remainingWeight) * 100;
+
+  return {
+    requiredPercent: Math.max(0, requiredPercent),
+    remaining: assessments.filter(task => !isGraded(task)),
+    achievable: requiredPercent <= 100,
+    secured: requiredPercent <= 0
+  };
+}
+
+/**
+ * Format a grade percentage for display
+ * @param {number|null} percent - Percentage
+ * @returns {string} Text such as "87.5%" or "—"
+ */
+export function formatGrade(percent) {
+  if (percent === null || percent === undefined || isNaN(percent)) {
+    return '—';
+  }
+  return `${round(percent).toFixed(1)}%`;
+}
+
+export default {
+  DEFAULT_OUT_OF,
+  MAX_OUT_OF,
+  MAX_SCORE_RATIO,
+  normalizeGrade,
+  validateGrade,
+  isAssessment,
+  isGraded,
+  getScorePercent,
+  calculateCourseGrade,
+  calculateRequiredScore,
+  formatGrade
+};
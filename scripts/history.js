@@ -0,0 +1,139 @@
+/**
+ * History module for undo and redo
+ * Each step stores only the records a change touched, as before/after pairs
+ * keyed by ID, so steps stay small enough to keep in session storage. A step
+ * is only applied while the records still look the way it left them.
+ */
+
+export const MAX_HISTORY_DEPTH = 50;
+
+/**
+ * State collections tracked by the history; each holds records with an ID
+ */
+export const HISTORY_COLLECTIONS = ['tasks', 'trash', 'courses', 'terms', 'templates', 'exams', 'smartLists'];
+
+/**
+ * Capture the tracked parts of the state
+ * Records are replaced rather than changed in place, so copying the arrays is
+ * enough to keep the snapshot intact.
+ * @param {Object} state - App state
+ * @returns {Object} Snapshot
+ */
+export function captureSnapshot(state) {
+  const snapshot = { settings: state.settings };
+  HISTORY_COLLECTIONS.forEach(key => {
+    snapshot[key] = [...(state[key] || [])];
+  });
+  return snapshot;
+}
+
+const isSameRecord = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Work out what changed between two snapshots
+ * @param {Object} before - Snapshot taken before the change
+ * @param {Object} after - Snapshot taken after the change
+ * @returns {Object|null} Changes per collection, or null when nothing changed
+ */
+export function diffSnapshots(before, after) {
+  const changes = {};
+
+  HISTORY_COLLECTIONS.forEach(key => {
+    const beforeById = new Map(before[key].map(record => [record.id, record]));
+    const afterById = new Map(after[key].map(record => [record.id, record]));
+    const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+
+    const collectionChanges = [];
+    ids.forEach(id => {
+      const previous = beforeById.get(id) || null;
+      const next = afterById.get(id) || null;
+      if (!isSameRecord(previous, next)) {
+        collectionChanges.push({ id, before: previous, after: next });
+      }
+    });
+
+    if (collectionChanges.length > 0) {
+      changes[key] = collectionChanges;
+    }
+  });
+
+  if (!isSameRecord(before.settings, after.settings)) {
+    changes.settings = { before: before.settings, after: after.settings };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Create a history step
+ * @param {string} label - What the change did, e.g. 'Delete "Essay"'
+ * @param {Object} changes - Changes from diffSnapshots
+ * @returns {Object} History step
+ */
+export function createHistoryEntry(label, changes) {
+  return {
+    id: `change_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    label,
+    timestamp: new Date().toISOString(),
+    changes
+  };
+}
+
+/**
+ * Apply a history step to the state in either direction
+ * @param {Object} state - App state
+ * @param {Object} entry - History step
+ * @param {string} direction - 'undo' restores the before side, 'redo' the after side
+ * @returns {Object} The tracked parts of the state after the step
+ * @throws {Error} When a record has changed since the step was recorded
+ */
+export function applyHistoryEntry(state, entry, direction) {
+  const [from, to] = direction === 'undo' ? ['after', 'before'] : ['before', 'after'];
+  const result = captureSnapshot(state);
+
+  HISTORY_COLLECTIONS.forEach(key => {
+    (entry.changes[key] || []).forEach(change => {
+      const index = result[key].findIndex(record => record.id === change.id);
+      const current = index === -1 ? null : result[key][index];
+      if (!isSameRecord(current, change[from])) {
+        throw new Error(`Can't ${direction} ${entry.label} because it has changed since`);
+      }
+
+      if (change[to] === null) {
+        result[key].splice(index, 1);
+      } else if (index === -1) {
+        result[key].push(change[to]);
+      } else {
+        result[key][index] = change[to];
+      }
+    });
+  });
+
+  if (entry.changes.settings) {
+    result.settings = entry.changes.settings[to];
+  }
+
+  return result;
+}
+
+/**
+ * List the tasks a history step refers to, on either side
+ * @param {Object} entry - History step
+ * @returns {Array} Tasks
+ */
+export function getEntryTasks(entry) {
+  return ['tasks', 'trash']
+    .flatMap(key => entry.changes[key] || [])
+    .flatMap(change => [change.before, change.after])
+    .filter(Boolean);
+}
+
+export default {
+  MAX_HISTORY_DEPTH,
+  HISTORY_COLLECTIONS,
+  captureSnapshot,
+  diffSnapshots,
+  createHistoryEntry,
+  applyHistoryEntry,
+  getEntryTasks
+};
@@ -11,6 +11,24 @@ import { storage } from './storage.js';
 import { Router, createDefaultRouter } from './router.js';
 import { createEventManager } from './events.js';
 import { createModalManager, createToastManager } from './modals.js';
+import { getBlockingTasks } from './dependencies.js';
+import {
+  TaskStatuses,
+  DEFAULT_STATUS_WORKFLOW,
+  isClosedStatus,
+  canTransition,
+  getAllowedTransitions
+} from './statuses.js';
+import { ProgressModes, isTimerRunning, formatElapsed } from './time-tracking.js';
+import { createAttachmentMetadata, isPreviewable, formatFileSize } from './attachments.js';
+import { validateGrade, MAX_SCORE_RATIO } from './grades.js';
+import { attachmentStore } from './attachment-store.js';
+import { isTaskInTerm } from './terms.js';
+import { MAX_TRASH_RETENTION_DAYS, isValidRetentionDays, getRetentionDays } from './trash.js';
+import { createTemplateFromTask, applyTemplate } from './templates.js';
+import { getDaysUntilExam } from './exams.js';
+import { SEARCH_MODE_LABELS } from './search-query.js';
+import { getSmartListView } from './smart-lists.js';
 
 // Application class to manage the entire app
 export class App {
@@ -23,6 +41,7 @@ export class App {
     this.eventManager = null;
     this.modalManager = null;
     this.toastManager = null;
+    this.attachmentPreviewUrl = null;
   }
 
   /**
@@ -159,7 +178,51 @@ export class App {
     // Register task management actions
     this.eventManager.on('add-task', () => {
       if (this.modalManager) {
-        this.modalManager.show('task', { mode: 'add' });
+        this.modalManager.show('task', {
+          mode: 'add',
+          tasks: this.state?.getTasks() || [],
+          courses: this.state?.getCourses() || [],
+          terms: this.state?.getTerms() || [],
+          templates: this.state?.getTemplates() || []
+        });
+      }
+    });
+    
+    this.eventManager.on('quick-add', () => {
+      if (this.ui) {
+        this.ui.focusQuickAdd();
+      }
+      this.navigateToPage('tasks');
+    });
+    
+    this.eventManager.on('submit-quick-add', ({ data }) => {
+      if (!this.state) {
+        return false;
+      }
+      
+      try {
+        const task = this.state.addTask(data);
+        this.showUndoToast(`Added "${task.title}"`);
+        return true;
+      } catch (error) {
+        console.error('Quick add failed:', error);
+        this.toastManager?.show('Failed to add task: ' + error.message, 'error');
+        return false;
+      }
+    });
+    
+    this.eventManager.on('apply-task-template', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const template = this.state.getTemplates().find(t => t.id === data.value);
+        this.modalManager.show('task', {
+          mode: 'add',
+          templateId: template ? template.id : '',
+          prefill: template ? applyTemplate(template, this.state.getCourses()) : null,
+          tasks: this.state.getTasks(),
+          courses: this.state.getCourses(),
+          terms: this.state.getTerms(),
+          templates: this.state.getTemplates()
+        });
       }
     });
     
@@ -167,194 +230,1154 @@ export class App {
       if (this.modalManager && this.state) {
         const task = this.state.getTasks().find(t => t.id === data.taskId);
         if (task) {
-          this.modalManager.show('task', { mode: 'edit', task });
+          this.modalManager.show('task', {
+            mode: 'edit',
+            task,
+            tasks: this.state.getTasks(),
+            courses: this.state.getCourses(),
+            terms: this.state.getTerms(),
+            statusWorkflow: this.state.getSettings().statusWorkflow
+          });
+        }
+      }
+    });
+    
+
+    
+    this.eventManager.on('delete-task', (eventData) => {
+      // EventManager passes: { action, data, element, preventDefault, stopPropagation }
+      const data = eventData.data || eventData;
+      const taskId = data.taskId;
+      
+      if (!taskId) {
+        console.error('No taskId provided for deletion');
+        this.toastManager?.show('Error: No task ID provided', 'error');
+        return;
+      }
+      
+      if (this.modalManager) {
+        this.modalManager.show('confirm', {
+          title: 'Delete Task',
+          message: 'Move this task to the Trash? You can restore it from the Trash page.',
+          confirmAction: 'confirm-delete-task',
+          confirmData: { taskId: taskId },
+          confirmClass: 'btn--danger',
+          confirmText: 'Move to Trash'
+        });
+      }
+    });
+    
+    this.eventManager.on('confirm-delete-task', (eventData) => {
+      // EventManager passes: { action, data, element, preventDefault, stopPropagation }
+      const data = eventData.data || eventData;
+      const taskId = data.taskId;
+      
+      if (!taskId) {
+        console.error('No taskId provided for confirmation');
+        this.toastManager?.show('Error: No task ID provided for deletion', 'error');
+        return;
+      }
+      
+      if (this.state && this.toastManager) {
+        try {
+          const deletedTask = this.state.deleteTask(taskId);
+          this.modalManager?.hide();
+          this.showUndoToast(`"${deletedTask.title}" moved to Trash`);
+        } catch (error) {
+          console.error('Failed to delete task:', error);
+          this.toastManager.show('Failed to delete task: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('bulk-status-change', ({ data }) => {
+      if (this.ui) {
+        this.ui.handleBulkStatusChange(data.status);
+      }
+    });
+    
+    this.eventManager.on('bulk-status-changed', ({ data }) => {
+      this.showUndoToast(data.message, data.previousChange);
+    });
+    
+    this.eventManager.on('bulk-delete', () => {
+      if (this.state && this.toastManager) {
+        const selectedTaskIds = this.state.getUIState().selectedTasks || [];
+        if (selectedTaskIds.length === 0) {
+          return;
+        }
+        
+        // Read-only tasks of archived terms stay selected
+        const skippedIds = [];
+        const deletedCount = selectedTaskIds.length;
+        const label = `Delete ${deletedCount} task${deletedCount !== 1 ? 's' : ''}`;
+        this.state.recordHistory(label, () => {
+          selectedTaskIds.forEach(taskId => {
+            try {
+              this.state.deleteTask(taskId);
+            } catch (error) {
+              console.error('Failed to delete task:', error);
+              skippedIds.push(taskId);
+            }
+          });
+        });
+        
+        const movedCount = deletedCount - skippedIds.length;
+        if (movedCount > 0) {
+          this.showUndoToast(`${movedCount} task${movedCount !== 1 ? 's' : ''} moved to Trash`);
+        }
+        if (skippedIds.length > 0) {
+          this.toastManager.show(
+            `${skippedIds.length} task${skippedIds.length !== 1 ? 's' : ''} can't be deleted and ${skippedIds.length !== 1 ? 'were' : 'was'} skipped`,
+            'warning'
+          );
+        }
+        
+        this.state.updateUIState({ selectedTasks: skippedIds });
+      }
+    });
+    
+    this.eventManager.on('undo', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          const entry = this.state.undo(data.historyId);
+          this.toastManager.show(`Undone: ${entry.label}`, 'info');
+        } catch (error) {
+          this.toastManager.show(error.message, 'warning');
+        }
+      }
+    });
+    
+    this.eventManager.on('redo', () => {
+      if (this.state && this.toastManager) {
+        try {
+          const entry = this.state.redo();
+          this.toastManager.show(`Redone: ${entry.label}`, 'info');
+        } catch (error) {
+          this.toastManager.show(error.message, 'warning');
+        }
+      }
+    });
+    
+    this.eventManager.on('restore-task', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          const task = this.state.restoreTask(data.taskId);
+          this.toastManager.show(`"${task.title}" restored`, 'success');
+        } catch (error) {
+          console.error('Failed to restore task:', error);
+          this.toastManager.show('Failed to restore task: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('purge-task', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const task = this.state.getTrash().find(t => t.id === data.taskId);
+        if (!task) {
+          return;
+        }
+        
+        this.modalManager.show('confirm', {
+          title: 'Delete Forever',
+          message: `Permanently delete "${task.title}"? This action cannot be undone.`,
+          confirmAction: 'confirm-purge-task',
+          confirmData: { taskId: task.id },
+          confirmClass: 'btn--danger',
+          confirmText: 'Delete Forever'
+        });
+      }
+    });
+    
+    this.eventManager.on('confirm-purge-task', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          this.state.purgeTasks([data.taskId]);
+          this.modalManager?.hide();
+          this.toastManager.show('Task permanently deleted', 'success');
+        } catch (error) {
+          console.error('Failed to purge task:', error);
+          this.toastManager.show('Failed to delete task: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('empty-trash', () => {
+      if (this.modalManager && this.state) {
+        const count = this.state.getTrash().length;
+        if (count === 0) {
+          return;
+        }
+        
+        this.modalManager.show('confirm', {
+          title: 'Empty Trash',
+          message: `Permanently delete ${count} task${count !== 1 ? 's' : ''} in the Trash? This action cannot be undone.`,
+          confirmAction: 'confirm-empty-trash',
+          confirmClass: 'btn--danger',
+          confirmText: 'Empty Trash'
+        });
+      }
+    });
+    
+    this.eventManager.on('confirm-empty-trash', () => {
+      if (this.state && this.toastManager) {
+        try {
+          const purged = this.state.emptyTrash();
+          this.modalManager?.hide();
+          this.toastManager.show(`${purged.length} task${purged.length !== 1 ? 's' : ''} permanently deleted`, 'success');
+        } catch (error) {
+          console.error('Failed to empty trash:', error);
+          this.toastManager.show('Failed to empty trash: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('set-trash-retention', ({ data, element }) => {
+      if (this.state && this.toastManager) {
+        const days = Number(data.value);
+        if (!isValidRetentionDays(days)) {
+          this.toastManager.show(`Enter a whole number of days between 0 and ${MAX_TRASH_RETENTION_DAYS}`, 'error');
+          if (element) {
+            element.value = getRetentionDays(this.state.getSettings());
+          }
+          return;
+        }
+        
+        this.state.updateSettings({ trashRetentionDays: days });
+      }
+    });
+    
+    this.eventManager.on('toggle-task-status', ({ data }) => {
+      if (this.state && this.toastManager) {
+        const task = this.state.getTasks().find(t => t.id === data.taskId);
+        if (task) {
+          // Closed tasks reopen as pending; open tasks are completed
+          const newStatus = isClosedStatus(task.status) ? TaskStatuses.PENDING : TaskStatuses.COMPLETE;
+          
+          if (!canTransition(task.status, newStatus, this.state.getSettings().statusWorkflow)) {
+            this.toastManager.show(`${task.status} tasks cannot be marked ${newStatus.toLowerCase()}`, 'warning');
+            return;
+          }
+          
+          if (newStatus === TaskStatuses.COMPLETE) {
+            const blockers = getBlockingTasks(task, this.state.getTasks());
+            if (blockers.length > 0) {
+              this.toastManager.show(
+                `Finish ${blockers.map(blocker => `"${blocker.title}"`).join(', ')} first`,
+                'warning'
+              );
+              return;
+            }
+          }
+          
+          try {
+            const updatedTask = this.state.updateTask(data.taskId, { status: newStatus });
+            
+            let message = newStatus === TaskStatuses.COMPLETE ? 'Task completed!' : 'Task marked as pending';
+            if (newStatus === TaskStatuses.COMPLETE && updatedTask.nextOccurrenceId && !task.nextOccurrenceId) {
+              const nextTask = this.state.getTasks().find(t => t.id === updatedTask.nextOccurrenceId);
+              message = `Task completed! Next one is due ${nextTask.dueDate}`;
+            }
+            this.toastManager.show(message, 'success');
+          } catch (error) {
+            console.error('Failed to update task status:', error);
+            this.toastManager.show('Failed to update task: ' + error.message, 'error');
+          }
+        }
+      }
+    });
+    
+    this.eventManager.on('start-task-timer', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          this.state.startTimer(data.taskId);
+        } catch (error) {
+          console.error('Failed to start timer:', error);
+          this.toastManager.show('Failed to start timer: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('stop-task-timer', ({ data }) => {
+      if (this.state && this.toastManager) {
+        const runningTask = this.state.getTasks().find(t => t.id === data.taskId);
+        if (!runningTask || !isTimerRunning(runningTask)) {
+          return;
+        }
+        
+        try {
+          const task = this.state.stopTimer(data.taskId);
+          const lastSession = task.timeLog?.[task.timeLog.length - 1];
+          if (lastSession) {
+            this.toastManager.show(
+              `Logged ${formatElapsed(new Date(lastSession.end) - new Date(lastSession.start))} on "${task.title}"`,
+              'success'
+            );
+          }
+        } catch (error) {
+          console.error('Failed to stop timer:', error);
+          this.toastManager.show('Failed to stop timer: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('set-progress-mode', ({ data }) => {
+      if (this.state) {
+        this.state.updateSettings({
+          progressMode: data.value === ProgressModes.LOGGED ? ProgressModes.LOGGED : ProgressModes.ESTIMATED
+        });
+      }
+    });
+    
+    this.eventManager.on('toggle-subtask-status', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          this.state.toggleSubtaskStatus(data.taskId, data.subtaskId);
+        } catch (error) {
+          console.error('Failed to update subtask:', error);
+          this.toastManager.show('Failed to update subtask: ' + error.message, 'error');
+        }
+      }
+    });
+
+    this.eventManager.on('revert-task-version', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          const previousChange = this.state.getLastChange();
+          const task = this.state.revertTask(data.taskId, data.changeId || null);
+          this.showUndoToast(`"${task.title}" reverted to an earlier version`, previousChange);
+        } catch (error) {
+          console.error('Failed to revert task:', error);
+          this.toastManager.show('Failed to revert task: ' + error.message, 'error');
+        }
+      }
+    });
+
+    this.eventManager.on('preview-attachment', async ({ data }) => {
+      if (this.state && this.modalManager && this.toastManager) {
+        const attachment = this.findAttachment(data.taskId, data.attachmentId);
+        if (!attachment || !isPreviewable(attachment)) {
+          return;
+        }
+        
+        try {
+          const blob = await attachmentStore.get(attachment.id);
+          if (!blob) {
+            throw new Error('the file is missing from this browser');
+          }
+          
+          this.releaseAttachmentPreview();
+          let content;
+          if (attachment.type === 'text/plain') {
+            content = `<pre class="attachment-preview__text">${this.modalManager.escapeHtml(await blob.text())}</pre>`;
+          } else {
+            // Re-type the blob so the browser treats it as the allow-listed type only
+            this.attachmentPreviewUrl = URL.createObjectURL(new Blob([blob], { type: attachment.type }));
+            content = attachment.type === 'application/pdf'
+              ? `<iframe class="attachment-preview__frame" src="${this.attachmentPreviewUrl}" title="${this.modalManager.escapeHtml(attachment.name)}"></iframe>`
+              : `<img class="attachment-preview__image" src="${this.attachmentPreviewUrl}" alt="${this.modalManager.escapeHtml(attachment.name)}">`;
+          }
+          
+          this.modalManager.show('custom', {
+            title: attachment.name,
+            className: 'attachment-preview',
+            content,
+            footer: `
+              <button type="button" class="btn btn--secondary" data-action="download-attachment" data-task-id="${data.taskId}" data-attachment-id="${attachment.id}">
+                Download (${formatFileSize(attachment.size)})
+              </button>
+            `
+          });
+        } catch (error) {
+          console.error('Failed to preview attachment:', error);
+          this.toastManager.show('Could not open attachment: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('download-attachment', async ({ data }) => {
+      if (this.state && this.toastManager) {
+        const attachment = this.findAttachment(data.taskId, data.attachmentId);
+        if (!attachment) {
+          return;
+        }
+        
+        try {
+          const blob = await attachmentStore.get(attachment.id);
+          if (!blob) {
+            throw new Error('the file is missing from this browser');
+          }
+          
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = attachment.name;
+          a.click();
+          URL.revokeObjectURL(url);
+        } catch (error) {
+          console.error('Failed to download attachment:', error);
+          this.toastManager.show('Could not download attachment: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('toggle-task-details', ({ data }) => {
+      if (this.state) {
+        const expandedTasks = this.state.getUIState().expandedTasks || [];
+        this.state.updateUIState({
+          expandedTasks: expandedTasks.includes(data.taskId)
+            ? expandedTasks.filter(id => id !== data.taskId)
+            : [...expandedTasks, data.taskId]
+        });
+      }
+    });
+    
+    // Register search and filter actions
+    this.eventManager.on('search-tasks', ({ data }) => {
+      if (this.state) {
+        this.state.updateUIState({
+          searchQuery: data.query,
+          ...(data.mode ? { searchMode: data.mode } : {})
+        });
+      }
+    });
+    
+    this.eventManager.on('clear-search', () => {
+      if (this.state) {
+        this.state.updateUIState({ searchQuery: '' });
+      }
+    });
+    
+    this.eventManager.on('filter-tasks', ({ data }) => {
+      if (this.state) {
+        this.state.updateUIState({ filterBy: data.filter });
+      }
+    });
+    
+    this.eventManager.on('filter-by-course', ({ data }) => {
+      if (this.state) {
+        this.state.updateUIState({ courseFilter: data.courseId || '' });
+      }
+    });
+    
+    this.eventManager.on('toggle-tag-filter', ({ data }) => {
+      if (this.state && data.tag) {
+        const tagFilter = this.state.getUIState().tagFilter || [];
+        const isActive = tagFilter.some(tag => tag.toLowerCase() === data.tag.toLowerCase());
+        this.state.updateUIState({
+          tagFilter: isActive
+            ? tagFilter.filter(tag => tag.toLowerCase() !== data.tag.toLowerCase())
+            : [...tagFilter, data.tag]
+        });
+      }
+    });
+    
+    this.eventManager.on('add-tag-filter', ({ data }) => {
+      const tagFilter = this.state?.getUIState().tagFilter || [];
+      if (this.state && data.value && !tagFilter.includes(data.value)) {
+        this.state.updateUIState({ tagFilter: [...tagFilter, data.value] });
+      }
+    });
+    
+    this.eventManager.on('set-tag-match-mode', ({ data }) => {
+      if (this.state) {
+        this.state.updateUIState({ tagMatchMode: data.value === 'all' ? 'all' : 'any' });
+      }
+    });
+    
+    this.eventManager.on('clear-tag-filter', () => {
+      if (this.state) {
+        this.state.updateUIState({ tagFilter: [] });
+      }
+    });
+    
+    this.eventManager.on('sort-tasks', ({ data }) => {
+      if (this.state) {
+        this.state.updateUIState({ sortBy: data.sort });
+      }
+    });
+    
+    this.eventManager.on('set-view-mode', ({ data }) => {
+      if (this.state) {
+        this.state.updateUIState({ viewMode: data.view });
+      }
+    });
+    
+    this.eventManager.on('toggle-search-mode', () => {
+      if (this.state) {
+        const modes = Object.keys(SEARCH_MODE_LABELS);
+        const currentMode = this.state.getUIState().searchMode || 'text';
+        const newMode = modes[(modes.indexOf(currentMode) + 1) % modes.length];
+        this.state.updateUIState({ searchMode: newMode });
+      }
+    });
+    
+    // Register settings actions
+    this.eventManager.on('update-setting', ({ data }) => {
+      if (this.state) {
+        this.state.updateSettings({ [data.setting]: data.value });
+      }
+    });
+    
+    this.eventManager.on('export-data', () => {
+      if (this.state && this.toastManager) {
+        try {
+          const data = {
+            tasks: this.state.getTasks(),
+            courses: this.state.getCourses(),
+            terms: this.state.getTerms(),
+            trash: this.state.getTrash(),
+            templates: this.state.getTemplates(),
+            exams: this.state.getExams(),
+            smartLists: this.state.getSmartLists(),
+            settings: this.state.getSettings(),
+            exportDate: new Date().toISOString(),
+            version: '1.0.0'
+          };
+          
+          const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = `campus-life-planner-${new Date().toISOString().split('T')[0]}.json`;
+          a.click();
+          URL.revokeObjectURL(url);
+          
+          this.toastManager.show('Data exported successfully', 'success');
+        } catch (error) {
+          console.error('Export failed:', error);
+          this.toastManager.show('Export failed. Please try again.', 'error');
+        }
+      }
+    });
+
+    // Register manual backup action
+    this.eventManager.on('create-backup', async () => {
+      if (this.state && this.toastManager) {
+        try {
+          const result = await this.state.createManualBackup();
+          if (result.success) {
+            this.toastManager.show(result.message, 'success');
+          } else {
+            this.toastManager.show(result.message, 'error');
+          }
+        } catch (error) {
+          console.error('Manual backup failed:', error);
+          this.toastManager.show('Backup failed. Please try again.', 'error');
+        }
+      }
+    });
+
+    // Register file import action
+    this.eventManager.on('import-from-file', async ({ data }) => {
+      if (this.state && this.toastManager && data.file) {
+        try {
+          const previousChange = this.state.getLastChange();
+          const result = await this.state.importFromFile(data.file);
+          if (result.success) {
+            this.showUndoToast(result.message, previousChange);
+            // Refresh UI
+            if (this.ui) {
+              this.ui.render();
+            }
+          } else {
+            this.toastManager.show(result.message, 'error');
+          }
+        } catch (error) {
+          console.error('File import failed:', error);
+          this.toastManager.show('Import failed. Please try again.', 'error');
+        }
+      }
+    });
+
+    // Register auto-backup toggle
+    this.eventManager.on('toggle-auto-backup', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          this.state.setAutoBackup(data.enabled);
+          const message = data.enabled ? 
+            'Auto-backup enabled. Backups will be downloaded automatically.' : 
+            'Auto-backup disabled.';
+          this.toastManager.show(message, 'success');
+        } catch (error) {
+          console.error('Auto-backup toggle failed:', error);
+          this.toastManager.show('Failed to update auto-backup setting.', 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('toggle-status-transition', ({ data }) => {
+      if (this.state) {
+        const workflow = this.state.getSettings().statusWorkflow;
+        const allowed = getAllowedTransitions(data.from, workflow).filter(status => status !== data.to);
+        if (data.value) {
+          allowed.push(data.to);
+        }
+        
+        // Store the full workflow so unchanged statuses keep their current rules
+        const statusWorkflow = {};
+        Object.values(TaskStatuses).forEach(status => {
+          statusWorkflow[status] = getAllowedTransitions(status, workflow);
+        });
+        statusWorkflow[data.from] = allowed;
+        
+        this.state.updateSettings({ statusWorkflow });
+      }
+    });
+    
+    this.eventManager.on('reset-status-workflow', () => {
+      if (this.state && this.toastManager) {
+        this.state.updateSettings({ statusWorkflow: DEFAULT_STATUS_WORKFLOW });
+        this.toastManager.show('Status workflow reset to default', 'success');
+      }
+    });
+    
+    this.eventManager.on('add-course', () => {
+      if (this.modalManager && this.state) {
+        this.modalManager.show('course', { mode: 'add', courses: this.state.getCourses() });
+      }
+    });
+    
+    this.eventManager.on('edit-course', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const course = this.state.getCourses().find(c => c.id === data.courseId);
+        if (course) {
+          this.modalManager.show('course', { mode: 'edit', course, courses: this.state.getCourses() });
+        }
+      }
+    });
+    
+    this.eventManager.on('delete-course', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const course = this.state.getCourses().find(c => c.id === data.courseId);
+        if (!course) {
+          return;
+        }
+        
+        const taskCount = this.state.getTasks().filter(task => task.courseId === course.id).length;
+        this.modalManager.show('confirm', {
+          title: 'Delete Course',
+          message: taskCount > 0
+            ? `Delete ${course.code}? Its ${taskCount} task${taskCount !== 1 ? 's' : ''} will be kept without a course.`
+            : `Delete ${course.code}?`,
+          confirmAction: 'confirm-delete-course',
+          confirmData: { courseId: course.id },
+          confirmClass: 'btn--danger',
+          confirmText: 'Delete Course'
+        });
+      }
+    });
+    
+    this.eventManager.on('confirm-delete-course', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          const course = this.state.deleteCourse(data.courseId);
+          this.modalManager?.hide();
+          this.showUndoToast(`${course.code} deleted`);
+        } catch (error) {
+          console.error('Failed to delete course:', error);
+          this.toastManager.show('Failed to delete course: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('submit-course-form', ({ data }) => {
+      const { onSuccess, onError } = this.modalManager._currentSubmissionCallbacks || {};
+      delete this.modalManager._currentSubmissionCallbacks;
+      
+      try {
+        const { mode, id, ...courseData } = data;
+        const course = mode === 'edit'
+          ? this.state.updateCourse(id, courseData)
+          : this.state.addCourse(courseData);
+        
+        this.toastManager?.show(mode === 'edit' ? `${course.code} updated` : `${course.code} added`, 'success');
+        if (onSuccess) {
+          onSuccess();
+        }
+      } catch (error) {
+        console.error('Failed to save course:', error);
+        if (onError) {
+          onError(error);
+        }
+      }
+    });
+    
+    this.eventManager.on('switch-term', ({ data }) => {
+      if (this.state) {
+        this.state.updateUIState({ termFilter: data.value || '' });
+      }
+    });
+    
+    this.eventManager.on('add-term', () => {
+      if (this.modalManager && this.state) {
+        this.modalManager.show('term', { mode: 'add', terms: this.state.getTerms() });
+      }
+    });
+    
+    this.eventManager.on('edit-term', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const term = this.state.getTerms().find(t => t.id === data.termId);
+        if (term) {
+          this.modalManager.show('term', { mode: 'edit', term, terms: this.state.getTerms() });
+        }
+      }
+    });
+    
+    this.eventManager.on('delete-term', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const term = this.state.getTerms().find(t => t.id === data.termId);
+        if (!term) {
+          return;
+        }
+        
+        const taskCount = this.state.getTasks().filter(task => task.termId === term.id).length;
+        this.modalManager.show('confirm', {
+          title: 'Delete Term',
+          message: taskCount > 0
+            ? `Delete ${term.name}? Its ${taskCount} task${taskCount !== 1 ? 's' : ''} will be kept and shown by due date.`
+            : `Delete ${term.name}?`,
+          confirmAction: 'confirm-delete-term',
+          confirmData: { termId: term.id },
+          confirmClass: 'btn--danger',
+          confirmText: 'Delete Term'
+        });
+      }
+    });
+    
+    this.eventManager.on('confirm-delete-term', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          const term = this.state.deleteTerm(data.termId);
+          this.modalManager?.hide();
+          this.showUndoToast(`${term.name} deleted`);
+        } catch (error) {
+          console.error('Failed to delete term:', error);
+          this.toastManager.show('Failed to delete term: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('submit-term-form', ({ data }) => {
+      const { onSuccess, onError } = this.modalManager._currentSubmissionCallbacks || {};
+      delete this.modalManager._currentSubmissionCallbacks;
+      
+      try {
+        const { mode, id, ...termData } = data;
+        const term = mode === 'edit'
+          ? this.state.updateTerm(id, termData)
+          : this.state.addTerm(termData);
+        
+        this.toastManager?.show(mode === 'edit' ? `${term.name} updated` : `${term.name} added`, 'success');
+        if (onSuccess) {
+          onSuccess();
+        }
+      } catch (error) {
+        console.error('Failed to save term:', error);
+        if (onError) {
+          onError(error);
+        }
+      }
+    });
+    
+    this.eventManager.on('reopen-term', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          const term = this.state.reopenTerm(data.termId);
+          this.toastManager.show(`${term.name} reopened; its tasks can be edited again`, 'success');
+        } catch (error) {
+          console.error('Failed to reopen term:', error);
+          this.toastManager.show('Failed to reopen term: ' + error.message, 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('start-term-rollover', ({ data }) => {
+      if (this.modalManager && this.state) {
+        this.modalManager.show('rollover', {
+          terms: this.state.getTerms(),
+          tasks: this.state.getTasks(),
+          termId: data.termId || ''
+        });
+      }
+    });
+    
+    this.eventManager.on('submit-rollover-form', ({ data }) => {
+      const { onSuccess, onError } = this.modalManager._currentSubmissionCallbacks || {};
+      delete this.modalManager._currentSubmissionCallbacks;
+      
+      try {
+        const { termId, ...options } = data;
+        const { term, nextTerm, carriedOver } = this.state.rolloverTerm(termId, options);
+        
+        this.showUndoToast(
+          `${term.name} archived; ${carriedOver} task${carriedOver !== 1 ? 's' : ''} carried over to ${nextTerm.name}`
+        );
+        if (onSuccess) {
+          onSuccess();
+        }
+      } catch (error) {
+        console.error('Failed to roll over term:', error);
+        if (onError) {
+          onError(error);
+        }
+      }
+    });
+    
+    this.eventManager.on('export-term', ({ data }) => {
+      if (this.state && this.toastManager) {
+        const term = this.state.getTerms().find(t => t.id === data.termId);
+        if (!term) {
+          return;
+        }
+        
+        try {
+          const exportData = {
+            term,
+            tasks: this.state.getTasks().filter(task => isTaskInTerm(task, term)),
+            courses: this.state.getCourses(),
+            exportDate: new Date().toISOString(),
+            version: '1.0.0',
+            type: 'term'
+          };
+          
+          const slug = term.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'term';
+          const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = `campus-life-planner-${slug}.json`;
+          a.click();
+          URL.revokeObjectURL(url);
+          
+          this.toastManager.show(`${term.name} exported successfully`, 'success');
+        } catch (error) {
+          console.error('Term export failed:', error);
+          this.toastManager.show('Term export failed. Please try again.', 'error');
+        }
+      }
+    });
+    
+    this.eventManager.on('add-template', () => {
+      if (this.modalManager && this.state) {
+        this.modalManager.show('template', {
+          mode: 'add',
+          templates: this.state.getTemplates(),
+          courses: this.state.getCourses(),
+          tasks: this.state.getTasks()
+        });
+      }
+    });
+    
+    this.eventManager.on('save-task-as-template', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const task = this.state.getTasks().find(t => t.id === data.taskId);
+        if (task) {
+          const { id, ...template } = createTemplateFromTask(task);
+          this.modalManager.show('template', {
+            mode: 'add',
+            template,
+            templates: this.state.getTemplates(),
+            courses: this.state.getCourses(),
+            tasks: this.state.getTasks()
+          });
+        }
+      }
+    });
+    
+    this.eventManager.on('edit-template', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const template = this.state.getTemplates().find(t => t.id === data.templateId);
+        if (template) {
+          this.modalManager.show('template', {
+            mode: 'edit',
+            template,
+            templates: this.state.getTemplates(),
+            courses: this.state.getCourses(),
+            tasks: this.state.getTasks()
+          });
         }
       }
     });
     
-
-    
-    this.eventManager.on('delete-task', (eventData) => {
-      // EventManager passes: { action, data, element, preventDefault, stopPropagation }
-      const data = eventData.data || eventData;
-      const taskId = data.taskId;
-      
-      if (!taskId) {
-        console.error('No taskId provided for deletion');
-        this.toastManager?.show('Error: No task ID provided', 'error');
-        return;
-      }
-      
-      if (this.modalManager) {
+    this.eventManager.on('delete-template', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const template = this.state.getTemplates().find(t => t.id === data.templateId);
+        if (!template) {
+          return;
+        }
+        
         this.modalManager.show('confirm', {
-          title: 'Delete Task',
-          message: 'Are you sure you want to delete this task? This action cannot be undone.',
-          confirmAction: 'confirm-delete-task',
-          confirmData: { taskId: taskId },
+          title: 'Delete Template',
+          message: `Delete the "${template.name}" template? Tasks made from it are not affected.`,
+          confirmAction: 'confirm-delete-template',
+          confirmData: { templateId: template.id },
           confirmClass: 'btn--danger',
-          confirmText: 'Delete Task'
+          confirmText: 'Delete Template'
         });
       }
     });
     
-    this.eventManager.on('confirm-delete-task', (eventData) => {
-      // EventManager passes: { action, data, element, preventDefault, stopPropagation }
-      const data = eventData.data || eventData;
-      const taskId = data.taskId;
-      
-      if (!taskId) {
-        console.error('No taskId provided for confirmation');
-        this.toastManager?.show('Error: No task ID provided for deletion', 'error');
-        return;
-      }
-      
+    this.eventManager.on('confirm-delete-template', ({ data }) => {
       if (this.state && this.toastManager) {
         try {
-          const deletedTask = this.state.deleteTask(taskId);
+          const template = this.state.deleteTemplate(data.templateId);
           this.modalManager?.hide();
-          this.toastManager.show('Task deleted successfully', 'success');
+          this.showUndoToast(`"${template.name}" template deleted`);
         } catch (error) {
-          console.error('Failed to delete task:', error);
-          this.toastManager.show('Failed to delete task: ' + error.message, 'error');
+          console.error('Failed to delete template:', error);
+          this.toastManager.show('Failed to delete template: ' + error.message, 'error');
         }
       }
     });
     
-    this.eventManager.on('toggle-task-status', ({ data }) => {
-      if (this.state && this.toastManager) {
-        const task = this.state.getTasks().find(t => t.id === data.taskId);
-        if (task) {
-          const newStatus = task.status === 'Complete' ? 'Pending' : 'Complete';
-          this.state.updateTask(data.taskId, { status: newStatus });
-          
-          const message = newStatus === 'Complete' ? 'Task completed!' : 'Task marked as pending';
-          this.toastManager.show(message, 'success');
+    this.eventManager.on('submit-template-form', ({ data }) => {
+      const { onSuccess, onError } = this.modalManager._currentSubmissionCallbacks || {};
+      delete this.modalManager._currentSubmissionCallbacks;
+      
+      try {
+        const { mode, id, ...templateData } = data;
+        const template = mode === 'edit'
+          ? this.state.updateTemplate(id, templateData)
+          : this.state.addTemplate(templateData);
+        
+        this.toastManager?.show(`"${template.name}" template ${mode === 'edit' ? 'updated' : 'saved'}`, 'success');
+        if (onSuccess) {
+          onSuccess();
+        }
+      } catch (error) {
+        console.error('Failed to save template:', error);
+        if (onError) {
+          onError(error);
         }
       }
     });
     
-    // Register search and filter actions
-    this.eventManager.on('search-tasks', ({ data }) => {
-      if (this.state) {
-        this.state.updateUIState({ searchQuery: data.query });
+    this.eventManager.on('save-smart-list', () => {
+      if (this.modalManager && this.state) {
+        this.modalManager.show('smart-list', {
+          mode: 'add',
+          smartList: getSmartListView(this.state.getUIState()),
+          smartLists: this.state.getSmartLists()
+        });
       }
     });
     
-    this.eventManager.on('clear-search', () => {
+    this.eventManager.on('open-smart-list', ({ data }) => {
       if (this.state) {
-        this.state.updateUIState({ searchQuery: '' });
+        const list = this.state.getSmartLists().find(l => l.id === data.smartListId);
+        if (!list) {
+          return;
+        }
+        
+        // Tag and course filters aren't part of a list, so they'd hide some of its tasks
+        this.state.updateUIState({
+          searchQuery: list.searchQuery,
+          searchMode: list.searchMode,
+          filterBy: list.filterBy,
+          sortBy: list.sortBy,
+          tagFilter: [],
+          courseFilter: ''
+        });
+        document.querySelector('.smart-list-nav')?.removeAttribute('open');
+        this.closeMobileMenu();
+        this.navigateToPage('tasks');
       }
     });
     
-    this.eventManager.on('filter-tasks', ({ data }) => {
-      if (this.state) {
-        this.state.updateUIState({ filterBy: data.filter });
+    this.eventManager.on('rename-smart-list', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const list = this.state.getSmartLists().find(l => l.id === data.smartListId);
+        if (list) {
+          this.modalManager.show('smart-list', {
+            mode: 'edit',
+            smartList: list,
+            smartLists: this.state.getSmartLists()
+          });
+        }
       }
     });
     
-    this.eventManager.on('sort-tasks', ({ data }) => {
-      if (this.state) {
-        this.state.updateUIState({ sortBy: data.sort });
+    this.eventManager.on('move-smart-list', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          this.state.moveSmartList(data.smartListId, parseInt(data.offset, 10));
+        } catch (error) {
+          console.error('Failed to move smart list:', error);
+          this.toastManager.show('Failed to move smart list: ' + error.message, 'error');
+        }
       }
     });
     
-    this.eventManager.on('set-view-mode', ({ data }) => {
-      if (this.state) {
-        this.state.updateUIState({ viewMode: data.view });
+    this.eventManager.on('delete-smart-list', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const list = this.state.getSmartLists().find(l => l.id === data.smartListId);
+        if (!list) {
+          return;
+        }
+        
+        this.modalManager.show('confirm', {
+          title: 'Delete Smart List',
+          message: `Delete the "${list.name}" smart list? Its tasks are not affected.`,
+          confirmAction: 'confirm-delete-smart-list',
+          confirmData: { smartListId: list.id },
+          confirmClass: 'btn--danger',
+          confirmText: 'Delete Smart List'
+        });
       }
     });
     
-    this.eventManager.on('toggle-search-mode', () => {
-      if (this.state) {
-        const currentMode = this.state.getUIState().searchMode || 'text';
-        const newMode = currentMode === 'text' ? 'regex' : 'text';
-        this.state.updateUIState({ searchMode: newMode });
+    this.eventManager.on('confirm-delete-smart-list', ({ data }) => {
+      if (this.state && this.toastManager) {
+        try {
+          const list = this.state.deleteSmartList(data.smartListId);
+          this.modalManager?.hide();
+          this.showUndoToast(`"${list.name}" smart list deleted`);
+        } catch (error) {
+          console.error('Failed to delete smart list:', error);
+          this.toastManager.show('Failed to delete smart list: ' + error.message, 'error');
+        }
       }
     });
     
-    // Register settings actions
-    this.eventManager.on('update-setting', ({ data }) => {
-      if (this.state) {
-        this.state.updateSettings({ [data.setting]: data.value });
+    this.eventManager.on('submit-smart-list-form', ({ data }) => {
+      const { onSuccess, onError } = this.modalManager._currentSubmissionCallbacks || {};
+      delete this.modalManager._currentSubmissionCallbacks;
+      
+      try {
+        const { mode, id, ...listData } = data;
+        const list = mode === 'edit'
+          ? this.state.updateSmartList(id, { name: listData.name })
+          : this.state.addSmartList(listData);
+        
+        this.toastManager?.show(`"${list.name}" smart list ${mode === 'edit' ? 'renamed' : 'saved'}`, 'success');
+        if (onSuccess) {
+          onSuccess();
+        }
+      } catch (error) {
+        console.error('Failed to save smart list:', error);
+        if (onError) {
+          onError(error);
+        }
       }
     });
     
-    this.eventManager.on('export-data', () => {
-      if (this.state && this.toastManager) {
-        try {
-          const data = {
-            tasks: this.state.getTasks(),
-            settings: this.state.getSettings(),
-            exportDate: new Date().toISOString(),
-            version: '1.0.0'
-          };
-          
-          const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement('a');
-          a.href = url;
-          a.download = `campus-life-planner-${new Date().toISOString().split('T')[0]}.json`;
-          a.click();
-          URL.revokeObjectURL(url);
-          
-          this.toastManager.show('Data exported successfully', 'success');
-        } catch (error) {
-          console.error('Export failed:', error);
-          this.toastManager.show('Export failed. Please try again.', 'error');
+    this.eventManager.on('add-exam', () => {
+      if (this.modalManager && this.state) {
+        this.modalManager.show('exam', { mode: 'add', courses: this.state.getCourses() });
+      }
+    });
+    
+    this.eventManager.on('edit-exam', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const exam = this.state.getExams().find(e => e.id === data.examId);
+        if (exam) {
+          this.modalManager.show('exam', { mode: 'edit', exam, courses: this.state.getCourses() });
         }
       }
     });
-
-    // Register manual backup action
-    this.eventManager.on('create-backup', async () => {
+    
+    this.eventManager.on('delete-exam', ({ data }) => {
+      if (this.modalManager && this.state) {
+        const exam = this.state.getExams().find(e => e.id === data.examId);
+        if (!exam) {
+          return;
+        }
+        
+        this.modalManager.show('confirm', {
+          title: 'Delete Exam',
+          message: `Delete ${exam.title}? Study sessions you haven't started are deleted with it; the others are kept as ordinary tasks.`,
+          confirmAction: 'confirm-delete-exam',
+          confirmData: { examId: exam.id },
+          confirmClass: 'btn--danger',
+          confirmText: 'Delete Exam'
+        });
+      }
+    });
+    
+    this.eventManager.on('confirm-delete-exam', ({ data }) => {
       if (this.state && this.toastManager) {
         try {
-          const result = await this.state.createManualBackup();
-          if (result.success) {
-            this.toastManager.show(result.message, 'success');
-          } else {
-            this.toastManager.show(result.message, 'error');
-          }
+          const exam = this.state.deleteExam(data.examId);
+          this.modalManager?.hide();
+          this.showUndoToast(`${exam.title} deleted`);
         } catch (error) {
-          console.error('Manual backup failed:', error);
-          this.toastManager.show('Backup failed. Please try again.', 'error');
+          console.error('Failed to delete exam:', error);
+          this.toastManager.show('Failed to delete exam: ' + error.message, 'error');
         }
       }
     });
-
-    // Register file import action
-    this.eventManager.on('import-from-file', async ({ data }) => {
-      if (this.state && this.toastManager && data.file) {
-        try {
-          const result = await this.state.importFromFile(data.file);
-          if (result.success) {
-            this.toastManager.show(result.message, 'success');
-            // Refresh UI
-            if (this.ui) {
-              this.ui.render();
-            }
-          } else {
-            this.toastManager.show(result.message, 'error');
+    
+    this.eventManager.on('submit-exam-form', ({ data }) => {
+      const { onSuccess, onError } = this.modalManager._currentSubmissionCallbacks || {};
+      delete this.modalManager._currentSubmissionCallbacks;
+      
+      try {
+        const { mode, id, ...examData } = data;
+        const { exam, sessions } = mode === 'edit'
+          ? this.state.updateExam(id, examData)
+          : this.state.addExam(examData);
+        
+        let message = `${exam.title} ${mode === 'edit' ? 'updated' : 'added'}`;
+        if (sessions && sessions.length > 0) {
+          message += ` with ${sessions.length} new study session${sessions.length !== 1 ? 's' : ''}`;
+        } else if (sessions && getDaysUntilExam(exam) < 1) {
+          message += '; there are no days left before it to plan study sessions';
+        }
+        this.showUndoToast(message);
+        if (onSuccess) {
+          onSuccess();
+        }
+      } catch (error) {
+        console.error('Failed to save exam:', error);
+        if (onError) {
+          onError(error);
+        }
+      }
+    });
+    
+    this.eventManager.on('set-task-score', ({ data, element }) => {
+      if (this.state && this.toastManager) {
+        const task = this.state.getTasks().find(t => t.id === data.taskId);
+        if (!task || !task.grade) {
+          return;
+        }
+        
+        const { score, ...grade } = task.grade;
+        if (data.value !== '') {
+          grade.score = parseFloat(data.value);
+        }
+        
+        const errors = validateGrade(grade);
+        if (errors.length > 0) {
+          this.toastManager.show(`Score must be between 0 and ${task.grade.outOf * MAX_SCORE_RATIO}`, 'error');
+          if (element) {
+            element.value = typeof score === 'number' ? score : '';
           }
-        } catch (error) {
-          console.error('File import failed:', error);
-          this.toastManager.show('Import failed. Please try again.', 'error');
+          return;
         }
+        
+        this.state.updateTask(task.id, { grade });
       }
     });
-
-    // Register auto-backup toggle
-    this.eventManager.on('toggle-auto-backup', ({ data }) => {
+    
+    this.eventManager.on('set-grade-target', ({ data, element }) => {
       if (this.state && this.toastManager) {
+        const target = parseFloat(data.value);
+        if (data.value !== '' && !(target >= 0 && target <= 100)) {
+          const course = this.state.getCourses().find(c => c.id === data.courseId);
+          this.toastManager.show('Target grade must be between 0 and 100', 'error');
+          if (element) {
+            element.value = course?.targetGrade ?? '';
+          }
+          return;
+        }
+        
         try {
-          this.state.setAutoBackup(data.enabled);
-          const message = data.enabled ? 
-            'Auto-backup enabled. Backups will be downloaded automatically.' : 
-            'Auto-backup disabled.';
-          this.toastManager.show(message, 'success');
+          this.state.updateCourse(data.courseId, { targetGrade: data.value });
         } catch (error) {
-          console.error('Auto-backup toggle failed:', error);
-          this.toastManager.show('Failed to update auto-backup setting.', 'error');
+          console.error('Failed to set target grade:', error);
+          this.toastManager.show(error.message, 'error');
         }
       }
     });
@@ -362,14 +1385,10 @@ export class App {
     this.eventManager.on('export-settings', () => {
       if (this.state && this.toastManager) {
         try {
-          const data = {
-            settings: this.state.getSettings(),
-            exportDate: new Date().toISOString(),
-            version: '1.0.0',
-            type: 'settings-only'
-          };
+          // Templates and smart lists are exported along with the settings
+          const json = storage.exportSettings();
           
-          const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+          const blob = new Blob([json], { type: 'application/json' });
           const url = URL.createObjectURL(blob);
           const a = document.createElement('a');
           a.href = url;
@@ -385,6 +1404,25 @@ export class App {
       }
     });
     
+    this.eventManager.on('import-settings-file', async ({ element }) => {
+      const file = element?.files?.[0];
+      if (!file || !this.state || !this.toastManager) {
+        return;
+      }
+      
+      try {
+        const previousChange = this.state.getLastChange();
+        const result = storage.importSettings(await file.text());
+        this.state.importSettings(result);
+        this.showUndoToast(result.message, previousChange);
+      } catch (error) {
+        console.error('Settings import failed:', error);
+        this.toastManager.show('Settings import failed: ' + error.message, 'error');
+      } finally {
+        element.value = '';
+      }
+    });
+    
     this.eventManager.on('import-data', ({ data }) => {
       if (this.state && this.toastManager) {
         try {
@@ -394,23 +1432,26 @@ export class App {
           }
           
           const importData = data.data;
+          const previousChange = this.state.getLastChange();
           
-          // Import tasks if present
-          if (importData.tasks && Array.isArray(importData.tasks)) {
-            importData.tasks.forEach(task => {
-              // Validate task structure and add if valid
-              if (task.id && task.title) {
-                this.state.addTask(task);
-              }
-            });
-          }
-          
-          // Import settings if present
-          if (importData.settings && typeof importData.settings === 'object') {
-            this.state.updateSettings(importData.settings);
-          }
+          this.state.recordHistory('Import data', () => {
+            // Import tasks if present
+            if (importData.tasks && Array.isArray(importData.tasks)) {
+              importData.tasks.forEach(task => {
+                // Validate task structure and add if valid
+                if (task.id && task.title) {
+                  this.state.addTask(task);
+                }
+              });
+            }
+            
+            // Import settings if present
+            if (importData.settings && typeof importData.settings === 'object') {
+              this.state.updateSettings(importData.settings);
+            }
+          });
           
-          this.toastManager.show(`Data imported successfully from ${data.file}`, 'success');
+          this.showUndoToast(`Data imported successfully from ${data.file}`, previousChange);
         } catch (error) {
           console.error('Import failed:', error);
           this.toastManager.show('Import failed. Please check the file format.', 'error');
@@ -434,6 +1475,7 @@ export class App {
       if (this.state && this.modalManager && this.toastManager) {
         // Clear all data
         localStorage.clear();
+        this.state.clearHistory();
         
         // Reinitialize state
         this.state = new AppState();
@@ -475,6 +1517,9 @@ export class App {
       const callbacks = this.modalManager._currentSubmissionCallbacks || {};
       const { onSuccess, onError } = callbacks;
       
+      // New attachment files saved during this submission (removed again on failure)
+      let savedAttachments = [];
+      
       console.log('Callbacks available:', { 
         onSuccess: typeof onSuccess, 
         onError: typeof onError 
@@ -495,8 +1540,19 @@ export class App {
         const cleanData = {
           title: data.title.trim(),
           dueDate: data.dueDate,
+          dueTime: data.dueTime || '',
           duration: parseInt(data.duration),
-          tag: data.tag?.trim() || 'General',
+          tags: data.tags || [],
+          priority: data.priority || 'normal',
+          subtasks: data.subtasks || [],
+          notes: data.notes || '',
+          courseId: data.courseId || '',
+          termId: data.termId || '',
+          grade: data.grade || null,
+          attachments: data.attachments || [],
+          links: data.links || [],
+          recurrence: data.recurrence || null,
+          blockedBy: data.blockedBy || [],
           mode: data.mode || 'add'
         };
         
@@ -507,15 +1563,37 @@ export class App {
           throw new Error('Duration must be a positive number');
         }
         
-        console.log('About to add task to state...');
+        const isEdit = cleanData.mode === 'edit' && data.id;
+        
+        // Store new files first so the task never refers to a missing file
+        for (const file of data.attachmentFiles || []) {
+          const attachment = createAttachmentMetadata(file);
+          await attachmentStore.save(attachment.id, file);
+          savedAttachments.push(attachment);
+        }
+        cleanData.attachments = [...cleanData.attachments, ...savedAttachments];
         
-        // Add task using state management
-        const addedTask = this.state.addTask(cleanData);
-        console.log('Task successfully added to state:', addedTask);
+        if (isEdit) {
+          // Update existing task using state management
+          const { mode, ...updates } = cleanData;
+          if (data.status) {
+            updates.status = data.status;
+          }
+          if (data.timeLog) {
+            updates.timeLog = data.timeLog;
+          }
+          this.state.updateTask(data.id, updates);
+        } else {
+          console.log('About to add task to state...');
+          
+          // Add task using state management
+          const addedTask = this.state.addTask(cleanData);
+          console.log('Task successfully added to state:', addedTask);
+        }
         
         // Show success message
         if (this.toastManager) {
-          this.toastManager.show('Task added successfully', 'success');
+          this.toastManager.show(isEdit ? 'Task updated successfully' : 'Task added successfully', 'success');
           console.log('Success toast shown');
         }
         
@@ -537,6 +1615,12 @@ export class App {
         console.error('=== TASK SUBMISSION FAILED ===');
         console.error('Error details:', error);
         
+        if (savedAttachments.length > 0) {
+          attachmentStore.remove(savedAttachments.map(attachment => attachment.id)).catch(cleanupError => {
+            console.warn('Could not remove unsaved attachment files:', cleanupError);
+          });
+        }
+        
         if (this.toastManager) {
           this.toastManager.show(error.message || 'Failed to save task', 'error');
         }
@@ -573,6 +1657,14 @@ export class App {
       this.handleRouteChange('tasks', routeInfo);
     });
     
+    this.router.addRoute('grades', (routeInfo) => {
+      this.handleRouteChange('grades', routeInfo);
+    });
+    
+    this.router.addRoute('trash', (routeInfo) => {
+      this.handleRouteChange('trash', routeInfo);
+    });
+    
     this.router.addRoute('settings', (routeInfo) => {
       this.handleRouteChange('settings', routeInfo);
     });
@@ -723,6 +1815,38 @@ export class App {
     }
   }
 
+  /**
+   * Show a success toast with an Undo button for the change just made
+   * @param {string} message - Toast message
+   * @param {Object} previousChange - Last change before this one, when the action may not have changed anything
+   */
+  showUndoToast(message, previousChange = null) {
+    const change = this.state.getLastChange();
+    const action = change && change !== previousChange ? {
+      label: 'Undo',
+      onClick: () => this.eventManager.triggerAction('undo', { historyId: change.id })
+    } : null;
+    this.toastManager?.show(message, 'success', this.toastManager.defaultDuration, action);
+  }
+
+  /**
+   * Find an attachment's metadata on a task
+   */
+  findAttachment(taskId, attachmentId) {
+    const task = this.state.getTasks().find(t => t.id === taskId);
+    return (task?.attachments || []).find(attachment => attachment.id === attachmentId) || null;
+  }
+
+  /**
+   * Release the object URL of the last attachment preview
+   */
+  releaseAttachmentPreview() {
+    if (this.attachmentPreviewUrl) {
+      URL.revokeObjectURL(this.attachmentPreviewUrl);
+      this.attachmentPreviewUrl = null;
+    }
+  }
+
 
 
   /**
@@ -825,7 +1949,7 @@ document.addEventListener('DOMContentLoaded', () => {
         title: 'Test Task',
         dueDate: '2024-12-25',
         duration: 60,
-        tag: 'Test'
+        tags: ['Test']
       };
       console.log('Adding test task:', testTask);
       const result = app.state.addTask(testTask);
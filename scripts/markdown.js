@@ -0,0 +1,339 @@
+/**
+ * Markdown module for task notes
+ * Parses a small Markdown subset into a node tree, runs it through an
+ * allow-list sanitizer, and serializes it to escaped HTML. Raw HTML in the
+ * source is never interpreted; it is shown as text.
+ */
+
+import { getHighlightRanges } from './search-query.js';
+
+/**
+ * Elements the sanitizer lets through, with the attributes each may keep
+ */
+export const ALLOWED_ELEMENTS = {
+  h4: [],
+  h5: [],
+  h6: [],
+  p: [],
+  ul: [],
+  ol: ['start'],
+  li: [],
+  blockquote: [],
+  pre: [],
+  code: [],
+  strong: [],
+  em: [],
+  a: ['href'],
+  hr: [],
+  br: []
+};
+
+/**
+ * URL schemes links may use
+ */
+export const ALLOWED_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+const VOID_ELEMENTS = ['hr', 'br'];
+
+// Checks an allowed attribute's value must also pass
+const ATTRIBUTE_CHECKS = {
+  href: value => isSafeUrl(value),
+  start: value => /^\d{1,9}$/.test(value)
+};
+
+// Inline syntax, tried left to right: code, bold, italics, links, autolinks, bare URLs
+const INLINE_PATTERN = /(`+)([\s\S]*?[^`])\1(?!`)|\*\*([\s\S]+?)\*\*|__([\s\S]+?)__|\*(?!\s)([\s\S]+?)\*|\b_(?!\s)([\s\S]+?)_\b|\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)|<((?:https?:\/\/|mailto:)[^>\s]+)>|(https?:\/\/[^\s<]*[^\s<.,:;"')\]])/;
+
+const element = (tag, children = [], attrs = {}) => ({ type: 'element', tag, attrs, children });
+const text = value => ({ type: 'text', value });
+
+/**
+ * Check whether a link target uses an allowed scheme
+ * @param {string} url - Link target
+ * @returns {boolean} True if safe to link to
+ */
+export function isSafeUrl(url) {
+  if (typeof url !== 'string') {
+    return false;
+  }
+
+  // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+  const compact = url.replace(/[\u0000- \u007f]/g, '');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  return scheme !== null && ALLOWED_URL_SCHEMES.includes(scheme[1].toLowerCase() + ':');
+}
+
+/**
+ * Parse inline Markdown into nodes
+ * @private
+ */
+function parseInline(source) {
+  const nodes = [];
+  let rest = source;
+
+  while (rest.length > 0) {
+    const match = rest.match(INLINE_PATTERN);
+    if (!match) {
+      nodes.push(text(rest));
+      break;
+    }
+
+    if (match.index > 0) {
+      nodes.push(text(rest.slice(0, match.index)));
+    }
+
+    const [whole, , code, strong, strongAlt, em, emAlt, linkText, linkUrl, autolink, bareUrl] = match;
+
+    if (code !== undefined) {
+      nodes.push(element('code', [text(code.trim())]));
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      nodes.push(element('strong', parseInline(strong ?? strongAlt)));
+    } else if (em !== undefined || emAlt !== undefined) {
+      nodes.push(element('em', parseInline(em ?? emAlt)));
+    } else if (linkText !== undefined) {
+      nodes.push(element('a', parseInline(linkText), { href: linkUrl }));
+    } else {
+      const url = autolink ?? bareUrl;
+      nodes.push(element('a', [text(url.replace(/^mailto:/i, ''))], { href: url }));
+    }
+
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return nodes;
+}
+
+/**
+ * Parse Markdown source into a node tree
+ * Supports headings, paragraphs, bullet and numbered lists, block quotes,
+ * fenced code blocks, horizontal rules, and inline code, bold, italics and links.
+ * @param {string} source - Markdown text
+ * @returns {Array} Nodes
+ */
+export function parseMarkdown(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    return [];
+  }
+
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const nodes = [];
+  let index = 0;
+
+  const isBlank = line => line.trim() === '';
+  const listItem = line => line.match(/^\s{0,3}(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/);
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (isBlank(line)) {
+      index++;
+      continue;
+    }
+
+    // Fenced code block; an unclosed fence runs to the end of the notes
+    const fence = line.match(/^\s{0,3}(```|~~~)/);
+    if (fence) {
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+        code.push(lines[index]);
+        index++;
+      }
+      index++;
+      nodes.push(element('pre', [element('code', [text(code.join('\n'))])]));
+      continue;
+    }
+
+    // Headings start at h4 so notes sit below the page and card headings
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const level = Math.min(heading[1].length + 3, 6);
+      nodes.push(element(`h${level}`, parseInline(heading[2])));
+      index++;
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      nodes.push(element('hr'));
+      index++;
+      continue;
+    }
+
+    if (/^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      while (index < lines.length && /^\s{0,3}>/.test(lines[index])) {
+        quoted.push(lines[index].replace(/^\s{0,3}>\s?/, ''));
+        index++;
+      }
+      nodes.push(element('blockquote', parseMarkdown(quoted.join('\n'))));
+      continue;
+    }
+
+    const firstItem = listItem(line);
+    if (firstItem) {
+      const ordered = firstItem[2] !== undefined;
+      const items = [];
+      while (index < lines.length) {
+        const item = listItem(lines[index]);
+        if (item && (item[2] !== undefined) === ordered) {
+          items.push(item[3]);
+        } else if (item || isBlank(lines[index]) || items.length === 0) {
+          break;
+        } else {
+          // Indented or lazy continuation line of the previous item
+          items[items.length - 1] += ' ' + lines[index].trim();
+        }
+        index++;
+      }
+
+      const attrs = ordered && firstItem[2] !== '1' ? { start: firstItem[2] } : {};
+      nodes.push(element(ordered ? 'ol' : 'ul', items.map(item => element('li', parseInline(item))), attrs));
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [];
+    while (
+      index < lines.length &&
+      !isBlank(lines[index]) &&
+      !/^\s{0,3}(```|~~~|#{1,6}\s|>)/.test(lines[index]) &&
+      !(paragraph.length > 0 && listItem(lines[index]))
+    ) {
+      paragraph.push(lines[index].trim());
+      index++;
+    }
+    nodes.push(element('p', parseInline(paragraph.join(' '))));
+  }
+
+  return nodes;
+}
+
+/**
+ * Remove everything not on the allow-list from a node tree
+ * Unknown elements are unwrapped (their text is kept), unknown attributes are
+ * dropped, and links with unsafe URLs lose their href.
+ * @param {Array} nodes - Nodes to clean
+ * @returns {Array} Sanitized nodes
+ */
+export function sanitizeNodes(nodes) {
+  if (!Array.isArray(nodes)) {
+    return [];
+  }
+
+  return nodes.flatMap(node => {
+    if (!node || typeof node !== 'object') {
+      return [];
+    }
+
+    if (node.type === 'text') {
+      return [text(String(node.value ?? ''))];
+    }
+
+    const tag = String(node.tag || '').toLowerCase();
+    const children = sanitizeNodes(node.children);
+
+    if (node.type !== 'element' || !Object.prototype.hasOwnProperty.call(ALLOWED_ELEMENTS, tag)) {
+      return children;
+    }
+
+    const attrs = {};
+    ALLOWED_ELEMENTS[tag].forEach(name => {
+      const value = node.attrs?.[name];
+      if (typeof value === 'string' && (!ATTRIBUTE_CHECKS[name] || ATTRIBUTE_CHECKS[name](value))) {
+        attrs[name] = value;
+      }
+    });
+
+    if (tag === 'a') {
+      // A link without a safe target is just text
+      if (!attrs.href) {
+        return children;
+      }
+      attrs.rel = 'noopener noreferrer';
+      attrs.target = '_blank';
+    }
+
+    return [element(tag, VOID_ELEMENTS.includes(tag) ? [] : children, attrs)];
+  });
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape a text node, wrapping search matches in <mark>
+ * Only plain words and notes: terms of the query highlight in the notes.
+ * @private
+ */
+function serializeText(value, highlight) {
+  if (!highlight) {
+    return escapeHtml(value);
+  }
+
+  let html = '';
+  let lastIndex = 0;
+
+  getHighlightRanges(value, highlight.query, highlight.mode, 'notes').forEach(([start, end]) => {
+    html += escapeHtml(value.slice(lastIndex, start));
+    html += `<mark>${escapeHtml(value.slice(start, end))}</mark>`;
+    lastIndex = end;
+  });
+
+  return html + escapeHtml(value.slice(lastIndex));
+}
+
+/**
+ * Serialize sanitized nodes to an HTML string
+ * @param {Array} nodes - Sanitized nodes
+ * @param {Object} options - Optional highlight { query, mode }
+ * @returns {string} HTML
+ */
+export function serializeNodes(nodes, options = {}) {
+  const serialize = list => list.map(node => {
+    if (node.type === 'text') {
+      return serializeText(node.value, options.highlight);
+    }
+
+    const attrs = Object.entries(node.attrs)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+
+    return VOID_ELEMENTS.includes(node.tag)
+      ? `<${node.tag}${attrs}>`
+      : `<${node.tag}${attrs}>${serialize(node.children)}</${node.tag}>`;
+  }).join('');
+
+  return serialize(nodes);
+}
+
+/**
+ * Render Markdown to safe HTML
+ * @param {string} source - Markdown text
+ * @param {Object} options - Optional highlight { query, mode } for search matches
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(source, options = {}) {
+  return serializeNodes(sanitizeNodes(parseMarkdown(source)), options);
+}
+
+export default {
+  ALLOWED_ELEMENTS,
+  ALLOWED_URL_SCHEMES,
+  isSafeUrl,
+  parseMarkdown,
+  sanitizeNodes,
+  escapeHtml,
+  serializeNodes,
+  renderMarkdown
+};
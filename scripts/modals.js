@@ -5,6 +5,73 @@
  * and toast notifications with proper accessibility support.
  */
 
+import {
+  RecurrenceFrequencies,
+  WEEKDAY_LABELS,
+  normalizeRecurrence,
+  validateRecurrence
+} from './recurrence.js';
+import { normalizeSubtasks } from './subtasks.js';
+import { PriorityLevels, PRIORITY_LABELS, DEFAULT_PRIORITY } from './priority.js';
+import { normalizeTags, getTaskTags } from './tags.js';
+import { getTagSuggestions } from './ui/task-utils.js';
+import { TaskStatuses, isClosedStatus, getAllowedTransitions } from './statuses.js';
+import { isTimerRunning, isValidTimestamp, toDateTimeInputValue } from './time-tracking.js';
+import { MAX_NOTES_LENGTH } from './notes.js';
+import {
+  MAX_ATTACHMENT_SIZE,
+  normalizeAttachments,
+  validateAttachmentFile,
+  isValidLinkUrl,
+  formatFileSize
+} from './attachments.js';
+import {
+  MAX_COURSE_CODE_LENGTH,
+  MAX_COURSE_NAME_LENGTH,
+  MAX_CREDIT_HOURS,
+  normalizeCourse,
+  validateCourse,
+  getNextCourseColor,
+  formatCourseLabel,
+  sortCourses
+} from './courses.js';
+import { DEFAULT_OUT_OF, MAX_OUT_OF, validateGrade } from './grades.js';
+import {
+  MAX_TERM_NAME_LENGTH,
+  normalizeTerm,
+  validateTerm,
+  sortTerms,
+  getTermById,
+  getUnfinishedTasks,
+  getRolloverCandidate,
+  formatTermDates
+} from './terms.js';
+import {
+  MAX_TEMPLATE_NAME_LENGTH,
+  MAX_DUE_OFFSET_DAYS,
+  normalizeTemplate,
+  validateTemplate,
+  sortTemplates
+} from './templates.js';
+import {
+  ExamSpacing,
+  SPACING_LABELS,
+  MAX_EXAM_TITLE_LENGTH,
+  MAX_STUDY_HOURS,
+  MIN_SESSION_MINUTES,
+  MAX_SESSION_MINUTES,
+  DEFAULT_SESSION_MINUTES,
+  normalizeTopics,
+  normalizeExam,
+  validateExam
+} from './exams.js';
+import {
+  MAX_SMART_LIST_NAME_LENGTH,
+  normalizeSmartList,
+  validateSmartList,
+  describeSmartList
+} from './smart-lists.js';
+
 /**
  * FocusManager class for handling focus management in modals
  */
@@ -220,7 +287,7 @@ export class ModalManager {
 
   /**
    * Show a modal
-   * @param {string} type - Type of modal ('task', 'confirm', 'custom')
+   * @param {string} type - Type of modal ('task', 'course', 'term', 'rollover', 'template', 'confirm', 'custom')
    * @param {Object} options - Modal options
    */
   show(type, options = {}) {
@@ -238,6 +305,24 @@ export class ModalManager {
       case 'task':
         modalElement = this.createTaskModal(options);
         break;
+      case 'course':
+        modalElement = this.createCourseModal(options);
+        break;
+      case 'term':
+        modalElement = this.createTermModal(options);
+        break;
+      case 'rollover':
+        modalElement = this.createRolloverModal(options);
+        break;
+      case 'template':
+        modalElement = this.createTemplateModal(options);
+        break;
+      case 'exam':
+        modalElement = this.createExamModal(options);
+        break;
+      case 'smart-list':
+        modalElement = this.createSmartListModal(options);
+        break;
       case 'confirm':
         modalElement = this.createConfirmModal(options);
         break;
@@ -383,53 +468,2029 @@ export class ModalManager {
     console.log('Modal should now be visible');
   }
 
-  /**
-   * Hide modal with animation
-   * @private
-   */
-  hideModal(modalElement) {
-    modalElement.classList.remove('modal--open');
-    modalElement.classList.add('modal--closing');
+  /**
+   * Hide modal with animation
+   * @private
+   */
+  hideModal(modalElement) {
+    modalElement.classList.remove('modal--open');
+    modalElement.classList.add('modal--closing');
+
+    // Use requestAnimationFrame for smoother animation
+    requestAnimationFrame(() => {
+      setTimeout(() => {
+        if (modalElement && modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        
+        // Hide container if no more modals
+        if (this.modalStack.length === 0) {
+          this.modalContainer.classList.remove('modal-container--open');
+          this.modalContainer.setAttribute('aria-hidden', 'true');
+          document.body.classList.remove('modal-open');
+          
+          // Clear any inline styles
+          this.modalContainer.style.cssText = '';
+        }
+      }, 200); // Reduced timeout for faster response
+    });
+  }
+
+  /**
+   * Create task modal
+   * @private
+   */
+  createTaskModal(options) {
+    const { mode = 'add', task = null, tasks = [], courses = [], terms = [], templates = [], templateId = '', prefill = null, statusWorkflow } = options;
+    const isEdit = mode === 'edit' && task;
+    // New tasks can start from a template's values
+    const values = isEdit ? task : (prefill || {});
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal modal--task';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'task-modal-title');
+    modal.setAttribute('aria-describedby', 'task-modal-description');
+
+    modal.innerHTML = `
+      <div class="modal__content">
+        <div class="modal__header">
+          <h2 id="task-modal-title" class="modal__title">
+            ${isEdit ? 'Edit Task' : 'Add New Task'}
+          </h2>
+          <button 
+            type="button" 
+            class="modal__close" 
+            aria-label="Close modal"
+            data-action="close-modal"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div class="modal__body">
+          <p id="task-modal-description" class="modal__description">
+            ${isEdit ? 'Update the task details below.' : 'Fill in the details for your new task.'}
+          </p>
+          
+          <form id="task-form" class="task-form" data-form="task-form" novalidate>
+            ${isEdit ? '' : this.renderTemplateField(templateId, templates)}
+            
+            <div class="form-group">
+              <label for="task-title" class="form-label">
+                Task Title <span class="required" aria-label="required">*</span>
+              </label>
+              <input 
+                type="text" 
+                id="task-title" 
+                name="title"
+                class="form-input" 
+                required
+                autocomplete="off"
+                aria-describedby="title-help title-error"
+                value="${this.escapeHtml(values.title || '')}"
+              >
+              <div id="title-help" class="form-help">
+                Enter a descriptive title for your task
+              </div>
+              <div id="title-error" class="form-error" role="alert"></div>
+            </div>
+            
+            <div class="form-group">
+              <label for="task-due-date" class="form-label">
+                Due Date <span class="required" aria-label="required">*</span>
+              </label>
+              <input 
+                type="date" 
+                id="task-due-date" 
+                name="dueDate"
+                class="form-input" 
+                required
+                aria-describedby="date-help date-error"
+                value="${values.dueDate || ''}"
+              >
+              <div id="date-help" class="form-help">
+                Select when this task is due
+              </div>
+              <div id="date-error" class="form-error" role="alert"></div>
+            </div>
+            
+            <div class="form-group">
+              <label for="task-due-time" class="form-label">
+                Due Time
+              </label>
+              <input 
+                type="time" 
+                id="task-due-time" 
+                name="dueTime"
+                class="form-input" 
+                aria-describedby="dueTime-help dueTime-error"
+                value="${values.dueTime || ''}"
+              >
+              <div id="dueTime-help" class="form-help">
+                Optional; leave empty for a deadline at the end of the day
+              </div>
+              <div id="dueTime-error" class="form-error" role="alert"></div>
+            </div>
+            
+            <div class="form-group">
+              <label for="task-duration" class="form-label">
+                Duration (minutes) <span class="required" aria-label="required">*</span>
+              </label>
+              <input 
+                type="number" 
+                id="task-duration" 
+                name="duration"
+                class="form-input" 
+                min="1"
+                step="1"
+                required
+                aria-describedby="duration-help duration-error"
+                value="${values.duration || ''}"
+              >
+              <div id="duration-help" class="form-help">
+                Estimated time to complete this task in minutes
+              </div>
+              <div id="duration-error" class="form-error" role="alert"></div>
+            </div>
+            
+            ${this.renderCourseField(values.courseId || '', courses)}
+            
+            ${this.renderTermField(isEdit ? task.termId : '', terms)}
+            
+            ${this.renderGradeFields(isEdit ? task.grade : null)}
+            
+            ${this.renderTagFields(getTaskTags(values), tasks)}
+            
+            ${isEdit ? this.renderStatusField(task, statusWorkflow) : ''}
+            
+            <div class="form-group">
+              <label for="task-priority" class="form-label">
+                Priority
+              </label>
+              <select 
+                id="task-priority" 
+                name="priority"
+                class="form-select"
+                aria-describedby="priority-help"
+              >
+                ${Object.values(PriorityLevels).map(level => `
+                  <option value="${level}" ${(values.priority || DEFAULT_PRIORITY) === level ? 'selected' : ''}>${PRIORITY_LABELS[level]}</option>
+                `).join('')}
+              </select>
+              <div id="priority-help" class="form-help">
+                Higher priority tasks rise to the top when sorting by urgency
+              </div>
+            </div>
+            
+            <div class="form-group">
+              <label for="task-notes" class="form-label">
+                Notes
+              </label>
+              <textarea 
+                id="task-notes" 
+                name="notes"
+                class="form-textarea task-notes-input"
+                rows="5"
+                maxlength="${MAX_NOTES_LENGTH}"
+                placeholder="Instructions, rubric links, reading list..."
+                aria-describedby="notes-help"
+              >${this.escapeHtml(values.notes || '')}</textarea>
+              <div id="notes-help" class="form-help">
+                Supports Markdown: # headings, - lists, [links](https://...), \`code\`, **bold** and *italics*
+              </div>
+            </div>
+            
+            ${this.renderSubtaskFields(values.subtasks)}
+            
+            ${this.renderAttachmentFields(isEdit ? task : null)}
+            
+            ${isEdit ? this.renderTimeLogFields(task) : ''}
+            
+            ${this.renderDependencyFields(isEdit ? task : null, tasks)}
+            
+            ${this.renderRecurrenceFields(isEdit ? task.recurrence : null)}
+            
+            ${isEdit ? `
+              <input type="hidden" name="id" value="${task.id}">
+              <input type="hidden" name="mode" value="edit">
+            ` : `
+              <input type="hidden" name="mode" value="add">
+            `}
+          </form>
+        </div>
+        
+        <div class="modal__footer">
+          <button 
+            type="button" 
+            class="btn btn--secondary" 
+            data-action="close-modal"
+          >
+            Cancel
+          </button>
+          <button 
+            type="submit" 
+            form="task-form"
+            class="btn btn--primary"
+            data-action="submit-task"
+          >
+            ${isEdit ? 'Update Task' : 'Add Task'}
+          </button>
+        </div>
+      </div>
+    `;
+
+    // Set up form validation and submission
+    this.setupTaskFormHandlers(modal);
+
+    return modal;
+  }
+
+  /**
+   * Render the template picker for new tasks
+   * Picking a template re-opens the form filled in from it.
+   * @private
+   */
+  renderTemplateField(templateId, templates) {
+    if (templates.length === 0) {
+      return '';
+    }
+    
+    return `
+      <div class="form-group task-form__template">
+        <label for="task-template" class="form-label">
+          Start from Template
+        </label>
+        <select 
+          id="task-template" 
+          class="form-select"
+          aria-describedby="template-help"
+          data-change-action="apply-task-template"
+        >
+          <option value="" ${!templateId ? 'selected' : ''}>Blank task</option>
+          ${sortTemplates(templates).map(template => `
+            <option value="${template.id}" ${template.id === templateId ? 'selected' : ''}>${this.escapeHtml(template.name)}</option>
+          `).join('')}
+        </select>
+        <div id="template-help" class="form-help">
+          Fills in the form from the template, replacing anything entered so far
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render subtask checklist editor for the task form
+   * @private
+   */
+  renderSubtaskFields(subtasks) {
+    return `
+      <fieldset class="form-group subtask-fields">
+        <legend class="form-label">Subtasks</legend>
+        
+        <ul class="subtask-fields__list">
+          ${(subtasks || []).map(subtask => this.renderSubtaskFieldRow(subtask)).join('')}
+        </ul>
+        
+        <button type="button" class="btn btn--sm btn--secondary subtask-fields__add">
+          + Add subtask
+        </button>
+        
+        <div class="form-help">
+          Optional steps; progress rolls up into the task
+        </div>
+        <div id="subtasks-error" class="form-error" role="alert"></div>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render chip-style tag entry with suggestions from existing tasks
+   * @private
+   */
+  renderTagFields(tags, tasks) {
+    return `
+      <div class="form-group tag-fields">
+        <label for="task-tag" class="form-label">
+          Tags
+        </label>
+        <div class="tag-input">
+          <ul class="tag-input__chips" aria-label="Selected tags">
+            ${tags.map(tag => this.renderTagChip(tag)).join('')}
+          </ul>
+          <input 
+            type="text" 
+            id="task-tag" 
+            name="tag"
+            class="form-input tag-input__field" 
+            list="task-tag-suggestions"
+            autocomplete="off"
+            aria-describedby="tag-help tag-error"
+            placeholder="e.g., Programming, Exam"
+          >
+        </div>
+        <datalist id="task-tag-suggestions">
+          ${getTagSuggestions(tasks).map(tag => `<option value="${this.escapeHtml(tag)}"></option>`).join('')}
+        </datalist>
+        <div id="tag-help" class="form-help">
+          Press Enter or comma to add a tag; Backspace removes the last one
+        </div>
+        <div id="tag-error" class="form-error" role="alert"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a single removable tag chip
+   * @private
+   */
+  renderTagChip(tag) {
+    return `
+      <li class="tag-input__chip">
+        <input type="hidden" name="tags" value="${this.escapeHtml(tag)}">
+        <span>${this.escapeHtml(tag)}</span>
+        <button type="button" class="tag-input__remove" aria-label="Remove tag ${this.escapeHtml(tag)}">×</button>
+      </li>
+    `;
+  }
+
+  /**
+   * Build the tag list from task form data, including any text not yet turned into a chip
+   * @private
+   */
+  getTagsFromForm(formData) {
+    return normalizeTags([...formData.getAll('tags'), ...(formData.get('tag') || '').split(',')]);
+  }
+
+  /**
+   * Set up chip entry for the tag input
+   * @private
+   */
+  setupTagHandlers(form) {
+    const input = form.querySelector('.tag-input__field');
+    if (!input) {
+      return;
+    }
+
+    const chips = form.querySelector('.tag-input__chips');
+    const currentTags = () => Array.from(chips.querySelectorAll('input[name="tags"]')).map(field => field.value);
+
+    const addPendingTags = () => {
+      const pending = normalizeTags(input.value);
+      if (pending.length === 0 || !this.validateField(input)) {
+        return;
+      }
+
+      const existing = currentTags().map(tag => tag.toLowerCase());
+      pending
+        .filter(tag => !existing.includes(tag.toLowerCase()))
+        .forEach(tag => chips.insertAdjacentHTML('beforeend', this.renderTagChip(tag)));
+      input.value = '';
+    };
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ',') {
+        event.preventDefault();
+        addPendingTags();
+      } else if (event.key === 'Backspace' && input.value === '' && chips.lastElementChild) {
+        chips.lastElementChild.remove();
+      }
+    });
+
+    // Leaving the field or picking a suggestion commits the pending text
+    input.addEventListener('change', addPendingTags);
+
+    chips.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.tag-input__remove');
+      if (removeButton) {
+        removeButton.closest('.tag-input__chip').remove();
+        input.focus();
+      }
+    });
+  }
+
+  /**
+   * Render the course select for the task form
+   * @private
+   */
+  renderCourseField(courseId, courses) {
+    if (courses.length === 0) {
+      return '';
+    }
+    
+    return `
+      <div class="form-group">
+        <label for="task-course" class="form-label">
+          Course
+        </label>
+        <select 
+          id="task-course" 
+          name="courseId"
+          class="form-select"
+          aria-describedby="course-help"
+        >
+          <option value="" ${!courseId ? 'selected' : ''}>No course</option>
+          ${sortCourses(courses).map(course => `
+            <option value="${course.id}" ${course.id === courseId ? 'selected' : ''}>${this.escapeHtml(formatCourseLabel(course))}</option>
+          `).join('')}
+        </select>
+        <div id="course-help" class="form-help">
+          Courses are managed on the Settings page
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the term select for the task form
+   * Archived terms are left out because their tasks can't be changed.
+   * @private
+   */
+  renderTermField(termId, terms) {
+    const openTerms = sortTerms(terms).filter(term => !term.archived);
+    if (openTerms.length === 0) {
+      return '';
+    }
+    
+    return `
+      <div class="form-group">
+        <label for="task-term" class="form-label">
+          Term
+        </label>
+        <select 
+          id="task-term" 
+          name="termId"
+          class="form-select"
+          aria-describedby="term-help"
+        >
+          <option value="" ${!termId ? 'selected' : ''}>Match due date</option>
+          ${openTerms.map(term => `
+            <option value="${term.id}" ${term.id === termId ? 'selected' : ''}>${this.escapeHtml(term.name)}</option>
+          `).join('')}
+        </select>
+        <div id="term-help" class="form-help">
+          Tasks without a term show in the term their due date falls in
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render assessment weight and score inputs for the task form
+   * @private
+   */
+  renderGradeFields(grade) {
+    return `
+      <fieldset class="form-group grade-fields">
+        <legend class="form-label">Grade</legend>
+        
+        <div class="grade-fields__row">
+          <label for="task-grade-weight" class="grade-fields__inline">
+            Weight
+            <input 
+              type="number" 
+              id="task-grade-weight" 
+              name="gradeWeight"
+              class="form-input grade-fields__number"
+              min="0"
+              max="100"
+              step="0.5"
+              value="${grade ? grade.weight : ''}"
+            >
+            % of course
+          </label>
+          
+          <label for="task-grade-score" class="grade-fields__inline">
+            Score
+            <input 
+              type="number" 
+              id="task-grade-score" 
+              name="gradeScore"
+              class="form-input grade-fields__number"
+              min="0"
+              step="any"
+              value="${grade && typeof grade.score === 'number' ? grade.score : ''}"
+            >
+            out of
+            <input 
+              type="number" 
+              id="task-grade-out-of" 
+              name="gradeOutOf"
+              class="form-input grade-fields__number"
+              min="1"
+              max="${MAX_OUT_OF}"
+              step="any"
+              aria-label="Maximum score"
+              value="${grade ? grade.outOf : DEFAULT_OUT_OF}"
+            >
+          </label>
+        </div>
+        
+        <div class="form-help">
+          Leave the weight empty for work that isn't graded; add the score once it's marked
+        </div>
+        <div id="grade-error" class="form-error" role="alert"></div>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Build the task grade from form data
+   * @private
+   * @returns {Object} Object with grade (or null) and validation errors
+   */
+  getGradeFromForm(formData) {
+    const weight = formData.get('gradeWeight');
+    const score = formData.get('gradeScore');
+    const outOf = formData.get('gradeOutOf');
+
+    if (!weight) {
+      return {
+        grade: null,
+        errors: score ? ['Enter the weight of this assessment to record its score'] : []
+      };
+    }
+
+    const grade = {
+      weight: parseFloat(weight),
+      outOf: outOf ? parseFloat(outOf) : DEFAULT_OUT_OF
+    };
+    if (score) {
+      grade.score = parseFloat(score);
+    }
+
+    return { grade, errors: validateGrade(grade) };
+  }
+
+  /**
+   * Render the status select, offering only the moves the workflow allows
+   * @private
+   */
+  renderStatusField(task, workflow) {
+    const statuses = [task.status, ...getAllowedTransitions(task.status, workflow)];
+    
+    return `
+      <div class="form-group">
+        <label for="task-status" class="form-label">
+          Status
+        </label>
+        <select 
+          id="task-status" 
+          name="status"
+          class="form-select"
+          aria-describedby="status-help"
+        >
+          ${statuses.map(status => `
+            <option value="${this.escapeHtml(status)}" ${status === task.status ? 'selected' : ''}>${this.escapeHtml(status)}</option>
+          `).join('')}
+        </select>
+        <div id="status-help" class="form-help">
+          Only the status changes allowed by your workflow are listed
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the "blocked by" picker listing the other tasks
+   * @private
+   */
+  renderDependencyFields(task, tasks) {
+    const candidates = tasks.filter(other => !task || other.id !== task.id);
+    if (candidates.length === 0) {
+      return '';
+    }
+    
+    const blockedBy = task?.blockedBy || [];
+    
+    return `
+      <fieldset class="form-group dependency-fields">
+        <legend class="form-label">Blocked by</legend>
+        
+        <ul class="dependency-fields__list">
+          ${candidates.map(other => `
+            <li class="dependency-fields__item">
+              <label class="dependency-fields__option">
+                <input 
+                  type="checkbox" 
+                  name="blockedBy" 
+                  value="${this.escapeHtml(other.id)}"
+                  ${blockedBy.includes(other.id) ? 'checked' : ''}
+                >
+                <span class="dependency-fields__title">${this.escapeHtml(other.title)}</span>
+                ${isClosedStatus(other.status) ? `<span class="dependency-fields__done">${other.status === TaskStatuses.COMPLETE ? 'Done' : 'Cancelled'}</span>` : ''}
+              </label>
+            </li>
+          `).join('')}
+        </ul>
+        
+        <div class="form-help">
+          This task can't be completed until the checked tasks are done
+        </div>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render attachment upload and reference link editor for the task form
+   * @private
+   */
+  renderAttachmentFields(task) {
+    return `
+      <fieldset class="form-group attachment-fields">
+        <legend class="form-label">Attachments &amp; Links</legend>
+        
+        <ul class="attachment-fields__files">
+          ${(task?.attachments || []).map(attachment => this.renderAttachmentFieldRow(attachment)).join('')}
+        </ul>
+        
+        <input 
+          type="file" 
+          id="task-attachments"
+          name="attachmentFiles"
+          class="form-input attachment-fields__input"
+          multiple
+          aria-label="Add files"
+          aria-describedby="attachments-help"
+        >
+        <div id="attachments-help" class="form-help">
+          Assignment briefs, PDFs or screenshots, up to ${formatFileSize(MAX_ATTACHMENT_SIZE)} each. Files stay in this browser.
+        </div>
+        
+        <ul class="attachment-fields__links">
+          ${(task?.links || []).map(link => this.renderLinkFieldRow(link)).join('')}
+        </ul>
+        
+        <button type="button" class="btn btn--sm btn--secondary attachment-fields__add-link">
+          + Add link
+        </button>
+        
+        <div id="attachments-error" class="form-error" role="alert"></div>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render a kept attachment in the task form
+   * @private
+   */
+  renderAttachmentFieldRow(attachment) {
+    return `
+      <li class="attachment-fields__item">
+        <input type="hidden" name="attachmentId" value="${this.escapeHtml(attachment.id)}">
+        <input type="hidden" name="attachmentName" value="${this.escapeHtml(attachment.name)}">
+        <input type="hidden" name="attachmentType" value="${this.escapeHtml(attachment.type || '')}">
+        <input type="hidden" name="attachmentSize" value="${attachment.size || 0}">
+        <input type="hidden" name="attachmentAddedAt" value="${this.escapeHtml(attachment.addedAt || '')}">
+        <span class="attachment-fields__name">📎 ${this.escapeHtml(attachment.name)}</span>
+        <span class="attachment-fields__size">${formatFileSize(attachment.size)}</span>
+        <button type="button" class="attachment-fields__remove" aria-label="Remove ${this.escapeHtml(attachment.name)}">×</button>
+      </li>
+    `;
+  }
+
+  /**
+   * Render a single editable reference link row
+   * @private
+   */
+  renderLinkFieldRow(link = {}) {
+    return `
+      <li class="attachment-fields__item">
+        <input type="hidden" name="linkId" value="${this.escapeHtml(link.id || '')}">
+        <input 
+          type="url" 
+          name="linkUrl"
+          class="form-input attachment-fields__url" 
+          aria-label="Link URL"
+          placeholder="https://..."
+          value="${this.escapeHtml(link.url || '')}"
+        >
+        <input 
+          type="text" 
+          name="linkLabel"
+          class="form-input attachment-fields__label" 
+          aria-label="Link label (optional)"
+          placeholder="Label"
+          maxlength="255"
+          value="${link.label && link.label !== link.url ? this.escapeHtml(link.label) : ''}"
+        >
+        <button type="button" class="attachment-fields__remove" aria-label="Remove link">×</button>
+      </li>
+    `;
+  }
+
+  /**
+   * Build kept attachments, new files and reference links from task form data
+   * @private
+   */
+  getAttachmentsFromForm(formData) {
+    const names = formData.getAll('attachmentName');
+    const types = formData.getAll('attachmentType');
+    const sizes = formData.getAll('attachmentSize');
+    const addedAt = formData.getAll('attachmentAddedAt');
+    const errors = [];
+
+    const attachments = normalizeAttachments(formData.getAll('attachmentId').map((id, index) => ({
+      id,
+      name: names[index],
+      type: types[index],
+      size: sizes[index],
+      addedAt: addedAt[index]
+    })));
+
+    // An empty file input still submits one nameless, empty file
+    const files = formData.getAll('attachmentFiles').filter(file => file && file.name);
+    files.forEach(file => errors.push(...validateAttachmentFile(file)));
+
+    const labels = formData.getAll('linkLabel');
+    const ids = formData.getAll('linkId');
+    const links = formData.getAll('linkUrl')
+      .map((url, index) => ({ id: ids[index] || undefined, url: url.trim(), label: labels[index] }))
+      // Rows left without a URL are ignored
+      .filter(link => link.url !== '');
+
+    if (links.some(link => !isValidLinkUrl(link.url))) {
+      errors.push('Links must be full web addresses starting with http:// or https://');
+    }
+
+    return { attachments, files, links, errors };
+  }
+
+  /**
+   * Set up remove and add-link behaviour for the attachment editor
+   * @private
+   */
+  setupAttachmentHandlers(form) {
+    const fieldset = form.querySelector('.attachment-fields');
+    if (!fieldset) {
+      return;
+    }
+
+    const linkList = fieldset.querySelector('.attachment-fields__links');
+
+    fieldset.querySelector('.attachment-fields__add-link').addEventListener('click', () => {
+      linkList.insertAdjacentHTML('beforeend', this.renderLinkFieldRow());
+      linkList.lastElementChild.querySelector('.attachment-fields__url').focus();
+    });
+
+    fieldset.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.attachment-fields__remove');
+      if (removeButton) {
+        removeButton.closest('.attachment-fields__item').remove();
+      }
+    });
+  }
+
+  /**
+   * Render the editor for logged work sessions
+   * @private
+   */
+  renderTimeLogFields(task) {
+    return `
+      <fieldset class="form-group time-log-fields">
+        <legend class="form-label">Time Log</legend>
+        
+        <ul class="time-log-fields__list">
+          ${(task.timeLog || []).map(entry => this.renderTimeLogFieldRow(entry)).join('')}
+        </ul>
+        
+        <button type="button" class="btn btn--sm btn--secondary time-log-fields__add">
+          + Add session
+        </button>
+        
+        <div class="form-help">
+          Sessions recorded by the timer; correct or add them by hand
+          ${isTimerRunning(task) ? ' (the running timer is logged when you stop it)' : ''}
+        </div>
+        <div id="timeLog-error" class="form-error" role="alert"></div>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render a single editable time log row
+   * @private
+   */
+  renderTimeLogFieldRow(entry = {}) {
+    return `
+      <li class="time-log-fields__item">
+        <input type="hidden" name="sessionId" value="${this.escapeHtml(entry.id || '')}">
+        <input 
+          type="datetime-local" 
+          name="sessionStart"
+          class="form-input time-log-fields__time" 
+          aria-label="Session start"
+          value="${toDateTimeInputValue(entry.start)}"
+        >
+        <span aria-hidden="true">→</span>
+        <input 
+          type="datetime-local" 
+          name="sessionEnd"
+          class="form-input time-log-fields__time" 
+          aria-label="Session end"
+          value="${toDateTimeInputValue(entry.end)}"
+        >
+        <button type="button" class="time-log-fields__remove" aria-label="Remove session">×</button>
+      </li>
+    `;
+  }
+
+  /**
+   * Build the time log from task form data
+   * Returns no time log when the form has no time log editor (new tasks).
+   * @private
+   */
+  getTimeLogFromForm(form, formData) {
+    if (!form.querySelector('.time-log-fields')) {
+      return { timeLog: undefined, errors: [] };
+    }
+
+    const ids = formData.getAll('sessionId');
+    const ends = formData.getAll('sessionEnd');
+    const errors = [];
+
+    const timeLog = formData.getAll('sessionStart')
+      .map((start, index) => ({ id: ids[index] || undefined, start, end: ends[index] }))
+      // Rows left completely empty are ignored
+      .filter(entry => entry.start !== '' || entry.end !== '');
+
+    timeLog.forEach(entry => {
+      if (!isValidTimestamp(entry.start) || !isValidTimestamp(entry.end)) {
+        errors.push('Each session needs a start and an end time');
+      } else if (new Date(entry.end) <= new Date(entry.start)) {
+        errors.push('A session must end after it starts');
+      }
+    });
+
+    return { timeLog, errors };
+  }
+
+  /**
+   * Set up add/remove behaviour for the time log editor
+   * @private
+   */
+  setupTimeLogHandlers(form) {
+    const fieldset = form.querySelector('.time-log-fields');
+    if (!fieldset) {
+      return;
+    }
+
+    const list = fieldset.querySelector('.time-log-fields__list');
+
+    fieldset.querySelector('.time-log-fields__add').addEventListener('click', () => {
+      list.insertAdjacentHTML('beforeend', this.renderTimeLogFieldRow());
+      list.lastElementChild.querySelector('.time-log-fields__time').focus();
+    });
+
+    list.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.time-log-fields__remove');
+      if (removeButton) {
+        removeButton.closest('.time-log-fields__item').remove();
+      }
+    });
+  }
+
+  /**
+   * Render a single editable subtask row
+   * @private
+   */
+  renderSubtaskFieldRow(subtask = {}) {
+    return `
+      <li class="subtask-fields__item">
+        <input type="hidden" name="subtaskId" value="${this.escapeHtml(subtask.id || '')}">
+        <input type="hidden" name="subtaskStatus" value="${subtask.status === 'Complete' ? 'Complete' : 'Pending'}">
+        <input 
+          type="text" 
+          name="subtaskTitle"
+          class="form-input subtask-fields__title" 
+          aria-label="Subtask title"
+          placeholder="e.g., Write outline"
+          autocomplete="off"
+          value="${this.escapeHtml(subtask.title || '')}"
+        >
+        <input 
+          type="number" 
+          name="subtaskDuration"
+          class="form-input subtask-fields__duration" 
+          aria-label="Subtask duration in minutes (optional)"
+          placeholder="min"
+          min="1"
+          step="1"
+          value="${subtask.duration || ''}"
+        >
+        <button type="button" class="subtask-fields__remove" aria-label="Remove subtask">×</button>
+      </li>
+    `;
+  }
+
+  /**
+   * Build the subtask list from task form data
+   * @private
+   */
+  getSubtasksFromForm(formData) {
+    const ids = formData.getAll('subtaskId');
+    const statuses = formData.getAll('subtaskStatus');
+    const durations = formData.getAll('subtaskDuration');
+
+    return normalizeSubtasks(formData.getAll('subtaskTitle').map((title, index) => ({
+      id: ids[index] || undefined,
+      title,
+      status: statuses[index],
+      duration: durations[index]
+    })));
+  }
+
+  /**
+   * Set up add/remove behaviour for the subtask editor
+   * @private
+   */
+  setupSubtaskHandlers(form) {
+    const fieldset = form.querySelector('.subtask-fields');
+    if (!fieldset) {
+      return;
+    }
+
+    const list = fieldset.querySelector('.subtask-fields__list');
+
+    fieldset.querySelector('.subtask-fields__add').addEventListener('click', () => {
+      list.insertAdjacentHTML('beforeend', this.renderSubtaskFieldRow());
+      list.lastElementChild.querySelector('.subtask-fields__title').focus();
+    });
+
+    list.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.subtask-fields__remove');
+      if (removeButton) {
+        removeButton.closest('.subtask-fields__item').remove();
+      }
+    });
+  }
+
+  /**
+   * Render recurrence controls for the task form
+   * @private
+   */
+  renderRecurrenceFields(recurrence) {
+    const frequency = recurrence?.frequency || 'none';
+    const weekdays = recurrence?.weekdays || [];
+    const endType = recurrence?.until ? 'until' : (recurrence?.count ? 'count' : 'never');
+
+    return `
+      <fieldset class="form-group recurrence-fields" data-recurrence-frequency="${frequency}" data-recurrence-end="${endType}">
+        <legend class="form-label">Repeat</legend>
+        
+        <select 
+          id="task-recurrence-frequency" 
+          name="recurrenceFrequency" 
+          class="form-select"
+          aria-describedby="recurrence-help recurrence-error"
+        >
+          <option value="none" ${frequency === 'none' ? 'selected' : ''}>Does not repeat</option>
+          <option value="${RecurrenceFrequencies.DAILY}" ${frequency === RecurrenceFrequencies.DAILY ? 'selected' : ''}>Daily</option>
+          <option value="${RecurrenceFrequencies.WEEKLY}" ${frequency === RecurrenceFrequencies.WEEKLY ? 'selected' : ''}>Weekly</option>
+        </select>
+        
+        <div class="recurrence-fields__options">
+          <label for="task-recurrence-interval" class="recurrence-fields__inline">
+            Every
+            <input 
+              type="number" 
+              id="task-recurrence-interval" 
+              name="recurrenceInterval"
+              class="form-input recurrence-fields__interval" 
+              min="1"
+              max="52"
+              step="1"
+              value="${recurrence?.interval || 1}"
+            >
+            <span class="recurrence-fields__unit">${frequency === RecurrenceFrequencies.DAILY ? 'day(s)' : 'week(s)'}</span>
+          </label>
+          
+          <div class="recurrence-fields__weekdays" role="group" aria-label="Repeat on weekdays">
+            ${WEEKDAY_LABELS.map((label, day) => `
+              <label class="recurrence-fields__weekday">
+                <input 
+                  type="checkbox" 
+                  name="recurrenceWeekdays" 
+                  value="${day}"
+                  ${weekdays.includes(day) ? 'checked' : ''}
+                >
+                ${label}
+              </label>
+            `).join('')}
+          </div>
+          
+          <div class="recurrence-fields__end">
+            <label for="task-recurrence-end" class="recurrence-fields__inline">
+              Ends
+              <select id="task-recurrence-end" name="recurrenceEnd" class="form-select">
+                <option value="never" ${endType === 'never' ? 'selected' : ''}>Never</option>
+                <option value="until" ${endType === 'until' ? 'selected' : ''}>On date</option>
+                <option value="count" ${endType === 'count' ? 'selected' : ''}>After occurrences</option>
+              </select>
+            </label>
+            <input 
+              type="date" 
+              id="task-recurrence-until" 
+              name="recurrenceUntil"
+              class="form-input recurrence-fields__until" 
+              aria-label="Repeat until date"
+              value="${recurrence?.until || ''}"
+            >
+            <input 
+              type="number" 
+              id="task-recurrence-count" 
+              name="recurrenceCount"
+              class="form-input recurrence-fields__count" 
+              aria-label="Number of occurrences"
+              min="1"
+              max="365"
+              step="1"
+              value="${recurrence?.count || ''}"
+            >
+          </div>
+        </div>
+        
+        <div id="recurrence-help" class="form-help">
+          Completing a repeating task creates the next one automatically
+        </div>
+        <div id="recurrence-error" class="form-error" role="alert"></div>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Build a recurrence rule from task form data
+   * @private
+   * @returns {Object} Object with recurrence (or null) and validation errors
+   */
+  getRecurrenceFromForm(formData) {
+    const frequency = formData.get('recurrenceFrequency');
+    if (!frequency || frequency === 'none') {
+      return { recurrence: null, errors: [] };
+    }
+
+    const endType = formData.get('recurrenceEnd');
+    const recurrence = normalizeRecurrence({
+      frequency,
+      interval: formData.get('recurrenceInterval'),
+      weekdays: formData.getAll('recurrenceWeekdays'),
+      until: endType === 'until' ? formData.get('recurrenceUntil') : null,
+      count: endType === 'count' ? formData.get('recurrenceCount') : null
+    }, formData.get('dueDate'));
+
+    const errors = validateRecurrence(recurrence);
+    if (endType === 'until' && !recurrence.until) {
+      errors.push('Choose the date the task stops repeating');
+    }
+    if (endType === 'count' && !recurrence.count) {
+      errors.push('Enter how many times the task repeats');
+    }
+
+    return { recurrence, errors };
+  }
+
+  /**
+   * Set up show/hide behaviour for recurrence controls
+   * @private
+   */
+  setupRecurrenceHandlers(form) {
+    const fieldset = form.querySelector('.recurrence-fields');
+    if (!fieldset) {
+      return;
+    }
+
+    const frequencySelect = fieldset.querySelector('[name="recurrenceFrequency"]');
+    const endSelect = fieldset.querySelector('[name="recurrenceEnd"]');
+    const unitLabel = fieldset.querySelector('.recurrence-fields__unit');
+
+    frequencySelect.addEventListener('change', () => {
+      fieldset.dataset.recurrenceFrequency = frequencySelect.value;
+      unitLabel.textContent = frequencySelect.value === RecurrenceFrequencies.DAILY ? 'day(s)' : 'week(s)';
+    });
+
+    endSelect.addEventListener('change', () => {
+      fieldset.dataset.recurrenceEnd = endSelect.value;
+    });
+  }
+
+  /**
+   * Create confirmation modal
+   * @private
+   */
+  createConfirmModal(options) {
+    const {
+      title = 'Confirm Action',
+      message = 'Are you sure you want to proceed?',
+      confirmText = 'Confirm',
+      cancelText = 'Cancel',
+      confirmAction = null,
+      confirmData = {},
+      confirmClass = 'btn--primary'
+    } = options;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal modal--confirm';
+    modal.setAttribute('role', 'alertdialog');
+    modal.setAttribute('aria-labelledby', 'confirm-modal-title');
+    modal.setAttribute('aria-describedby', 'confirm-modal-message');
+
+    modal.innerHTML = `
+      <div class="modal__content">
+        <div class="modal__header">
+          <h2 id="confirm-modal-title" class="modal__title">
+            ${this.escapeHtml(title)}
+          </h2>
+        </div>
+        
+        <div class="modal__body">
+          <p id="confirm-modal-message" class="modal__message">
+            ${this.escapeHtml(message)}
+          </p>
+        </div>
+        
+        <div class="modal__footer">
+          <button 
+            type="button" 
+            class="btn btn--secondary" 
+            data-action="close-modal"
+          >
+            ${this.escapeHtml(cancelText)}
+          </button>
+          <button 
+            type="button" 
+            class="btn ${confirmClass}" 
+            data-action="${confirmAction || 'close-modal'}"
+            ${confirmData ? Object.entries(confirmData).map(([key, value]) => {
+              // Convert camelCase to kebab-case for data attributes
+              const kebabKey = key.replace(/([A-Z])/g, '-$1').toLowerCase();
+              const dataAttr = `data-${kebabKey}="${this.escapeHtml(String(value))}"`;
+              return dataAttr;
+            }).join(' ') : ''}
+          >
+            ${this.escapeHtml(confirmText)}
+          </button>
+        </div>
+      </div>
+    `;
+
+    return modal;
+  }
+
+  /**
+   * Create course add/edit modal
+   * @private
+   */
+  createCourseModal(options) {
+    const { mode = 'add', course = null, courses = [] } = options;
+    const isEdit = mode === 'edit' && course;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal modal--course';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'course-modal-title');
+
+    modal.innerHTML = `
+      <div class="modal__content">
+        <div class="modal__header">
+          <h2 id="course-modal-title" class="modal__title">
+            ${isEdit ? 'Edit Course' : 'Add Course'}
+          </h2>
+          <button 
+            type="button" 
+            class="modal__close" 
+            aria-label="Close modal"
+            data-action="close-modal"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div class="modal__body">
+          <form id="course-form" class="course-form" data-form="course-form" novalidate>
+            <div id="course-error" class="form-error" role="alert"></div>
+            
+            <div class="course-form__row">
+              <div class="form-group">
+                <label for="course-code" class="form-label">
+                  Code <span class="required" aria-label="required">*</span>
+                </label>
+                <input 
+                  type="text" 
+                  id="course-code" 
+                  name="code"
+                  class="form-input" 
+                  required
+                  maxlength="${MAX_COURSE_CODE_LENGTH}"
+                  autocomplete="off"
+                  placeholder="CS101"
+                  value="${isEdit ? this.escapeHtml(course.code) : ''}"
+                >
+              </div>
+              
+              <div class="form-group">
+                <label for="course-color" class="form-label">
+                  Colour
+                </label>
+                <input 
+                  type="color" 
+                  id="course-color" 
+                  name="color"
+                  class="course-form__color"
+                  value="${isEdit ? course.color : getNextCourseColor(courses)}"
+                >
+              </div>
+            </div>
+            
+            <div class="form-group">
+              <label for="course-name" class="form-label">
+                Name <span class="required" aria-label="required">*</span>
+              </label>
+              <input 
+                type="text" 
+                id="course-name" 
+                name="name"
+                class="form-input" 
+                required
+                maxlength="${MAX_COURSE_NAME_LENGTH}"
+                autocomplete="off"
+                placeholder="Introduction to Programming"
+                value="${isEdit ? this.escapeHtml(course.name) : ''}"
+              >
+            </div>
+            
+            <div class="form-group">
+              <label for="course-instructor" class="form-label">
+                Instructor
+              </label>
+              <input 
+                type="text" 
+                id="course-instructor" 
+                name="instructor"
+                class="form-input" 
+                maxlength="${MAX_COURSE_NAME_LENGTH}"
+                autocomplete="off"
+                value="${isEdit ? this.escapeHtml(course.instructor || '') : ''}"
+              >
+            </div>
+            
+            <div class="form-group">
+              <label for="course-credits" class="form-label">
+                Credit Hours
+              </label>
+              <input 
+                type="number" 
+                id="course-credits" 
+                name="creditHours"
+                class="form-input" 
+                min="0"
+                max="${MAX_CREDIT_HOURS}"
+                step="0.5"
+                value="${isEdit ? course.creditHours : 3}"
+              >
+            </div>
+            
+            ${isEdit ? `<input type="hidden" name="id" value="${course.id}">` : ''}
+          </form>
+        </div>
+        
+        <div class="modal__footer">
+          <button 
+            type="button" 
+            class="btn btn--secondary" 
+            data-action="close-modal"
+          >
+            Cancel
+          </button>
+          <button 
+            type="submit" 
+            form="course-form"
+            class="btn btn--primary"
+          >
+            ${isEdit ? 'Update Course' : 'Add Course'}
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.setupCourseFormHandlers(modal, courses);
+
+    return modal;
+  }
+
+  /**
+   * Set up course form validation and submission
+   * @private
+   */
+  setupCourseFormHandlers(modal, courses) {
+    const form = modal.querySelector('.course-form');
+    const errorElement = modal.querySelector('#course-error');
+    const submitButton = modal.querySelector('button[type="submit"]');
+
+    const showError = (message) => {
+      errorElement.textContent = message;
+      submitButton.disabled = false;
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      errorElement.textContent = '';
+
+      const formEntries = Object.fromEntries(new FormData(form).entries());
+      const course = normalizeCourse(formEntries, courses);
+      const errors = validateCourse(course, courses);
+      if (errors.length > 0) {
+        showError(errors[0]);
+        return false;
+      }
+
+      if (!this.eventManager) {
+        showError('Course could not be saved. Please reload the page.');
+        return false;
+      }
+
+      submitButton.disabled = true;
+      this._currentSubmissionCallbacks = {
+        onSuccess: () => this.hide(),
+        onError: (error) => showError(error.message || 'Failed to save course. Please try again.')
+      };
+
+      this.eventManager.emit('submit-course-form', { ...formEntries, mode: formEntries.id ? 'edit' : 'add' });
+      return false;
+    });
+  }
+
+  /**
+   * Create term add/edit modal
+   * @private
+   */
+  createTermModal(options) {
+    const { mode = 'add', term = null, terms = [] } = options;
+    const isEdit = mode === 'edit' && term;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal modal--term';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'term-modal-title');
+
+    modal.innerHTML = `
+      <div class="modal__content">
+        <div class="modal__header">
+          <h2 id="term-modal-title" class="modal__title">
+            ${isEdit ? 'Edit Term' : 'Add Term'}
+          </h2>
+          <button 
+            type="button" 
+            class="modal__close" 
+            aria-label="Close modal"
+            data-action="close-modal"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div class="modal__body">
+          <form id="term-form" class="term-form" data-form="term-form" novalidate>
+            <div id="term-error" class="form-error" role="alert"></div>
+            
+            ${this.renderTermDetailFields('term', isEdit ? term : null)}
+            
+            ${isEdit ? `<input type="hidden" name="id" value="${term.id}">` : ''}
+          </form>
+        </div>
+        
+        <div class="modal__footer">
+          <button 
+            type="button" 
+            class="btn btn--secondary" 
+            data-action="close-modal"
+          >
+            Cancel
+          </button>
+          <button 
+            type="submit" 
+            form="term-form"
+            class="btn btn--primary"
+          >
+            ${isEdit ? 'Update Term' : 'Add Term'}
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.setupTermFormHandlers(modal, terms);
+
+    return modal;
+  }
+
+  /**
+   * Render the name and date inputs shared by the term and rollover forms
+   * @private
+   */
+  renderTermDetailFields(idPrefix, term) {
+    return `
+      <div class="form-group">
+        <label for="${idPrefix}-name" class="form-label">
+          Name <span class="required" aria-label="required">*</span>
+        </label>
+        <input 
+          type="text" 
+          id="${idPrefix}-name" 
+          name="name"
+          class="form-input" 
+          maxlength="${MAX_TERM_NAME_LENGTH}"
+          autocomplete="off"
+          placeholder="Fall 2026"
+          value="${term ? this.escapeHtml(term.name) : ''}"
+        >
+      </div>
+      
+      <div class="term-form__dates">
+        <div class="form-group">
+          <label for="${idPrefix}-start-date" class="form-label">
+            Starts <span class="required" aria-label="required">*</span>
+          </label>
+          <input 
+            type="date" 
+            id="${idPrefix}-start-date" 
+            name="startDate"
+            class="form-input" 
+            value="${term ? term.startDate : ''}"
+          >
+        </div>
+        
+        <div class="form-group">
+          <label for="${idPrefix}-end-date" class="form-label">
+            Ends <span class="required" aria-label="required">*</span>
+          </label>
+          <input 
+            type="date" 
+            id="${idPrefix}-end-date" 
+            name="endDate"
+            class="form-input" 
+            value="${term ? term.endDate : ''}"
+          >
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Set up term form validation and submission
+   * @private
+   */
+  setupTermFormHandlers(modal, terms) {
+    const form = modal.querySelector('.term-form');
+    const errorElement = modal.querySelector('#term-error');
+    const submitButton = modal.querySelector('button[type="submit"]');
+
+    const showError = (message) => {
+      errorElement.textContent = message;
+      submitButton.disabled = false;
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      errorElement.textContent = '';
+
+      const formEntries = Object.fromEntries(new FormData(form).entries());
+      const errors = validateTerm(normalizeTerm(formEntries), terms);
+      if (errors.length > 0) {
+        showError(errors[0]);
+        return false;
+      }
+
+      if (!this.eventManager) {
+        showError('Term could not be saved. Please reload the page.');
+        return false;
+      }
+
+      submitButton.disabled = true;
+      this._currentSubmissionCallbacks = {
+        onSuccess: () => this.hide(),
+        onError: (error) => showError(error.message || 'Failed to save term. Please try again.')
+      };
+
+      this.eventManager.emit('submit-term-form', { ...formEntries, mode: formEntries.id ? 'edit' : 'add' });
+      return false;
+    });
+  }
+
+  /**
+   * Create the term rollover wizard
+   * Step one picks the term to archive and where unfinished work goes;
+   * step two picks which unfinished tasks to carry over.
+   * @private
+   */
+  createRolloverModal(options) {
+    const { terms = [], tasks = [], termId = '' } = options;
+    const openTerms = sortTerms(terms).filter(term => !term.archived);
+    const candidate = getTermById(openTerms, termId) || getRolloverCandidate(terms);
+
+    const modal = document.createElement('div');
+    modal.className = 'modal modal--rollover';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'rollover-modal-title');
+
+    modal.innerHTML = `
+      <div class="modal__content">
+        <div class="modal__header">
+          <h2 id="rollover-modal-title" class="modal__title">
+            Roll Over Term
+          </h2>
+          <button 
+            type="button" 
+            class="modal__close" 
+            aria-label="Close modal"
+            data-action="close-modal"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div class="modal__body">
+          <form id="rollover-form" class="rollover-form" data-form="rollover-form" novalidate>
+            <div id="rollover-error" class="form-error" role="alert"></div>
+            
+            <div class="rollover-form__step" data-step="1">
+              <p class="rollover-form__intro">
+                The finished term is archived and becomes read-only. Unfinished tasks you choose move to the next term.
+              </p>
+              
+              <div class="form-group">
+                <label for="rollover-term" class="form-label">
+                  Term to archive
+                </label>
+                <select id="rollover-term" name="termId" class="form-select">
+                  ${openTerms.map(term => `
+                    <option value="${term.id}" ${term.id === candidate?.id ? 'selected' : ''}>${this.escapeHtml(term.name)} (${formatTermDates(term)})</option>
+                  `).join('')}
+                </select>
+              </div>
+              
+              <div class="form-group">
+                <label for="rollover-next-term" class="form-label">
+                  Carry unfinished work over to
+                </label>
+                <select id="rollover-next-term" name="nextTermId" class="form-select">
+                  ${openTerms.map(term => `
+                    <option value="${term.id}">${this.escapeHtml(term.name)}</option>
+                  `).join('')}
+                  <option value="">A new term</option>
+                </select>
+              </div>
+              
+              <fieldset class="rollover-form__new-term">
+                <legend class="form-label">New term</legend>
+                ${this.renderTermDetailFields('rollover-next', null)}
+              </fieldset>
+            </div>
+            
+            <div class="rollover-form__step" data-step="2" hidden>
+              <div class="rollover-form__tasks"></div>
+            </div>
+          </form>
+        </div>
+        
+        <div class="modal__footer">
+          <button 
+            type="button" 
+            class="btn btn--secondary" 
+            data-action="close-modal"
+          >
+            Cancel
+          </button>
+          <button 
+            type="button" 
+            class="btn btn--secondary rollover-form__back"
+            hidden
+          >
+            Back
+          </button>
+          <button 
+            type="button" 
+            class="btn btn--primary rollover-form__next"
+          >
+            Next
+          </button>
+          <button 
+            type="submit" 
+            form="rollover-form"
+            class="btn btn--primary"
+            hidden
+          >
+            Archive Term
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.setupRolloverFormHandlers(modal, terms, tasks);
+
+    return modal;
+  }
+
+  /**
+   * Render the carry-over checklist for the rollover wizard
+   * @private
+   */
+  renderRolloverTaskList(term, tasks) {
+    const unfinished = getUnfinishedTasks(tasks, term);
+    if (unfinished.length === 0) {
+      return `
+        <p class="rollover-form__empty">
+          Everything in ${this.escapeHtml(term.name)} is finished. It will be archived with nothing to carry over.
+        </p>
+      `;
+    }
+
+    return `
+      <p class="rollover-form__intro">
+        ${unfinished.length} unfinished ${unfinished.length === 1 ? 'task' : 'tasks'} in ${this.escapeHtml(term.name)}. Untick any that should stay behind in the archive.
+      </p>
+      <ul class="rollover-form__task-list">
+        ${unfinished.map(task => `
+          <li class="rollover-form__task">
+            <label class="rollover-form__task-label">
+              <input type="checkbox" name="carryOverTaskIds" value="${task.id}" checked>
+              <span class="rollover-form__task-title">${this.escapeHtml(task.title)}</span>
+              <span class="rollover-form__task-due">Due ${this.escapeHtml(task.dueDate)}</span>
+            </label>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Set up rollover wizard navigation, validation and submission
+   * @private
+   */
+  setupRolloverFormHandlers(modal, terms, tasks) {
+    const form = modal.querySelector('.rollover-form');
+    const errorElement = modal.querySelector('#rollover-error');
+    const steps = form.querySelectorAll('.rollover-form__step');
+    const newTermFields = form.querySelector('.rollover-form__new-term');
+    const termSelect = form.querySelector('[name="termId"]');
+    const nextTermSelect = form.querySelector('[name="nextTermId"]');
+    const backButton = modal.querySelector('.rollover-form__back');
+    const nextButton = modal.querySelector('.rollover-form__next');
+    const submitButton = modal.querySelector('button[type="submit"]');
+
+    const showError = (message) => {
+      errorElement.textContent = message;
+      submitButton.disabled = false;
+    };
+
+    const showStep = (step) => {
+      steps.forEach(element => {
+        element.hidden = element.dataset.step !== String(step);
+      });
+      backButton.hidden = step === 1;
+      nextButton.hidden = step !== 1;
+      submitButton.hidden = step === 1;
+    };
+
+    // A term can't carry its work over to itself
+    const syncNextTerm = () => {
+      Array.from(nextTermSelect.options).forEach(option => {
+        option.disabled = option.value !== '' && option.value === termSelect.value;
+      });
+      if (nextTermSelect.selectedOptions[0]?.disabled) {
+        const firstOther = Array.from(nextTermSelect.options).find(option => !option.disabled);
+        nextTermSelect.value = firstOther ? firstOther.value : '';
+      }
+      newTermFields.hidden = nextTermSelect.value !== '';
+    };
+
+    const getNextTerm = () => {
+      if (nextTermSelect.value !== '') {
+        return null;
+      }
+      return {
+        name: form.querySelector('[name="name"]').value,
+        startDate: form.querySelector('[name="startDate"]').value,
+        endDate: form.querySelector('[name="endDate"]').value
+      };
+    };
+
+    termSelect.addEventListener('change', syncNextTerm);
+    nextTermSelect.addEventListener('change', syncNextTerm);
+    syncNextTerm();
+
+    nextButton.addEventListener('click', () => {
+      errorElement.textContent = '';
+
+      const term = getTermById(terms, termSelect.value);
+      if (!term) {
+        showError('Choose the term to archive');
+        return;
+      }
+
+      const nextTerm = getNextTerm();
+      if (nextTerm) {
+        const errors = validateTerm(normalizeTerm(nextTerm), terms);
+        if (errors.length > 0) {
+          showError(errors[0]);
+          return;
+        }
+      }
+
+      form.querySelector('.rollover-form__tasks').innerHTML = this.renderRolloverTaskList(term, tasks);
+      showStep(2);
+      submitButton.focus();
+    });
+
+    backButton.addEventListener('click', () => {
+      errorElement.textContent = '';
+      showStep(1);
+      nextButton.focus();
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      // Pressing Enter on the first step moves on instead of archiving
+      if (!nextButton.hidden) {
+        nextButton.click();
+        return false;
+      }
+
+      errorElement.textContent = '';
+
+      if (!this.eventManager) {
+        showError('Term could not be rolled over. Please reload the page.');
+        return false;
+      }
+
+      submitButton.disabled = true;
+      this._currentSubmissionCallbacks = {
+        onSuccess: () => this.hide(),
+        onError: (error) => showError(error.message || 'Failed to roll over term. Please try again.')
+      };
+
+      this.eventManager.emit('submit-rollover-form', {
+        termId: termSelect.value,
+        nextTermId: nextTermSelect.value,
+        nextTerm: getNextTerm(),
+        carryOverTaskIds: new FormData(form).getAll('carryOverTaskIds')
+      });
+      return false;
+    });
+  }
+
+  /**
+   * Create template add/edit modal
+   * A template from an existing task arrives as an unsaved template in add mode.
+   * @private
+   */
+  createTemplateModal(options) {
+    const { mode = 'add', template = null, templates = [], courses = [], tasks = [] } = options;
+    const isEdit = mode === 'edit' && template?.id;
+    const values = template || {};
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal modal--template';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'template-modal-title');
+
+    modal.innerHTML = `
+      <div class="modal__content">
+        <div class="modal__header">
+          <h2 id="template-modal-title" class="modal__title">
+            ${isEdit ? 'Edit Template' : 'Add Template'}
+          </h2>
+          <button 
+            type="button" 
+            class="modal__close" 
+            aria-label="Close modal"
+            data-action="close-modal"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div class="modal__body">
+          <form id="template-form" class="template-form" data-form="template-form" novalidate>
+            <div id="template-error" class="form-error" role="alert"></div>
+            
+            <div class="form-group">
+              <label for="template-name" class="form-label">
+                Template Name <span class="required" aria-label="required">*</span>
+              </label>
+              <input 
+                type="text" 
+                id="template-name" 
+                name="name"
+                class="form-input" 
+                required
+                maxlength="${MAX_TEMPLATE_NAME_LENGTH}"
+                autocomplete="off"
+                placeholder="Lab report"
+                value="${this.escapeHtml(values.name || '')}"
+              >
+            </div>
+            
+            <div class="form-group">
+              <label for="template-title" class="form-label">
+                Task Title
+              </label>
+              <input 
+                type="text" 
+                id="template-title" 
+                name="title"
+                class="form-input" 
+                autocomplete="off"
+                aria-describedby="template-title-help"
+                value="${this.escapeHtml(values.title || '')}"
+              >
+              <div id="template-title-help" class="form-help">
+                Optional; pre-fills the task title so you only add what changes, like the lab number
+              </div>
+            </div>
+            
+            <div class="template-form__row">
+              <div class="form-group">
+                <label for="template-due-offset" class="form-label">
+                  Due (days after creation)
+                </label>
+                <input 
+                  type="number" 
+                  id="template-due-offset" 
+                  name="dueOffsetDays"
+                  class="form-input" 
+                  min="0"
+                  max="${MAX_DUE_OFFSET_DAYS}"
+                  step="1"
+                  aria-describedby="template-due-help"
+                  value="${values.dueOffsetDays ?? ''}"
+                >
+                <div id="template-due-help" class="form-help">
+                  Leave empty to pick the due date each time
+                </div>
+              </div>
+              
+              <div class="form-group">
+                <label for="template-due-time" class="form-label">
+                  Due Time
+                </label>
+                <input 
+                  type="time" 
+                  id="template-due-time" 
+                  name="dueTime"
+                  class="form-input" 
+                  value="${values.dueTime || ''}"
+                >
+              </div>
+              
+              <div class="form-group">
+                <label for="template-duration" class="form-label">
+                  Duration (minutes)
+                </label>
+                <input 
+                  type="number" 
+                  id="template-duration" 
+                  name="duration"
+                  class="form-input" 
+                  min="1"
+                  step="1"
+                  value="${values.duration || ''}"
+                >
+              </div>
+            </div>
+            
+            ${this.renderCourseField(values.courseId || '', courses)}
+            
+            ${this.renderTagFields(values.tags || [], tasks)}
+            
+            <div class="form-group">
+              <label for="template-priority" class="form-label">
+                Priority
+              </label>
+              <select 
+                id="template-priority" 
+                name="priority"
+                class="form-select"
+              >
+                ${Object.values(PriorityLevels).map(level => `
+                  <option value="${level}" ${(values.priority || DEFAULT_PRIORITY) === level ? 'selected' : ''}>${PRIORITY_LABELS[level]}</option>
+                `).join('')}
+              </select>
+            </div>
+            
+            <div class="form-group">
+              <label for="template-notes" class="form-label">
+                Notes
+              </label>
+              <textarea 
+                id="template-notes" 
+                name="notes"
+                class="form-textarea task-notes-input"
+                rows="5"
+                maxlength="${MAX_NOTES_LENGTH}"
+                placeholder="Skeleton for the notes, e.g. ## Aim, ## Method, ## Results"
+              >${this.escapeHtml(values.notes || '')}</textarea>
+            </div>
+            
+            ${this.renderSubtaskFields(values.subtasks)}
+            
+            ${isEdit ? `<input type="hidden" name="id" value="${template.id}">` : ''}
+          </form>
+        </div>
+        
+        <div class="modal__footer">
+          <button 
+            type="button" 
+            class="btn btn--secondary" 
+            data-action="close-modal"
+          >
+            Cancel
+          </button>
+          <button 
+            type="submit" 
+            form="template-form"
+            class="btn btn--primary"
+          >
+            ${isEdit ? 'Update Template' : 'Save Template'}
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.setupTemplateFormHandlers(modal, templates);
+
+    return modal;
+  }
+
+  /**
+   * Set up template form validation and submission
+   * @private
+   */
+  setupTemplateFormHandlers(modal, templates) {
+    const form = modal.querySelector('.template-form');
+    const errorElement = modal.querySelector('#template-error');
+    const submitButton = modal.querySelector('button[type="submit"]');
+
+    this.setupTagHandlers(form);
+    this.setupSubtaskHandlers(form);
+
+    const showError = (message) => {
+      errorElement.textContent = message;
+      submitButton.disabled = false;
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      errorElement.textContent = '';
+
+      const formData = new FormData(form);
+      const { tag, tags, subtaskId, subtaskStatus, subtaskTitle, subtaskDuration, ...formEntries } = Object.fromEntries(formData.entries());
+      const templateData = {
+        ...formEntries,
+        tags: this.getTagsFromForm(formData),
+        subtasks: this.getSubtasksFromForm(formData)
+      };
+
+      const errors = validateTemplate(normalizeTemplate(templateData), templates);
+      if (errors.length > 0) {
+        showError(errors[0]);
+        return false;
+      }
+
+      if (!this.eventManager) {
+        showError('Template could not be saved. Please reload the page.');
+        return false;
+      }
 
-    // Use requestAnimationFrame for smoother animation
-    requestAnimationFrame(() => {
-      setTimeout(() => {
-        if (modalElement && modalElement.parentNode) {
-          modalElement.parentNode.removeChild(modalElement);
-        }
-        
-        // Hide container if no more modals
-        if (this.modalStack.length === 0) {
-          this.modalContainer.classList.remove('modal-container--open');
-          this.modalContainer.setAttribute('aria-hidden', 'true');
-          document.body.classList.remove('modal-open');
-          
-          // Clear any inline styles
-          this.modalContainer.style.cssText = '';
-        }
-      }, 200); // Reduced timeout for faster response
+      submitButton.disabled = true;
+      this._currentSubmissionCallbacks = {
+        onSuccess: () => this.hide(),
+        onError: (error) => showError(error.message || 'Failed to save template. Please try again.')
+      };
+
+      this.eventManager.emit('submit-template-form', { ...templateData, mode: templateData.id ? 'edit' : 'add' });
+      return false;
     });
   }
 
   /**
-   * Create task modal
+   * Create exam add/edit modal
    * @private
    */
-  createTaskModal(options) {
-    const { mode = 'add', task = null } = options;
-    const isEdit = mode === 'edit' && task;
+  createExamModal(options) {
+    const { mode = 'add', exam = null, courses = [] } = options;
+    const isEdit = mode === 'edit' && exam;
+    const values = exam || {};
     
     const modal = document.createElement('div');
-    modal.className = 'modal modal--task';
+    modal.className = 'modal modal--exam';
     modal.setAttribute('role', 'dialog');
-    modal.setAttribute('aria-labelledby', 'task-modal-title');
-    modal.setAttribute('aria-describedby', 'task-modal-description');
+    modal.setAttribute('aria-labelledby', 'exam-modal-title');
 
     modal.innerHTML = `
       <div class="modal__content">
         <div class="modal__header">
-          <h2 id="task-modal-title" class="modal__title">
-            ${isEdit ? 'Edit Task' : 'Add New Task'}
+          <h2 id="exam-modal-title" class="modal__title">
+            ${isEdit ? 'Edit Exam' : 'Add Exam'}
           </h2>
           <button 
             type="button" 
@@ -442,96 +2503,132 @@ export class ModalManager {
         </div>
         
         <div class="modal__body">
-          <p id="task-modal-description" class="modal__description">
-            ${isEdit ? 'Update the task details below.' : 'Fill in the details for your new task.'}
-          </p>
-          
-          <form id="task-form" class="task-form" data-form="task-form" novalidate>
+          <form id="exam-form" class="exam-form" data-form="exam-form" novalidate>
+            <div id="exam-error" class="form-error" role="alert"></div>
+            
             <div class="form-group">
-              <label for="task-title" class="form-label">
-                Task Title <span class="required" aria-label="required">*</span>
+              <label for="exam-title" class="form-label">
+                Exam <span class="required" aria-label="required">*</span>
               </label>
               <input 
                 type="text" 
-                id="task-title" 
+                id="exam-title" 
                 name="title"
                 class="form-input" 
                 required
+                maxlength="${MAX_EXAM_TITLE_LENGTH}"
                 autocomplete="off"
-                aria-describedby="title-help title-error"
-                value="${isEdit ? this.escapeHtml(task.title) : ''}"
+                placeholder="Calculus midterm"
+                value="${this.escapeHtml(values.title || '')}"
               >
-              <div id="title-help" class="form-help">
-                Enter a descriptive title for your task
-              </div>
-              <div id="title-error" class="form-error" role="alert"></div>
             </div>
             
-            <div class="form-group">
-              <label for="task-due-date" class="form-label">
-                Due Date <span class="required" aria-label="required">*</span>
-              </label>
-              <input 
-                type="date" 
-                id="task-due-date" 
-                name="dueDate"
-                class="form-input" 
-                required
-                aria-describedby="date-help date-error"
-                value="${isEdit ? task.dueDate : ''}"
-              >
-              <div id="date-help" class="form-help">
-                Select when this task is due
+            <div class="exam-form__row">
+              <div class="form-group">
+                <label for="exam-date" class="form-label">
+                  Date <span class="required" aria-label="required">*</span>
+                </label>
+                <input 
+                  type="date" 
+                  id="exam-date" 
+                  name="date"
+                  class="form-input" 
+                  required
+                  value="${values.date || ''}"
+                >
+              </div>
+              
+              <div class="form-group">
+                <label for="exam-time" class="form-label">
+                  Time
+                </label>
+                <input 
+                  type="time" 
+                  id="exam-time" 
+                  name="time"
+                  class="form-input" 
+                  value="${values.time || ''}"
+                >
               </div>
-              <div id="date-error" class="form-error" role="alert"></div>
             </div>
             
+            ${this.renderCourseField(values.courseId || '', courses)}
+            
             <div class="form-group">
-              <label for="task-duration" class="form-label">
-                Duration (minutes) <span class="required" aria-label="required">*</span>
+              <label for="exam-topics" class="form-label">
+                Topics
               </label>
-              <input 
-                type="number" 
-                id="task-duration" 
-                name="duration"
-                class="form-input" 
-                min="1"
-                step="1"
-                required
-                aria-describedby="duration-help duration-error"
-                value="${isEdit ? task.duration || '' : ''}"
-              >
-              <div id="duration-help" class="form-help">
-                Estimated time to complete this task in minutes
+              <textarea 
+                id="exam-topics" 
+                name="topics"
+                class="form-textarea"
+                rows="4"
+                aria-describedby="exam-topics-help"
+                placeholder="Limits&#10;Derivatives&#10;Integrals"
+              >${this.escapeHtml((values.topics || []).join('\n'))}</textarea>
+              <div id="exam-topics-help" class="form-help">
+                One per line; each study session covers the next topic
               </div>
-              <div id="duration-error" class="form-error" role="alert"></div>
             </div>
             
-            <div class="form-group">
-              <label for="task-tag" class="form-label">
-                Category/Tag
-              </label>
-              <input 
-                type="text" 
-                id="task-tag" 
-                name="tag"
-                class="form-input" 
-                aria-describedby="tag-help tag-error"
-                value="${isEdit ? this.escapeHtml(task.tag || '') : ''}"
-                placeholder="e.g., Programming, Study, Assignment"
-              >
-              <div id="tag-help" class="form-help">
-                Optional category to organize your tasks
+            <div class="exam-form__row">
+              <div class="form-group">
+                <label for="exam-study-hours" class="form-label">
+                  Study Hours <span class="required" aria-label="required">*</span>
+                </label>
+                <input 
+                  type="number" 
+                  id="exam-study-hours" 
+                  name="studyHours"
+                  class="form-input" 
+                  min="0.5"
+                  max="${MAX_STUDY_HOURS}"
+                  step="0.5"
+                  value="${values.studyHours ?? 10}"
+                >
+              </div>
+              
+              <div class="form-group">
+                <label for="exam-session-minutes" class="form-label">
+                  Session Length (minutes)
+                </label>
+                <input 
+                  type="number" 
+                  id="exam-session-minutes" 
+                  name="sessionMinutes"
+                  class="form-input" 
+                  min="${MIN_SESSION_MINUTES}"
+                  max="${MAX_SESSION_MINUTES}"
+                  step="5"
+                  value="${values.sessionMinutes ?? DEFAULT_SESSION_MINUTES}"
+                >
               </div>
-              <div id="tag-error" class="form-error" role="alert"></div>
             </div>
             
+            <fieldset class="form-group exam-form__spacing">
+              <legend class="form-label">Spread Sessions</legend>
+              ${Object.values(ExamSpacing).map(spacing => `
+                <label class="exam-form__spacing-option">
+                  <input 
+                    type="radio" 
+                    name="spacing" 
+                    value="${spacing}"
+                    ${(values.spacing || ExamSpacing.EVEN) === spacing ? 'checked' : ''}
+                  >
+                  ${SPACING_LABELS[spacing]}
+                </label>
+              `).join('')}
+              <div class="form-help">
+                Spaced repetition leaves a longer gap after each session, so every topic comes back for review before the exam
+              </div>
+            </fieldset>
+            
             ${isEdit ? `
-              <input type="hidden" name="id" value="${task.id}">
-              <input type="hidden" name="mode" value="edit">
-            ` : `
-              <input type="hidden" name="mode" value="add">
-            `}
+              <p class="form-help">
+                Changing the date, topics or study time replans the sessions you haven't started yet
+              </p>
+              <input type="hidden" name="id" value="${exam.id}">
+            ` : ''}
           </form>
         </div>
         
@@ -545,55 +2642,120 @@ export class ModalManager {
           </button>
           <button 
             type="submit" 
-            form="task-form"
+            form="exam-form"
             class="btn btn--primary"
-            data-action="submit-task"
           >
-            ${isEdit ? 'Update Task' : 'Add Task'}
+            ${isEdit ? 'Update Exam' : 'Add Exam & Plan Study'}
           </button>
         </div>
       </div>
     `;
 
-    // Set up form validation and submission
-    this.setupTaskFormHandlers(modal);
+    this.setupExamFormHandlers(modal);
 
     return modal;
   }
 
   /**
-   * Create confirmation modal
+   * Set up exam form validation and submission
    * @private
    */
-  createConfirmModal(options) {
-    const {
-      title = 'Confirm Action',
-      message = 'Are you sure you want to proceed?',
-      confirmText = 'Confirm',
-      cancelText = 'Cancel',
-      confirmAction = null,
-      confirmData = {},
-      confirmClass = 'btn--primary'
-    } = options;
+  setupExamFormHandlers(modal) {
+    const form = modal.querySelector('.exam-form');
+    const errorElement = modal.querySelector('#exam-error');
+    const submitButton = modal.querySelector('button[type="submit"]');
+
+    const showError = (message) => {
+      errorElement.textContent = message;
+      submitButton.disabled = false;
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      errorElement.textContent = '';
+
+      const formEntries = Object.fromEntries(new FormData(form).entries());
+      const examData = { ...formEntries, topics: normalizeTopics(formEntries.topics) };
+      const errors = validateExam(normalizeExam(examData));
+      if (errors.length > 0) {
+        showError(errors[0]);
+        return false;
+      }
+
+      if (!this.eventManager) {
+        showError('Exam could not be saved. Please reload the page.');
+        return false;
+      }
+
+      submitButton.disabled = true;
+      this._currentSubmissionCallbacks = {
+        onSuccess: () => this.hide(),
+        onError: (error) => showError(error.message || 'Failed to save exam. Please try again.')
+      };
+
+      this.eventManager.emit('submit-exam-form', { ...examData, mode: examData.id ? 'edit' : 'add' });
+      return false;
+    });
+  }
 
+  /**
+   * Create smart list modal
+   * Saves the given view under a name, or renames an existing list.
+   * @private
+   */
+  createSmartListModal(options) {
+    const { mode = 'add', smartList, smartLists = [] } = options;
+    const isEdit = mode === 'edit';
+    
     const modal = document.createElement('div');
-    modal.className = 'modal modal--confirm';
-    modal.setAttribute('role', 'alertdialog');
-    modal.setAttribute('aria-labelledby', 'confirm-modal-title');
-    modal.setAttribute('aria-describedby', 'confirm-modal-message');
+    modal.className = 'modal modal--smart-list';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'smart-list-modal-title');
 
     modal.innerHTML = `
       <div class="modal__content">
         <div class="modal__header">
-          <h2 id="confirm-modal-title" class="modal__title">
-            ${this.escapeHtml(title)}
+          <h2 id="smart-list-modal-title" class="modal__title">
+            ${isEdit ? 'Rename Smart List' : 'Save Smart List'}
           </h2>
+          <button 
+            type="button" 
+            class="modal__close" 
+            aria-label="Close modal"
+            data-action="close-modal"
+          >
+            ×
+          </button>
         </div>
         
         <div class="modal__body">
-          <p id="confirm-modal-message" class="modal__message">
-            ${this.escapeHtml(message)}
-          </p>
+          <form id="smart-list-form" class="smart-list-form" data-form="smart-list-form" novalidate>
+            <div id="smart-list-error" class="form-error" role="alert"></div>
+            
+            <div class="form-group">
+              <label for="smart-list-name" class="form-label">
+                Name <span class="required" aria-label="required">*</span>
+              </label>
+              <input 
+                type="text" 
+                id="smart-list-name" 
+                name="name"
+                class="form-input" 
+                required
+                maxlength="${MAX_SMART_LIST_NAME_LENGTH}"
+                autocomplete="off"
+                placeholder="Due this week"
+                aria-describedby="smart-list-view"
+                value="${this.escapeHtml(smartList.name || '')}"
+              >
+            </div>
+            
+            <p id="smart-list-view" class="form-help">
+              Shows ${this.escapeHtml(describeSmartList(smartList))}
+            </p>
+            
+            ${isEdit ? `<input type="hidden" name="id" value="${smartList.id}">` : ''}
+          </form>
         </div>
         
         <div class="modal__footer">
@@ -602,28 +2764,66 @@ export class ModalManager {
             class="btn btn--secondary" 
             data-action="close-modal"
           >
-            ${this.escapeHtml(cancelText)}
+            Cancel
           </button>
           <button 
-            type="button" 
-            class="btn ${confirmClass}" 
-            data-action="${confirmAction || 'close-modal'}"
-            ${confirmData ? Object.entries(confirmData).map(([key, value]) => {
-              // Convert camelCase to kebab-case for data attributes
-              const kebabKey = key.replace(/([A-Z])/g, '-$1').toLowerCase();
-              const dataAttr = `data-${kebabKey}="${this.escapeHtml(String(value))}"`;
-              return dataAttr;
-            }).join(' ') : ''}
+            type="submit" 
+            form="smart-list-form"
+            class="btn btn--primary"
           >
-            ${this.escapeHtml(confirmText)}
+            ${isEdit ? 'Rename' : 'Save Smart List'}
           </button>
         </div>
       </div>
     `;
 
+    this.setupSmartListFormHandlers(modal, smartList, smartLists);
+
     return modal;
   }
 
+  /**
+   * Set up smart list form validation and submission
+   * @private
+   */
+  setupSmartListFormHandlers(modal, smartList, smartLists) {
+    const form = modal.querySelector('.smart-list-form');
+    const errorElement = modal.querySelector('#smart-list-error');
+    const submitButton = modal.querySelector('button[type="submit"]');
+
+    const showError = (message) => {
+      errorElement.textContent = message;
+      submitButton.disabled = false;
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      errorElement.textContent = '';
+
+      const { id, name } = Object.fromEntries(new FormData(form).entries());
+      const listData = { ...smartList, id, name };
+      const errors = validateSmartList(normalizeSmartList(listData), smartLists);
+      if (errors.length > 0) {
+        showError(errors[0]);
+        return false;
+      }
+
+      if (!this.eventManager) {
+        showError('Smart list could not be saved. Please reload the page.');
+        return false;
+      }
+
+      submitButton.disabled = true;
+      this._currentSubmissionCallbacks = {
+        onSuccess: () => this.hide(),
+        onError: (error) => showError(error.message || 'Failed to save smart list. Please try again.')
+      };
+
+      this.eventManager.emit('submit-smart-list-form', { ...listData, mode: id ? 'edit' : 'add' });
+      return false;
+    });
+  }
+
   /**
    * Create custom modal
    * @private
@@ -684,6 +2884,12 @@ export class ModalManager {
       return;
     }
 
+    this.setupTagHandlers(form);
+    this.setupSubtaskHandlers(form);
+    this.setupAttachmentHandlers(form);
+    this.setupTimeLogHandlers(form);
+    this.setupRecurrenceHandlers(form);
+
     // Set up real-time validation
     const inputs = form.querySelectorAll('input[required]');
     
@@ -770,12 +2976,95 @@ export class ModalManager {
         return false;
       }
       
+      // Build and validate the recurrence rule
+      const { recurrence, errors: recurrenceErrors } = this.getRecurrenceFromForm(formData);
+      if (recurrenceErrors.length > 0) {
+        const recurrenceError = form.querySelector('#recurrence-error');
+        if (recurrenceError) {
+          recurrenceError.textContent = recurrenceErrors[0];
+        }
+        
+        // Re-enable form
+        form.dataset.submitting = 'false';
+        if (submitButton) {
+          submitButton.disabled = false;
+          submitButton.textContent = originalText || 'Add Task';
+        }
+        return false;
+      }
+      
+      // Validate manually edited work sessions
+      const { timeLog, errors: timeLogErrors } = this.getTimeLogFromForm(form, formData);
+      if (timeLogErrors.length > 0) {
+        const timeLogError = form.querySelector('#timeLog-error');
+        if (timeLogError) {
+          timeLogError.textContent = timeLogErrors[0];
+        }
+        
+        // Re-enable form
+        form.dataset.submitting = 'false';
+        if (submitButton) {
+          submitButton.disabled = false;
+          submitButton.textContent = originalText || 'Add Task';
+        }
+        return false;
+      }
+      
+      // Validate assessment weight and score
+      const { grade, errors: gradeErrors } = this.getGradeFromForm(formData);
+      if (gradeErrors.length > 0) {
+        const gradeError = form.querySelector('#grade-error');
+        if (gradeError) {
+          gradeError.textContent = gradeErrors[0];
+        }
+        
+        // Re-enable form
+        form.dataset.submitting = 'false';
+        if (submitButton) {
+          submitButton.disabled = false;
+          submitButton.textContent = originalText || 'Add Task';
+        }
+        return false;
+      }
+      
+      // Validate new files and reference links
+      const { attachments, files: attachmentFiles, links, errors: attachmentErrors } = this.getAttachmentsFromForm(formData);
+      if (attachmentErrors.length > 0) {
+        const attachmentError = form.querySelector('#attachments-error');
+        if (attachmentError) {
+          attachmentError.textContent = attachmentErrors[0];
+        }
+        
+        // Re-enable form
+        form.dataset.submitting = 'false';
+        if (submitButton) {
+          submitButton.disabled = false;
+          submitButton.textContent = originalText || 'Add Task';
+        }
+        return false;
+      }
+      
       // Clean up and validate the data before submitting
       const cleanData = {
         title: title,
         dueDate: dueDate,
         duration: parseInt(duration),
-        tag: formEntries.tag?.trim() || 'General',
+        dueTime: formEntries.dueTime || '',
+        tags: this.getTagsFromForm(formData),
+        priority: formEntries.priority || DEFAULT_PRIORITY,
+        subtasks: this.getSubtasksFromForm(formData),
+        notes: formEntries.notes || '',
+        courseId: formEntries.courseId || '',
+        termId: formEntries.termId || '',
+        grade: grade,
+        attachments: attachments,
+        attachmentFiles: attachmentFiles,
+        links: links,
+        blockedBy: formData.getAll('blockedBy'),
+        status: formEntries.status || undefined,
+        timeLog: timeLog,
+        recurrence: recurrence,
+        id: formEntries.id,
         mode: formEntries.mode || 'add'
       };
       
@@ -893,11 +3182,19 @@ export class ModalManager {
           }
           break;
           
+        case 'dueTime':
+          // Due time validation: 24-hour HH:MM
+          if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+            isValid = false;
+            errorMessage = 'Please enter a valid time';
+          }
+          break;
+          
         case 'tag':
-          // Tag validation: letters, spaces, hyphens only
-          if (value && !/^[A-Za-z]+(?:[ -][A-Za-z]+)*$/.test(value)) {
+          // Tag validation: letters, spaces, hyphens only (commas separate tags)
+          if (value && !normalizeTags(value).every(tag => /^[A-Za-z]+(?:[ -][A-Za-z]+)*$/.test(tag))) {
             isValid = false;
-            errorMessage = 'Category can only contain letters, spaces, and hyphens';
+            errorMessage = 'Tags can only contain letters, spaces, and hyphens';
           }
           break;
       }
@@ -963,6 +3260,10 @@ export class ModalManager {
   announceModal(type, options) {
     const messages = {
       task: options.mode === 'edit' ? 'Edit task dialog opened' : 'Add task dialog opened',
+      course: options.mode === 'edit' ? 'Edit course dialog opened' : 'Add course dialog opened',
+      term: options.mode === 'edit' ? 'Edit term dialog opened' : 'Add term dialog opened',
+      rollover: 'Term rollover dialog opened',
+      template: options.mode === 'edit' ? 'Edit template dialog opened' : 'Add template dialog opened',
       confirm: 'Confirmation dialog opened',
       custom: `${options.title || 'Dialog'} opened`
     };
@@ -1060,9 +3361,10 @@ export class ToastManager {
    * @param {string} message - Toast message
    * @param {string} type - Toast type ('success', 'error', 'warning', 'info')
    * @param {number} duration - Duration in milliseconds
+   * @param {Object} action - Optional button, as { label, onClick }
    */
-  show(message, type = 'info', duration = this.defaultDuration) {
-    const toast = this.createToast(message, type, duration);
+  show(message, type = 'info', duration = this.defaultDuration, action = null) {
+    const toast = this.createToast(message, type, duration, action);
     
     // Add to queue
     this.toastQueue.push(toast);
@@ -1095,7 +3397,7 @@ export class ToastManager {
    * Create toast element
    * @private
    */
-  createToast(message, type, duration) {
+  createToast(message, type, duration, action) {
     const toastId = `toast-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     const element = document.createElement('div');
@@ -1111,6 +3413,11 @@ export class ToastManager {
         <div class="toast__message">
           ${this.escapeHtml(message)}
         </div>
+        ${action ? `
+          <button type="button" class="toast__action">
+            ${this.escapeHtml(action.label)}
+          </button>
+        ` : ''}
         <button 
           type="button" 
           class="toast__close" 
@@ -1141,6 +3448,13 @@ export class ToastManager {
       this.hide(toast);
     });
 
+    if (action) {
+      element.querySelector('.toast__action').addEventListener('click', () => {
+        this.hide(toast);
+        action.onClick();
+      });
+    }
+
     return toast;
   }
 
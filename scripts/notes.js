@@ -0,0 +1,59 @@
+/**
+ * Notes module for long-form task notes
+ * Notes are stored as Markdown source and rendered through the markdown sanitizer
+ */
+
+/**
+ * Longest notes a task can hold (roughly a few pages of instructions)
+ */
+export const MAX_NOTES_LENGTH = 10000;
+
+/**
+ * Normalize raw notes input
+ * Line endings are unified and surrounding blank space trimmed.
+ * @param {string} notes - Raw notes
+ * @returns {string} Normalized notes ('' when there are none)
+ */
+export function normalizeNotes(notes) {
+  if (typeof notes !== 'string') {
+    return '';
+  }
+  return notes.replace(/\r\n?/g, '\n').trim();
+}
+
+/**
+ * Check whether a task has notes
+ * @param {Object} task - Task object
+ * @returns {boolean} True if the task has notes
+ */
+export function hasNotes(task) {
+  return typeof task?.notes === 'string' && task.notes.trim() !== '';
+}
+
+/**
+ * Validate task notes
+ * @param {string} notes - Notes to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateNotes(notes) {
+  const errors = [];
+
+  if (notes === undefined) {
+    return errors;
+  }
+
+  if (typeof notes !== 'string') {
+    errors.push('notes must be a string');
+  } else if (notes.length > MAX_NOTES_LENGTH) {
+    errors.push(`notes must be ${MAX_NOTES_LENGTH} characters or less`);
+  }
+
+  return errors;
+}
+
+export default {
+  MAX_NOTES_LENGTH,
+  normalizeNotes,
+  hasNotes,
+  validateNotes
+};
@@ -0,0 +1,97 @@
+/**
+ * Priority module for task importance and urgency scoring
+ * Combines priority with time until the due date for urgency-aware sorting
+ */
+
+import { parseDateOnly } from './recurrence.js';
+import { isClosedStatus } from './statuses.js';
+
+/**
+ * Available priority levels, lowest to highest
+ */
+export const PriorityLevels = {
+  LOW: 'low',
+  NORMAL: 'normal',
+  HIGH: 'high',
+  CRITICAL: 'critical'
+};
+
+export const DEFAULT_PRIORITY = PriorityLevels.NORMAL;
+
+/**
+ * Numeric weight of each priority level
+ */
+export const PRIORITY_WEIGHTS = {
+  [PriorityLevels.LOW]: 1,
+  [PriorityLevels.NORMAL]: 2,
+  [PriorityLevels.HIGH]: 3,
+  [PriorityLevels.CRITICAL]: 4
+};
+
+/**
+ * Display labels for each priority level
+ */
+export const PRIORITY_LABELS = {
+  [PriorityLevels.LOW]: 'Low',
+  [PriorityLevels.NORMAL]: 'Normal',
+  [PriorityLevels.HIGH]: 'High',
+  [PriorityLevels.CRITICAL]: 'Critical'
+};
+
+/**
+ * Check whether a value is a known priority level
+ * @param {string} priority - Priority to check
+ * @returns {boolean} True if valid
+ */
+export function isValidPriority(priority) {
+  return Object.values(PriorityLevels).includes(priority);
+}
+
+/**
+ * Get the numeric weight of a task's priority (missing priority counts as normal)
+ * @param {Object} task - Task object
+ * @returns {number} Priority weight
+ */
+export function getPriorityWeight(task) {
+  return PRIORITY_WEIGHTS[task?.priority] || PRIORITY_WEIGHTS[DEFAULT_PRIORITY];
+}
+
+/**
+ * Calculate an urgency score from priority and days until the due date
+ * Priority weight is divided by the days remaining (plus one), so a
+ * critical task due in three days outranks a normal task due in two.
+ * Overdue tasks grow more urgent for up to two weeks past due.
+ * Completed and cancelled tasks always score lowest.
+ * @param {Object} task - Task object
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {number} Urgency score (higher is more urgent)
+ */
+export function getUrgencyScore(task, now = new Date()) {
+  if (!task || isClosedStatus(task.status)) {
+    return -1;
+  }
+
+  const weight = getPriorityWeight(task);
+  if (!task.dueDate) {
+    return 0;
+  }
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysUntilDue = Math.round((parseDateOnly(task.dueDate) - today) / (24 * 60 * 60 * 1000));
+
+  if (daysUntilDue < 0) {
+    return weight * (1 + Math.min(-daysUntilDue, 14) / 7);
+  }
+
+  return weight / (daysUntilDue + 1);
+}
+
+export default {
+  PriorityLevels,
+  DEFAULT_PRIORITY,
+  PRIORITY_WEIGHTS,
+  PRIORITY_LABELS,
+  isValidPriority,
+  getPriorityWeight,
+  getUrgencyScore
+};
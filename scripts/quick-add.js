@@ -0,0 +1,278 @@
+/**
+ * Quick-add module for creating tasks from a single line of text
+ * Phrases like "DB essay due fri 2h30 #Writing !high" are split into the task
+ * title and the fields recognised in it: a due date (and time), a duration,
+ * tags and a priority. Words that aren't recognised stay in the title.
+ */
+
+import { utils } from './utils.js';
+import { validateTask, validateDate } from './validators.js';
+import { formatDateOnly } from './recurrence.js';
+
+const WEEKDAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, weds: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+const MONTHS = {
+  jan: 0, january: 0,
+  feb: 1, february: 1,
+  mar: 2, march: 2,
+  apr: 3, april: 3,
+  may: 4,
+  jun: 5, june: 5,
+  jul: 6, july: 6,
+  aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9,
+  nov: 10, november: 10,
+  dec: 11, december: 11
+};
+
+// Words that introduce a date or time; they are dropped along with it
+const DATE_PREFIXES = ['due', 'by', 'on'];
+const TIME_PREFIXES = ['at', '@'];
+
+const DURATION_HOURS_PATTERN = /^(\d+(?:\.\d+)?)(?:h|hrs?|hours?)(?:(\d{1,2})(?:m|mins?)?)?$/i;
+const DURATION_MINUTES_PATTERN = /^(\d+)(?:m|mins?|minutes?)$/i;
+const TIME_24H_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const TIME_12H_PATTERN = /^(1[0-2]|0?[1-9])(?::([0-5]\d))?(am|pm)$/i;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/;
+const DAY_OF_MONTH_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)?$/;
+
+const clean = token => (token || '').toLowerCase().replace(/[,.]$/, '');
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Build a calendar date, rejecting days the month doesn't have
+ * @private
+ */
+function makeDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+/**
+ * Build a date from a month and day, in the next year once it has passed
+ * @private
+ */
+function makeUpcomingDate(month, day, today) {
+  const date = makeDate(today.getFullYear(), month, day);
+  if (date && date < today) {
+    return makeDate(today.getFullYear() + 1, month, day);
+  }
+  return date;
+}
+
+/**
+ * Match a date phrase starting at a token
+ * A bare weekday means the next one on or after today; "next" adds a week.
+ * @private
+ * @returns {Object|null} { date, length } or null
+ */
+function matchDate(tokens, index, today) {
+  const [word, next, third] = [tokens[index], tokens[index + 1], tokens[index + 2]].map(clean);
+
+  if (word === 'today' || word === 'tonight') {
+    return { date: today, length: 1 };
+  }
+
+  if (['tomorrow', 'tmrw', 'tmr'].includes(word)) {
+    return { date: addDays(today, 1), length: 1 };
+  }
+
+  if (word in WEEKDAYS) {
+    return { date: addDays(today, (WEEKDAYS[word] - today.getDay() + 7) % 7), length: 1 };
+  }
+
+  if (word === 'next' && next in WEEKDAYS) {
+    return { date: addDays(today, (WEEKDAYS[next] - today.getDay() + 7) % 7 + 7), length: 2 };
+  }
+
+  if (word === 'next' && next === 'week') {
+    return { date: addDays(today, 7), length: 2 };
+  }
+
+  // "in 3 days", "in 2 weeks", "in a week"
+  if (word === 'in' && (next === 'a' || /^\d+$/.test(next))) {
+    const count = next === 'a' ? 1 : parseInt(next, 10);
+    if (/^days?$/.test(third)) {
+      return { date: addDays(today, count), length: 3 };
+    }
+    if (/^weeks?$/.test(third)) {
+      return { date: addDays(today, count * 7), length: 3 };
+    }
+  }
+
+  if (validateDate(word).isValid) {
+    const [year, month, day] = word.split('-').map(Number);
+    return { date: new Date(year, month - 1, day), length: 1 };
+  }
+
+  // Month first, as in the rest of the app: 11/5 or 11/5/2026
+  const numeric = word.match(NUMERIC_DATE_PATTERN);
+  if (numeric) {
+    const month = parseInt(numeric[1], 10) - 1;
+    const day = parseInt(numeric[2], 10);
+    const date = numeric[3]
+      ? makeDate(parseInt(numeric[3], 10), month, day)
+      : makeUpcomingDate(month, day, today);
+    return date ? { date, length: 1 } : null;
+  }
+
+  // "nov 5" or "5 nov"
+  if (word in MONTHS && DAY_OF_MONTH_PATTERN.test(next)) {
+    const date = makeUpcomingDate(MONTHS[word], parseInt(next, 10), today);
+    return date ? { date, length: 2 } : null;
+  }
+  if (DAY_OF_MONTH_PATTERN.test(word) && next in MONTHS) {
+    const date = makeUpcomingDate(MONTHS[next], parseInt(word, 10), today);
+    return date ? { date, length: 2 } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Match a time of day ("14:00", "5pm", "5:30pm", "noon")
+ * @private
+ * @returns {string|null} Time in HH:MM format
+ */
+function matchTime(token) {
+  const word = clean(token);
+
+  if (word === 'noon') {
+    return '12:00';
+  }
+
+  const time24 = word.match(TIME_24H_PATTERN);
+  if (time24) {
+    return `${pad(parseInt(time24[1], 10))}:${time24[2]}`;
+  }
+
+  const time12 = word.match(TIME_12H_PATTERN);
+  if (time12) {
+    const hours = parseInt(time12[1], 10) % 12 + (time12[3].toLowerCase() === 'pm' ? 12 : 0);
+    return `${pad(hours)}:${time12[2] || '00'}`;
+  }
+
+  return null;
+}
+
+/**
+ * Match a duration ("2h30", "1.5h", "90m", "45min")
+ * Hours and minutes are each converted with utils.parseDurationInput.
+ * @private
+ * @returns {number|null} Duration in minutes
+ */
+function matchDuration(token) {
+  const word = clean(token);
+
+  const hours = word.match(DURATION_HOURS_PATTERN);
+  if (hours) {
+    return utils.parseDurationInput(hours[1], 'hours') + utils.parseDurationInput(hours[2] || 0, 'minutes');
+  }
+
+  const minutes = word.match(DURATION_MINUTES_PATTERN);
+  if (minutes) {
+    return utils.parseDurationInput(minutes[1], 'minutes');
+  }
+
+  return null;
+}
+
+/**
+ * Parse a quick-add phrase
+ * Each field is taken from its first match; later matches stay in the title.
+ * Tags are written as #Tag (an underscore stands for a space) and the
+ * priority as !high.
+ * @param {string} text - Phrase typed by the user
+ * @param {Date} now - Reference time for relative dates (defaults to now)
+ * @returns {Object} { title, tags, dueDate?, dueTime?, duration?, priority? }
+ */
+export function parseQuickAdd(text, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const titleWords = [];
+  const result = { tags: [] };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const word = clean(token);
+
+    if (/^#\S+$/.test(token)) {
+      const tag = token.slice(1).replace(/_/g, ' ');
+      if (!result.tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+        result.tags.push(tag);
+      }
+      continue;
+    }
+
+    if (/^!\S+$/.test(token) && result.priority === undefined) {
+      result.priority = token.slice(1).toLowerCase();
+      continue;
+    }
+
+    if (result.dueDate === undefined) {
+      const hasPrefix = DATE_PREFIXES.includes(word);
+      const match = matchDate(tokens, hasPrefix ? i + 1 : i, today);
+      if (match) {
+        result.dueDate = formatDateOnly(match.date);
+        i += match.length - (hasPrefix ? 0 : 1);
+        continue;
+      }
+    }
+
+    if (result.dueTime === undefined) {
+      const hasPrefix = TIME_PREFIXES.includes(word);
+      const time = matchTime(hasPrefix ? tokens[i + 1] : token);
+      if (time) {
+        result.dueTime = time;
+        i += hasPrefix ? 1 : 0;
+        continue;
+      }
+    }
+
+    if (result.duration === undefined) {
+      const duration = matchDuration(token);
+      if (duration) {
+        result.duration = duration;
+        continue;
+      }
+    }
+
+    titleWords.push(token);
+  }
+
+  result.title = titleWords.join(' ');
+  return result;
+}
+
+/**
+ * Validate a parsed phrase with the same rules as the task form
+ * @param {Object} parsed - Result of parseQuickAdd
+ * @returns {Object} Validation result from validators.validateTask
+ */
+export function validateQuickAdd(parsed) {
+  return validateTask({
+    title: parsed.title,
+    date: parsed.dueDate || '',
+    duration: parsed.duration ? String(parsed.duration) : '',
+    tags: parsed.tags,
+    dueTime: parsed.dueTime,
+    priority: parsed.priority
+  });
+}
+
+export default {
+  parseQuickAdd,
+  validateQuickAdd
+};
@@ -0,0 +1,258 @@
+/**
+ * Recurrence module for repeating tasks
+ * Calculates next occurrences and validates recurrence rules
+ */
+
+/**
+ * Supported recurrence frequencies
+ */
+export const RecurrenceFrequencies = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+/**
+ * Weekday labels indexed the same way as Date.getDay()
+ */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Upper bounds to keep rules sane and loops finite
+const MAX_INTERVAL = 52;
+const MAX_COUNT = 365;
+
+const datePattern = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Parse a YYYY-MM-DD string as a local date (avoids UTC offset shifts)
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {Date} Local date at midnight
+ */
+export function parseDateOnly(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a date as YYYY-MM-DD using local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function formatDateOnly(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the Sunday that starts the week containing a date
+ * @private
+ */
+function startOfWeek(date) {
+  const start = new Date(date);
+  start.setDate(date.getDate() - date.getDay());
+  return start;
+}
+
+/**
+ * Whole days between two local dates
+ * @private
+ */
+function daysBetween(from, to) {
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Normalize raw recurrence input into a clean rule object
+ * @param {Object|null} recurrence - Raw recurrence data
+ * @param {string} startDate - Due date of the first occurrence
+ * @returns {Object|null} Normalized recurrence rule or null for one-off tasks
+ */
+export function normalizeRecurrence(recurrence, startDate) {
+  if (!recurrence || !recurrence.frequency || recurrence.frequency === 'none') {
+    return null;
+  }
+
+  const weekdays = Array.isArray(recurrence.weekdays)
+    ? [...new Set(recurrence.weekdays.map(Number))].sort((a, b) => a - b)
+    : [];
+
+  return {
+    frequency: recurrence.frequency,
+    interval: parseInt(recurrence.interval, 10) || 1,
+    weekdays: recurrence.frequency === RecurrenceFrequencies.WEEKLY ? weekdays : [],
+    until: recurrence.until || null,
+    count: recurrence.count ? parseInt(recurrence.count, 10) : null,
+    startDate: recurrence.startDate || startDate
+  };
+}
+
+/**
+ * Validate a recurrence rule
+ * @param {Object|null} recurrence - Recurrence rule to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateRecurrence(recurrence) {
+  const errors = [];
+
+  if (recurrence === null || recurrence === undefined) {
+    return errors;
+  }
+
+  if (typeof recurrence !== 'object') {
+    errors.push('recurrence must be an object');
+    return errors;
+  }
+
+  if (!Object.values(RecurrenceFrequencies).includes(recurrence.frequency)) {
+    errors.push(`recurrence frequency must be one of: ${Object.values(RecurrenceFrequencies).join(', ')}`);
+  }
+
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1 || recurrence.interval > MAX_INTERVAL) {
+    errors.push(`recurrence interval must be a whole number between 1 and ${MAX_INTERVAL}`);
+  }
+
+  if (recurrence.weekdays !== undefined) {
+    if (!Array.isArray(recurrence.weekdays) ||
+        recurrence.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('recurrence weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+  }
+
+  if (recurrence.until !== null && recurrence.until !== undefined) {
+    if (typeof recurrence.until !== 'string' || !datePattern.test(recurrence.until)) {
+      errors.push('recurrence end date must be in YYYY-MM-DD format');
+    } else if (recurrence.startDate && recurrence.until < recurrence.startDate) {
+      errors.push('recurrence end date cannot be before the first due date');
+    }
+  }
+
+  if (recurrence.count !== null && recurrence.count !== undefined) {
+    if (!Number.isInteger(recurrence.count) || recurrence.count < 1 || recurrence.count > MAX_COUNT) {
+      errors.push(`recurrence count must be a whole number between 1 and ${MAX_COUNT}`);
+    }
+  }
+
+  if (recurrence.until && recurrence.count) {
+    errors.push('recurrence can end on a date or after a count, not both');
+  }
+
+  if (recurrence.startDate !== undefined && !datePattern.test(recurrence.startDate || '')) {
+    errors.push('recurrence start date must be in YYYY-MM-DD format');
+  }
+
+  return errors;
+}
+
+/**
+ * Calculate the due date of the occurrence that follows a given due date
+ * @param {string} dueDate - Current occurrence due date (YYYY-MM-DD)
+ * @param {Object} recurrence - Normalized recurrence rule
+ * @returns {string|null} Next due date or null if the rule does not apply
+ */
+export function getNextDueDate(dueDate, recurrence) {
+  if (!recurrence || !dueDate) {
+    return null;
+  }
+
+  const current = parseDateOnly(dueDate);
+  const interval = recurrence.interval || 1;
+
+  if (recurrence.frequency === RecurrenceFrequencies.DAILY) {
+    const next = new Date(current);
+    next.setDate(current.getDate() + interval);
+    return formatDateOnly(next);
+  }
+
+  if (recurrence.frequency === RecurrenceFrequencies.WEEKLY) {
+    const anchor = parseDateOnly(recurrence.startDate || dueDate);
+    const weekdays = recurrence.weekdays && recurrence.weekdays.length > 0
+      ? recurrence.weekdays
+      : [anchor.getDay()];
+    const anchorWeek = startOfWeek(anchor);
+
+    // Walk forward day by day; bounded by one full cycle of the interval
+    const candidate = new Date(current);
+    for (let i = 0; i < interval * 7 + 7; i++) {
+      candidate.setDate(candidate.getDate() + 1);
+      const weeksSinceAnchor = Math.floor(daysBetween(anchorWeek, startOfWeek(candidate)) / 7);
+      if (weeksSinceAnchor % interval === 0 && weekdays.includes(candidate.getDay())) {
+        return formatDateOnly(candidate);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a recurring task has another occurrence after it
+ * @param {Object} task - Task with recurrence rule
+ * @returns {string|null} Next due date or null if the series has ended
+ */
+export function getNextOccurrenceDate(task) {
+  if (!task || !task.recurrence) {
+    return null;
+  }
+
+  const { recurrence } = task;
+  const occurrence = task.occurrence || 1;
+
+  if (recurrence.count && occurrence >= recurrence.count) {
+    return null;
+  }
+
+  const nextDueDate = getNextDueDate(task.dueDate, recurrence);
+  if (!nextDueDate) {
+    return null;
+  }
+
+  if (recurrence.until && nextDueDate > recurrence.until) {
+    return null;
+  }
+
+  return nextDueDate;
+}
+
+/**
+ * Build a human-readable summary of a recurrence rule
+ * @param {Object|null} recurrence - Recurrence rule
+ * @returns {string} Summary such as "Every 2 weeks on Mon, Wed"
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence) {
+    return 'Does not repeat';
+  }
+
+  const interval = recurrence.interval || 1;
+  let summary;
+
+  if (recurrence.frequency === RecurrenceFrequencies.DAILY) {
+    summary = interval === 1 ? 'Daily' : `Every ${interval} days`;
+  } else {
+    summary = interval === 1 ? 'Weekly' : `Every ${interval} weeks`;
+    if (recurrence.weekdays && recurrence.weekdays.length > 0) {
+      summary += ` on ${recurrence.weekdays.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+    }
+  }
+
+  if (recurrence.until) {
+    summary += ` until ${recurrence.until}`;
+  } else if (recurrence.count) {
+    summary += `, ${recurrence.count} time${recurrence.count !== 1 ? 's' : ''}`;
+  }
+
+  return summary;
+}
+
+export default {
+  RecurrenceFrequencies,
+  WEEKDAY_LABELS,
+  parseDateOnly,
+  formatDateOnly,
+  normalizeRecurrence,
+  validateRecurrence,
+  getNextDueDate,
+  getNextOccurrenceDate,
+  describeRecurrence
+};
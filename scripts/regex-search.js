@@ -0,0 +1,249 @@
+/**
+ * Regex search module for regex-mode searches that can't freeze the page
+ * Some patterns, such as (a+)+$, backtrack for minutes on the wrong text, and
+ * a running regex can't be interrupted. Regex searches therefore run in a
+ * worker (regex-worker.js) that is ended when it goes over its time budget or
+ * a newer search replaces it. Without worker support they run on the page.
+ */
+
+import { parseSearchQuery, matchesSearchQuery } from './search-query.js';
+
+// How long a regex search may take before it is stopped
+export const REGEX_TIME_BUDGET_MS = 500;
+
+export const PATTERN_TOO_SLOW_MESSAGE = 'Pattern too slow: the regular expression took too long to search your tasks and was stopped';
+
+export const RegexSearchStatus = {
+  DONE: 'done',
+  TOO_SLOW: 'too-slow',
+  CANCELLED: 'cancelled',
+  INVALID: 'invalid'
+};
+
+const isSameList = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+
+export class RegexSearch {
+  constructor({ timeBudget = REGEX_TIME_BUDGET_MS } = {}) {
+    this.timeBudget = timeBudget;
+    this.useWorker = typeof Worker !== 'undefined';
+    this.worker = null;
+    // Task ID -> the version of the task the worker holds
+    this.workerTasks = new Map();
+    this.running = null;
+    this.lastSearchId = 0;
+    // Last search started by getResult, with its result once it finishes
+    this.latest = null;
+  }
+
+  /**
+   * Start the worker if there isn't one
+   * @private
+   * @returns {Worker|null} Worker, or null when searches run on the page
+   */
+  getWorker() {
+    if (!this.useWorker) {
+      return null;
+    }
+
+    if (!this.worker) {
+      try {
+        this.worker = new Worker(new URL('./regex-worker.js', import.meta.url), { type: 'module' });
+      } catch (error) {
+        console.warn('Regex search worker unavailable, searching on the page:', error);
+        this.useWorker = false;
+        return null;
+      }
+      this.worker.onmessage = event => this.handleMessage(event.data);
+      this.worker.onerror = event => this.handleWorkerError(event);
+    }
+    return this.worker;
+  }
+
+  /**
+   * End the worker; the next search starts a new one
+   * @private
+   */
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerTasks.clear();
+  }
+
+  /**
+   * Settle the running search
+   * @private
+   */
+  finish(result) {
+    const running = this.running;
+    if (running) {
+      clearTimeout(running.timer);
+      this.running = null;
+      running.resolve(result);
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleMessage({ id, type, matchIds, error }) {
+    if (!this.running || this.running.id !== id) {
+      return;
+    }
+
+    if (type === 'started') {
+      this.running.timer = setTimeout(() => {
+        // The regex may never return, so the worker has to be ended
+        this.stopWorker();
+        this.finish({ status: RegexSearchStatus.TOO_SLOW, tasks: [] });
+      }, this.timeBudget);
+    } else if (type === 'done') {
+      const ids = new Set(matchIds);
+      this.finish({ status: RegexSearchStatus.DONE, tasks: this.running.tasks.filter(task => ids.has(task.id)) });
+    } else if (type === 'error') {
+      this.finish({ status: RegexSearchStatus.INVALID, tasks: [], error });
+    }
+  }
+
+  /**
+   * Fall back to searching on the page when the worker can't run
+   * (e.g. browsers without module workers)
+   * @private
+   */
+  handleWorkerError(event) {
+    event.preventDefault();
+    console.warn('Regex search worker failed, searching on the page:', event.message);
+    this.useWorker = false;
+    this.stopWorker();
+
+    const running = this.running;
+    if (running) {
+      this.finish(this.searchOnPage(running.tasks, running.query, running.context));
+    }
+  }
+
+  /**
+   * Search on the page, for environments without workers
+   * A single regex can't be interrupted here, so the time budget is only
+   * checked between tasks.
+   * @param {Array} tasks - Tasks to search
+   * @param {string} query - Regex-mode query
+   * @param {Object} context - { courses } used by course: terms
+   * @returns {Object} { status, tasks, error }
+   */
+  searchOnPage(tasks, query, context = {}) {
+    const { expression, error } = parseSearchQuery(query, { mode: 'regex' });
+    if (error) {
+      return { status: RegexSearchStatus.INVALID, tasks: [], error };
+    }
+
+    const deadline = Date.now() + this.timeBudget;
+    const matches = [];
+    for (const task of tasks) {
+      if (Date.now() > deadline) {
+        return { status: RegexSearchStatus.TOO_SLOW, tasks: [] };
+      }
+      if (matchesSearchQuery(task, expression, context)) {
+        matches.push(task);
+      }
+    }
+    return { status: RegexSearchStatus.DONE, tasks: matches };
+  }
+
+  /**
+   * Search tasks with a regex-mode query
+   * Starting a search cancels the one still running.
+   * @param {Array} tasks - Tasks to search
+   * @param {string} query - Regex-mode query
+   * @param {Object} context - { courses } used by course: terms
+   * @returns {Promise<Object>} { status, tasks, error } with the matching tasks in the given order
+   */
+  search(tasks, query, context = {}) {
+    this.cancel();
+
+    const worker = this.getWorker();
+    if (!worker) {
+      return Promise.resolve(this.searchOnPage(tasks, query, context));
+    }
+
+    const id = ++this.lastSearchId;
+    const taskIds = tasks.map(task => task.id);
+    const changedTasks = tasks.filter(task => this.workerTasks.get(task.id) !== task);
+    changedTasks.forEach(task => this.workerTasks.set(task.id, task));
+
+    // Tasks that were deleted or filtered out are dropped on both sides, so
+    // neither copy keeps growing
+    const currentIds = new Set(taskIds);
+    const removedTaskIds = [...this.workerTasks.keys()].filter(taskId => !currentIds.has(taskId));
+    removedTaskIds.forEach(taskId => this.workerTasks.delete(taskId));
+
+    return new Promise(resolve => {
+      this.running = { id, tasks, query, context, resolve, timer: null };
+      worker.postMessage({
+        id,
+        query,
+        courses: context.courses || [],
+        changedTasks,
+        removedTaskIds,
+        taskIds
+      });
+    });
+  }
+
+  /**
+   * Cancel the running search
+   * The worker may be stuck in the old pattern, so it is ended as well.
+   */
+  cancel() {
+    if (this.running) {
+      this.stopWorker();
+      this.finish({ status: RegexSearchStatus.CANCELLED, tasks: [] });
+    }
+  }
+
+  /**
+   * Get the result of a search, starting it when the query or tasks changed
+   * Meant to be called on every render: a search runs once per query and
+   * list of tasks, and onUpdate is called when it finishes.
+   * @param {Array} tasks - Tasks to search
+   * @param {string} query - Regex-mode query
+   * @param {Object} context - { courses } used by course: terms
+   * @param {Function} onUpdate - Called with the result of a search started here
+   * @returns {Object|null} { status, tasks, error }, or null while the search runs
+   */
+  getResult(tasks, query, context, onUpdate) {
+    const courses = context.courses || [];
+    const latest = this.latest;
+    if (latest && latest.query === query && isSameList(latest.tasks, tasks) && isSameList(latest.courses, courses)) {
+      return latest.result;
+    }
+
+    const entry = { query, tasks, courses, result: null };
+    this.latest = entry;
+    this.search(tasks, query, { courses }).then(result => {
+      if (this.latest !== entry) {
+        return;
+      }
+      if (result.status === RegexSearchStatus.CANCELLED) {
+        // Cancelled from outside (e.g. leaving the page): search again next time
+        this.latest = null;
+        return;
+      }
+      entry.result = result;
+      onUpdate(result);
+    });
+    return null;
+  }
+
+  /**
+   * Cancel any search and end the worker
+   */
+  destroy() {
+    this.cancel();
+    this.stopWorker();
+    this.latest = null;
+  }
+}
+
+export default RegexSearch;
@@ -0,0 +1,32 @@
+/**
+ * Regex search worker
+ * Matches regex-mode queries against tasks off the page, so RegexSearch can
+ * end the worker when a pattern takes too long. The worker keeps the tasks it
+ * was sent, and each search only sends the tasks that changed since and the
+ * IDs of the tasks to drop.
+ */
+
+import { parseSearchQuery, matchesSearchQuery } from './search-query.js';
+
+const tasks = new Map();
+
+self.onmessage = ({ data }) => {
+  const { id, query, courses = [], changedTasks = [], removedTaskIds = [], taskIds = [] } = data;
+  changedTasks.forEach(task => tasks.set(task.id, task));
+  removedTaskIds.forEach(taskId => tasks.delete(taskId));
+
+  // The time budget starts now, after the tasks have been copied in
+  self.postMessage({ id, type: 'started' });
+
+  const { expression, error } = parseSearchQuery(query, { mode: 'regex' });
+  if (error) {
+    self.postMessage({ id, type: 'error', error });
+    return;
+  }
+
+  const matchIds = taskIds.filter(taskId => {
+    const task = tasks.get(taskId);
+    return Boolean(task) && matchesSearchQuery(task, expression, { courses });
+  });
+  self.postMessage({ id, type: 'done', matchIds });
+};
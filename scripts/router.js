@@ -325,6 +325,8 @@ export class Router {
       'about': 'About - Campus Life Planner',
       'dashboard': 'Dashboard - Campus Life Planner',
       'tasks': 'Tasks - Campus Life Planner',
+      'grades': 'Grades - Campus Life Planner',
+      'trash': 'Trash - Campus Life Planner',
       'settings': 'Settings - Campus Life Planner'
     };
 
@@ -342,6 +344,8 @@ export class Router {
       'about': 'Navigated to About page',
       'dashboard': 'Navigated to Dashboard page',
       'tasks': 'Navigated to Tasks page',
+      'grades': 'Navigated to Grades page',
+      'trash': 'Navigated to Trash page',
       'settings': 'Navigated to Settings page'
     };
 
@@ -400,6 +404,8 @@ export function createDefaultRouter() {
   router.addRoute('about', () => {});
   router.addRoute('dashboard', () => {});
   router.addRoute('tasks', () => {});
+  router.addRoute('grades', () => {});
+  router.addRoute('trash', () => {});
   router.addRoute('settings', () => {});
   
   return router;
@@ -0,0 +1,187 @@
+/**
+ * Search benchmark for large task collections
+ * Generates a reproducible archive of tasks and times searches through the
+ * search index against scanning every task. Nothing in the app imports it;
+ * run it from the browser console:
+ *   const { runSearchBenchmark } = await import('./scripts/search-benchmark.js');
+ *   runSearchBenchmark({ count: 10000 });
+ */
+
+import { SearchIndex } from './search-index.js';
+import { searchTasks } from './ui/task-utils.js';
+import { TaskStatuses } from './statuses.js';
+import { PriorityLevels } from './priority.js';
+import { formatDateOnly, parseDateOnly } from './recurrence.js';
+
+// One frame at 60 frames per second
+export const FRAME_BUDGET_MS = 1000 / 60;
+
+// How long each search runs untimed before it is timed
+const WARM_UP_MS = 250;
+
+const ACTIVITIES = ['Read', 'Review', 'Write', 'Draft', 'Revise', 'Study', 'Finish', 'Prepare', 'Submit', 'Outline'];
+const SUBJECTS = [
+  'Database Systems', 'Organic Chemistry', 'Linear Algebra', 'Machine Learning', 'Software Engineering',
+  'Microeconomics', 'World History', 'Statistics', 'Operating Systems', 'Molecular Biology',
+  'Philosophy of Mind', 'Computer Networks', 'Thermodynamics', 'Creative Writing', 'Calculus'
+];
+const ITEMS = ['essay', 'lab report', 'problem set', 'chapter', 'revision notes', 'presentation', 'quiz', 'exam prep', 'project', 'reading'];
+const TAGS = ['Study', 'Assignment', 'Exam', 'Reading', 'Research', 'Lab', 'Homework', 'Project', 'Group', 'Quiz'];
+const NOTE_WORDS = [
+  'check', 'the', 'rubric', 'before', 'submitting', 'ask', 'about', 'extension', 'bring', 'calculator',
+  'sources', 'need', 'citations', 'meet', 'group', 'library', 'slides', 'feedback', 'draft', 'office',
+  'hours', 'formula', 'sheet', 'practice', 'questions', 'past', 'papers', 'summary', 'diagram', 'results'
+];
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate an archive of tasks for benchmarking
+ * The same count and seed always give the same tasks.
+ * @param {number} count - Number of tasks
+ * @param {Object} options - { seed, startDate: first due date (YYYY-MM-DD) }
+ * @returns {Array} Tasks
+ */
+export function generateBenchmarkTasks(count = 10000, { seed = 1, startDate = '2026-01-05' } = {}) {
+  const random = createRandom(seed);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const statuses = Object.values(TaskStatuses);
+  const priorities = Object.values(PriorityLevels);
+  const start = parseDateOnly(startDate);
+  const createdAt = start.toISOString();
+
+  return Array.from({ length: count }, (_, i) => {
+    const dueDate = new Date(start);
+    dueDate.setDate(start.getDate() + Math.floor(random() * 365));
+
+    const tags = [...new Set(Array.from({ length: 1 + Math.floor(random() * 3) }, () => pick(TAGS)))];
+    const task = {
+      id: `task_bench_${i}`,
+      title: `${pick(ACTIVITIES)} ${pick(SUBJECTS)} ${pick(ITEMS)} ${1 + (i % 12)}`,
+      dueDate: formatDateOnly(dueDate),
+      duration: 15 * (1 + Math.floor(random() * 16)),
+      tags,
+      priority: pick(priorities),
+      status: pick(statuses),
+      createdAt,
+      updatedAt: createdAt
+    };
+
+    if (random() < 0.5) {
+      task.notes = Array.from({ length: 10 + Math.floor(random() * 30) }, () => pick(NOTE_WORDS)).join(' ');
+    }
+    return task;
+  });
+}
+
+/**
+ * Queries the benchmark runs by default: words, typing prefixes, qualifiers,
+ * fuzzy words and a regex, which is always scanned
+ */
+export const BENCHMARK_QUERIES = [
+  { query: 'chemistry', mode: 'text' },
+  { query: 'datab', mode: 'text' },
+  { query: 'tag:exam status:pending', mode: 'text' },
+  { query: 'title:"lab report" OR notes:rubric', mode: 'text' },
+  { query: 'calculus -tag:quiz due:<2026-06-01', mode: 'text' },
+  { query: 'datbase revsion', mode: 'fuzzy' },
+  { query: 'chem.*lab', mode: 'regex' }
+];
+
+/**
+ * Time a function over several runs, after warm-up runs that let the engine
+ * optimise it and finish cleaning up after the previous query
+ * @private
+ * @returns {Object} { median, p95 } in milliseconds
+ */
+function time(fn, runs) {
+  const warmUpEnd = performance.now() + WARM_UP_MS;
+  for (let i = 0; i < 3 || performance.now() < warmUpEnd; i++) {
+    fn();
+  }
+  const durations = Array.from({ length: runs }, () => {
+    const start = performance.now();
+    fn();
+    return performance.now() - start;
+  }).sort((a, b) => a - b);
+  return { median: durations[Math.floor(runs / 2)], p95: durations[Math.ceil(runs * 0.95) - 1] };
+}
+
+const round = ms => Math.round(ms * 100) / 100;
+
+/**
+ * Benchmark indexed searches against scanning every task
+ * Each query has to return the same tasks both ways and stay within one frame
+ * at the 95th percentile, and queries the index can narrow down (all but
+ * regex ones) have to beat the scan. The results are printed either way, and
+ * an error listing the failed queries is thrown if any fail.
+ * @param {Object} options - { count, seed, runs, queries }
+ * @returns {Object} { count, buildMs, updateMs, results } where results has one row per query
+ */
+export function runSearchBenchmark({ count = 10000, seed = 1, runs = 20, queries = BENCHMARK_QUERIES } = {}) {
+  const tasks = generateBenchmarkTasks(count, { seed });
+  const index = new SearchIndex();
+
+  const buildStart = performance.now();
+  index.sync(tasks);
+  const buildMs = performance.now() - buildStart;
+
+  // Re-index one edited task, as the app does after each change
+  const updateDurations = Array.from({ length: runs }, () => {
+    const i = Math.floor(Math.random() * tasks.length);
+    tasks[i] = { ...tasks[i], title: `${tasks[i].title} (edited)` };
+    const start = performance.now();
+    index.updateTask(tasks[i]);
+    return performance.now() - start;
+  }).sort((a, b) => a - b);
+  const updateMs = updateDurations[Math.floor(runs / 2)];
+
+  const results = queries.map(({ query, mode }) => {
+    const indexed = searchTasks(tasks, query, mode, { index });
+    const scanned = searchTasks(tasks, query, mode);
+    const indexedTime = time(() => searchTasks(tasks, query, mode, { index }), runs);
+    const scanTime = time(() => searchTasks(tasks, query, mode), runs);
+
+    return {
+      query,
+      mode,
+      matches: indexed.length,
+      sameResults: indexed.length === scanned.length && indexed.every((task, i) => task === scanned[i]),
+      indexedMs: round(indexedTime.median),
+      p95IndexedMs: round(indexedTime.p95),
+      scanMs: round(scanTime.median),
+      withinFrame: indexedTime.p95 < FRAME_BUDGET_MS,
+      // Regex queries are always scanned, so there is nothing to beat
+      fasterThanScan: mode === 'regex' || indexedTime.median < scanTime.median
+    };
+  });
+
+  console.log(`Indexed ${count} tasks in ${round(buildMs)} ms; re-indexing an edited task takes ${round(updateMs)} ms`);
+  console.table(results);
+
+  const failures = results.filter(row => !row.sameResults || !row.withinFrame || !row.fasterThanScan);
+  if (failures.length > 0) {
+    throw new Error(`Search benchmark failed for ${failures.map(row => `"${row.query}" (${row.mode})`).join(', ')}`);
+  }
+  return { count, buildMs: round(buildMs), updateMs: round(updateMs), results };
+}
+
+export default {
+  FRAME_BUDGET_MS,
+  BENCHMARK_QUERIES,
+  generateBenchmarkTasks,
+  runSearchBenchmark
+};
@@ -0,0 +1,238 @@
+/**
+ * Search history module for recent searches and search suggestions
+ * Recent searches are kept per device in localStorage, apart from the planner
+ * data, so they aren't exported or restored with backups. Suggestions combine
+ * recent searches with completions of the word being typed: qualifiers of the
+ * query language, tags and task titles.
+ */
+
+import { SEARCH_FIELDS, SEARCH_MODE_LABELS } from './search-query.js';
+import { getTaskTags } from './tags.js';
+
+export const SEARCH_HISTORY_STORAGE_KEY = 'campusLifePlannerSearchHistory';
+export const MAX_SEARCH_HISTORY = 20;
+export const MAX_SUGGESTIONS = 10;
+
+export const SuggestionTypes = {
+  RECENT: 'recent',
+  QUALIFIER: 'qualifier',
+  TAG: 'tag',
+  TITLE: 'title'
+};
+
+export const SUGGESTION_TYPE_LABELS = {
+  [SuggestionTypes.RECENT]: 'Recent',
+  [SuggestionTypes.QUALIFIER]: 'Qualifier',
+  [SuggestionTypes.TAG]: 'Tag',
+  [SuggestionTypes.TITLE]: 'Title'
+};
+
+// Most suggestions offered of each type
+const SUGGESTION_LIMITS = {
+  [SuggestionTypes.RECENT]: 5,
+  [SuggestionTypes.QUALIFIER]: 4,
+  [SuggestionTypes.TAG]: 5,
+  [SuggestionTypes.TITLE]: 5
+};
+
+const isSearchMode = mode => typeof mode === 'string' && Object.prototype.hasOwnProperty.call(SEARCH_MODE_LABELS, mode);
+
+/**
+ * Load the recent searches of this device
+ * @returns {Array} Entries as { query, mode, usedAt }, most recent first
+ */
+export function loadSearchHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SEARCH_HISTORY_STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      return saved
+        .filter(entry => typeof entry?.query === 'string' && entry.query.trim() !== '')
+        .map(entry => ({
+          query: entry.query.trim(),
+          mode: isSearchMode(entry.mode) ? entry.mode : 'text',
+          usedAt: entry.usedAt || null
+        }))
+        .slice(0, MAX_SEARCH_HISTORY);
+    }
+  } catch (error) {
+    console.warn('Failed to load search history:', error);
+  }
+  return [];
+}
+
+/**
+ * Save the recent searches of this device
+ * @param {Array} history - Entries from addToSearchHistory
+ * @returns {boolean} Success status
+ */
+export function saveSearchHistory(history) {
+  try {
+    localStorage.setItem(SEARCH_HISTORY_STORAGE_KEY, JSON.stringify(history));
+    return true;
+  } catch (error) {
+    console.warn('Failed to save search history:', error);
+    return false;
+  }
+}
+
+/**
+ * Forget the recent searches of this device
+ * @returns {Array} Empty history
+ */
+export function clearSearchHistory() {
+  try {
+    localStorage.removeItem(SEARCH_HISTORY_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Failed to clear search history:', error);
+  }
+  return [];
+}
+
+/**
+ * Record a search, moving it to the top if it was made before
+ * @param {Array} history - Current entries
+ * @param {string} query - Search query
+ * @param {string} mode - Search mode it was made in
+ * @param {Date} now - Current time
+ * @returns {Array} New history (unchanged for an empty query)
+ */
+export function addToSearchHistory(history, query, mode = 'text', now = new Date()) {
+  const trimmed = String(query || '').trim();
+  if (trimmed === '') {
+    return history;
+  }
+
+  const entry = { query: trimmed, mode: isSearchMode(mode) ? mode : 'text', usedAt: now.toISOString() };
+  return [entry, ...history.filter(item => item.query !== trimmed)].slice(0, MAX_SEARCH_HISTORY);
+}
+
+/**
+ * Escape a completed value so it matches literally in regex mode
+ * @private
+ */
+function toLiteral(value, mode) {
+  return mode === 'regex' ? value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : value;
+}
+
+/**
+ * Write a completed value the way the query language reads it, quoting
+ * values with spaces or parentheses
+ * @private
+ */
+function formatValue(value, mode) {
+  const literal = toLiteral(value, mode);
+  return /[\s()]/.test(literal) ? `"${literal}"` : literal;
+}
+
+/**
+ * Order matches with the ones starting with the typed text first
+ * @private
+ */
+function rankMatches(values, typed) {
+  const lowerTyped = typed.toLowerCase();
+  return values
+    .filter(value => value.toLowerCase().includes(lowerTyped))
+    .sort((a, b) =>
+      Number(!a.toLowerCase().startsWith(lowerTyped)) - Number(!b.toLowerCase().startsWith(lowerTyped)) ||
+      a.localeCompare(b));
+}
+
+/**
+ * Get suggestions for the search box
+ * Recent searches containing the input come first. The last word is then
+ * completed: "du" offers due:, "exa" or "tag:exa" offers tag:Exam, and a word
+ * from a task title offers the title as a phrase. Nothing is completed inside
+ * an open quote.
+ * @param {string} input - Text in the search box
+ * @param {Object} options - { history, tasks, mode }
+ * @returns {Array} Suggestions as { type, label, value, mode, description } where value is the new search box text
+ */
+export function getSearchSuggestions(input, { history = [], tasks = [], mode = 'text' } = {}) {
+  const text = String(input || '');
+  const lowerText = text.trim().toLowerCase();
+  const suggestions = [];
+
+  history
+    .filter(entry => entry.query.toLowerCase().includes(lowerText) && entry.query !== text.trim())
+    .slice(0, SUGGESTION_LIMITS[SuggestionTypes.RECENT])
+    .forEach(entry => suggestions.push({
+      type: SuggestionTypes.RECENT,
+      label: entry.query,
+      value: entry.query,
+      mode: entry.mode,
+      description: entry.mode !== 'text' ? `${SEARCH_MODE_LABELS[entry.mode]} search` : ''
+    }));
+
+  const [, before, word] = text.match(/^([\s\S]*?)(\S*)$/);
+  const insideQuote = (text.match(/"/g) || []).length % 2 === 1;
+  const negation = word.startsWith('-') ? '-' : '';
+  const typed = word.slice(negation.length);
+  if (typed === '' || insideQuote) {
+    return suggestions.slice(0, MAX_SUGGESTIONS);
+  }
+
+  const complete = completion => `${before}${negation}${completion}`;
+  const qualified = typed.match(/^([a-z]+):([\s\S]*)$/i);
+  const qualifier = qualified ? qualified[1].toLowerCase() : null;
+  const value = qualified ? qualified[2] : typed;
+
+  if (!qualified) {
+    Object.entries(SEARCH_FIELDS)
+      .filter(([field]) => field.startsWith(typed.toLowerCase()))
+      .slice(0, SUGGESTION_LIMITS[SuggestionTypes.QUALIFIER])
+      .forEach(([field, description]) => suggestions.push({
+        type: SuggestionTypes.QUALIFIER,
+        label: `${field}:`,
+        value: complete(`${field}:`),
+        mode,
+        description
+      }));
+  }
+
+  if (!qualified || qualifier === 'tag' || qualifier === 'tags') {
+    const tags = new Map();
+    tasks.forEach(task => getTaskTags(task).forEach(tag => {
+      if (!tags.has(tag.toLowerCase())) {
+        tags.set(tag.toLowerCase(), tag);
+      }
+    }));
+    rankMatches([...tags.values()], value)
+      .slice(0, SUGGESTION_LIMITS[SuggestionTypes.TAG])
+      .forEach(tag => suggestions.push({
+        type: SuggestionTypes.TAG,
+        label: tag,
+        value: complete(`tag:${formatValue(tag, mode)} `),
+        mode,
+        description: ''
+      }));
+  }
+
+  if (!qualified || qualifier === 'title') {
+    // Titles with quotes can't be written as a phrase
+    const titles = [...new Set(tasks.map(task => task.title).filter(title => title && !title.includes('"')))];
+    rankMatches(titles, value)
+      .slice(0, SUGGESTION_LIMITS[SuggestionTypes.TITLE])
+      .forEach(title => suggestions.push({
+        type: SuggestionTypes.TITLE,
+        label: title,
+        value: complete(`${qualified ? 'title:' : ''}"${toLiteral(title, mode)}" `),
+        mode,
+        description: ''
+      }));
+  }
+
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+export default {
+  SEARCH_HISTORY_STORAGE_KEY,
+  MAX_SEARCH_HISTORY,
+  MAX_SUGGESTIONS,
+  SuggestionTypes,
+  SUGGESTION_TYPE_LABELS,
+  loadSearchHistory,
+  saveSearchHistory,
+  clearSearchHistory,
+  addToSearchHistory,
+  getSearchSuggestions
+};
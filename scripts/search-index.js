@@ -0,0 +1,338 @@
+/**
+ * Search index module for fast searches of large task collections
+ * An inverted index maps each word of a task's title, tags, status and notes
+ * to the tasks containing it, and each status to its tasks. A search looks up
+ * the words of its text terms and its status terms to narrow the tasks down
+ * to candidates, and only those are checked against the full query, so
+ * results are the same as scanning every task.
+ */
+
+import { getWords, matchWord } from './fuzzy.js';
+import { getTaskTags } from './tags.js';
+
+// Fields the words of a task are indexed under; plain words search all of them
+const INDEXED_FIELDS = ['title', 'tag', 'status', 'notes'];
+
+// Vocabulary lookups kept before the cache starts over
+const MAX_CACHED_LOOKUPS = 500;
+
+// Length of the letter sequences vocabulary words are looked up by
+const GRAM_LENGTH = 3;
+
+/**
+ * Get the words of a task in each indexed field
+ * @private
+ */
+function getTaskWords(task) {
+  const collect = texts => new Set(texts.flatMap(text => getWords(text).map(({ word }) => word)));
+  return {
+    title: collect([task.title || '']),
+    tag: collect(getTaskTags(task)),
+    status: collect([task.status || '']),
+    notes: collect([task.notes || ''])
+  };
+}
+
+/**
+ * Get the distinct letter sequences of a word
+ * @private
+ */
+function getGrams(word) {
+  const grams = new Set();
+  for (let i = 0; i + GRAM_LENGTH <= word.length; i++) {
+    grams.add(word.slice(i, i + GRAM_LENGTH));
+  }
+  return grams;
+}
+
+// Sets may be postings, so neither changes the sets it is given
+const intersect = (a, b) => {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  const result = new Set();
+  smaller.forEach(task => {
+    if (larger.has(task)) {
+      result.add(task);
+    }
+  });
+  return result;
+};
+
+const unite = sets => {
+  if (sets.length === 1) {
+    return sets[0];
+  }
+  const result = new Set();
+  sets.forEach(set => set.forEach(task => result.add(task)));
+  return result;
+};
+
+export class SearchIndex {
+  constructor() {
+    // Field -> word -> tasks with that word in the field
+    this.postings = new Map(INDEXED_FIELDS.map(field => [field, new Map()]));
+    // Field -> letter sequence -> vocabulary words containing it
+    this.grams = new Map(INDEXED_FIELDS.map(field => [field, new Map()]));
+    // Status -> tasks with that status
+    this.statuses = new Map();
+    // Task ID -> { task, words } for the version of the task that was indexed
+    this.records = new Map();
+    // Vocabulary words matched by recent query words
+    this.lookups = new Map();
+  }
+
+  /**
+   * Number of indexed tasks
+   */
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Index a task, replacing any earlier version of it
+   * @param {Object} task - Task
+   */
+  addTask(task) {
+    this.removeTask(task.id);
+
+    const words = getTaskWords(task);
+    INDEXED_FIELDS.forEach(field => {
+      const fieldPostings = this.postings.get(field);
+      words[field].forEach(word => {
+        if (!fieldPostings.has(word)) {
+          fieldPostings.set(word, new Set());
+          this.addVocabularyWord(field, word);
+        }
+        fieldPostings.get(word).add(task);
+      });
+    });
+
+    if (!this.statuses.has(task.status)) {
+      this.statuses.set(task.status, new Set());
+    }
+    this.statuses.get(task.status).add(task);
+
+    this.records.set(task.id, { task, words });
+  }
+
+  /**
+   * Re-index a changed task
+   * @param {Object} task - Updated task
+   */
+  updateTask(task) {
+    this.addTask(task);
+  }
+
+  /**
+   * Drop a task from the index
+   * @param {string} id - Task ID
+   */
+  removeTask(id) {
+    const record = this.records.get(id);
+    if (!record) {
+      return;
+    }
+
+    INDEXED_FIELDS.forEach(field => {
+      const fieldPostings = this.postings.get(field);
+      record.words[field].forEach(word => {
+        const tasks = fieldPostings.get(word);
+        tasks.delete(record.task);
+        if (tasks.size === 0) {
+          fieldPostings.delete(word);
+          this.removeVocabularyWord(field, word);
+        }
+      });
+    });
+
+    const statusTasks = this.statuses.get(record.task.status);
+    statusTasks.delete(record.task);
+    if (statusTasks.size === 0) {
+      this.statuses.delete(record.task.status);
+    }
+
+    this.records.delete(id);
+  }
+
+  /**
+   * @private
+   */
+  addVocabularyWord(field, word) {
+    const fieldGrams = this.grams.get(field);
+    getGrams(word).forEach(gram => {
+      if (!fieldGrams.has(gram)) {
+        fieldGrams.set(gram, new Set());
+      }
+      fieldGrams.get(gram).add(word);
+    });
+    this.lookups.clear();
+  }
+
+  /**
+   * @private
+   */
+  removeVocabularyWord(field, word) {
+    const fieldGrams = this.grams.get(field);
+    getGrams(word).forEach(gram => {
+      const words = fieldGrams.get(gram);
+      words.delete(word);
+      if (words.size === 0) {
+        fieldGrams.delete(gram);
+      }
+    });
+    this.lookups.clear();
+  }
+
+  /**
+   * Drop every task from the index
+   */
+  clear() {
+    this.postings.forEach(fieldPostings => fieldPostings.clear());
+    this.grams.forEach(fieldGrams => fieldGrams.clear());
+    this.statuses.clear();
+    this.records.clear();
+    this.lookups.clear();
+  }
+
+  /**
+   * Bring the index in line with the full task list
+   * Used to build the index and after changes that replace tasks in bulk
+   * (undo/redo, imports). Tasks are replaced rather than changed in place, so
+   * a task object other than the indexed one is a newer version; tasks
+   * missing from the list are dropped.
+   * @param {Array} tasks - Every task
+   */
+  sync(tasks) {
+    const ids = new Set();
+    tasks.forEach(task => {
+      ids.add(task.id);
+      if (this.records.get(task.id)?.task !== task) {
+        this.addTask(task);
+      }
+    });
+    [...this.records.keys()]
+      .filter(id => !ids.has(id))
+      .forEach(id => this.removeTask(id));
+  }
+
+  /**
+   * Find the vocabulary words of a field that a query word matches
+   * Text words match words containing them; fuzzy words match as they do in
+   * fuzzy.js.
+   * @private
+   */
+  lookupWords(field, queryWord, fuzzy) {
+    const key = `${fuzzy ? 'fuzzy' : 'text'}\n${field}\n${queryWord}`;
+    if (this.lookups.has(key)) {
+      return this.lookups.get(key);
+    }
+
+    let words;
+    if (fuzzy) {
+      words = [...this.postings.get(field).keys()].filter(word => matchWord(queryWord, word));
+    } else {
+      // A word containing "datab" contains each of "dat", "ata" and "tab", so
+      // only the words listed under the rarest of them are checked; shorter
+      // query words narrow the lookup of the word typed before them
+      const vocabulary = this.postings.get(field);
+      let pool = this.lookups.get(`text\n${field}\n${queryWord.slice(0, -1)}`) || null;
+      let poolSize = pool ? pool.length : vocabulary.size;
+      if (queryWord.length >= GRAM_LENGTH) {
+        const fieldGrams = this.grams.get(field);
+        getGrams(queryWord).forEach(gram => {
+          const gramWords = fieldGrams.get(gram);
+          const size = gramWords ? gramWords.size : 0;
+          if (size < poolSize) {
+            pool = gramWords || [];
+            poolSize = size;
+          }
+        });
+      }
+      words = [...(pool || vocabulary.keys())].filter(word => word.includes(queryWord));
+    }
+
+    if (this.lookups.size >= MAX_CACHED_LOOKUPS) {
+      this.lookups.clear();
+    }
+    this.lookups.set(key, words);
+    return words;
+  }
+
+  /**
+   * Find the tasks a single term could match
+   * @private
+   * @returns {Set|null} Tasks, or null when the index can't narrow the term down
+   */
+  findTermCandidates(term) {
+    const fields = term.field === null ? INDEXED_FIELDS : [term.field];
+    if (!fields.every(field => this.postings.has(field))) {
+      return null;
+    }
+
+    // Regex terms and text without letters or digits have to be scanned
+    const fuzzy = Boolean(term.words);
+    const queryWords = fuzzy ? term.words : getWords(term.text).map(({ word }) => word);
+    if (queryWords.length === 0) {
+      return null;
+    }
+
+    // Every word has to be found, though not necessarily in the same field
+    return queryWords
+      .map(queryWord => unite(fields.flatMap(field =>
+        this.lookupWords(field, queryWord, fuzzy).map(word => this.postings.get(field).get(word)))))
+      .reduce(intersect);
+  }
+
+  /**
+   * Find the tasks with one of a status term's statuses
+   * @private
+   */
+  findStatusCandidates(term) {
+    return unite(term.statuses.map(status => this.statuses.get(status) || new Set()));
+  }
+
+  /**
+   * Find the tasks that could match a parsed query
+   * The result is a superset of the matches: excluded terms and terms on
+   * priority, course, due date or duration don't narrow it down. The index
+   * has to be up to date with every task (see AppState.getSearchIndex), as it
+   * holds the versions of the tasks it indexed.
+   * @param {Object|null} expression - Expression from parseSearchQuery
+   * @returns {Set|null} Candidate tasks (not to be changed), or null when every task has to be checked
+   */
+  findCandidates(expression) {
+    return this.findExpressionCandidates(expression);
+  }
+
+  /**
+   * @private
+   */
+  findExpressionCandidates(expression) {
+    if (!expression) {
+      return null;
+    }
+
+    switch (expression.type) {
+      case 'and': {
+        const sets = expression.children
+          .map(child => this.findExpressionCandidates(child))
+          .filter(Boolean);
+        return sets.length > 0 ? sets.reduce(intersect) : null;
+      }
+      case 'or': {
+        const sets = expression.children.map(child => this.findExpressionCandidates(child));
+        return sets.every(Boolean) ? unite(sets) : null;
+      }
+      case 'not':
+        return null;
+      default:
+        if (expression.statuses) {
+          return this.findStatusCandidates(expression);
+        }
+        return expression.words || expression.text !== undefined
+          ? this.findTermCandidates(expression)
+          : null;
+    }
+  }
+}
+
+export default SearchIndex;
@@ -0,0 +1,666 @@
+/**
+ * Search query module for field-qualified task searches
+ * Queries combine plain words, "quoted phrases" and qualifiers such as
+ * tag:Study, status:pending, due:<2026-12-20, due:thisweek or duration:>120.
+ * Terms are ANDed by default; OR, AND, NOT (or a leading -) and parentheses
+ * group them. In regex mode the text values are regular expressions; in fuzzy
+ * mode their words tolerate typos and results are ranked by relevance.
+ */
+
+import { TaskStatuses, isClosedStatus } from './statuses.js';
+import { PriorityLevels, PRIORITY_WEIGHTS, getPriorityWeight } from './priority.js';
+import { getTaskTags } from './tags.js';
+import { isTaskOverdue } from './due-dates.js';
+import { parseDateOnly, formatDateOnly } from './recurrence.js';
+import { getWords, findFuzzyMatches, toRanges } from './fuzzy.js';
+
+/**
+ * Search modes, in the order the mode button cycles through them
+ */
+export const SEARCH_MODE_LABELS = {
+  text: 'Text',
+  fuzzy: 'Fuzzy',
+  regex: 'Regex'
+};
+
+/**
+ * Qualifiers understood by the query language, with their help text
+ */
+export const SEARCH_FIELDS = {
+  title: 'Words in the title',
+  tag: 'A tag, matched in full',
+  notes: 'Words in the notes',
+  status: 'pending, in-progress, blocked, complete, cancelled, open or closed',
+  priority: 'low, normal, high or critical; accepts < and >',
+  course: 'Course code or name, or none',
+  due: 'A date (YYYY-MM-DD), today, tomorrow, yesterday, thisweek, nextweek, lastweek, thismonth, overdue or none; accepts < and >',
+  duration: 'Estimate in minutes, or with h or m (2h, 90m); accepts < and >'
+};
+
+// Alternative spellings of the qualifiers
+const FIELD_ALIASES = {
+  title: 'title',
+  tag: 'tag',
+  tags: 'tag',
+  notes: 'notes',
+  note: 'notes',
+  status: 'status',
+  priority: 'priority',
+  course: 'course',
+  due: 'due',
+  duration: 'duration'
+};
+
+// Fields a plain word is searched in
+const TEXT_FIELDS = ['title', 'tag', 'notes'];
+
+// How much a fuzzy match counts towards relevance in each field
+const RELEVANCE_WEIGHTS = {
+  title: 3,
+  tag: 2,
+  notes: 1
+};
+
+const STATUS_VALUES = {
+  pending: [TaskStatuses.PENDING],
+  inprogress: [TaskStatuses.IN_PROGRESS],
+  blocked: [TaskStatuses.BLOCKED],
+  complete: [TaskStatuses.COMPLETE],
+  completed: [TaskStatuses.COMPLETE],
+  done: [TaskStatuses.COMPLETE],
+  cancelled: [TaskStatuses.CANCELLED],
+  canceled: [TaskStatuses.CANCELLED],
+  open: Object.values(TaskStatuses).filter(status => !isClosedStatus(status)),
+  closed: Object.values(TaskStatuses).filter(isClosedStatus)
+};
+
+const COMPARISON_PATTERN = /^(<=|>=|<|>|=)?(.*)$/;
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)(h|hrs?|hours?|m|mins?|minutes?)?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a query into tokens
+ * A parenthesis only groups at the start or end of a word, so regexes such
+ * as \d+(st|nd) stay in one piece.
+ * @private
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = query.indexOf('"', i + 1);
+    if (end === -1) {
+      throw new Error('Missing closing quote');
+    }
+    const text = query.slice(i + 1, end);
+    i = end + 1;
+    return text;
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'open' : 'close' });
+      i++;
+    } else if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: 'not' });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'term', text: readQuoted(), phrase: true });
+    } else {
+      let text = '';
+      let depth = 0;
+      while (i < query.length && !/\s/.test(query[i]) && !(query[i] === ')' && depth === 0)) {
+        if (query[i] === '"' && /^[a-z]+:$/i.test(text)) {
+          text += readQuoted();
+          continue;
+        }
+        if (query[i] === '(') {
+          depth++;
+        } else if (query[i] === ')') {
+          depth--;
+        }
+        text += query[i++];
+      }
+
+      if (['OR', 'AND', 'NOT'].includes(text)) {
+        tokens.push({ type: text.toLowerCase() });
+      } else {
+        tokens.push({ type: 'term', text });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Compile a text value to a case-insensitive pattern
+ * @private
+ */
+function compileText(value, mode, exact = false) {
+  let source = mode === 'regex' ? value : value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (exact) {
+    source = `^(?:${source})$`;
+  }
+
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    // Engine messages repeat the pattern; keep only the reason
+    const reason = error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '');
+    throw new Error(`Invalid regular expression "${value}": ${reason}`);
+  }
+}
+
+/**
+ * Compile the value of a text term
+ * In fuzzy mode the value is split into words, each matched on its own; a
+ * value without letters or digits is matched as plain text instead. Text
+ * mode terms keep their value so the search index can look up its words.
+ * @private
+ */
+function compileTextTerm(field, value, mode, exact = false) {
+  if (mode === 'fuzzy') {
+    const words = getWords(value).map(({ word }) => word);
+    if (words.length > 0) {
+      return { type: 'term', field, words };
+    }
+  }
+
+  const term = { type: 'term', field, pattern: compileText(value, mode, exact) };
+  if (mode === 'text') {
+    term.text = value;
+  }
+  return term;
+}
+
+/**
+ * Resolve a due-date keyword or date to the range of days it covers
+ * @private
+ */
+function resolveDateRange(value, now) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const day = offset => new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+  const weekStart = -today.getDay();
+
+  const ranges = {
+    today: [day(0), day(0)],
+    tomorrow: [day(1), day(1)],
+    yesterday: [day(-1), day(-1)],
+    thisweek: [day(weekStart), day(weekStart + 6)],
+    nextweek: [day(weekStart + 7), day(weekStart + 13)],
+    lastweek: [day(weekStart - 7), day(weekStart - 1)],
+    thismonth: [
+      new Date(today.getFullYear(), today.getMonth(), 1),
+      new Date(today.getFullYear(), today.getMonth() + 1, 0)
+    ]
+  };
+
+  const key = value.toLowerCase().replace(/[\s_-]/g, '');
+  if (ranges[key]) {
+    return ranges[key].map(formatDateOnly);
+  }
+
+  if (DATE_PATTERN.test(value) && !isNaN(parseDateOnly(value).getTime())) {
+    return [value, value];
+  }
+
+  return null;
+}
+
+/**
+ * Compare a value against a range with a comparison operator
+ * @private
+ */
+function compareRange(value, operator, [start, end]) {
+  switch (operator) {
+    case '<':
+      return value < start;
+    case '<=':
+      return value <= end;
+    case '>':
+      return value > end;
+    case '>=':
+      return value >= start;
+    default:
+      return value >= start && value <= end;
+  }
+}
+
+/**
+ * Turn a term token into a condition on a task
+ * @private
+ */
+function compileTerm(token, mode, now) {
+  // A quoted phrase is always plain text, even if it contains a colon
+  const qualified = token.phrase ? null : token.text.match(/^([a-z]+):([\s\S]*)$/i);
+  const field = qualified ? FIELD_ALIASES[qualified[1].toLowerCase()] : null;
+
+  if (!field) {
+    return compileTextTerm(null, token.text, mode);
+  }
+
+  const value = qualified[2];
+  if (value === '') {
+    throw new Error(`Missing value after "${qualified[1]}:"`);
+  }
+
+  if (field === 'title' || field === 'notes') {
+    return compileTextTerm(field, value, mode);
+  }
+
+  if (field === 'tag') {
+    return compileTextTerm(field, value, mode, mode !== 'regex');
+  }
+
+  if (field === 'status') {
+    const statuses = STATUS_VALUES[value.toLowerCase().replace(/[\s_-]/g, '')];
+    if (!statuses) {
+      throw new Error(`Unknown status "${value}"; try ${SEARCH_FIELDS.status}`);
+    }
+    return { type: 'term', field, statuses };
+  }
+
+  if (field === 'course') {
+    return { type: 'term', field, value: value.toLowerCase() };
+  }
+
+  const [, operator = '=', operand] = value.match(COMPARISON_PATTERN);
+
+  if (field === 'priority') {
+    const weight = PRIORITY_WEIGHTS[operand.toLowerCase()];
+    if (!weight) {
+      throw new Error(`Unknown priority "${operand}"; try ${Object.values(PriorityLevels).join(', ')}`);
+    }
+    return { type: 'term', field, operator, range: [weight, weight] };
+  }
+
+  if (field === 'duration') {
+    const match = operand.match(DURATION_PATTERN);
+    if (!match) {
+      throw new Error(`Duration "${operand}" must be a number of minutes, like 90 or 2h`);
+    }
+    const minutes = parseFloat(match[1]) * (/^h/i.test(match[2] || '') ? 60 : 1);
+    return { type: 'term', field, operator, range: [minutes, minutes] };
+  }
+
+  // Due dates
+  const keyword = operand.toLowerCase();
+  if (keyword === 'overdue' || keyword === 'none') {
+    if (operator !== '=') {
+      throw new Error(`"due:${keyword}" can't be compared with ${operator}`);
+    }
+    return { type: 'term', field, keyword };
+  }
+
+  const range = resolveDateRange(operand, now);
+  if (!range) {
+    throw new Error(`Unknown date "${operand}"; use YYYY-MM-DD or a word such as today or thisweek`);
+  }
+  return { type: 'term', field, operator, range };
+}
+
+/**
+ * Parse tokens into an expression tree (OR binds loosest, then AND, then NOT)
+ * @private
+ */
+function parseTokens(tokens, mode, now) {
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('The query ends before a search term');
+    }
+
+    if (token.type === 'not') {
+      if (!peek() || ['close', 'or', 'and'].includes(peek().type)) {
+        throw new Error('Nothing to exclude after - or NOT');
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+
+    if (token.type === 'open') {
+      const expression = parseOr();
+      if (peek()?.type !== 'close') {
+        throw new Error('Missing closing parenthesis');
+      }
+      position++;
+      return expression;
+    }
+
+    if (token.type === 'term') {
+      return compileTerm(token, mode, now);
+    }
+
+    throw new Error(token.type === 'close'
+      ? 'Unexpected closing parenthesis'
+      : `${token.type.toUpperCase()} needs a search term on both sides`);
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && !['close', 'or'].includes(peek().type)) {
+      if (peek().type === 'and') {
+        if (children.length === 0) {
+          break;
+        }
+        position++;
+        if (!peek() || ['close', 'or', 'and'].includes(peek().type)) {
+          throw new Error('AND needs a search term on both sides');
+        }
+      }
+      children.push(parseUnary());
+    }
+
+    if (children.length === 0) {
+      const operator = [tokens[position - 1], peek()].find(token => ['or', 'and'].includes(token?.type));
+      throw new Error(operator
+        ? `${operator.type.toUpperCase()} needs a search term on both sides`
+        : 'Empty parentheses');
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      position++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const expression = parseOr();
+  if (position < tokens.length) {
+    throw new Error('Unexpected closing parenthesis');
+  }
+  return expression;
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Query typed by the user
+ * @param {Object} options - { mode: 'text', 'regex' or 'fuzzy', now: reference time for date words }
+ * @returns {Object} { expression, error } where expression is null for an empty query
+ */
+export function parseSearchQuery(query, { mode = 'text', now = new Date() } = {}) {
+  if (!query || query.trim() === '') {
+    return { expression: null, error: null };
+  }
+
+  try {
+    return { expression: parseTokens(tokenize(query), mode, now), error: null };
+  } catch (error) {
+    return { expression: null, error: error.message };
+  }
+}
+
+// Tasks are re-rendered one by one, so the last parse is reused
+let lastParse = { key: null, result: null };
+
+const parseCached = (query, mode) => {
+  const key = `${mode}\n${formatDateOnly(new Date())}\n${query}`;
+  if (lastParse.key !== key) {
+    lastParse = { key, result: parseSearchQuery(query, { mode }) };
+  }
+  return lastParse.result;
+};
+
+/**
+ * Validate a search query
+ * @param {string} query - Query typed by the user
+ * @param {string} mode - 'text', 'regex' or 'fuzzy'
+ * @returns {Object} Validation result with isValid and error properties
+ */
+export function validateSearchQuery(query, mode = 'text') {
+  const { error } = parseCached(query, mode);
+  return { isValid: !error, error };
+}
+
+/**
+ * Check a text term against the texts of a field
+ * Every word of a fuzzy term has to match, though not in the same text.
+ * @private
+ */
+function matchesText(term, texts) {
+  if (term.words) {
+    // Each text is split into words once for all the query words
+    const matches = texts.map(text => findFuzzyMatches(text, term.words));
+    return term.words.every((word, i) => matches.some(textMatches => textMatches[i]));
+  }
+  return texts.some(text => term.pattern.test(text));
+}
+
+/**
+ * Check a single term against a task
+ * @private
+ */
+function matchesTerm(task, term, courses) {
+  switch (term.field) {
+    case null:
+      return matchesText(term, [task.title, ...getTaskTags(task), task.status || '', task.notes || '']);
+    case 'title':
+      return matchesText(term, [task.title]);
+    case 'notes':
+      return matchesText(term, [task.notes || '']);
+    case 'tag':
+      return matchesText(term, getTaskTags(task));
+    case 'status':
+      return term.statuses.includes(task.status);
+    case 'priority':
+      return compareRange(getPriorityWeight(task), term.operator, term.range);
+    case 'duration':
+      return compareRange(parseFloat(task.duration) || 0, term.operator, term.range);
+    case 'course': {
+      const course = courses.find(c => c.id === task.courseId);
+      if (term.value === 'none') {
+        return !course;
+      }
+      return Boolean(course) && (
+        course.code.toLowerCase() === term.value ||
+        (course.name || '').toLowerCase().includes(term.value)
+      );
+    }
+    case 'due':
+      if (term.keyword === 'overdue') {
+        return isTaskOverdue(task);
+      }
+      if (term.keyword === 'none') {
+        return !task.dueDate;
+      }
+      return Boolean(task.dueDate) && compareRange(task.dueDate, term.operator, term.range);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a task matches a parsed query
+ * @param {Object} task - Task
+ * @param {Object|null} expression - Expression from parseSearchQuery (null matches everything)
+ * @param {Object} context - { courses } used by course: terms
+ * @returns {boolean} True if the task matches
+ */
+export function matchesSearchQuery(task, expression, { courses = [] } = {}) {
+  if (!expression) {
+    return true;
+  }
+
+  switch (expression.type) {
+    case 'and':
+      return expression.children.every(child => matchesSearchQuery(task, child, { courses }));
+    case 'or':
+      return expression.children.some(child => matchesSearchQuery(task, child, { courses }));
+    case 'not':
+      return !matchesSearchQuery(task, expression.child, { courses });
+    default:
+      return matchesTerm(task, expression, courses);
+  }
+}
+
+/**
+ * Collect the text terms that apply to a field (or to any field without one)
+ * Excluded terms don't highlight or rank anything.
+ * @private
+ */
+function collectTextTerms(expression, field, negated = false, terms = []) {
+  if (!expression) {
+    return terms;
+  }
+
+  if (expression.type === 'not') {
+    return collectTextTerms(expression.child, field, !negated, terms);
+  }
+
+  if (expression.children) {
+    expression.children.forEach(child => collectTextTerms(child, field, negated, terms));
+  } else if (!negated && (expression.pattern || expression.words) &&
+    (field === undefined || expression.field === null || expression.field === field)) {
+    terms.push(expression);
+  }
+
+  return terms;
+}
+
+/**
+ * Score how well a task matches a parsed fuzzy query
+ * Each word counts its best match, weighted by the field it is found in, so
+ * title matches rank above tag matches and tag matches above notes.
+ * @param {Object} task - Task
+ * @param {Object|null} expression - Expression from parseSearchQuery
+ * @returns {number} Relevance score (0 when nothing fuzzy matches)
+ */
+export function getSearchRelevance(task, expression) {
+  const texts = {
+    title: [task.title],
+    tag: getTaskTags(task),
+    notes: [task.notes || '']
+  };
+
+  // Each word scores its best match in the term's fields
+  const scoreTerm = term => {
+    const best = term.words.map(() => 0);
+    TEXT_FIELDS
+      .filter(field => term.field === null || term.field === field)
+      .forEach(field => texts[field].forEach(text => {
+        findFuzzyMatches(text, term.words).forEach((match, i) => {
+          best[i] = Math.max(best[i], (match?.score || 0) * RELEVANCE_WEIGHTS[field]);
+        });
+      }));
+    return best.reduce((sum, score) => sum + score, 0);
+  };
+
+  return collectTextTerms(expression)
+    .filter(term => term.words)
+    .reduce((total, term) => total + scoreTerm(term), 0);
+}
+
+/**
+ * Order search results by relevance in fuzzy mode
+ * Tasks that score the same keep their order, so the chosen sort breaks ties.
+ * Other modes, and queries that don't parse, leave the order unchanged.
+ * @param {Array} tasks - Matching tasks
+ * @param {string} query - Query typed by the user
+ * @param {string} mode - 'text', 'regex' or 'fuzzy'
+ * @returns {Array} Tasks in relevance order
+ */
+export function rankSearchResults(tasks, query, mode = 'text') {
+  if (mode !== 'fuzzy' || !query || query.trim() === '') {
+    return tasks;
+  }
+
+  const { expression, error } = parseCached(query, mode);
+  if (error) {
+    return tasks;
+  }
+
+  const scores = new Map(tasks.map(task => [task, getSearchRelevance(task, expression)]));
+  return [...tasks].sort((a, b) => scores.get(b) - scores.get(a));
+}
+
+/**
+ * Build the pattern that highlights a query's matches in one field
+ * Plain words highlight in every text field; title:, tag: and notes: terms
+ * only in their own. A query that doesn't parse highlights as plain text.
+ * @param {string} query - Query typed by the user
+ * @param {string} mode - 'text', 'regex' or 'fuzzy'
+ * @param {string} field - 'title', 'tag' or 'notes'
+ * @returns {RegExp|null} Global, case-insensitive pattern, or null when nothing highlights
+ */
+export function getHighlightPattern(query, mode = 'text', field = 'title') {
+  if (!query || query.trim() === '' || !TEXT_FIELDS.includes(field)) {
+    return null;
+  }
+
+  const { expression, error } = parseCached(query, mode);
+  if (error) {
+    return new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  }
+
+  const patterns = collectTextTerms(expression, field)
+    .filter(term => term.pattern)
+    .map(term => term.pattern);
+  if (patterns.length === 0) {
+    return null;
+  }
+  return new RegExp(patterns.map(pattern => `(?:${pattern.source})`).join('|'), 'gi');
+}
+
+/**
+ * Find the parts of a text a query highlights
+ * Works like getHighlightPattern, and in fuzzy mode also marks the letters
+ * each fuzzy word matched, e.g. "datbase" marks d, a, t, b, a, s, e of
+ * "database".
+ * @param {string} text - Text from the field
+ * @param {string} query - Query typed by the user
+ * @param {string} mode - 'text', 'regex' or 'fuzzy'
+ * @param {string} field - 'title', 'tag' or 'notes'
+ * @returns {Array} Non-overlapping [start, end] ranges, in order
+ */
+export function getHighlightRanges(text, query, mode = 'text', field = 'title') {
+  if (!text) {
+    return [];
+  }
+
+  const positions = [];
+  const pattern = getHighlightPattern(query, mode, field);
+  if (pattern) {
+    for (const match of text.matchAll(pattern)) {
+      // Empty regex matches would highlight nothing
+      for (let i = 0; i < match[0].length; i++) {
+        positions.push(match.index + i);
+      }
+    }
+  }
+
+  if (mode === 'fuzzy' && query && TEXT_FIELDS.includes(field)) {
+    const { expression, error } = parseCached(query, mode);
+    const words = error ? [] : collectTextTerms(expression, field).flatMap(term => term.words || []);
+    findFuzzyMatches(text, words).forEach(match => {
+      if (match) {
+        positions.push(...match.positions);
+      }
+    });
+  }
+
+  return toRanges(positions);
+}
+
+export default {
+  SEARCH_MODE_LABELS,
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  validateSearchQuery,
+  matchesSearchQuery,
+  getSearchRelevance,
+  rankSearchResults,
+  getHighlightPattern,
+  getHighlightRanges
+};
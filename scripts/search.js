@@ -3,6 +3,23 @@
  * Implements requirements 6.3, 6.4, 9.1, 9.2
  */
 
+import { getPriorityWeight, getUrgencyScore } from './priority.js';
+import { TagMatchModes, getTaskTags, matchesTags } from './tags.js';
+import { getDueTimestamp, isTaskOverdue, isTaskDueToday } from './due-dates.js';
+import { TaskStatuses } from './statuses.js';
+import { renderMarkdown } from './markdown.js';
+import { NO_COURSE_FILTER } from './courses.js';
+import { isTaskInTerm } from './terms.js';
+import {
+  parseSearchQuery,
+  validateSearchQuery,
+  matchesSearchQuery,
+  rankSearchResults,
+  getHighlightPattern,
+  getHighlightRanges
+} from './search-query.js';
+import { getWords, findFuzzyMatches } from './fuzzy.js';
+
 /**
  * Safely compiles a regex pattern with error handling
  * @param {string} pattern - The regex pattern to compile
@@ -35,7 +52,8 @@ export function compileRegex(pattern, flags = '') {
  */
 export const SearchModes = {
   TEXT: 'text',
-  REGEX: 'regex'
+  REGEX: 'regex',
+  FUZZY: 'fuzzy'
 };
 
 /**
@@ -59,7 +77,7 @@ export class SearchEngine {
   }
 
   /**
-   * Set search mode (text or regex)
+   * Set search mode (text, regex or fuzzy)
    * @param {string} mode - Search mode from SearchModes
    */
   setMode(mode) {
@@ -91,14 +109,22 @@ export class SearchEngine {
 
   /**
    * Prepare search pattern based on current mode and options
+   * With a field, the pattern covers the query terms that highlight in that
+   * field ('title', 'tag' or 'notes') instead of the raw query. Fuzzy mode has
+   * no pattern for its words; findMatches and hasMatch handle them.
    * @param {string} query - Search query
+   * @param {string|null} field - Field being searched or highlighted
    * @returns {RegExp|null} Compiled regex for searching
    */
-  prepareSearchPattern(query) {
+  prepareSearchPattern(query, field = null) {
     if (!query || typeof query !== 'string') {
       return null;
     }
 
+    if (field) {
+      return getHighlightPattern(query, this.currentMode, field);
+    }
+
     const flags = this.caseSensitive ? 'g' : 'gi';
 
     if (this.currentMode === SearchModes.TEXT) {
@@ -149,14 +175,24 @@ export class SearchEngine {
    * Search for matches in a text string
    * @param {string} text - Text to search in
    * @param {string} query - Search query
+   * @param {string|null} field - Field the text comes from, for qualified queries
    * @returns {Array} Array of match objects with position and text
    */
-  findMatches(text, query) {
+  findMatches(text, query, field = null) {
     if (!text || !query) {
       return [];
     }
 
-    const regex = this.prepareSearchPattern(query);
+    // Fuzzy matches are scattered letters, so each run of them is a match
+    if (this.currentMode === SearchModes.FUZZY) {
+      return getHighlightRanges(text, query, SearchModes.FUZZY, field || 'title').map(([start, end]) => ({
+        text: text.slice(start, end),
+        index: start,
+        length: end - start
+      }));
+    }
+
+    const regex = this.prepareSearchPattern(query, field);
     if (!regex) {
       return [];
     }
@@ -205,6 +241,12 @@ export class SearchEngine {
       return false;
     }
 
+    // Every word of the query has to match somewhere in the text
+    if (this.currentMode === SearchModes.FUZZY) {
+      const words = getWords(query).map(({ word }) => word);
+      return words.length > 0 && findFuzzyMatches(text, words).every(Boolean);
+    }
+
     const regex = this.prepareSearchPattern(query);
     if (!regex) {
       return false;
@@ -223,7 +265,7 @@ export class SearchEngine {
    * Implements requirements 6.4, 9.4 for screen reader compatibility
    * @param {string} text - Text to highlight matches in
    * @param {string} query - Search query
-   * @param {Object} options - Highlighting options
+   * @param {Object} options - Highlighting options (field limits qualified terms to their field)
    * @returns {string} Text with accessible highlighted matches
    */
   highlightMatches(text, query, options = {}) {
@@ -231,7 +273,7 @@ export class SearchEngine {
       return text;
     }
 
-    const matches = this.findMatches(text, query);
+    const matches = this.findMatches(text, query, options.field || null);
     if (matches.length === 0) {
       return text;
     }
@@ -398,6 +440,15 @@ export class SearchEngine {
       };
     }
   }
+
+  /**
+   * Validate a field-qualified search query in the current mode
+   * @param {string} query - Search query, e.g. 'tag:Study -status:complete'
+   * @returns {Object} Validation result with isValid and error properties
+   */
+  validateQuery(query) {
+    return validateSearchQuery(query, this.currentMode);
+  }
 }
 
 // Create a default search engine instance
@@ -419,7 +470,10 @@ export const SortOptions = {
   DURATION_ASC: 'duration-asc',
   DURATION_DESC: 'duration-desc',
   CREATED_NEWEST: 'created-newest',
-  CREATED_OLDEST: 'created-oldest'
+  CREATED_OLDEST: 'created-oldest',
+  PRIORITY_HIGH: 'priority-high',
+  PRIORITY_LOW: 'priority-low',
+  URGENCY: 'urgency'
 };
 
 /**
@@ -431,9 +485,17 @@ export const FilterOptions = {
   WEEK: 'week',
   OVERDUE: 'overdue',
   PENDING: 'pending',
-  COMPLETED: 'completed'
+  IN_PROGRESS: 'in-progress',
+  BLOCKED: 'blocked',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
 };
 
+/**
+ * Tag filter modes: match any of the selected tags or all of them
+ */
+export { TagMatchModes };
+
 /**
  * Task filtering and sorting utility class
  */
@@ -463,10 +525,7 @@ export class TaskManager {
         return [...tasks];
 
       case FilterOptions.TODAY:
-        return tasks.filter(task => {
-          const dueDate = new Date(task.dueDate);
-          return dueDate.toDateString() === today.toDateString();
-        });
+        return tasks.filter(task => isTaskDueToday(task, now));
 
       case FilterOptions.WEEK:
         return tasks.filter(task => {
@@ -475,16 +534,23 @@ export class TaskManager {
         });
 
       case FilterOptions.OVERDUE:
-        return tasks.filter(task => {
-          const dueDate = new Date(task.dueDate);
-          return dueDate < today && task.status !== 'Complete';
-        });
+        // Compare against the real deadline, including the due time
+        return tasks.filter(task => isTaskOverdue(task, now));
 
       case FilterOptions.PENDING:
-        return tasks.filter(task => task.status === 'Pending');
+        return tasks.filter(task => task.status === TaskStatuses.PENDING);
+
+      case FilterOptions.IN_PROGRESS:
+        return tasks.filter(task => task.status === TaskStatuses.IN_PROGRESS);
+
+      case FilterOptions.BLOCKED:
+        return tasks.filter(task => task.status === TaskStatuses.BLOCKED);
 
       case FilterOptions.COMPLETED:
-        return tasks.filter(task => task.status === 'Complete');
+        return tasks.filter(task => task.status === TaskStatuses.COMPLETE);
+
+      case FilterOptions.CANCELLED:
+        return tasks.filter(task => task.status === TaskStatuses.CANCELLED);
 
       default:
         console.warn('Unknown filter type:', filterType);
@@ -492,6 +558,66 @@ export class TaskManager {
     }
   }
 
+  /**
+   * Filter tasks by a set of tags
+   * @param {Array} tasks - Array of task objects
+   * @param {Array} tags - Tags to filter by (empty keeps every task)
+   * @param {string} mode - Match mode from TagMatchModes
+   * @returns {Array} Filtered array of tasks
+   */
+  filterTasksByTags(tasks, tags, mode = TagMatchModes.ANY) {
+    if (!Array.isArray(tasks)) {
+      return [];
+    }
+
+    if (!Object.values(TagMatchModes).includes(mode)) {
+      console.warn('Unknown tag match mode:', mode);
+      mode = TagMatchModes.ANY;
+    }
+
+    return tasks.filter(task => matchesTags(task, tags, mode));
+  }
+
+  /**
+   * Filter tasks by course
+   * @param {Array} tasks - Array of task objects
+   * @param {string} courseFilter - Course ID, 'none' for tasks without a course, or '' for all
+   * @returns {Array} Filtered array of tasks
+   */
+  filterTasksByCourse(tasks, courseFilter) {
+    if (!Array.isArray(tasks)) {
+      return [];
+    }
+
+    if (!courseFilter) {
+      return tasks;
+    }
+
+    if (courseFilter === NO_COURSE_FILTER) {
+      return tasks.filter(task => !task.courseId);
+    }
+
+    return tasks.filter(task => task.courseId === courseFilter);
+  }
+
+  /**
+   * Filter tasks by term
+   * @param {Array} tasks - Array of task objects
+   * @param {Object|null} term - Term to keep the tasks of, or null for all
+   * @returns {Array} Filtered array of tasks
+   */
+  filterTasksByTerm(tasks, term) {
+    if (!Array.isArray(tasks)) {
+      return [];
+    }
+
+    if (!term) {
+      return tasks;
+    }
+
+    return tasks.filter(task => isTaskInTerm(task, term));
+  }
+
   /**
    * Sort tasks based on the specified sort option
    * @param {Array} tasks - Array of task objects
@@ -507,10 +633,10 @@ export class TaskManager {
 
     switch (sortBy) {
       case SortOptions.DATE_NEWEST:
-        return sortedTasks.sort((a, b) => new Date(b.dueDate) - new Date(a.dueDate));
+        return sortedTasks.sort((a, b) => getDueTimestamp(b) - getDueTimestamp(a));
 
       case SortOptions.DATE_OLDEST:
-        return sortedTasks.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+        return sortedTasks.sort((a, b) => getDueTimestamp(a) - getDueTimestamp(b));
 
       case SortOptions.TITLE_A_Z:
         return sortedTasks.sort((a, b) => a.title.localeCompare(b.title, undefined, { 
@@ -536,6 +662,21 @@ export class TaskManager {
       case SortOptions.CREATED_OLDEST:
         return sortedTasks.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
 
+      case SortOptions.PRIORITY_HIGH:
+        return sortedTasks.sort((a, b) => 
+          getPriorityWeight(b) - getPriorityWeight(a) || new Date(a.dueDate) - new Date(b.dueDate)
+        );
+
+      case SortOptions.PRIORITY_LOW:
+        return sortedTasks.sort((a, b) => 
+          getPriorityWeight(a) - getPriorityWeight(b) || new Date(a.dueDate) - new Date(b.dueDate)
+        );
+
+      case SortOptions.URGENCY: {
+        const now = new Date();
+        return sortedTasks.sort((a, b) => getUrgencyScore(b, now) - getUrgencyScore(a, now));
+      }
+
       default:
         console.warn('Unknown sort option:', sortBy);
         return sortedTasks;
@@ -543,11 +684,13 @@ export class TaskManager {
   }
 
   /**
-   * Search tasks using the search engine
+   * Search tasks with the field-qualified query language
+   * A query that doesn't parse is matched as plain text against the title,
+   * notes and tags.
    * @param {Array} tasks - Array of task objects
    * @param {string} query - Search query
-   * @param {Object} options - Search options
-   * @returns {Array} Array of tasks that match the search
+   * @param {Object} options - Search options (mode, caseSensitive, courses)
+   * @returns {Array} Array of tasks that match the search, ranked by relevance in fuzzy mode
    */
   searchTasks(tasks, query, options = {}) {
     if (!Array.isArray(tasks) || !query || query.trim() === '') {
@@ -562,23 +705,33 @@ export class TaskManager {
       this.searchEngine.setCaseSensitive(options.caseSensitive);
     }
 
+    const { mode } = this.searchEngine.getConfig();
+    const { expression, error } = parseSearchQuery(query, { mode });
+    if (!error) {
+      const matches = tasks.filter(task => matchesSearchQuery(task, expression, { courses: options.courses || [] }));
+      return rankSearchResults(matches, query, mode);
+    }
+
     // Define searchable fields
-    const searchableFields = ['title', 'tag'];
+    const searchableFields = ['title', 'notes'];
     
     return tasks.filter(task => {
-      return searchableFields.some(field => {
+      const matchesField = searchableFields.some(field => {
         const fieldValue = task[field];
         if (!fieldValue) return false;
         
         return this.searchEngine.hasMatch(String(fieldValue), query);
       });
+      
+      return matchesField || getTaskTags(task).some(tag => this.searchEngine.hasMatch(tag, query));
     });
   }
 
   /**
    * Apply multiple operations: search, filter, and sort
    * @param {Array} tasks - Array of task objects
-   * @param {Object} operations - Object containing search, filter, and sort options
+   * @param {Object} operations - Object containing search, filter, and sort options;
+   *   search is { query, options: { mode, caseSensitive, courses } }
    * @returns {Array} Processed array of tasks
    */
   processTasks(tasks, operations = {}) {
@@ -594,11 +747,31 @@ export class TaskManager {
       processedTasks = this.filterTasks(processedTasks, operations.filter);
     }
 
+    // Apply tag filter
+    if (operations.tags && operations.tags.tags) {
+      processedTasks = this.filterTasksByTags(processedTasks, operations.tags.tags, operations.tags.mode);
+    }
+
+    // Apply course filter
+    if (operations.course) {
+      processedTasks = this.filterTasksByCourse(processedTasks, operations.course);
+    }
+
+    // Apply term filter
+    if (operations.term) {
+      processedTasks = this.filterTasksByTerm(processedTasks, operations.term);
+    }
+
     // Apply sort
     if (operations.sort) {
       processedTasks = this.sortTasks(processedTasks, operations.sort);
     }
 
+    // Fuzzy results stay in relevance order; the sort only breaks ties
+    if (operations.search && operations.search.query) {
+      processedTasks = rankSearchResults(processedTasks, operations.search.query, this.searchEngine.getConfig().mode);
+    }
+
     return processedTasks;
   }
 
@@ -615,8 +788,11 @@ export class TaskManager {
     if (operations.search && operations.search.query) {
       const highlightedTasks = processedTasks.map(task => ({
         ...task,
-        highlightedTitle: this.searchEngine.highlightMatches(task.title, operations.search.query),
-        highlightedTag: this.searchEngine.highlightMatches(task.tag, operations.search.query)
+        highlightedTitle: this.searchEngine.highlightMatches(task.title, operations.search.query, { field: 'title' }),
+        highlightedTags: getTaskTags(task).map(tag => this.searchEngine.highlightMatches(tag, operations.search.query, { field: 'tag' })),
+        highlightedNotes: task.notes
+          ? renderMarkdown(task.notes, { highlight: { query: operations.search.query, mode: this.searchEngine.getConfig().mode } })
+          : ''
       }));
 
       return {
@@ -682,145 +858,18 @@ export class TaskManager {
       }
 
       // Check tags
-      if (task.tag && task.tag.toLowerCase().includes(lowerQuery)) {
-        suggestions.add(task.tag);
-      }
+      getTaskTags(task).forEach(tag => {
+        if (tag.toLowerCase().includes(lowerQuery)) {
+          suggestions.add(tag);
+        }
+      });
     });
 
     return Array.from(suggestions).slice(0, 10); // Limit to 10 suggestions
   }
 }
 
-/**
- * Accessibility utilities for search and highlighting
- * Implements requirements 6.4, 9.4 for screen reader compatibility
- */
-export class AccessibilityManager {
-  constructor() {
-    this.politeRegion = null;
-    this.assertiveRegion = null;
-    this.init();
-  }
-
-  /**
-   * Initialize ARIA live regions for announcements
-   */
-  init() {
-    this.politeRegion = this.getOrCreateLiveRegion('search-announcements-polite', 'polite');
-    this.assertiveRegion = this.getOrCreateLiveRegion('search-announcements-assertive', 'assertive');
-  }
-
-  /**
-   * Get or create an ARIA live region
-   * @param {string} id - ID for the live region
-   * @param {string} politeness - 'polite' or 'assertive'
-   * @returns {HTMLElement} The live region element
-   */
-  getOrCreateLiveRegion(id, politeness) {
-    let region = document.getElementById(id);
-    
-    if (!region) {
-      region = document.createElement('div');
-      region.id = id;
-      region.setAttribute('aria-live', politeness);
-      region.setAttribute('aria-atomic', 'true');
-      region.className = 'sr-only';
-      region.style.cssText = `
-        position: absolute !important;
-        width: 1px !important;
-        height: 1px !important;
-        padding: 0 !important;
-        margin: -1px !important;
-        overflow: hidden !important;
-        clip: rect(0, 0, 0, 0) !important;
-        white-space: nowrap !important;
-        border: 0 !important;
-      `;
-      
-      document.body.appendChild(region);
-    }
-    
-    return region;
-  }
-
-  /**
-   * Announce message to screen readers
-   * @param {string} message - Message to announce
-   * @param {string} politeness - 'polite' or 'assertive'
-   */
-  announce(message, politeness = 'polite') {
-    if (!message) return;
-
-    const region = politeness === 'assertive' ? this.assertiveRegion : this.politeRegion;
-    
-    if (region) {
-      // Clear the region first to ensure the message is announced
-      region.textContent = '';
-      
-      // Use setTimeout to ensure the clearing is processed before setting new content
-      setTimeout(() => {
-        region.textContent = message;
-      }, 100);
-    }
-  }
-
-  /**
-   * Clear all announcements
-   */
-  clearAnnouncements() {
-    if (this.politeRegion) {
-      this.politeRegion.textContent = '';
-    }
-    if (this.assertiveRegion) {
-      this.assertiveRegion.textContent = '';
-    }
-  }
-
-  /**
-   * Announce search results with appropriate politeness
-   * @param {number} resultCount - Number of search results
-   * @param {string} query - Search query
-   * @param {boolean} isRealTime - Whether this is a real-time search update
-   */
-  announceSearchResults(resultCount, query, isRealTime = true) {
-    if (!query) return;
-
-    const politeness = isRealTime ? 'polite' : 'assertive';
-    let message;
-
-    if (resultCount === 0) {
-      message = `No results found for "${query}"`;
-    } else if (resultCount === 1) {
-      message = `1 result found for "${query}"`;
-    } else {
-      message = `${resultCount} results found for "${query}"`;
-    }
-
-    this.announce(message, politeness);
-  }
-
-  /**
-   * Announce filter changes
-   * @param {string} filterType - New filter type
-   * @param {number} taskCount - Number of tasks in filter
-   */
-  announceFilterChange(filterType, taskCount) {
-    const message = `Filter changed to ${filterType}. ${taskCount} tasks shown.`;
-    this.announce(message, 'polite');
-  }
-
-  /**
-   * Announce sort changes
-   * @param {string} sortType - New sort type
-   */
-  announceSortChange(sortType) {
-    const message = `Tasks sorted by ${sortType.replace('-', ' ')}`;
-    this.announce(message, 'polite');
-  }
-}
-
-// Create default instances
-export const accessibilityManager = new AccessibilityManager();
+// Create default instance
 export const taskManager = new TaskManager();
 
 // Export utility functions
@@ -829,6 +878,5 @@ export {
   SearchModes,
   SearchOptions,
   SortOptions,
-  FilterOptions,
-  AccessibilityManager
+  FilterOptions
 };
\ No newline at end of file
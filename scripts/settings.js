@@ -20,7 +20,10 @@ export const DEFAULT_SETTINGS = {
   compactView: false,            // Compact task display
   showCompletedTasks: true,      // Show completed tasks in lists
   dateFormat: 'YYYY-MM-DD',      // Date format preference
-  firstDayOfWeek: 0              // 0 = Sunday, 1 = Monday
+  firstDayOfWeek: 0,             // 0 = Sunday, 1 = Monday
+  progressMode: 'estimated',     // 'estimated' or 'logged' weekly progress
+  backupAttachments: false,      // Bundle attachment files into manual backups
+  trashRetentionDays: 30         // Days before trashed tasks are purged (0 = never)
 };
 
 /**
@@ -50,7 +53,7 @@ export const SETTINGS_VALIDATION = {
   },
   sortPreference: {
     type: 'string',
-    allowedValues: ['date-newest', 'date-oldest', 'title-asc', 'title-desc', 'duration-asc', 'duration-desc'],
+    allowedValues: ['date-newest', 'date-oldest', 'title-asc', 'title-desc', 'duration-asc', 'duration-desc', 'priority-high', 'priority-low', 'urgency'],
     default: 'date-newest'
   },
   searchCaseSensitive: {
@@ -83,6 +86,21 @@ export const SETTINGS_VALIDATION = {
     min: 0,
     max: 6,
     default: 0
+  },
+  progressMode: {
+    type: 'string',
+    allowedValues: ['estimated', 'logged'],
+    default: 'estimated'
+  },
+  backupAttachments: {
+    type: 'boolean',
+    default: false
+  },
+  trashRetentionDays: {
+    type: 'number',
+    min: 0,
+    max: 365,
+    default: 30
   }
 };
 
@@ -482,7 +500,10 @@ export class SettingsManager {
         'title-asc': 'Title (A-Z)',
         'title-desc': 'Title (Z-A)',
         'duration-asc': 'Duration (shortest first)',
-        'duration-desc': 'Duration (longest first)'
+        'duration-desc': 'Duration (longest first)',
+        'priority-high': 'Priority (highest first)',
+        'priority-low': 'Priority (lowest first)',
+        'urgency': 'Urgency (priority and due date)'
       },
       dateFormat: {
         'YYYY-MM-DD': 'YYYY-MM-DD (2025-01-15)',
@@ -0,0 +1,259 @@
+/**
+ * Smart lists module for saved task searches
+ * A smart list is a named combination of the Tasks page search, search mode,
+ * status filter and sort order. Lists are shown in the navigation in the
+ * order the user arranges them.
+ */
+
+import { SEARCH_MODE_LABELS } from './search-query.js';
+
+export const MAX_SMART_LIST_NAME_LENGTH = 50;
+export const MAX_SMART_LISTS = 30;
+export const MAX_SMART_LIST_QUERY_LENGTH = 500;
+
+/**
+ * Status filters of the Tasks page, with their labels
+ */
+export const SMART_LIST_FILTERS = {
+  all: 'All Tasks',
+  pending: 'Pending',
+  'in-progress': 'In Progress',
+  blocked: 'Blocked',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  today: 'Due Today',
+  week: 'This Week',
+  overdue: 'Overdue'
+};
+
+/**
+ * Sort orders of the Tasks page, with their labels
+ */
+export const SMART_LIST_SORTS = {
+  'date-newest': 'Due Date (Newest)',
+  'date-oldest': 'Due Date (Oldest)',
+  'title-asc': 'Title (A-Z)',
+  'title-desc': 'Title (Z-A)',
+  'duration-asc': 'Duration (Low-High)',
+  'duration-desc': 'Duration (High-Low)',
+  'priority-high': 'Priority (High-Low)',
+  'priority-low': 'Priority (Low-High)',
+  urgency: 'Urgency'
+};
+
+// Smart list IDs are written into data attributes
+const SMART_LIST_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const isOption = (options, value) => typeof value === 'string' && Object.prototype.hasOwnProperty.call(options, value);
+
+/**
+ * Generate unique smart list ID
+ * @returns {string} Smart list ID
+ */
+export function generateSmartListId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `smartlist_${timestamp}_${random}`;
+}
+
+/**
+ * Check whether a smart list ID is well formed
+ * @param {string} id - Smart list ID
+ * @returns {boolean} True if valid
+ */
+export function isValidSmartListId(id) {
+  return typeof id === 'string' && SMART_LIST_ID_PATTERN.test(id);
+}
+
+/**
+ * Normalize raw smart list input
+ * Unknown modes, filters and sorts fall back to the Tasks page defaults.
+ * @param {Object} data - Raw smart list fields
+ * @returns {Object} Smart list
+ */
+export function normalizeSmartList(data) {
+  return {
+    id: isValidSmartListId(data.id) ? data.id : generateSmartListId(),
+    name: String(data.name || '').trim().replace(/\s+/g, ' '),
+    searchQuery: String(data.searchQuery || '').trim(),
+    searchMode: isOption(SEARCH_MODE_LABELS, data.searchMode) ? data.searchMode : 'text',
+    filterBy: isOption(SMART_LIST_FILTERS, data.filterBy) ? data.filterBy : 'all',
+    sortBy: isOption(SMART_LIST_SORTS, data.sortBy) ? data.sortBy : 'date-newest'
+  };
+}
+
+/**
+ * Build smart list fields from the Tasks page UI state
+ * @param {Object} uiState - AppState UI state
+ * @returns {Object} Smart list fields (without name or ID)
+ */
+export function getSmartListView(uiState) {
+  const { id, name, ...view } = normalizeSmartList(uiState || {});
+  return view;
+}
+
+/**
+ * Validate a smart list
+ * @param {Object} list - Smart list to validate
+ * @param {Array} lists - Other smart lists (for the unique name check)
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateSmartList(list, lists = []) {
+  const errors = [];
+
+  if (!list || typeof list !== 'object') {
+    return ['smart list must be an object'];
+  }
+
+  if (typeof list.name !== 'string' || list.name.trim() === '') {
+    errors.push('Smart list name is required');
+  } else if (list.name.length > MAX_SMART_LIST_NAME_LENGTH) {
+    errors.push(`Smart list name must be ${MAX_SMART_LIST_NAME_LENGTH} characters or less`);
+  } else if (lists.some(other => other.id !== list.id && other.name.toLowerCase() === list.name.toLowerCase())) {
+    errors.push(`A smart list named "${list.name}" already exists`);
+  }
+
+  if (typeof list.searchQuery !== 'string') {
+    errors.push('searchQuery must be a string');
+  } else if (list.searchQuery.length > MAX_SMART_LIST_QUERY_LENGTH) {
+    errors.push(`Search must be ${MAX_SMART_LIST_QUERY_LENGTH} characters or less`);
+  }
+
+  if (!isOption(SEARCH_MODE_LABELS, list.searchMode)) {
+    errors.push(`searchMode must be one of ${Object.keys(SEARCH_MODE_LABELS).join(', ')}`);
+  }
+
+  if (!isOption(SMART_LIST_FILTERS, list.filterBy)) {
+    errors.push('filterBy is not a valid filter');
+  }
+
+  if (!isOption(SMART_LIST_SORTS, list.sortBy)) {
+    errors.push('sortBy is not a valid sort order');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of smart lists (e.g. from an import)
+ * @param {Array} lists - Smart lists to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateSmartLists(lists) {
+  const errors = [];
+
+  if (lists === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(lists)) {
+    return ['smartLists must be an array'];
+  }
+
+  if (lists.length > MAX_SMART_LISTS) {
+    errors.push(`there can be at most ${MAX_SMART_LISTS} smart lists`);
+  }
+
+  const ids = new Set();
+  lists.forEach((list, index) => {
+    if (!list || !isValidSmartListId(list.id)) {
+      errors.push(`smart list ${index + 1} must have an id made of letters, digits, - or _`);
+    } else if (ids.has(list.id)) {
+      errors.push(`smart list ${index + 1} has a duplicate id`);
+    } else {
+      ids.add(list.id);
+    }
+
+    validateSmartList(list, lists).forEach(error => errors.push(`smart list ${index + 1}: ${error}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether the Tasks page currently shows a smart list's view
+ * @param {Object} list - Smart list
+ * @param {Object} uiState - AppState UI state
+ * @returns {boolean} True if search, mode, filter and sort all match
+ */
+export function isSmartListActive(list, uiState) {
+  const view = getSmartListView(uiState);
+  return list.searchQuery === view.searchQuery &&
+    list.searchMode === view.searchMode &&
+    list.filterBy === view.filterBy &&
+    list.sortBy === view.sortBy;
+}
+
+/**
+ * Describe what a smart list shows
+ * @param {Object} list - Smart list
+ * @returns {string} e.g. '"tag:Study" (Fuzzy) · Pending · Urgency'
+ */
+export function describeSmartList(list) {
+  const parts = [];
+  if (list.searchQuery) {
+    parts.push(`"${list.searchQuery}"${list.searchMode !== 'text' ? ` (${SEARCH_MODE_LABELS[list.searchMode]})` : ''}`);
+  }
+  parts.push(SMART_LIST_FILTERS[list.filterBy] || SMART_LIST_FILTERS.all);
+  parts.push(SMART_LIST_SORTS[list.sortBy] || SMART_LIST_SORTS['date-newest']);
+  return parts.join(' · ');
+}
+
+/**
+ * Move a smart list up or down the order
+ * @param {Array} lists - Smart lists in order
+ * @param {string} id - Smart list to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Array} New array (unchanged order when the move isn't possible)
+ */
+export function moveSmartList(lists, id, offset) {
+  const index = lists.findIndex(list => list.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= lists.length) {
+    return [...lists];
+  }
+
+  const moved = [...lists];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+}
+
+/**
+ * Merge imported smart lists into existing ones
+ * Lists with the same ID are replaced in place by the imported version; an
+ * imported list whose name is already taken by another list replaces that
+ * one. New lists go after the existing ones.
+ * @param {Array} existingLists - Current smart lists
+ * @param {Array} importedLists - Imported smart lists
+ * @returns {Array} Merged smart lists
+ */
+export function mergeSmartLists(existingLists, importedLists) {
+  const imported = importedLists || [];
+  const importedNames = new Set(imported.map(list => list.name.toLowerCase()));
+  const importedIds = new Set(imported.map(list => list.id));
+  const kept = (existingLists || []).filter(list =>
+    importedIds.has(list.id) || !importedNames.has(list.name.toLowerCase())
+  );
+
+  const merged = new Map(kept.map(list => [list.id, list]));
+  imported.forEach(list => merged.set(list.id, list));
+  return [...merged.values()];
+}
+
+export default {
+  MAX_SMART_LIST_NAME_LENGTH,
+  MAX_SMART_LISTS,
+  MAX_SMART_LIST_QUERY_LENGTH,
+  SMART_LIST_FILTERS,
+  SMART_LIST_SORTS,
+  generateSmartListId,
+  isValidSmartListId,
+  normalizeSmartList,
+  getSmartListView,
+  validateSmartList,
+  validateSmartLists,
+  isSmartListActive,
+  describeSmartList,
+  moveSmartList,
+  mergeSmartLists
+};
@@ -4,6 +4,109 @@
  */
 
 import { getDataManager } from "./data-manager.js";
+import {
+  normalizeRecurrence,
+  getNextOccurrenceDate,
+} from "./recurrence.js";
+import { normalizeSubtasks } from "./subtasks.js";
+import { DEFAULT_PRIORITY, isValidPriority } from "./priority.js";
+import {
+  normalizeDependencies,
+  getBlockingTasks,
+  findDependencyCycle,
+  removeDependencyReferences,
+  restoreDependencyReferences,
+} from "./dependencies.js";
+import { normalizeTags, getTaskTags, migrateTaskTags } from "./tags.js";
+import { isValidDueTime } from "./due-dates.js";
+import {
+  TaskStatuses,
+  DEFAULT_STATUS,
+  DEFAULT_STATUS_WORKFLOW,
+  isValidStatus,
+  isClosedStatus,
+  canTransition,
+} from "./statuses.js";
+import {
+  DEFAULT_PROGRESS_MODE,
+  normalizeTimeLog,
+  isTimerRunning,
+  isValidTimestamp,
+  appendTimerSession,
+} from "./time-tracking.js";
+import { normalizeNotes } from "./notes.js";
+import {
+  normalizeAttachments,
+  normalizeLinks,
+  getUnreferencedAttachmentIds,
+} from "./attachments.js";
+import { attachmentStore } from "./attachment-store.js";
+import {
+  generateCourseId,
+  normalizeCourse,
+  validateCourse,
+  getCourseById,
+} from "./courses.js";
+import { normalizeGrade } from "./grades.js";
+import {
+  generateTermId,
+  normalizeTerm,
+  validateTerm,
+  getTermById,
+  isDateInTerm,
+  isTaskInTerm,
+  isTaskArchived,
+  resolveTermFilter,
+} from "./terms.js";
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  getRetentionDays,
+  moveToTrash,
+  restoreFromTrash,
+  getExpiredTrash,
+} from "./trash.js";
+import {
+  generateTemplateId,
+  normalizeTemplate,
+  validateTemplate,
+  mergeTemplates,
+} from "./templates.js";
+import {
+  generateExamId,
+  normalizeExam,
+  validateExam,
+  getExamById,
+  generateStudyPlan,
+  getExamSessions,
+  isUntouchedSession,
+  getUnplannedMinutes,
+  isPlanChanged,
+} from "./exams.js";
+import {
+  MAX_SMART_LISTS,
+  generateSmartListId,
+  normalizeSmartList,
+  validateSmartList,
+  moveSmartList,
+  mergeSmartLists,
+} from "./smart-lists.js";
+import {
+  MAX_HISTORY_DEPTH,
+  captureSnapshot,
+  diffSnapshots,
+  createHistoryEntry,
+  applyHistoryEntry,
+  getEntryTasks,
+} from "./history.js";
+import {
+  ChangeSources,
+  appendTaskChanges,
+  logImportedChanges,
+  getRevertUpdates,
+} from "./change-log.js";
+import { SearchIndex } from "./search-index.js";
+
+const HISTORY_STORAGE_KEY = "campusLifePlannerHistory";
 
 export class AppState {
   constructor() {
@@ -23,7 +126,17 @@ export class AppState {
     }
 
     this.state = {
-      tasks: savedState?.tasks || [],
+      tasks: (savedState?.tasks || []).map(migrateTaskTags),
+      courses: Array.isArray(savedState?.courses) ? savedState.courses : [],
+      terms: Array.isArray(savedState?.terms) ? savedState.terms : [],
+      trash: Array.isArray(savedState?.trash) ? savedState.trash : [],
+      templates: Array.isArray(savedState?.templates)
+        ? savedState.templates
+        : [],
+      exams: Array.isArray(savedState?.exams) ? savedState.exams : [],
+      smartLists: Array.isArray(savedState?.smartLists)
+        ? savedState.smartLists
+        : [],
       settings: {
         timeUnit: "both",
         weeklyHourTarget: 40,
@@ -31,6 +144,10 @@ export class AppState {
         defaultTag: "General",
         sortPreference: "date-newest",
         searchCaseSensitive: false,
+        statusWorkflow: DEFAULT_STATUS_WORKFLOW,
+        progressMode: DEFAULT_PROGRESS_MODE,
+        backupAttachments: false,
+        trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
         ...(savedState?.settings || {}),
       },
       ui: {
@@ -41,6 +158,11 @@ export class AppState {
         sortBy: "date-newest",
         filterBy: "all",
         selectedTasks: [],
+        expandedTasks: [],
+        tagFilter: [],
+        tagMatchMode: "any",
+        courseFilter: "",
+        termFilter: "",
         toastMessage: null,
         viewMode: "table",
         ...(savedState?.ui || {}),
@@ -50,6 +172,16 @@ export class AppState {
     this.observers = [];
     this.isInitialized = false;
 
+    // Undo history lives in session storage so it survives reloads and
+    // navigation but not closing the tab
+    this.history = this.loadHistory();
+    this.historyDepth = 0;
+
+    // Built in idle time once the tasks have loaded, then kept up to date
+    // by the task mutations
+    this.searchIndex = new SearchIndex();
+    this.searchIndexBuilt = false;
+
     // Initialize asynchronously
     this.initializeAsync().catch((error) => {
       console.error("State initialization failed:", error);
@@ -59,215 +191,1895 @@ export class AppState {
   }
 
   /**
-   * Observable pattern implementation
+   * Observable pattern implementation
+   */
+  subscribe(callback) {
+    this.observers.push(callback);
+    return () => {
+      const index = this.observers.indexOf(callback);
+      if (index > -1) {
+        this.observers.splice(index, 1);
+      }
+    };
+  }
+
+  unsubscribe(callback) {
+    const index = this.observers.indexOf(callback);
+    if (index > -1) {
+      this.observers.splice(index, 1);
+    }
+  }
+
+  notify(changes) {
+    this.observers.forEach((callback) => {
+      try {
+        callback(changes, this.state);
+      } catch (error) {
+        console.error("Error in state observer:", error);
+      }
+    });
+  }
+
+  /**
+   * Undo/redo history
+   * Mutations take a snapshot before they change anything and commit it once
+   * they have saved. Nested mutations are folded into the outermost one.
+   */
+  beginChange() {
+    return this.historyDepth === 0 ? captureSnapshot(this.state) : null;
+  }
+
+  commitChange(snapshot, label) {
+    if (!snapshot) {
+      return null;
+    }
+
+    const changes = diffSnapshots(snapshot, captureSnapshot(this.state));
+    if (!changes) {
+      return null;
+    }
+
+    const entry = createHistoryEntry(label, changes);
+    this.history = {
+      undo: [...this.history.undo, entry].slice(-MAX_HISTORY_DEPTH),
+      redo: [],
+    };
+    this.saveHistory();
+    return entry;
+  }
+
+  /**
+   * Run several mutations as a single history step
+   * @param {string} label - What the change does, shown in the Undo toast
+   * @param {Function} fn - Runs the mutations
+   * @returns {*} Whatever fn returns
+   */
+  recordHistory(label, fn) {
+    const snapshot = this.beginChange();
+    this.historyDepth++;
+    try {
+      return fn();
+    } finally {
+      this.historyDepth--;
+      this.commitChange(snapshot, label);
+    }
+  }
+
+  canUndo() {
+    return this.history.undo.length > 0;
+  }
+
+  canRedo() {
+    return this.history.redo.length > 0;
+  }
+
+  /**
+   * Get the most recent step that can be undone
+   * @returns {Object|null} History step
+   */
+  getLastChange() {
+    return this.history.undo[this.history.undo.length - 1] || null;
+  }
+
+  /**
+   * Undo the most recent change
+   * @param {string} entryId - Only undo if this is still the most recent step
+   * @returns {Object} The step that was undone
+   */
+  undo(entryId) {
+    return this.applyHistory("undo", entryId);
+  }
+
+  /**
+   * Redo the most recently undone change
+   * @returns {Object} The step that was redone
+   */
+  redo() {
+    return this.applyHistory("redo");
+  }
+
+  applyHistory(direction, entryId) {
+    const [source, target] =
+      direction === "undo" ? ["undo", "redo"] : ["redo", "undo"];
+    const stack = this.history[source];
+    const entry = stack[stack.length - 1];
+
+    if (!entry) {
+      throw new Error(`Nothing to ${direction}`);
+    }
+    if (entryId && entry.id !== entryId) {
+      throw new Error(
+        stack.some((e) => e.id === entryId)
+          ? "Undo the newer changes first"
+          : "That change has already been undone"
+      );
+    }
+
+    let data;
+    try {
+      data = applyHistoryEntry(this.state, entry, direction);
+    } catch (error) {
+      // The step no longer fits the data, so it can never be applied
+      this.history = { ...this.history, [source]: stack.slice(0, -1) };
+      this.saveHistory();
+      throw error;
+    }
+
+    const previousState = this.state;
+    this.state = { ...this.state, ...data };
+    this.pruneSelectedTasks();
+    if (!this.saveToStorage()) {
+      this.state = previousState;
+      throw new Error(`Failed to save after trying to ${direction}`);
+    }
+
+    this.history = {
+      [source]: stack.slice(0, -1),
+      [target]: [...this.history[target], entry].slice(-MAX_HISTORY_DEPTH),
+    };
+    this.saveHistory();
+    this.syncSearchIndex();
+    this.notify({ type: "HISTORY_APPLIED", direction, entry });
+    return entry;
+  }
+
+  clearHistory() {
+    this.history = { undo: [], redo: [] };
+    this.saveHistory();
+  }
+
+  /**
+   * Drop selected task IDs that no longer exist, e.g. after undo or an import
+   * replaced the tasks
+   */
+  pruneSelectedTasks() {
+    const selectedTasks = this.state.ui.selectedTasks || [];
+    const taskIds = new Set(this.state.tasks.map((task) => task.id));
+    if (selectedTasks.some((id) => !taskIds.has(id))) {
+      this.state.ui = {
+        ...this.state.ui,
+        selectedTasks: selectedTasks.filter((id) => taskIds.has(id)),
+      };
+    }
+  }
+
+  loadHistory() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY));
+      if (Array.isArray(saved?.undo) && Array.isArray(saved?.redo)) {
+        return saved;
+      }
+    } catch (error) {
+      console.warn("Failed to load undo history:", error);
+    }
+    return { undo: [], redo: [] };
+  }
+
+  saveHistory() {
+    // Drop the oldest steps until the history fits in session storage
+    while (true) {
+      try {
+        sessionStorage.setItem(
+          HISTORY_STORAGE_KEY,
+          JSON.stringify(this.history)
+        );
+        return;
+      } catch (error) {
+        if (this.history.undo.length === 0 && this.history.redo.length === 0) {
+          console.warn("Failed to save undo history:", error);
+          return;
+        }
+        const key = this.history.undo.length > 0 ? "undo" : "redo";
+        this.history = { ...this.history, [key]: this.history[key].slice(1) };
+      }
+    }
+  }
+
+  /**
+   * Task CRUD operations
+   */
+  getTasks() {
+    return [...this.state.tasks];
+  }
+
+  /**
+   * Get the word index used to search tasks
+   * A search that comes before the idle-time build finishes the build itself.
+   * @returns {SearchIndex} Search index
+   */
+  getSearchIndex() {
+    if (!this.searchIndexBuilt) {
+      this.syncSearchIndex();
+    }
+    return this.searchIndex;
+  }
+
+  /**
+   * Index every task, a chunk at a time while the browser is idle
+   * Tasks changed meanwhile are indexed by their mutations, and the closing
+   * sync replaces any older copies the chunks indexed.
+   */
+  buildSearchIndexWhenIdle() {
+    const whenIdle =
+      typeof requestIdleCallback === "function"
+        ? requestIdleCallback
+        : (callback) => setTimeout(() => callback({ timeRemaining: () => 10 }));
+    const tasks = [...this.state.tasks];
+    let next = 0;
+
+    const indexChunk = (deadline) => {
+      if (this.searchIndexBuilt) {
+        return;
+      }
+      while (next < tasks.length && deadline.timeRemaining() > 1) {
+        this.searchIndex.addTask(tasks[next++]);
+      }
+      if (next < tasks.length) {
+        whenIdle(indexChunk);
+      } else {
+        this.syncSearchIndex();
+      }
+    };
+    whenIdle(indexChunk);
+  }
+
+  /**
+   * Bring the search index in line with the whole task list
+   * Only needed after changes that replace tasks in bulk (loading, undo/redo,
+   * imports); other mutations update the index themselves.
+   */
+  syncSearchIndex() {
+    this.searchIndex.sync(this.state.tasks);
+    this.searchIndexBuilt = true;
+  }
+
+  /**
+   * Re-index the tasks with the given IDs after a mutation replaced them;
+   * IDs no longer in the task list are dropped from the index
+   * @param {Array} ids - IDs of the changed tasks
+   */
+  reindexTasks(ids) {
+    if (ids.length === 0) {
+      return;
+    }
+    const changedIds = new Set(ids);
+    this.state.tasks.forEach((task) => {
+      if (changedIds.delete(task.id)) {
+        this.searchIndex.updateTask(task);
+      }
+    });
+    changedIds.forEach((id) => this.searchIndex.removeTask(id));
+  }
+
+  addTask(taskData) {
+    const snapshot = this.beginChange();
+    console.log("=== STATE: addTask called ===");
+    console.log("Input data:", taskData);
+    console.log("Current tasks count:", this.state.tasks.length);
+
+    // Validate required fields
+    if (!taskData.title?.trim() || !taskData.dueDate || !taskData.duration) {
+      console.error("STATE: Missing required fields:", taskData);
+      throw new Error("All required fields must be provided");
+    }
+
+    // Create task with validated data
+    let task = {
+      id: "task_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9),
+      title: taskData.title.trim(),
+      dueDate: taskData.dueDate,
+      duration: parseInt(taskData.duration),
+      tags: normalizeTags(taskData.tags ?? taskData.tag),
+      priority: isValidPriority(taskData.priority)
+        ? taskData.priority
+        : DEFAULT_PRIORITY,
+      status: DEFAULT_STATUS,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (task.tags.length === 0) {
+      task.tags = [this.state.settings.defaultTag || "General"];
+    }
+
+    // Due time is optional; without one the task is due at the end of the day
+    if (isValidDueTime(taskData.dueTime)) {
+      task.dueTime = taskData.dueTime;
+    }
+
+    const subtasks = normalizeSubtasks(taskData.subtasks);
+    if (subtasks.length > 0) {
+      task.subtasks = subtasks;
+    }
+
+    const notes = normalizeNotes(taskData.notes);
+    if (notes) {
+      task.notes = notes;
+    }
+
+    // Attachment files are already in IndexedDB; the task keeps their metadata
+    const attachments = normalizeAttachments(taskData.attachments);
+    if (attachments.length > 0) {
+      task.attachments = attachments;
+    }
+
+    const links = normalizeLinks(taskData.links);
+    if (links.length > 0) {
+      task.links = links;
+    }
+
+    if (getCourseById(this.state.courses, taskData.courseId)) {
+      task.courseId = taskData.courseId;
+    }
+
+    const grade = normalizeGrade(taskData.grade);
+    if (grade) {
+      task.grade = grade;
+    }
+
+    // Without a term the task shows in whichever term its due date falls in
+    const term = getTermById(this.state.terms, taskData.termId);
+    if (term && !term.archived) {
+      task.termId = term.id;
+    }
+
+    // A new task cannot be part of a cycle yet, so only drop unknown blockers
+    const blockedBy = normalizeDependencies(taskData.blockedBy).filter(
+      (blockerId) => this.state.tasks.some((t) => t.id === blockerId)
+    );
+    if (blockedBy.length > 0) {
+      task.blockedBy = blockedBy;
+    }
+
+    // Attach recurrence rule; the first occurrence starts its own series
+    const recurrence = normalizeRecurrence(taskData.recurrence, task.dueDate);
+    if (recurrence) {
+      task.recurrence = recurrence;
+      task.seriesId = taskData.seriesId || task.id;
+      task.occurrence = taskData.occurrence || 1;
+    }
+
+    console.log("STATE: Created task object:", task);
+
+    // Ensure tasks array exists
+    if (!Array.isArray(this.state.tasks)) {
+      console.log("STATE: Initializing tasks array");
+      this.state.tasks = [];
+    }
+
+    // Add to state
+    this.state.tasks.push(task);
+    console.log(
+      "STATE: Task added to array, new count:",
+      this.state.tasks.length
+    );
+
+    // Save to localStorage directly
+    try {
+      console.log("STATE: Attempting to save to storage...");
+      const success = this.saveToStorage();
+      if (!success) {
+        console.error("STATE: Save to storage failed");
+        // Rollback if save failed
+        this.state.tasks = this.state.tasks.filter((t) => t.id !== task.id);
+        throw new Error("Failed to save task. Please try again.");
+      }
+
+      console.log("STATE: Task saved to storage successfully");
+
+      // Notify UI to update
+      console.log("STATE: Notifying observers...");
+      console.log("STATE: Number of observers:", this.observers.length);
+      this.commitChange(snapshot, `Add "${task.title}"`);
+      this.searchIndex.addTask(task);
+      this.notify({ type: "TASK_ADDED", task });
+      console.log("STATE: Observers notified");
+
+      console.log("=== STATE: addTask completed successfully ===");
+      return task;
+    } catch (error) {
+      console.error("STATE: Failed to save task:", error);
+      // Remove task from state if save fails
+      this.state.tasks = this.state.tasks.filter((t) => t.id !== task.id);
+      throw error;
+    }
+  }
+
+  /**
+   * Save current state to storage
+   * @returns {boolean} Success status
+   */
+  saveToStorage() {
+    try {
+      // Create a clean copy of the state for storage
+      const stateToSave = {
+        tasks: this.state.tasks,
+        courses: this.state.courses,
+        terms: this.state.terms,
+        trash: this.state.trash,
+        templates: this.state.templates,
+        exams: this.state.exams,
+        smartLists: this.state.smartLists,
+        settings: this.state.settings,
+        ui: {
+          sortBy: this.state.ui.sortBy,
+          filterBy: this.state.ui.filterBy,
+          searchMode: this.state.ui.searchMode,
+          viewMode: this.state.ui.viewMode,
+          tagFilter: this.state.ui.tagFilter,
+          tagMatchMode: this.state.ui.tagMatchMode,
+          courseFilter: this.state.ui.courseFilter,
+          termFilter: this.state.ui.termFilter,
+        },
+      };
+
+      // Save directly to localStorage
+      const serializedState = JSON.stringify(stateToSave);
+      localStorage.setItem("campusLifePlannerState", serializedState);
+
+      // Verify the save
+      const saved = localStorage.getItem("campusLifePlannerState");
+      if (!saved) {
+        throw new Error("Data was not saved to localStorage");
+      }
+
+      return true;
+    } catch (error) {
+      console.error("Error saving to storage:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load state from storage
+   */
+  async loadFromStorage() {
+    if (!this.storage) {
+      console.error("Storage not initialized");
+      return;
+    }
+
+    try {
+      const savedState = this.storage.load("campusLifePlannerState");
+
+      if (savedState) {
+        // Merge saved state with current state
+        this.state = {
+          tasks: Array.isArray(savedState.tasks) ? savedState.tasks : [],
+          courses: Array.isArray(savedState.courses) ? savedState.courses : [],
+          terms: Array.isArray(savedState.terms) ? savedState.terms : [],
+          trash: Array.isArray(savedState.trash) ? savedState.trash : [],
+          templates: Array.isArray(savedState.templates)
+            ? savedState.templates
+            : [],
+          exams: Array.isArray(savedState.exams) ? savedState.exams : [],
+          smartLists: Array.isArray(savedState.smartLists)
+            ? savedState.smartLists
+            : [],
+          settings: {
+            ...this.state.settings,
+            ...savedState.settings,
+          },
+          ui: {
+            ...this.state.ui,
+            ...savedState.ui,
+          },
+        };
+
+        console.log("State loaded from storage:", this.state);
+      }
+    } catch (error) {
+      console.error("Error loading from storage:", error);
+    }
+  }
+
+  updateTask(id, updates, { source = ChangeSources.UI } = {}) {
+    const snapshot = this.beginChange();
+    const taskIndex = this.state.tasks.findIndex((task) => task.id === id);
+    if (taskIndex === -1) {
+      throw new Error(`Task with id ${id} not found`);
+    }
+
+    const previousTask = this.state.tasks[taskIndex];
+
+    if (isTaskArchived(previousTask, this.state.terms)) {
+      throw new Error(
+        `"${previousTask.title}" belongs to an archived term and can't be changed`
+      );
+    }
+
+    // Status changes must follow the configured workflow
+    if (
+      updates.status !== undefined &&
+      updates.status !== previousTask.status
+    ) {
+      if (!isValidStatus(updates.status)) {
+        throw new Error(`Unknown status "${updates.status}"`);
+      }
+      if (
+        !canTransition(
+          previousTask.status,
+          updates.status,
+          this.state.settings.statusWorkflow
+        )
+      ) {
+        throw new Error(
+          `Cannot change status from ${previousTask.status} to ${updates.status}`
+        );
+      }
+    }
+
+    const updatedTask = {
+      ...previousTask,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (updates.recurrence !== undefined) {
+      updatedTask.recurrence = normalizeRecurrence(
+        updates.recurrence,
+        updatedTask.dueDate
+      );
+      if (updatedTask.recurrence) {
+        updatedTask.seriesId = updatedTask.seriesId || updatedTask.id;
+        updatedTask.occurrence = updatedTask.occurrence || 1;
+      } else {
+        delete updatedTask.recurrence;
+      }
+    }
+
+    if (updates.subtasks !== undefined) {
+      updatedTask.subtasks = normalizeSubtasks(updates.subtasks);
+    }
+
+    if (updates.notes !== undefined) {
+      const notes = normalizeNotes(updates.notes);
+      if (notes) {
+        updatedTask.notes = notes;
+      } else {
+        delete updatedTask.notes;
+      }
+    }
+
+    if (updates.attachments !== undefined) {
+      const attachments = normalizeAttachments(updates.attachments);
+      if (attachments.length > 0) {
+        updatedTask.attachments = attachments;
+      } else {
+        delete updatedTask.attachments;
+      }
+    }
+
+    if (updates.links !== undefined) {
+      const links = normalizeLinks(updates.links);
+      if (links.length > 0) {
+        updatedTask.links = links;
+      } else {
+        delete updatedTask.links;
+      }
+    }
+
+    if (updates.courseId !== undefined) {
+      if (getCourseById(this.state.courses, updates.courseId)) {
+        updatedTask.courseId = updates.courseId;
+      } else {
+        delete updatedTask.courseId;
+      }
+    }
+
+    if (updates.grade !== undefined) {
+      const grade = normalizeGrade(updates.grade);
+      if (grade) {
+        updatedTask.grade = grade;
+      } else {
+        delete updatedTask.grade;
+      }
+    }
+
+    // Tasks can't be moved into an archived term
+    if (updates.termId !== undefined) {
+      const term = getTermById(this.state.terms, updates.termId);
+      if (term && !term.archived) {
+        updatedTask.termId = term.id;
+      } else {
+        delete updatedTask.termId;
+      }
+    }
+
+    // Accept a legacy single tag as well as a tag list
+    if (updates.tags !== undefined || updates.tag !== undefined) {
+      const tags = normalizeTags(updates.tags ?? updates.tag);
+      updatedTask.tags =
+        tags.length > 0 ? tags : [this.state.settings.defaultTag || "General"];
+      delete updatedTask.tag;
+    }
+
+    if (updates.dueTime !== undefined && !isValidDueTime(updates.dueTime)) {
+      delete updatedTask.dueTime;
+    }
+
+    if (updates.timeLog !== undefined) {
+      const timeLog = normalizeTimeLog(updates.timeLog);
+      if (timeLog.length > 0) {
+        updatedTask.timeLog = timeLog;
+      } else {
+        delete updatedTask.timeLog;
+      }
+    }
+
+    // A null or invalid start time stops the timer without logging a session
+    if (
+      updates.timerStartedAt !== undefined &&
+      !isValidTimestamp(updates.timerStartedAt)
+    ) {
+      delete updatedTask.timerStartedAt;
+    }
+
+    if (updates.priority !== undefined && !isValidPriority(updates.priority)) {
+      updatedTask.priority = previousTask.priority || DEFAULT_PRIORITY;
+    }
+
+    if (updates.blockedBy !== undefined) {
+      const blockedBy = normalizeDependencies(updates.blockedBy, id).filter(
+        (blockerId) => this.state.tasks.some((t) => t.id === blockerId)
+      );
+
+      const cycle = findDependencyCycle(id, blockedBy, this.state.tasks);
+      if (cycle) {
+        const titles = cycle.map(
+          (taskId) =>
+            (taskId === id
+              ? updatedTask
+              : this.state.tasks.find((t) => t.id === taskId)
+            ).title
+        );
+        throw new Error(`Circular dependency: ${titles.join(" → ")}`);
+      }
+
+      if (blockedBy.length > 0) {
+        updatedTask.blockedBy = blockedBy;
+      } else {
+        delete updatedTask.blockedBy;
+      }
+    }
+
+    // Blocked tasks cannot be completed until every blocker is done
+    if (
+      updatedTask.status === TaskStatuses.COMPLETE &&
+      previousTask.status !== TaskStatuses.COMPLETE
+    ) {
+      const blockers = getBlockingTasks(updatedTask, this.state.tasks);
+      if (blockers.length > 0) {
+        throw new Error(
+          `"${updatedTask.title}" is blocked by ${blockers
+            .map((blocker) => `"${blocker.title}"`)
+            .join(", ")}`
+        );
+      }
+    }
+
+    // Closing a task logs and stops its running timer
+    if (
+      isClosedStatus(updatedTask.status) &&
+      !isClosedStatus(previousTask.status) &&
+      isTimerRunning(updatedTask)
+    ) {
+      updatedTask.timeLog = appendTimerSession(updatedTask);
+      delete updatedTask.timerStartedAt;
+    }
+
+    // Keep a field-level record of the edit and where it came from
+    const changeLog = appendTaskChanges(previousTask, updatedTask, source);
+    if (changeLog) {
+      updatedTask.changeLog = changeLog;
+    }
+
+    this.state.tasks[taskIndex] = updatedTask;
+
+    // Completing or cancelling a recurring instance schedules the next one (only once)
+    let nextTask = null;
+    if (
+      isClosedStatus(updatedTask.status) &&
+      !isClosedStatus(previousTask.status) &&
+      updatedTask.recurrence &&
+      !updatedTask.nextOccurrenceId
+    ) {
+      nextTask = this.createNextOccurrence(updatedTask);
+    }
+
+    this.saveToStorage();
+    this.commitChange(snapshot, `Edit "${updatedTask.title}"`);
+    this.searchIndex.updateTask(updatedTask);
+    if (nextTask) {
+      this.searchIndex.addTask(nextTask);
+    }
+
+    // Drop the stored files of attachments removed from the task
+    if (updates.attachments !== undefined) {
+      const keptIds = (updatedTask.attachments || []).map((a) => a.id);
+      this.removeAttachmentFiles(
+        (previousTask.attachments || []).filter((a) => !keptIds.includes(a.id))
+      );
+    }
+
+    this.notify({ type: "TASK_UPDATED", task: updatedTask });
+    if (nextTask) {
+      this.notify({ type: "TASK_ADDED", task: nextTask });
+    }
+
+    return updatedTask;
+  }
+
+  /**
+   * Take a task back to an earlier version from its change log
+   * The revert is itself logged, so it can be reverted in turn.
+   * @param {string} id - Task ID
+   * @param {string|null} changeId - Change log entry to go back to, or null for the first version
+   * @returns {Object} Updated task
+   */
+  revertTask(id, changeId = null) {
+    const task = this.state.tasks.find((t) => t.id === id);
+    if (!task) {
+      throw new Error(`Task with id ${id} not found`);
+    }
+
+    return this.updateTask(id, getRevertUpdates(task, changeId), {
+      source: ChangeSources.REVERT,
+    });
+  }
+
+  /**
+   * Create the next instance of a recurring task
+   * @param {Object} task - Completed recurring task
+   * @returns {Object|null} The new task or null if the series has ended
+   */
+  createNextOccurrence(task) {
+    const nextDueDate = getNextOccurrenceDate(task);
+    if (!nextDueDate) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const nextTask = {
+      id: this.generateTaskId(),
+      title: task.title,
+      dueDate: nextDueDate,
+      duration: task.duration,
+      tags: [...getTaskTags(task)],
+      priority: task.priority || DEFAULT_PRIORITY,
+      status: DEFAULT_STATUS,
+      recurrence: { ...task.recurrence },
+      seriesId: task.seriesId || task.id,
+      occurrence: (task.occurrence || 1) + 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    if (task.dueTime) {
+      nextTask.dueTime = task.dueTime;
+    }
+
+    if (task.courseId) {
+      nextTask.courseId = task.courseId;
+    }
+
+    // Once the series runs past its term the next one follows its due date
+    const term = getTermById(this.state.terms, task.termId);
+    if (term && !term.archived && isDateInTerm(nextDueDate, term)) {
+      nextTask.termId = term.id;
+    }
+
+    // Each occurrence is assessed on its own, so only the weight carries over
+    if (task.grade) {
+      nextTask.grade = { weight: task.grade.weight, outOf: task.grade.outOf };
+    }
+
+    // Instructions and reading lists apply to every occurrence
+    if (task.notes) {
+      nextTask.notes = task.notes;
+    }
+
+    // Occurrences share the same attachment files rather than copying them
+    if (Array.isArray(task.attachments) && task.attachments.length > 0) {
+      nextTask.attachments = task.attachments.map((a) => ({ ...a }));
+    }
+
+    if (Array.isArray(task.links) && task.links.length > 0) {
+      nextTask.links = task.links.map((link) => ({ ...link }));
+    }
+
+    // Carry the checklist over with every step reset
+    if (Array.isArray(task.subtasks) && task.subtasks.length > 0) {
+      nextTask.subtasks = normalizeSubtasks(
+        task.subtasks.map((subtask) => ({
+          title: subtask.title,
+          duration: subtask.duration,
+        }))
+      );
+    }
+
+    task.nextOccurrenceId = nextTask.id;
+    this.state.tasks.push(nextTask);
+
+    return nextTask;
+  }
+
+  /**
+   * Toggle a subtask between Pending and Complete
+   * @param {string} taskId - Parent task ID
+   * @param {string} subtaskId - Subtask ID
+   * @returns {Object} Updated parent task
+   */
+  toggleSubtaskStatus(taskId, subtaskId) {
+    const task = this.state.tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error(`Task with id ${taskId} not found`);
+    }
+
+    const subtasks = task.subtasks || [];
+    if (!subtasks.some((subtask) => subtask.id === subtaskId)) {
+      throw new Error(`Subtask with id ${subtaskId} not found`);
+    }
+
+    return this.updateTask(taskId, {
+      subtasks: subtasks.map((subtask) =>
+        subtask.id === subtaskId
+          ? {
+              ...subtask,
+              status: subtask.status === "Complete" ? "Pending" : "Complete",
+            }
+          : subtask
+      ),
+    });
+  }
+
+  /**
+   * Start the work timer on a task
+   * Only one timer runs at a time, so any other running timer is stopped and logged.
+   * @param {string} taskId - Task ID
+   * @returns {Object} Updated task
+   */
+  startTimer(taskId) {
+    const task = this.state.tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error(`Task with id ${taskId} not found`);
+    }
+    if (isClosedStatus(task.status)) {
+      throw new Error(`Cannot track time on a ${task.status.toLowerCase()} task`);
+    }
+    if (isTimerRunning(task)) {
+      return task;
+    }
+
+    // Stopping the other timer and starting this one undo together
+    return this.recordHistory(`Start timer on "${task.title}"`, () => {
+      const now = new Date();
+      this.state.tasks
+        .filter((t) => t.id !== taskId && isTimerRunning(t))
+        .forEach((t) => this.stopTimer(t.id, now));
+
+      return this.updateTask(taskId, { timerStartedAt: now.toISOString() });
+    });
+  }
+
+  /**
+   * Stop the work timer on a task and log the session
+   * @param {string} taskId - Task ID
+   * @param {Date} now - Time the session ends (defaults to now)
+   * @returns {Object} Updated task
+   */
+  stopTimer(taskId, now = new Date()) {
+    const task = this.state.tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error(`Task with id ${taskId} not found`);
+    }
+    if (!isTimerRunning(task)) {
+      return task;
+    }
+
+    return this.updateTask(taskId, {
+      timeLog: appendTimerSession(task, now),
+      timerStartedAt: null,
+    });
+  }
+
+  /**
+   * Move a task to the trash
+   * The task keeps its data so it can be restored; blocker references from
+   * other tasks are dropped (and put back on restore) and a running timer is
+   * logged.
+   * @param {string} id - Task ID
+   * @returns {Object} Trashed task
+   */
+  deleteTask(id) {
+    const snapshot = this.beginChange();
+    const taskIndex = this.state.tasks.findIndex((task) => task.id === id);
+
+    if (taskIndex === -1) {
+      throw new Error(`Task with id ${id} not found`);
+    }
+
+    const deletedTask = this.state.tasks[taskIndex];
+    const previousTasks = this.state.tasks;
+    const previousTrash = this.state.trash;
+
+    if (isTaskArchived(deletedTask, this.state.terms)) {
+      throw new Error(
+        `"${deletedTask.title}" belongs to an archived term and can't be deleted`
+      );
+    }
+
+    const now = new Date();
+    const blockedTaskIds = previousTasks
+      .filter((task) => (task.blockedBy || []).includes(id))
+      .map((task) => task.id);
+    const trashedTask = moveToTrash(deletedTask, now, blockedTaskIds);
+    if (isTimerRunning(trashedTask)) {
+      trashedTask.timeLog = appendTimerSession(trashedTask, now);
+      delete trashedTask.timerStartedAt;
+    }
+
+    // Tasks that were blocked by the deleted task no longer wait on it
+    this.state.tasks = removeDependencyReferences(
+      previousTasks.filter((task) => task.id !== id),
+      id
+    );
+    this.state.trash = [...previousTrash, trashedTask];
+
+    const saveSuccess = this.saveToStorage();
+    if (!saveSuccess) {
+      // Rollback
+      this.state.tasks = previousTasks;
+      this.state.trash = previousTrash;
+      throw new Error("Failed to save after deleting task");
+    }
+
+    this.commitChange(snapshot, `Delete "${deletedTask.title}"`);
+    this.searchIndex.removeTask(id);
+    this.reindexTasks(blockedTaskIds);
+    this.notify({ type: "TASK_DELETED", task: trashedTask });
+    return trashedTask;
+  }
+
+  /**
+   * Trash operations
+   */
+  getTrash() {
+    return [...this.state.trash];
+  }
+
+  /**
+   * Move a task out of the trash and back into the task list
+   * @param {string} id - Task ID
+   * @returns {Object} Restored task
+   */
+  restoreTask(id) {
+    const snapshot = this.beginChange();
+    const trashedTask = this.state.trash.find((task) => task.id === id);
+    if (!trashedTask) {
+      throw new Error(`Task with id ${id} is not in the trash`);
+    }
+    if (this.state.tasks.some((task) => task.id === id)) {
+      throw new Error(
+        `Another task already uses the id of "${trashedTask.title}"`
+      );
+    }
+
+    const task = {
+      ...restoreFromTrash(trashedTask, this.state.tasks),
+      updatedAt: new Date().toISOString(),
+    };
+    const previousTasks = this.state.tasks;
+    const previousTrash = this.state.trash;
+
+    // Tasks it blocked before it was deleted wait on it again
+    this.state.tasks = restoreDependencyReferences(
+      [...previousTasks, task],
+      id,
+      trashedTask.blockedTaskIds
+    );
+    this.state.trash = previousTrash.filter((t) => t.id !== id);
+
+    if (!this.saveToStorage()) {
+      this.state.tasks = previousTasks;
+      this.state.trash = previousTrash;
+      throw new Error("Failed to save after restoring task");
+    }
+
+    this.commitChange(snapshot, `Restore "${task.title}"`);
+    this.searchIndex.addTask(task);
+    this.reindexTasks(trashedTask.blockedTaskIds || []);
+    this.notify({ type: "TASK_RESTORED", task });
+    return task;
+  }
+
+  /**
+   * Permanently delete trashed tasks and their attachment files
+   * @param {Array} ids - IDs of trashed tasks
+   * @returns {Array} Purged tasks
+   */
+  purgeTasks(ids) {
+    const purgedTasks = this.state.trash.filter((task) =>
+      ids.includes(task.id)
+    );
+    if (purgedTasks.length === 0) {
+      return [];
+    }
+
+    const previousTrash = this.state.trash;
+    this.state.trash = previousTrash.filter((task) => !ids.includes(task.id));
+
+    if (!this.saveToStorage()) {
+      this.state.trash = previousTrash;
+      throw new Error("Failed to save after emptying the trash");
+    }
+
+    // Purged tasks can't come back, so steps that refer to them are dropped
+    const refersToPurged = (entry) =>
+      getEntryTasks(entry).some((task) => ids.includes(task.id));
+    this.history = {
+      undo: this.history.undo.filter((entry) => !refersToPurged(entry)),
+      redo: this.history.redo.filter((entry) => !refersToPurged(entry)),
+    };
+    this.saveHistory();
+
+    this.removeAttachmentFiles(
+      purgedTasks.flatMap((task) => task.attachments || [])
+    );
+
+    this.notify({ type: "TRASH_PURGED", tasks: purgedTasks });
+    return purgedTasks;
+  }
+
+  /**
+   * Permanently delete every trashed task
+   * @returns {Array} Purged tasks
+   */
+  emptyTrash() {
+    return this.purgeTasks(this.state.trash.map((task) => task.id));
+  }
+
+  /**
+   * Permanently delete trashed tasks older than the retention setting
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {Array} Purged tasks
+   */
+  purgeExpiredTrash(now = new Date()) {
+    const expired = getExpiredTrash(
+      this.state.trash,
+      getRetentionDays(this.state.settings),
+      now
+    );
+    return this.purgeTasks(expired.map((task) => task.id));
+  }
+
+  /**
+   * Delete stored attachment files that no task refers to any more
+   * Runs in the background; a failure only leaves an unused file behind.
+   * @param {Array} attachments - Attachments removed from a task
+   */
+  removeAttachmentFiles(attachments) {
+    // Trashed tasks still hold on to their files until they are purged, and
+    // so do tasks an undo or redo could bring back
+    const ids = getUnreferencedAttachmentIds(attachments, [
+      ...this.state.tasks,
+      ...this.state.trash,
+      ...this.history.undo.flatMap(getEntryTasks),
+      ...this.history.redo.flatMap(getEntryTasks),
+    ]);
+    if (ids.length === 0) {
+      return;
+    }
+
+    attachmentStore.remove(ids).catch((error) => {
+      console.warn("Could not delete attachment files:", error);
+    });
+  }
+
+  /**
+   * Course CRUD operations
+   */
+  getCourses() {
+    return [...this.state.courses];
+  }
+
+  addCourse(courseData) {
+    const snapshot = this.beginChange();
+    // New courses always get a fresh ID, even when the form carried one
+    const course = normalizeCourse(
+      { ...courseData, id: generateCourseId() },
+      this.state.courses
+    );
+
+    const errors = validateCourse(course, this.state.courses);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const previousCourses = this.state.courses;
+    this.state.courses = [...previousCourses, course];
+
+    if (!this.saveToStorage()) {
+      this.state.courses = previousCourses;
+      throw new Error("Failed to save course. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Add course ${course.code}`);
+    this.notify({ type: "COURSE_ADDED", course });
+    return course;
+  }
+
+  updateCourse(id, updates) {
+    const snapshot = this.beginChange();
+    const courseIndex = this.state.courses.findIndex(
+      (course) => course.id === id
+    );
+    if (courseIndex === -1) {
+      throw new Error(`Course with id ${id} not found`);
+    }
+
+    const previousCourse = this.state.courses[courseIndex];
+    const updatedCourse = normalizeCourse(
+      { ...previousCourse, ...updates, id },
+      this.state.courses
+    );
+
+    const errors = validateCourse(updatedCourse, this.state.courses);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const previousCourses = this.state.courses;
+    this.state.courses = previousCourses.map((course) =>
+      course.id === id ? updatedCourse : course
+    );
+
+    if (!this.saveToStorage()) {
+      this.state.courses = previousCourses;
+      throw new Error("Failed to save course. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Edit course ${updatedCourse.code}`);
+    this.notify({
+      type: "COURSE_UPDATED",
+      course: updatedCourse,
+      previousCourse,
+    });
+    return updatedCourse;
+  }
+
+  /**
+   * Delete a course; its tasks are kept and simply lose the course link
+   */
+  deleteCourse(id) {
+    const snapshot = this.beginChange();
+    const deletedCourse = getCourseById(this.state.courses, id);
+    if (!deletedCourse) {
+      throw new Error(`Course with id ${id} not found`);
+    }
+
+    const previousCourses = this.state.courses;
+    const previousTasks = this.state.tasks;
+    const previousCourseFilter = this.state.ui.courseFilter;
+
+    this.state.courses = previousCourses.filter((course) => course.id !== id);
+    this.state.tasks = previousTasks.map((task) => {
+      if (task.courseId !== id) {
+        return task;
+      }
+      const { courseId, ...unlinkedTask } = task;
+      return unlinkedTask;
+    });
+    if (previousCourseFilter === id) {
+      this.state.ui = { ...this.state.ui, courseFilter: "" };
+    }
+
+    if (!this.saveToStorage()) {
+      this.state.courses = previousCourses;
+      this.state.tasks = previousTasks;
+      this.state.ui = { ...this.state.ui, courseFilter: previousCourseFilter };
+      throw new Error("Failed to save after deleting course");
+    }
+
+    this.commitChange(snapshot, `Delete course ${deletedCourse.code}`);
+    this.reindexTasks(
+      previousTasks.filter((task) => task.courseId === id).map((task) => task.id)
+    );
+    this.notify({ type: "COURSE_DELETED", course: deletedCourse });
+    return deletedCourse;
+  }
+
+  /**
+   * Term CRUD operations
+   */
+  getTerms() {
+    return [...this.state.terms];
+  }
+
+  /**
+   * Get the term the term switcher is scoped to
+   * @returns {Object|null} Term, or null when every term is shown
+   */
+  getActiveTerm() {
+    return resolveTermFilter(this.state.terms, this.state.ui.termFilter);
+  }
+
+  addTerm(termData) {
+    const snapshot = this.beginChange();
+    // New terms always start open, with a fresh ID
+    const term = normalizeTerm({
+      ...termData,
+      id: generateTermId(),
+      archived: false,
+    });
+
+    const errors = validateTerm(term, this.state.terms);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const previousTerms = this.state.terms;
+    this.state.terms = [...previousTerms, term];
+
+    if (!this.saveToStorage()) {
+      this.state.terms = previousTerms;
+      throw new Error("Failed to save term. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Add term ${term.name}`);
+    this.notify({ type: "TERM_ADDED", term });
+    return term;
+  }
+
+  updateTerm(id, updates) {
+    const snapshot = this.beginChange();
+    const previousTerm = getTermById(this.state.terms, id);
+    if (!previousTerm) {
+      throw new Error(`Term with id ${id} not found`);
+    }
+
+    // Archiving goes through rolloverTerm and reopening through reopenTerm
+    const updatedTerm = normalizeTerm({
+      ...previousTerm,
+      ...updates,
+      id,
+      archived: previousTerm.archived === true,
+      archivedAt: previousTerm.archivedAt,
+    });
+
+    const errors = validateTerm(updatedTerm, this.state.terms);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const previousTerms = this.state.terms;
+    this.state.terms = previousTerms.map((term) =>
+      term.id === id ? updatedTerm : term
+    );
+
+    if (!this.saveToStorage()) {
+      this.state.terms = previousTerms;
+      throw new Error("Failed to save term. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Edit term ${updatedTerm.name}`);
+    this.notify({ type: "TERM_UPDATED", term: updatedTerm, previousTerm });
+    return updatedTerm;
+  }
+
+  /**
+   * Delete a term; its tasks are kept (and become editable again) without a term
+   */
+  deleteTerm(id) {
+    const snapshot = this.beginChange();
+    const deletedTerm = getTermById(this.state.terms, id);
+    if (!deletedTerm) {
+      throw new Error(`Term with id ${id} not found`);
+    }
+
+    const previousTerms = this.state.terms;
+    const previousTasks = this.state.tasks;
+    const previousTermFilter = this.state.ui.termFilter;
+
+    this.state.terms = previousTerms.filter((term) => term.id !== id);
+    this.state.tasks = previousTasks.map((task) => {
+      if (task.termId !== id) {
+        return task;
+      }
+      const { termId, ...unlinkedTask } = task;
+      return unlinkedTask;
+    });
+    if (previousTermFilter === id) {
+      this.state.ui = { ...this.state.ui, termFilter: "" };
+    }
+
+    if (!this.saveToStorage()) {
+      this.state.terms = previousTerms;
+      this.state.tasks = previousTasks;
+      this.state.ui = { ...this.state.ui, termFilter: previousTermFilter };
+      throw new Error("Failed to save after deleting term");
+    }
+
+    this.commitChange(snapshot, `Delete term ${deletedTerm.name}`);
+    this.reindexTasks(
+      previousTasks.filter((task) => task.termId === id).map((task) => task.id)
+    );
+    this.notify({ type: "TERM_DELETED", term: deletedTerm });
+    return deletedTerm;
+  }
+
+  /**
+   * Archive a finished term and carry unfinished work over to the next one
+   * Every task in the term is pinned to it before it is archived, so tasks
+   * that were only placed there by due date stay with it. Carried-over tasks
+   * move to the next term with their due dates unchanged.
+   * @param {string} termId - Term to archive
+   * @param {Object} options - { nextTermId } for an existing open term or
+   *   { nextTerm } with the fields of a new one, plus carryOverTaskIds
+   * @returns {Object} { term, nextTerm, carriedOver }
+   */
+  rolloverTerm(
+    termId,
+    { nextTermId = "", nextTerm = null, carryOverTaskIds = [] } = {}
+  ) {
+    const snapshot = this.beginChange();
+    const term = getTermById(this.state.terms, termId);
+    if (!term) {
+      throw new Error(`Term with id ${termId} not found`);
+    }
+    if (term.archived) {
+      throw new Error(`${term.name} is already archived`);
+    }
+
+    let targetTerm = getTermById(this.state.terms, nextTermId);
+    const isNewTerm = !targetTerm && nextTerm !== null;
+    if (isNewTerm) {
+      targetTerm = normalizeTerm({
+        ...nextTerm,
+        id: generateTermId(),
+        archived: false,
+      });
+      const errors = validateTerm(targetTerm, this.state.terms);
+      if (errors.length > 0) {
+        throw new Error(errors[0]);
+      }
+    }
+    if (!targetTerm || targetTerm.archived || targetTerm.id === term.id) {
+      throw new Error("Choose an open term to carry unfinished work over to");
+    }
+
+    const now = new Date();
+    const archivedTerm = {
+      ...term,
+      archived: true,
+      archivedAt: now.toISOString(),
+    };
+
+    const previousTerms = this.state.terms;
+    const previousTasks = this.state.tasks;
+    const previousTermFilter = this.state.ui.termFilter;
+    let carriedOver = 0;
+
+    this.state.terms = [
+      ...previousTerms.map((t) => (t.id === term.id ? archivedTerm : t)),
+      ...(isNewTerm ? [targetTerm] : []),
+    ];
+    this.state.tasks = previousTasks.map((task) => {
+      if (!isTaskInTerm(task, term)) {
+        return task;
+      }
+
+      if (carryOverTaskIds.includes(task.id) && !isClosedStatus(task.status)) {
+        carriedOver++;
+        return {
+          ...task,
+          termId: targetTerm.id,
+          updatedAt: now.toISOString(),
+        };
+      }
+
+      // Archived tasks are read-only, so running timers are logged now
+      const archivedTask = { ...task, termId: term.id };
+      if (isTimerRunning(archivedTask)) {
+        archivedTask.timeLog = appendTimerSession(archivedTask, now);
+        delete archivedTask.timerStartedAt;
+      }
+      return archivedTask;
+    });
+    this.state.ui = { ...this.state.ui, termFilter: targetTerm.id };
+
+    if (!this.saveToStorage()) {
+      this.state.terms = previousTerms;
+      this.state.tasks = previousTasks;
+      this.state.ui = { ...this.state.ui, termFilter: previousTermFilter };
+      throw new Error("Failed to save the term rollover. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Roll over ${term.name}`);
+    this.reindexTasks(
+      previousTasks
+        .filter((task) => isTaskInTerm(task, term))
+        .map((task) => task.id)
+    );
+    this.notify({
+      type: "TERM_ROLLED_OVER",
+      term: archivedTerm,
+      nextTerm: targetTerm,
+      carriedOver,
+    });
+    return { term: archivedTerm, nextTerm: targetTerm, carriedOver };
+  }
+
+  /**
+   * Reopen an archived term so its tasks can be edited again
+   */
+  reopenTerm(id) {
+    const snapshot = this.beginChange();
+    const term = getTermById(this.state.terms, id);
+    if (!term) {
+      throw new Error(`Term with id ${id} not found`);
+    }
+    if (!term.archived) {
+      return term;
+    }
+
+    const { archived, archivedAt, ...reopenedTerm } = term;
+    const previousTerms = this.state.terms;
+    this.state.terms = previousTerms.map((t) =>
+      t.id === id ? reopenedTerm : t
+    );
+
+    if (!this.saveToStorage()) {
+      this.state.terms = previousTerms;
+      throw new Error("Failed to save term. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Reopen ${reopenedTerm.name}`);
+    this.notify({
+      type: "TERM_UPDATED",
+      term: reopenedTerm,
+      previousTerm: term,
+    });
+    return reopenedTerm;
+  }
+
+  /**
+   * Template CRUD operations
+   */
+  getTemplates() {
+    return [...this.state.templates];
+  }
+
+  addTemplate(templateData) {
+    const snapshot = this.beginChange();
+    // New templates always get a fresh ID, even when the form carried one
+    const template = normalizeTemplate({
+      ...templateData,
+      id: generateTemplateId(),
+    });
+
+    const errors = validateTemplate(template, this.state.templates);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const previousTemplates = this.state.templates;
+    this.state.templates = [...previousTemplates, template];
+
+    if (!this.saveToStorage()) {
+      this.state.templates = previousTemplates;
+      throw new Error("Failed to save template. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Add template ${template.name}`);
+    this.notify({ type: "TEMPLATE_ADDED", template });
+    return template;
+  }
+
+  updateTemplate(id, updates) {
+    const snapshot = this.beginChange();
+    const previousTemplate = this.state.templates.find(
+      (template) => template.id === id
+    );
+    if (!previousTemplate) {
+      throw new Error(`Template with id ${id} not found`);
+    }
+
+    const updatedTemplate = normalizeTemplate({
+      ...previousTemplate,
+      ...updates,
+      id,
+    });
+
+    const errors = validateTemplate(updatedTemplate, this.state.templates);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const previousTemplates = this.state.templates;
+    this.state.templates = previousTemplates.map((template) =>
+      template.id === id ? updatedTemplate : template
+    );
+
+    if (!this.saveToStorage()) {
+      this.state.templates = previousTemplates;
+      throw new Error("Failed to save template. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Edit template ${updatedTemplate.name}`);
+    this.notify({
+      type: "TEMPLATE_UPDATED",
+      template: updatedTemplate,
+      previousTemplate,
+    });
+    return updatedTemplate;
+  }
+
+  deleteTemplate(id) {
+    const snapshot = this.beginChange();
+    const deletedTemplate = this.state.templates.find(
+      (template) => template.id === id
+    );
+    if (!deletedTemplate) {
+      throw new Error(`Template with id ${id} not found`);
+    }
+
+    const previousTemplates = this.state.templates;
+    this.state.templates = previousTemplates.filter(
+      (template) => template.id !== id
+    );
+
+    if (!this.saveToStorage()) {
+      this.state.templates = previousTemplates;
+      throw new Error("Failed to save after deleting template");
+    }
+
+    this.commitChange(snapshot, `Delete template ${deletedTemplate.name}`);
+    this.notify({ type: "TEMPLATE_DELETED", template: deletedTemplate });
+    return deletedTemplate;
+  }
+
+  /**
+   * Smart list CRUD operations
+   * Smart lists keep the order the user gives them.
    */
-  subscribe(callback) {
-    this.observers.push(callback);
-    return () => {
-      const index = this.observers.indexOf(callback);
-      if (index > -1) {
-        this.observers.splice(index, 1);
-      }
-    };
+  getSmartLists() {
+    return [...this.state.smartLists];
   }
 
-  unsubscribe(callback) {
-    const index = this.observers.indexOf(callback);
-    if (index > -1) {
-      this.observers.splice(index, 1);
+  addSmartList(listData) {
+    const snapshot = this.beginChange();
+    if (this.state.smartLists.length >= MAX_SMART_LISTS) {
+      throw new Error(`You can keep up to ${MAX_SMART_LISTS} smart lists`);
     }
+
+    // New smart lists always get a fresh ID, even when the form carried one
+    const list = normalizeSmartList({
+      ...listData,
+      id: generateSmartListId(),
+    });
+
+    const errors = validateSmartList(list, this.state.smartLists);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const previousLists = this.state.smartLists;
+    this.state.smartLists = [...previousLists, list];
+
+    if (!this.saveToStorage()) {
+      this.state.smartLists = previousLists;
+      throw new Error("Failed to save smart list. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Add smart list ${list.name}`);
+    this.notify({ type: "SMART_LIST_ADDED", smartList: list });
+    return list;
   }
 
-  notify(changes) {
-    this.observers.forEach((callback) => {
-      try {
-        callback(changes, this.state);
-      } catch (error) {
-        console.error("Error in state observer:", error);
-      }
+  updateSmartList(id, updates) {
+    const snapshot = this.beginChange();
+    const previousList = this.state.smartLists.find((list) => list.id === id);
+    if (!previousList) {
+      throw new Error(`Smart list with id ${id} not found`);
+    }
+
+    const updatedList = normalizeSmartList({
+      ...previousList,
+      ...updates,
+      id,
+    });
+
+    const errors = validateSmartList(updatedList, this.state.smartLists);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const previousLists = this.state.smartLists;
+    this.state.smartLists = previousLists.map((list) =>
+      list.id === id ? updatedList : list
+    );
+
+    if (!this.saveToStorage()) {
+      this.state.smartLists = previousLists;
+      throw new Error("Failed to save smart list. Please try again.");
+    }
+
+    this.commitChange(snapshot, `Edit smart list ${updatedList.name}`);
+    this.notify({
+      type: "SMART_LIST_UPDATED",
+      smartList: updatedList,
+      previousSmartList: previousList,
     });
+    return updatedList;
   }
 
   /**
-   * Task CRUD operations
+   * Move a smart list one place up or down
+   * The history tracks records rather than their order, so a move is not an
+   * undo step.
+   * @param {string} id - Smart list ID
+   * @param {number} offset - -1 to move up, 1 to move down
    */
-  getTasks() {
-    return [...this.state.tasks];
-  }
+  moveSmartList(id, offset) {
+    const list = this.state.smartLists.find((item) => item.id === id);
+    if (!list) {
+      throw new Error(`Smart list with id ${id} not found`);
+    }
 
-  addTask(taskData) {
-    console.log("=== STATE: addTask called ===");
-    console.log("Input data:", taskData);
-    console.log("Current tasks count:", this.state.tasks.length);
+    const previousLists = this.state.smartLists;
+    this.state.smartLists = moveSmartList(previousLists, id, offset);
 
-    // Validate required fields
-    if (!taskData.title?.trim() || !taskData.dueDate || !taskData.duration) {
-      console.error("STATE: Missing required fields:", taskData);
-      throw new Error("All required fields must be provided");
+    if (!this.saveToStorage()) {
+      this.state.smartLists = previousLists;
+      throw new Error("Failed to save smart list order. Please try again.");
     }
 
-    // Create task with validated data
-    let task = {
-      id: "task_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9),
-      title: taskData.title.trim(),
-      dueDate: taskData.dueDate,
-      duration: parseInt(taskData.duration),
-      tag: taskData.tag?.trim() || "General",
-      status: "Pending",
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
+    this.notify({ type: "SMART_LIST_MOVED", smartList: list });
+    return this.getSmartLists();
+  }
 
-    console.log("STATE: Created task object:", task);
+  deleteSmartList(id) {
+    const snapshot = this.beginChange();
+    const deletedList = this.state.smartLists.find((list) => list.id === id);
+    if (!deletedList) {
+      throw new Error(`Smart list with id ${id} not found`);
+    }
 
-    // Ensure tasks array exists
-    if (!Array.isArray(this.state.tasks)) {
-      console.log("STATE: Initializing tasks array");
-      this.state.tasks = [];
+    const previousLists = this.state.smartLists;
+    this.state.smartLists = previousLists.filter((list) => list.id !== id);
+
+    if (!this.saveToStorage()) {
+      this.state.smartLists = previousLists;
+      throw new Error("Failed to save after deleting smart list");
     }
 
-    // Add to state
-    this.state.tasks.push(task);
-    console.log(
-      "STATE: Task added to array, new count:",
-      this.state.tasks.length
-    );
+    this.commitChange(snapshot, `Delete smart list ${deletedList.name}`);
+    this.notify({ type: "SMART_LIST_DELETED", smartList: deletedList });
+    return deletedList;
+  }
 
-    // Save to localStorage directly
-    try {
-      console.log("STATE: Attempting to save to storage...");
-      const success = this.saveToStorage();
-      if (!success) {
-        console.error("STATE: Save to storage failed");
-        // Rollback if save failed
-        this.state.tasks = this.state.tasks.filter((t) => t.id !== task.id);
-        throw new Error("Failed to save task. Please try again.");
+  /**
+   * Apply settings, templates and smart lists read by storage.importSettings
+   * @param {Object} imported - Imported settings and the merged template and smart list lists
+   */
+  importSettings({ settings = {}, templates, smartLists }) {
+    return this.recordHistory("Import settings", () => {
+      const previousSettings = { ...this.state.settings };
+      this.state.settings = { ...this.state.settings, ...settings };
+      if (Array.isArray(templates)) {
+        this.state.templates = templates;
+      }
+      if (Array.isArray(smartLists)) {
+        this.state.smartLists = smartLists;
       }
 
-      console.log("STATE: Task saved to storage successfully");
-
-      // Notify UI to update
-      console.log("STATE: Notifying observers...");
-      console.log("STATE: Number of observers:", this.observers.length);
-      this.notify({ type: "TASK_ADDED", task });
-      console.log("STATE: Observers notified");
+      this.saveToStorage();
+      this.notify({
+        type: "SETTINGS_UPDATED",
+        settings: this.state.settings,
+        previousSettings,
+      });
+      this.notify({ type: "TEMPLATES_IMPORTED" });
+      this.notify({ type: "SMART_LISTS_IMPORTED" });
+      return this.state.settings;
+    });
+  }
 
-      console.log("=== STATE: addTask completed successfully ===");
-      return task;
-    } catch (error) {
-      console.error("STATE: Failed to save task:", error);
-      // Remove task from state if save fails
-      this.state.tasks = this.state.tasks.filter((t) => t.id !== task.id);
-      throw error;
-    }
+  /**
+   * Exam CRUD operations
+   */
+  getExams() {
+    return [...this.state.exams];
   }
 
   /**
-   * Save current state to storage
-   * @returns {boolean} Success status
+   * Build study-session tasks for an exam's plan
+   * @param {Object} exam - Exam
+   * @param {number} minutes - Study time the sessions should cover
+   * @returns {Array} New tasks
    */
-  saveToStorage() {
-    try {
-      // Create a clean copy of the state for storage
-      const stateToSave = {
-        tasks: this.state.tasks,
-        settings: this.state.settings,
-        ui: {
-          sortBy: this.state.ui.sortBy,
-          filterBy: this.state.ui.filterBy,
-          searchMode: this.state.ui.searchMode,
-          viewMode: this.state.ui.viewMode,
-        },
+  createStudySessions(exam, minutes) {
+    const now = new Date().toISOString();
+    return generateStudyPlan(exam, { minutes }).map((session) => {
+      const task = {
+        ...session,
+        id: this.generateTaskId(),
+        status: DEFAULT_STATUS,
+        createdAt: now,
+        updatedAt: now,
       };
+      if (!getCourseById(this.state.courses, task.courseId)) {
+        delete task.courseId;
+      }
+      return task;
+    });
+  }
 
-      // Save directly to localStorage
-      const serializedState = JSON.stringify(stateToSave);
-      localStorage.setItem("campusLifePlannerState", serializedState);
+  /**
+   * Add an exam and generate its study plan
+   * @returns {Object} { exam, sessions }
+   */
+  addExam(examData) {
+    const snapshot = this.beginChange();
+    // New exams always get a fresh ID, even when the form carried one
+    const exam = normalizeExam({ ...examData, id: generateExamId() });
+
+    const errors = validateExam(exam);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
 
-      // Verify the save
-      const saved = localStorage.getItem("campusLifePlannerState");
-      if (!saved) {
-        throw new Error("Data was not saved to localStorage");
-      }
+    const sessions = this.createStudySessions(exam, exam.studyHours * 60);
+    const previousExams = this.state.exams;
+    const previousTasks = this.state.tasks;
+    this.state.exams = [...previousExams, exam];
+    this.state.tasks = [...previousTasks, ...sessions];
 
-      return true;
-    } catch (error) {
-      console.error("Error saving to storage:", error);
-      return false;
+    if (!this.saveToStorage()) {
+      this.state.exams = previousExams;
+      this.state.tasks = previousTasks;
+      throw new Error("Failed to save exam. Please try again.");
     }
+
+    this.commitChange(snapshot, `Add exam ${exam.title}`);
+    sessions.forEach((task) => this.searchIndex.addTask(task));
+    this.notify({ type: "EXAM_ADDED", exam, sessions });
+    return { exam, sessions };
   }
 
   /**
-   * Load state from storage
+   * Update an exam; when its date or plan settings change, the sessions
+   * nobody has started yet are replaced by a new plan for the study time
+   * still to cover
+   * @returns {Object} { exam, sessions } where sessions are the newly planned ones
    */
-  async loadFromStorage() {
-    if (!this.storage) {
-      console.error("Storage not initialized");
-      return;
+  updateExam(id, updates) {
+    const snapshot = this.beginChange();
+    const previousExam = getExamById(this.state.exams, id);
+    if (!previousExam) {
+      throw new Error(`Exam with id ${id} not found`);
     }
 
-    try {
-      const savedState = this.storage.load("campusLifePlannerState");
-
-      if (savedState) {
-        // Merge saved state with current state
-        this.state = {
-          tasks: Array.isArray(savedState.tasks) ? savedState.tasks : [],
-          settings: {
-            ...this.state.settings,
-            ...savedState.settings,
-          },
-          ui: {
-            ...this.state.ui,
-            ...savedState.ui,
-          },
-        };
+    const updatedExam = normalizeExam({ ...previousExam, ...updates, id });
 
-        console.log("State loaded from storage:", this.state);
-      }
-    } catch (error) {
-      console.error("Error loading from storage:", error);
+    const errors = validateExam(updatedExam);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
     }
-  }
 
-  updateTask(id, updates) {
-    const taskIndex = this.state.tasks.findIndex((task) => task.id === id);
-    if (taskIndex === -1) {
-      throw new Error(`Task with id ${id} not found`);
-    }
+    const previousExams = this.state.exams;
+    const previousTasks = this.state.tasks;
+    this.state.exams = previousExams.map((exam) =>
+      exam.id === id ? updatedExam : exam
+    );
 
-    const updatedTask = {
-      ...this.state.tasks[taskIndex],
-      ...updates,
-      updatedAt: new Date().toISOString(),
-    };
+    let sessions = null;
+    let replacedIds = [];
+    if (isPlanChanged(previousExam, updatedExam)) {
+      // Archived sessions stay put like every other archived task
+      const isReplaceable = (task) =>
+        task.examId === id &&
+        isUntouchedSession(task) &&
+        !isTaskArchived(task, this.state.terms);
+      const keptSessions = getExamSessions(updatedExam, previousTasks).filter(
+        (task) => !isReplaceable(task)
+      );
+      sessions = this.createStudySessions(
+        updatedExam,
+        getUnplannedMinutes(updatedExam, keptSessions)
+      );
+      this.state.tasks = [
+        ...previousTasks.filter((task) => !isReplaceable(task)),
+        ...sessions,
+      ];
+      replacedIds = previousTasks.filter(isReplaceable).map((task) => task.id);
+    }
 
-    this.state.tasks[taskIndex] = updatedTask;
-    this.saveToStorage();
-    this.notify({ type: "TASK_UPDATED", task: updatedTask });
+    if (!this.saveToStorage()) {
+      this.state.exams = previousExams;
+      this.state.tasks = previousTasks;
+      throw new Error("Failed to save exam. Please try again.");
+    }
 
-    return updatedTask;
+    this.commitChange(snapshot, `Edit exam ${updatedExam.title}`);
+    replacedIds.forEach((taskId) => this.searchIndex.removeTask(taskId));
+    (sessions || []).forEach((task) => this.searchIndex.addTask(task));
+    this.notify({
+      type: "EXAM_UPDATED",
+      exam: updatedExam,
+      previousExam,
+      sessions,
+    });
+    return { exam: updatedExam, sessions };
   }
 
-  deleteTask(id) {
-    const taskIndex = this.state.tasks.findIndex((task) => task.id === id);
-
-    if (taskIndex === -1) {
-      throw new Error(`Task with id ${id} not found`);
+  /**
+   * Delete an exam; sessions nobody has started are removed with it and the
+   * rest are kept as ordinary tasks
+   */
+  deleteExam(id) {
+    const snapshot = this.beginChange();
+    const deletedExam = getExamById(this.state.exams, id);
+    if (!deletedExam) {
+      throw new Error(`Exam with id ${id} not found`);
     }
 
-    const deletedTask = this.state.tasks[taskIndex];
-    this.state.tasks.splice(taskIndex, 1);
+    const previousExams = this.state.exams;
+    const previousTasks = this.state.tasks;
+    const previousTrash = this.state.trash;
+    const unlink = (task) => {
+      if (task.examId !== id) {
+        return task;
+      }
+      const { examId, ...unlinkedTask } = task;
+      return unlinkedTask;
+    };
 
-    const saveSuccess = this.saveToStorage();
-    if (!saveSuccess) {
-      // Rollback
-      this.state.tasks.splice(taskIndex, 0, deletedTask);
-      throw new Error("Failed to save after deleting task");
+    this.state.exams = previousExams.filter((exam) => exam.id !== id);
+    this.state.tasks = previousTasks
+      .filter(
+        (task) =>
+          task.examId !== id ||
+          !isUntouchedSession(task) ||
+          isTaskArchived(task, this.state.terms)
+      )
+      .map(unlink);
+    this.state.trash = previousTrash.map(unlink);
+
+    if (!this.saveToStorage()) {
+      this.state.exams = previousExams;
+      this.state.tasks = previousTasks;
+      this.state.trash = previousTrash;
+      throw new Error("Failed to save after deleting exam");
     }
 
-    this.notify({ type: "TASK_DELETED", task: deletedTask });
-    return deletedTask;
+    this.commitChange(snapshot, `Delete exam ${deletedExam.title}`);
+    this.reindexTasks(
+      previousTasks.filter((task) => task.examId === id).map((task) => task.id)
+    );
+    this.notify({ type: "EXAM_DELETED", exam: deletedExam });
+    return deletedExam;
   }
 
   /**
@@ -278,6 +2090,7 @@ export class AppState {
   }
 
   updateSettings(updates) {
+    const snapshot = this.beginChange();
     const previousSettings = { ...this.state.settings };
     this.state.settings = {
       ...this.state.settings,
@@ -285,6 +2098,7 @@ export class AppState {
     };
 
     this.saveToStorage();
+    this.commitChange(snapshot, "Change settings");
     this.notify({
       type: "SETTINGS_UPDATED",
       settings: this.state.settings,
@@ -310,7 +2124,16 @@ export class AppState {
 
     // UI state changes don't need persistence for most properties
     // Only persist certain UI preferences
-    const persistentUIProps = ["sortBy", "filterBy", "searchMode", "viewMode"];
+    const persistentUIProps = [
+      "sortBy",
+      "filterBy",
+      "searchMode",
+      "viewMode",
+      "tagFilter",
+      "tagMatchMode",
+      "courseFilter",
+      "termFilter",
+    ];
     const shouldPersist = Object.keys(updates).some((key) =>
       persistentUIProps.includes(key)
     );
@@ -360,7 +2183,21 @@ export class AppState {
         if (initialData) {
           // Merge JSON file data with current state
           this.state = {
-            tasks: Array.isArray(initialData.tasks) ? initialData.tasks : [],
+            tasks: Array.isArray(initialData.tasks)
+              ? initialData.tasks.map(migrateTaskTags)
+              : [],
+            courses: Array.isArray(initialData.courses)
+              ? initialData.courses
+              : [],
+            terms: Array.isArray(initialData.terms) ? initialData.terms : [],
+            trash: Array.isArray(initialData.trash) ? initialData.trash : [],
+            templates: Array.isArray(initialData.templates)
+              ? initialData.templates
+              : [],
+            exams: Array.isArray(initialData.exams) ? initialData.exams : [],
+            smartLists: Array.isArray(initialData.smartLists)
+              ? initialData.smartLists
+              : [],
             settings: {
               ...this.state.settings,
               ...initialData.settings,
@@ -392,6 +2229,9 @@ export class AppState {
         this.state.tasks = [];
       }
 
+      this.purgeExpiredTrash();
+      this.buildSearchIndexWhenIdle();
+
       this.isInitialized = true;
       this.notify({ type: "STATE_INITIALIZED", state: this.state });
     } catch (error) {
@@ -411,7 +2251,19 @@ export class AppState {
 
         // Merge saved state with defaults to handle new properties
         this.state = {
-          tasks: parsedState.tasks || [],
+          tasks: (parsedState.tasks || []).map(migrateTaskTags),
+          courses: Array.isArray(parsedState.courses)
+            ? parsedState.courses
+            : [],
+          terms: Array.isArray(parsedState.terms) ? parsedState.terms : [],
+          trash: Array.isArray(parsedState.trash) ? parsedState.trash : [],
+          templates: Array.isArray(parsedState.templates)
+            ? parsedState.templates
+            : [],
+          exams: Array.isArray(parsedState.exams) ? parsedState.exams : [],
+          smartLists: Array.isArray(parsedState.smartLists)
+            ? parsedState.smartLists
+            : [],
           settings: {
             ...this.state.settings,
             ...parsedState.settings,
@@ -437,6 +2289,12 @@ export class AppState {
   saveToStorage() {
     const stateToSave = {
       tasks: this.state.tasks,
+      courses: this.state.courses,
+      terms: this.state.terms,
+      trash: this.state.trash,
+      templates: this.state.templates,
+      exams: this.state.exams,
+      smartLists: this.state.smartLists,
       settings: this.state.settings,
       ui: {
         // Only save persistent UI state
@@ -444,6 +2302,10 @@ export class AppState {
         filterBy: this.state.ui.filterBy,
         searchMode: this.state.ui.searchMode,
         viewMode: this.state.ui.viewMode,
+        tagFilter: this.state.ui.tagFilter,
+        tagMatchMode: this.state.ui.tagMatchMode,
+        courseFilter: this.state.ui.courseFilter,
+        termFilter: this.state.ui.termFilter,
       },
     };
 
@@ -495,6 +2357,12 @@ export class AppState {
   getState() {
     return {
       tasks: [...this.state.tasks],
+      courses: [...this.state.courses],
+      terms: [...this.state.terms],
+      trash: [...this.state.trash],
+      templates: [...this.state.templates],
+      exams: [...this.state.exams],
+      smartLists: [...this.state.smartLists],
       settings: { ...this.state.settings },
       ui: { ...this.state.ui },
     };
@@ -506,6 +2374,12 @@ export class AppState {
   reset() {
     this.state = {
       tasks: [],
+      courses: [],
+      terms: [],
+      trash: [],
+      templates: [],
+      exams: [],
+      smartLists: [],
       settings: {
         timeUnit: "both",
         weeklyHourTarget: 40,
@@ -513,6 +2387,10 @@ export class AppState {
         defaultTag: "General",
         sortPreference: "date-newest",
         searchCaseSensitive: false,
+        statusWorkflow: DEFAULT_STATUS_WORKFLOW,
+        progressMode: DEFAULT_PROGRESS_MODE,
+        backupAttachments: false,
+        trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
       },
       ui: {
         currentPage: "about",
@@ -522,11 +2400,19 @@ export class AppState {
         sortBy: "date-newest",
         filterBy: "all",
         selectedTasks: [],
+        expandedTasks: [],
+        tagFilter: [],
+        tagMatchMode: "any",
+        courseFilter: "",
+        termFilter: "",
         toastMessage: null,
         viewMode: "table",
       },
     };
 
+    this.clearHistory();
+    this.syncSearchIndex();
+
     this.saveToStorage();
     this.notify({ type: "STATE_RESET" });
   }
@@ -548,16 +2434,29 @@ export class AppState {
 
     const stateToBackup = {
       tasks: this.state.tasks,
+      courses: this.state.courses,
+      terms: this.state.terms,
+      trash: this.state.trash,
+      templates: this.state.templates,
+      exams: this.state.exams,
+      smartLists: this.state.smartLists,
       settings: this.state.settings,
       ui: {
         sortBy: this.state.ui.sortBy,
         filterBy: this.state.ui.filterBy,
         searchMode: this.state.ui.searchMode,
         viewMode: this.state.ui.viewMode,
+        tagFilter: this.state.ui.tagFilter,
+        tagMatchMode: this.state.ui.tagMatchMode,
+        courseFilter: this.state.ui.courseFilter,
+        termFilter: this.state.ui.termFilter,
       },
     };
 
-    return await this.dataManager.manualBackup(stateToBackup);
+    // Bundle attachment files into the backup when the user opted in
+    return await this.dataManager.manualBackup(stateToBackup, {
+      includeAttachments: this.state.settings.backupAttachments === true,
+    });
   }
 
   /**
@@ -574,33 +2473,80 @@ export class AppState {
       // Merge imported data with current state
       const importedData = result.data;
 
-      // Import tasks (replace existing)
-      if (importedData.tasks && Array.isArray(importedData.tasks)) {
-        this.state.tasks = importedData.tasks;
-      }
+      // The whole import is undone as one step
+      this.recordHistory("Import data", () => {
+        // Import tasks (replace existing)
+        if (importedData.tasks && Array.isArray(importedData.tasks)) {
+          this.state.tasks = logImportedChanges(
+            this.state.tasks,
+            importedData.tasks.map(migrateTaskTags)
+          );
+        }
 
-      // Import settings (merge with existing)
-      if (importedData.settings && typeof importedData.settings === "object") {
-        this.state.settings = {
-          ...this.state.settings,
-          ...importedData.settings,
-        };
-      }
+        // Import courses (replace existing, since imported tasks refer to them)
+        if (Array.isArray(importedData.courses)) {
+          this.state.courses = importedData.courses;
+        }
 
-      // Import UI preferences (merge with existing)
-      if (importedData.ui && typeof importedData.ui === "object") {
-        this.state.ui = {
-          ...this.state.ui,
-          ...importedData.ui,
-          // Reset transient UI state
-          modalOpen: null,
-          toastMessage: null,
-          selectedTasks: [],
-        };
-      }
+        // Import terms (replace existing, for the same reason)
+        if (Array.isArray(importedData.terms)) {
+          this.state.terms = importedData.terms;
+        }
 
-      // Save to localStorage
-      this.saveToStorage();
+        // Import exams (replace existing, since study sessions refer to them)
+        if (Array.isArray(importedData.exams)) {
+          this.state.exams = importedData.exams;
+        }
+
+        // Import trash (replace existing, so it matches the imported tasks)
+        if (Array.isArray(importedData.trash)) {
+          this.state.trash = importedData.trash;
+        }
+
+        // Import templates (merge with existing, like settings)
+        if (Array.isArray(importedData.templates)) {
+          this.state.templates = mergeTemplates(
+            this.state.templates,
+            importedData.templates
+          );
+        }
+
+        // Import smart lists (merge with existing, like templates)
+        if (Array.isArray(importedData.smartLists)) {
+          this.state.smartLists = mergeSmartLists(
+            this.state.smartLists,
+            importedData.smartLists
+          );
+        }
+
+        // Import settings (merge with existing)
+        if (
+          importedData.settings &&
+          typeof importedData.settings === "object"
+        ) {
+          this.state.settings = {
+            ...this.state.settings,
+            ...importedData.settings,
+          };
+        }
+
+        // Import UI preferences (merge with existing)
+        if (importedData.ui && typeof importedData.ui === "object") {
+          this.state.ui = {
+            ...this.state.ui,
+            ...importedData.ui,
+            // Reset transient UI state
+            modalOpen: null,
+            toastMessage: null,
+            selectedTasks: [],
+          };
+        }
+        this.pruneSelectedTasks();
+
+        // Save to localStorage
+        this.saveToStorage();
+      });
+      this.syncSearchIndex();
 
       // Notify observers
       this.notify({ type: "DATA_IMPORTED", importedData });
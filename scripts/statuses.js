@@ -0,0 +1,130 @@
+/**
+ * Status module for the task workflow
+ * Defines the task statuses and which status changes the workflow allows
+ */
+
+/**
+ * Available task statuses
+ */
+export const TaskStatuses = {
+  PENDING: 'Pending',
+  IN_PROGRESS: 'In Progress',
+  BLOCKED: 'Blocked',
+  COMPLETE: 'Complete',
+  CANCELLED: 'Cancelled'
+};
+
+export const DEFAULT_STATUS = TaskStatuses.PENDING;
+
+/**
+ * Statuses that end a task; everything else still has work left
+ */
+export const CLOSED_STATUSES = [TaskStatuses.COMPLETE, TaskStatuses.CANCELLED];
+
+/**
+ * Default workflow: the statuses each status may move to
+ * Users can override this through the statusWorkflow setting.
+ */
+export const DEFAULT_STATUS_WORKFLOW = {
+  [TaskStatuses.PENDING]: [TaskStatuses.IN_PROGRESS, TaskStatuses.BLOCKED, TaskStatuses.COMPLETE, TaskStatuses.CANCELLED],
+  [TaskStatuses.IN_PROGRESS]: [TaskStatuses.PENDING, TaskStatuses.BLOCKED, TaskStatuses.COMPLETE, TaskStatuses.CANCELLED],
+  [TaskStatuses.BLOCKED]: [TaskStatuses.PENDING, TaskStatuses.IN_PROGRESS, TaskStatuses.CANCELLED],
+  [TaskStatuses.COMPLETE]: [TaskStatuses.PENDING, TaskStatuses.IN_PROGRESS],
+  [TaskStatuses.CANCELLED]: [TaskStatuses.PENDING]
+};
+
+/**
+ * Filter values used by the task list for each status
+ */
+export const STATUS_FILTERS = {
+  [TaskStatuses.PENDING]: 'pending',
+  [TaskStatuses.IN_PROGRESS]: 'in-progress',
+  [TaskStatuses.BLOCKED]: 'blocked',
+  [TaskStatuses.COMPLETE]: 'completed',
+  [TaskStatuses.CANCELLED]: 'cancelled'
+};
+
+/**
+ * Check whether a value is a known task status
+ * @param {string} status - Status to check
+ * @returns {boolean} True if valid
+ */
+export function isValidStatus(status) {
+  return Object.values(TaskStatuses).includes(status);
+}
+
+/**
+ * Check whether a status ends the task (Complete or Cancelled)
+ * @param {string} status - Status to check
+ * @returns {boolean} True if closed
+ */
+export function isClosedStatus(status) {
+  return CLOSED_STATUSES.includes(status);
+}
+
+/**
+ * Get the statuses a task may move to from its current status
+ * @param {string} status - Current status
+ * @param {Object} workflow - Workflow to use (defaults to DEFAULT_STATUS_WORKFLOW)
+ * @returns {Array} Allowed next statuses
+ */
+export function getAllowedTransitions(status, workflow = DEFAULT_STATUS_WORKFLOW) {
+  const transitions = (workflow && workflow[status]) || DEFAULT_STATUS_WORKFLOW[status] || [];
+  return transitions.filter(isValidStatus);
+}
+
+/**
+ * Check whether the workflow allows a status change
+ * Keeping the same status is always allowed.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} workflow - Workflow to use (defaults to DEFAULT_STATUS_WORKFLOW)
+ * @returns {boolean} True if allowed
+ */
+export function canTransition(from, to, workflow = DEFAULT_STATUS_WORKFLOW) {
+  if (from === to) {
+    return true;
+  }
+  return getAllowedTransitions(from, workflow).includes(to);
+}
+
+/**
+ * Validate a status workflow
+ * @param {Object} workflow - Map of status to allowed next statuses
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateStatusWorkflow(workflow) {
+  const errors = [];
+
+  if (workflow === undefined) {
+    return errors;
+  }
+
+  if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+    errors.push('statusWorkflow must be an object');
+    return errors;
+  }
+
+  Object.entries(workflow).forEach(([from, transitions]) => {
+    if (!isValidStatus(from)) {
+      errors.push(`statusWorkflow has an unknown status "${from}"`);
+    } else if (!Array.isArray(transitions) || !transitions.every(isValidStatus)) {
+      errors.push(`statusWorkflow transitions for "${from}" must be a list of known statuses`);
+    }
+  });
+
+  return errors;
+}
+
+export default {
+  TaskStatuses,
+  DEFAULT_STATUS,
+  CLOSED_STATUSES,
+  DEFAULT_STATUS_WORKFLOW,
+  STATUS_FILTERS,
+  isValidStatus,
+  isClosedStatus,
+  getAllowedTransitions,
+  canTransition,
+  validateStatusWorkflow
+};
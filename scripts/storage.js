@@ -3,6 +3,26 @@
  * Handles save/load, JSON import/export, and data validation
  */
 
+import { validateRecurrence } from './recurrence.js';
+import { normalizeSubtasks, validateSubtasks } from './subtasks.js';
+import { PriorityLevels, DEFAULT_PRIORITY, isValidPriority } from './priority.js';
+import { validateDependencies } from './dependencies.js';
+import { validateTags, migrateTaskTags } from './tags.js';
+import { isValidDueTime } from './due-dates.js';
+import { TaskStatuses, DEFAULT_STATUS, isValidStatus, validateStatusWorkflow } from './statuses.js';
+import { ProgressModes, validateTimeLog, isValidTimestamp } from './time-tracking.js';
+import { validateNotes } from './notes.js';
+import { validateAttachments, validateLinks } from './attachments.js';
+import { isValidCourseId, validateCourses, mergeCourses } from './courses.js';
+import { validateGrade } from './grades.js';
+import { isValidTermId, validateTerms, mergeTerms } from './terms.js';
+import { MAX_TRASH_RETENTION_DAYS, validateTrashedTask, mergeTrash } from './trash.js';
+import { validateTemplates, mergeTemplates } from './templates.js';
+import { isValidExamId, validateExams, mergeExams } from './exams.js';
+import { validateSmartLists, mergeSmartLists } from './smart-lists.js';
+import { validateChangeLog, logImportedChanges } from './change-log.js';
+import { attachmentStore } from './attachment-store.js';
+
 /**
  * Storage utility functions
  */
@@ -70,6 +90,12 @@ export const storage = {
         application: 'Campus Life Planner',
         data: {
           tasks: appState.tasks || [],
+          courses: appState.courses || [],
+          terms: appState.terms || [],
+          trash: appState.trash || [],
+          templates: appState.templates || [],
+          exams: appState.exams || [],
+          smartLists: appState.smartLists || [],
           settings: appState.settings || {},
           ui: {
             // Export only persistent UI preferences
@@ -80,6 +106,13 @@ export const storage = {
           },
           metadata: {
             totalTasks: (appState.tasks || []).length,
+            totalCourses: (appState.courses || []).length,
+            totalTerms: (appState.terms || []).length,
+            trashedTasks: (appState.trash || []).length,
+            totalTemplates: (appState.templates || []).length,
+            totalExams: (appState.exams || []).length,
+            totalSmartLists: (appState.smartLists || []).length,
+            totalSubtasks: (appState.tasks || []).reduce((sum, task) => sum + (task.subtasks || []).length, 0),
             settingsCount: Object.keys(appState.settings || {}).length,
             exportedBy: 'Campus Life Planner',
             format: 'JSON',
@@ -112,6 +145,12 @@ export const storage = {
       const actualData = importedData.data || importedData;
       const { 
         tasks = [], 
+        courses = [],
+        terms = [],
+        trash = [],
+        templates = [],
+        exams = [],
+        smartLists = [],
         settings = {}, 
         ui = {} 
       } = actualData;
@@ -133,7 +172,7 @@ export const storage = {
       let mergedTasks;
       switch (mergeMode) {
         case 'replace':
-          mergedTasks = tasks;
+          mergedTasks = logImportedChanges(currentState.tasks, tasks);
           break;
         case 'append':
           mergedTasks = [...(currentState.tasks || []), ...tasks];
@@ -147,7 +186,13 @@ export const storage = {
       // Merge imported data with current state
       const mergedState = {
         ...currentState,
-        tasks: mergedTasks
+        tasks: mergedTasks,
+        courses: mergeMode === 'replace' ? courses : mergeCourses(currentState.courses, courses),
+        terms: mergeMode === 'replace' ? terms : mergeTerms(currentState.terms, terms),
+        trash: mergeMode === 'replace' ? trash : mergeTrash(currentState.trash, trash),
+        templates: mergeMode === 'replace' ? templates : mergeTemplates(currentState.templates, templates),
+        exams: mergeMode === 'replace' ? exams : mergeExams(currentState.exams, exams),
+        smartLists: mergeMode === 'replace' ? smartLists : mergeSmartLists(currentState.smartLists, smartLists)
       };
       
       // Include settings if requested
@@ -238,6 +283,52 @@ export const storage = {
       }
     }
     
+    // Validate courses array
+    const courseErrors = validateCourses(actualData.courses);
+    if (courseErrors.length > 0) {
+      errors.push(`Courses: ${courseErrors.slice(0, 5).join(', ')}`);
+    }
+    
+    // Validate terms array
+    const termErrors = validateTerms(actualData.terms);
+    if (termErrors.length > 0) {
+      errors.push(`Terms: ${termErrors.slice(0, 5).join(', ')}`);
+    }
+    
+    // Validate templates array
+    const templateErrors = validateTemplates(actualData.templates);
+    if (templateErrors.length > 0) {
+      errors.push(`Templates: ${templateErrors.slice(0, 5).join(', ')}`);
+    }
+    
+    // Validate exams array
+    const examErrors = validateExams(actualData.exams);
+    if (examErrors.length > 0) {
+      errors.push(`Exams: ${examErrors.slice(0, 5).join(', ')}`);
+    }
+    
+    // Validate smart lists array
+    const smartListErrors = validateSmartLists(actualData.smartLists);
+    if (smartListErrors.length > 0) {
+      errors.push(`Smart lists: ${smartListErrors.slice(0, 5).join(', ')}`);
+    }
+    
+    // Validate trashed tasks
+    if (actualData.trash !== undefined) {
+      if (!Array.isArray(actualData.trash)) {
+        errors.push('Trash must be an array');
+      } else {
+        const trashErrors = [];
+        actualData.trash.forEach((task, index) => {
+          const taskErrors = [...this.validateTask(task), ...validateTrashedTask(task)];
+          if (taskErrors.length > 0) {
+            trashErrors.push(`Trashed task ${index + 1}: ${taskErrors.join(', ')}`);
+          }
+        });
+        errors.push(...trashErrors.slice(0, 5));
+      }
+    }
+    
     // Validate settings object
     if (actualData.settings) {
       if (typeof actualData.settings !== 'object') {
@@ -303,10 +394,63 @@ export const storage = {
       errors.push('tag must be a string');
     }
     
-    if (task.status && !['Pending', 'Complete'].includes(task.status)) {
-      errors.push('status must be either "Pending" or "Complete"');
+    errors.push(...validateTags(task.tags));
+    
+    if (task.status && !isValidStatus(task.status)) {
+      errors.push(`status must be one of: ${Object.values(TaskStatuses).join(', ')}`);
+    }
+    
+    if (task.dueTime !== undefined && !isValidDueTime(task.dueTime)) {
+      errors.push('dueTime must be in HH:MM format (24-hour)');
+    }
+    
+    errors.push(...validateTimeLog(task.timeLog));
+    
+    errors.push(...validateNotes(task.notes));
+    
+    errors.push(...validateAttachments(task.attachments));
+    
+    errors.push(...validateLinks(task.links));
+    
+    if (task.courseId !== undefined && !isValidCourseId(task.courseId)) {
+      errors.push('courseId must be made of letters, digits, - or _');
     }
     
+    if (task.termId !== undefined && !isValidTermId(task.termId)) {
+      errors.push('termId must be made of letters, digits, - or _');
+    }
+    
+    if (task.examId !== undefined && !isValidExamId(task.examId)) {
+      errors.push('examId must be made of letters, digits, - or _');
+    }
+    
+    errors.push(...validateGrade(task.grade));
+    errors.push(...validateChangeLog(task.changeLog));
+    
+    if (task.timerStartedAt !== undefined && !isValidTimestamp(task.timerStartedAt)) {
+      errors.push('timerStartedAt must be a valid timestamp');
+    }
+    
+    if (task.priority !== undefined && !isValidPriority(task.priority)) {
+      errors.push(`priority must be one of: ${Object.values(PriorityLevels).join(', ')}`);
+    }
+    
+    if (task.recurrence !== undefined) {
+      errors.push(...validateRecurrence(task.recurrence));
+    }
+    
+    if (task.seriesId !== undefined && typeof task.seriesId !== 'string') {
+      errors.push('seriesId must be a string');
+    }
+    
+    if (task.occurrence !== undefined && (!Number.isInteger(task.occurrence) || task.occurrence < 1)) {
+      errors.push('occurrence must be a positive whole number');
+    }
+    
+    errors.push(...validateSubtasks(task.subtasks));
+    
+    errors.push(...validateDependencies(task.blockedBy, task.id));
+    
     return errors;
   },
 
@@ -316,11 +460,17 @@ export const storage = {
   mergeTasks(existingTasks, importedTasks) {
     const merged = [...existingTasks];
     const existingIds = new Set(existingTasks.map(task => task.id));
+    const renamedIds = new Map();
+    const mergedImports = [];
     
     importedTasks.forEach(importedTask => {
       // Generate new ID if task doesn't have one or if ID already exists
       if (!importedTask.id || existingIds.has(importedTask.id)) {
-        importedTask.id = this.generateTaskId();
+        const newId = this.generateTaskId();
+        if (importedTask.id) {
+          renamedIds.set(importedTask.id, newId);
+        }
+        importedTask.id = newId;
       }
       
       // Ensure required timestamps
@@ -332,18 +482,36 @@ export const storage = {
         importedTask.updatedAt = now;
       }
       
-      // Set default values for missing fields
-      const taskWithDefaults = {
-        status: 'Pending',
-        tag: 'General',
+      // Set default values for missing fields (single tags become tag lists)
+      const taskWithDefaults = migrateTaskTags({
+        status: DEFAULT_STATUS,
         duration: 0,
+        priority: DEFAULT_PRIORITY,
         ...importedTask
-      };
+      });
+      
+      // Keep subtask IDs unique and records well-formed
+      if (Array.isArray(taskWithDefaults.subtasks)) {
+        taskWithDefaults.subtasks = normalizeSubtasks(taskWithDefaults.subtasks);
+      }
       
       merged.push(taskWithDefaults);
+      mergedImports.push(taskWithDefaults);
       existingIds.add(taskWithDefaults.id);
     });
     
+    // Point blockers at renamed tasks and drop blockers missing from the merge
+    mergedImports.forEach(task => {
+      if (Array.isArray(task.blockedBy)) {
+        task.blockedBy = task.blockedBy
+          .map(id => renamedIds.get(id) || id)
+          .filter(id => id !== task.id && existingIds.has(id));
+        if (task.blockedBy.length === 0) {
+          delete task.blockedBy;
+        }
+      }
+    });
+    
     return merged;
   },
 
@@ -505,6 +673,29 @@ export const storage = {
     }
   },
 
+  /**
+   * Get attachment storage usage
+   * Attachment files live in IndexedDB, so they are counted separately from
+   * the localStorage figures in getStorageInfo.
+   */
+  async getAttachmentStorageInfo() {
+    try {
+      const usage = await attachmentStore.getUsage();
+      const estimate = typeof navigator !== 'undefined' && navigator.storage?.estimate
+        ? await navigator.storage.estimate()
+        : null;
+      
+      return {
+        attachmentCount: usage.count,
+        attachmentSize: usage.totalSize,
+        browserQuota: estimate?.quota ?? null
+      };
+    } catch (error) {
+      console.error('Error getting attachment storage info:', error);
+      return null;
+    }
+  },
+
   /**
    * Estimate available localStorage space
    */
@@ -548,14 +739,18 @@ export const storage = {
       weeklyHourTarget: 'number',
       theme: ['light', 'dark'],
       defaultTag: 'string',
-      sortPreference: ['date-newest', 'date-oldest', 'title-asc', 'title-desc', 'duration-asc', 'duration-desc'],
+      sortPreference: ['date-newest', 'date-oldest', 'title-asc', 'title-desc', 'duration-asc', 'duration-desc', 'priority-high', 'priority-low', 'urgency'],
       searchCaseSensitive: 'boolean',
       autoSave: 'boolean',
       notifications: 'boolean',
       compactView: 'boolean',
       showCompletedTasks: 'boolean',
       dateFormat: ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'],
-      firstDayOfWeek: 'number'
+      firstDayOfWeek: 'number',
+      statusWorkflow: 'workflow',
+      progressMode: Object.values(ProgressModes),
+      backupAttachments: 'boolean',
+      trashRetentionDays: 'number'
     };
     
     Object.entries(settings).forEach(([key, value]) => {
@@ -579,6 +774,8 @@ export const storage = {
           errors.push(`${key} must be between 0 and 168 hours`);
         } else if (key === 'firstDayOfWeek' && (value < 0 || value > 6)) {
           errors.push(`${key} must be between 0 and 6`);
+        } else if (key === 'trashRetentionDays' && (!Number.isInteger(value) || value < 0 || value > MAX_TRASH_RETENTION_DAYS)) {
+          errors.push(`${key} must be a whole number between 0 and ${MAX_TRASH_RETENTION_DAYS}`);
         }
       } else if (validation === 'boolean') {
         if (typeof value !== 'boolean') {
@@ -590,6 +787,8 @@ export const storage = {
         } else if (key === 'defaultTag' && value.length > 50) {
           errors.push(`${key} must be 50 characters or less`);
         }
+      } else if (validation === 'workflow') {
+        errors.push(...validateStatusWorkflow(value));
       }
     });
     
@@ -626,6 +825,7 @@ export const storage = {
 
   /**
    * Export settings only
+   * Task templates and smart lists travel with the settings.
    */
   exportSettings() {
     try {
@@ -637,8 +837,12 @@ export const storage = {
         type: 'settings',
         data: {
           settings: appState.settings || {},
+          templates: appState.templates || [],
+          smartLists: appState.smartLists || [],
           metadata: {
             settingsCount: Object.keys(appState.settings || {}).length,
+            templateCount: (appState.templates || []).length,
+            smartListCount: (appState.smartLists || []).length,
             exportedBy: 'Campus Life Planner Settings',
             format: 'JSON'
           }
@@ -654,6 +858,7 @@ export const storage = {
 
   /**
    * Import settings only
+   * Templates and smart lists in the file are merged into the existing ones.
    */
   importSettings(jsonString) {
     try {
@@ -661,10 +866,16 @@ export const storage = {
       
       // Extract settings from different possible formats
       let settings;
+      let templates;
+      let smartLists;
       if (importedData.data && importedData.data.settings) {
         settings = importedData.data.settings;
+        templates = importedData.data.templates;
+        smartLists = importedData.data.smartLists;
       } else if (importedData.settings) {
         settings = importedData.settings;
+        templates = importedData.templates;
+        smartLists = importedData.smartLists;
       } else {
         settings = importedData;
       }
@@ -675,6 +886,18 @@ export const storage = {
         throw new Error(`Invalid settings: ${settingsErrors.join(', ')}`);
       }
       
+      // Validate templates
+      const templateErrors = validateTemplates(templates);
+      if (templateErrors.length > 0) {
+        throw new Error(`Invalid templates: ${templateErrors.slice(0, 5).join(', ')}`);
+      }
+      
+      // Validate smart lists
+      const smartListErrors = validateSmartLists(smartLists);
+      if (smartListErrors.length > 0) {
+        throw new Error(`Invalid smart lists: ${smartListErrors.slice(0, 5).join(', ')}`);
+      }
+      
       // Load current state and merge settings
       const currentState = this.load('campusLifePlannerState', {
         tasks: [],
@@ -687,7 +910,9 @@ export const storage = {
         settings: {
           ...currentState.settings,
           ...settings
-        }
+        },
+        templates: mergeTemplates(currentState.templates, templates),
+        smartLists: mergeSmartLists(currentState.smartLists, smartLists)
       };
       
       // Save merged state
@@ -696,10 +921,23 @@ export const storage = {
         throw new Error('Failed to save imported settings');
       }
       
+      const settingCount = Object.keys(settings).length;
+      const templateCount = (templates || []).length;
+      const smartListCount = (smartLists || []).length;
+      const extras = [
+        templateCount > 0 ? `${templateCount} template${templateCount !== 1 ? 's' : ''}` : '',
+        smartListCount > 0 ? `${smartListCount} smart list${smartListCount !== 1 ? 's' : ''}` : ''
+      ].filter(Boolean);
       return {
         success: true,
-        importedSettings: Object.keys(settings).length,
-        message: `Successfully imported ${Object.keys(settings).length} setting${Object.keys(settings).length !== 1 ? 's' : ''}`
+        importedSettings: settingCount,
+        importedTemplates: templateCount,
+        importedSmartLists: smartListCount,
+        settings,
+        templates: mergedState.templates,
+        smartLists: mergedState.smartLists,
+        message: `Successfully imported ${settingCount} setting${settingCount !== 1 ? 's' : ''}` +
+          (extras.length > 0 ? ` and ${extras.join(' and ')}` : '')
       };
       
     } catch (error) {
@@ -0,0 +1,151 @@
+/**
+ * Subtask module for checklists inside a task
+ * Normalizes, validates, and rolls up subtask progress into the parent task
+ */
+
+import { isClosedStatus } from './statuses.js';
+
+// Keep checklists short enough to stay readable in the task list
+const MAX_SUBTASKS = 50;
+
+/**
+ * Generate unique subtask ID
+ * @returns {string} Subtask ID
+ */
+export function generateSubtaskId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `subtask_${timestamp}_${random}`;
+}
+
+/**
+ * Normalize raw subtask input into clean subtask records
+ * Entries without a title are dropped.
+ * @param {Array} subtasks - Raw subtask data
+ * @returns {Array} Normalized subtasks
+ */
+export function normalizeSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) {
+    return [];
+  }
+
+  return subtasks
+    .filter(subtask => subtask && typeof subtask.title === 'string' && subtask.title.trim() !== '')
+    .map(subtask => {
+      const duration = parseInt(subtask.duration, 10);
+      const normalized = {
+        id: subtask.id || generateSubtaskId(),
+        title: subtask.title.trim(),
+        status: subtask.status === 'Complete' ? 'Complete' : 'Pending'
+      };
+
+      if (!isNaN(duration) && duration > 0) {
+        normalized.duration = duration;
+      }
+
+      return normalized;
+    });
+}
+
+/**
+ * Validate a list of subtasks
+ * @param {Array} subtasks - Subtasks to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateSubtasks(subtasks) {
+  const errors = [];
+
+  if (subtasks === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(subtasks)) {
+    errors.push('subtasks must be an array');
+    return errors;
+  }
+
+  if (subtasks.length > MAX_SUBTASKS) {
+    errors.push(`a task can have at most ${MAX_SUBTASKS} subtasks`);
+  }
+
+  subtasks.forEach((subtask, index) => {
+    const label = `subtask ${index + 1}`;
+
+    if (!subtask || typeof subtask !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!subtask.id || typeof subtask.id !== 'string') {
+      errors.push(`${label} id is required and must be a string`);
+    }
+
+    if (!subtask.title || typeof subtask.title !== 'string' || subtask.title.trim() === '') {
+      errors.push(`${label} title is required and must be a non-empty string`);
+    }
+
+    if (!['Pending', 'Complete'].includes(subtask.status)) {
+      errors.push(`${label} status must be either "Pending" or "Complete"`);
+    }
+
+    if (subtask.duration !== undefined && (typeof subtask.duration !== 'number' || subtask.duration < 0)) {
+      errors.push(`${label} duration must be a non-negative number`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Summarize subtask completion for a task
+ * @param {Object} task - Task with optional subtasks
+ * @returns {Object} Progress with total, completed, and percentage
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = Array.isArray(task?.subtasks) ? task.subtasks : [];
+  const completed = subtasks.filter(subtask => subtask.status === 'Complete').length;
+
+  return {
+    total: subtasks.length,
+    completed,
+    percentage: subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : 0
+  };
+}
+
+/**
+ * Calculate the minutes of work left on a task, accounting for subtasks
+ * Subtasks with their own durations count exactly; otherwise the parent
+ * estimate is reduced in proportion to the completed steps.
+ * @param {Object} task - Task with optional subtasks
+ * @returns {number} Remaining minutes
+ */
+export function getRemainingMinutes(task) {
+  if (!task || isClosedStatus(task.status)) {
+    return 0;
+  }
+
+  const duration = task.duration || 0;
+  const subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+
+  if (subtasks.length === 0) {
+    return duration;
+  }
+
+  const timedSubtasks = subtasks.filter(subtask => subtask.duration > 0);
+  if (timedSubtasks.length === subtasks.length) {
+    return timedSubtasks
+      .filter(subtask => subtask.status !== 'Complete')
+      .reduce((sum, subtask) => sum + subtask.duration, 0);
+  }
+
+  const { total, completed } = getSubtaskProgress(task);
+  return Math.round(duration * ((total - completed) / total));
+}
+
+export default {
+  generateSubtaskId,
+  normalizeSubtasks,
+  validateSubtasks,
+  getSubtaskProgress,
+  getRemainingMinutes
+};
@@ -0,0 +1,167 @@
+/**
+ * Tags module for tasks that carry several tags
+ * Normalizes tag sets, migrates legacy single-tag data, and matches tag filters
+ */
+
+import { patterns } from './validators.js';
+
+/**
+ * How a tag filter combines the selected tags
+ */
+export const TagMatchModes = {
+  ANY: 'any',
+  ALL: 'all'
+};
+
+export const DEFAULT_TAG = 'General';
+
+// Keep tag lists short enough to fit on a task card
+const MAX_TAGS = 10;
+
+/**
+ * Normalize raw tag input into a clean tag list
+ * Accepts an array or a comma-separated string. Whitespace is collapsed and
+ * duplicates are dropped case-insensitively (the first spelling wins).
+ * @param {Array|string} tags - Raw tags
+ * @returns {Array} Normalized tags
+ */
+export function normalizeTags(tags) {
+  const rawTags = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+  const seen = new Set();
+
+  return rawTags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().replace(/\s+/g, ' '))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (tag === '' || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Get the tags of a task, falling back to the legacy single tag
+ * @param {Object} task - Task object
+ * @returns {Array} Task tags
+ */
+export function getTaskTags(task) {
+  if (Array.isArray(task?.tags)) {
+    return task.tags;
+  }
+  return task?.tag ? [task.tag] : [];
+}
+
+/**
+ * Convert a task from the legacy single `tag` string to a `tags` list
+ * Tasks that already have a tag list are returned unchanged.
+ * @param {Object} task - Task object
+ * @returns {Object} Task with a tags list and no tag field
+ */
+export function migrateTaskTags(task) {
+  if (!task || typeof task !== 'object') {
+    return task;
+  }
+
+  if (Array.isArray(task.tags) && task.tag === undefined) {
+    return task;
+  }
+
+  const { tag, ...rest } = task;
+  const tags = normalizeTags(Array.isArray(task.tags) ? task.tags : [tag]);
+
+  return {
+    ...rest,
+    tags: tags.length > 0 ? tags : [DEFAULT_TAG]
+  };
+}
+
+/**
+ * Validate a list of tags
+ * @param {Array} tags - Tags to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateTags(tags) {
+  const errors = [];
+
+  if (tags === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(tags)) {
+    errors.push('tags must be an array');
+    return errors;
+  }
+
+  if (tags.length > MAX_TAGS) {
+    errors.push(`a task can have at most ${MAX_TAGS} tags`);
+  }
+
+  tags.forEach(tag => {
+    if (typeof tag !== 'string' || !patterns.tag.test(tag)) {
+      errors.push(`tag "${tag}" can only contain letters, spaces, and hyphens`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether a task matches a tag filter
+ * @param {Object} task - Task object
+ * @param {Array} selectedTags - Tags to filter by
+ * @param {string} mode - Match mode from TagMatchModes
+ * @returns {boolean} True if the task matches (always true for an empty filter)
+ */
+export function matchesTags(task, selectedTags, mode = TagMatchModes.ANY) {
+  if (!Array.isArray(selectedTags) || selectedTags.length === 0) {
+    return true;
+  }
+
+  const taskTags = getTaskTags(task).map(tag => tag.toLowerCase());
+  const hasTag = tag => taskTags.includes(tag.toLowerCase());
+
+  return mode === TagMatchModes.ALL
+    ? selectedTags.every(hasTag)
+    : selectedTags.some(hasTag);
+}
+
+/**
+ * Count how many tasks carry each tag
+ * A task with several tags counts once towards each of them; tags that
+ * differ only by case are counted together.
+ * @param {Array} tasks - Array of tasks
+ * @returns {Object} Map of tag to task count
+ */
+export function countTags(tasks) {
+  const counts = {};
+  const spellings = new Map();
+
+  tasks.forEach(task => {
+    const tags = getTaskTags(task);
+    (tags.length > 0 ? tags : [DEFAULT_TAG]).forEach(tag => {
+      // Count "exam" and "Exam" together under the first spelling seen
+      const key = tag.toLowerCase();
+      if (!spellings.has(key)) {
+        spellings.set(key, tag);
+      }
+      const label = spellings.get(key);
+      counts[label] = (counts[label] || 0) + 1;
+    });
+  });
+
+  return counts;
+}
+
+export default {
+  TagMatchModes,
+  DEFAULT_TAG,
+  normalizeTags,
+  getTaskTags,
+  migrateTaskTags,
+  validateTags,
+  matchesTags,
+  countTags
+};
@@ -0,0 +1,328 @@
+/**
+ * Templates module for reusable task skeletons
+ * A template holds the fields that repeat between assignments of one kind
+ * (duration, tags, subtasks, notes...) and a due date relative to the day the
+ * task is created, and is used to pre-fill the task form.
+ */
+
+import { normalizeTags, getTaskTags, validateTags } from './tags.js';
+import { normalizeNotes, validateNotes } from './notes.js';
+import { DEFAULT_PRIORITY, isValidPriority } from './priority.js';
+import { isValidDueTime } from './due-dates.js';
+import { parseDateOnly, formatDateOnly } from './recurrence.js';
+import { isValidCourseId } from './courses.js';
+
+export const MAX_TEMPLATE_NAME_LENGTH = 100;
+export const MAX_TEMPLATE_SUBTASKS = 50;
+export const MAX_DUE_OFFSET_DAYS = 365;
+
+// Template IDs are written into option values and data attributes
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate unique template ID
+ * @returns {string} Template ID
+ */
+export function generateTemplateId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `template_${timestamp}_${random}`;
+}
+
+/**
+ * Check whether a template ID is well formed
+ * @param {string} id - Template ID
+ * @returns {boolean} True if valid
+ */
+export function isValidTemplateId(id) {
+  return typeof id === 'string' && TEMPLATE_ID_PATTERN.test(id);
+}
+
+/**
+ * Check whether a due date offset is valid
+ * @param {number} days - Days after creation
+ * @returns {boolean} True if valid
+ */
+export function isValidDueOffset(days) {
+  return Number.isInteger(days) && days >= 0 && days <= MAX_DUE_OFFSET_DAYS;
+}
+
+/**
+ * Normalize raw template input
+ * Subtasks keep only their title and duration, since every task made from
+ * the template starts its checklist afresh. An empty due offset means the
+ * template leaves the due date blank.
+ * @param {Object} data - Raw template fields
+ * @returns {Object} Template
+ */
+export function normalizeTemplate(data) {
+  const duration = parseInt(data.duration, 10);
+  const dueOffsetDays = data.dueOffsetDays === '' || data.dueOffsetDays == null
+    ? NaN
+    : Number(data.dueOffsetDays);
+
+  const template = {
+    id: isValidTemplateId(data.id) ? data.id : generateTemplateId(),
+    name: String(data.name || '').trim().replace(/\s+/g, ' '),
+    title: String(data.title || '').trim(),
+    tags: normalizeTags(data.tags),
+    priority: isValidPriority(data.priority) ? data.priority : DEFAULT_PRIORITY,
+    subtasks: (Array.isArray(data.subtasks) ? data.subtasks : [])
+      .filter(subtask => subtask && typeof subtask.title === 'string' && subtask.title.trim() !== '')
+      .map(subtask => {
+        const subtaskDuration = parseInt(subtask.duration, 10);
+        return !isNaN(subtaskDuration) && subtaskDuration > 0
+          ? { title: subtask.title.trim(), duration: subtaskDuration }
+          : { title: subtask.title.trim() };
+      })
+  };
+
+  if (!isNaN(duration) && duration > 0) {
+    template.duration = duration;
+  }
+
+  if (isValidDueOffset(dueOffsetDays)) {
+    template.dueOffsetDays = dueOffsetDays;
+  }
+
+  if (isValidDueTime(data.dueTime)) {
+    template.dueTime = data.dueTime;
+  }
+
+  if (isValidCourseId(data.courseId)) {
+    template.courseId = data.courseId;
+  }
+
+  const notes = normalizeNotes(data.notes);
+  if (notes) {
+    template.notes = notes;
+  }
+
+  return template;
+}
+
+/**
+ * Validate a template
+ * @param {Object} template - Template to validate
+ * @param {Array} templates - Other templates (for the unique name check)
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateTemplate(template, templates = []) {
+  const errors = [];
+
+  if (!template || typeof template !== 'object') {
+    return ['template must be an object'];
+  }
+
+  if (typeof template.name !== 'string' || template.name.trim() === '') {
+    errors.push('Template name is required');
+  } else if (template.name.length > MAX_TEMPLATE_NAME_LENGTH) {
+    errors.push(`Template name must be ${MAX_TEMPLATE_NAME_LENGTH} characters or less`);
+  } else if (templates.some(other => other.id !== template.id && other.name.toLowerCase() === template.name.toLowerCase())) {
+    errors.push(`A template named "${template.name}" already exists`);
+  }
+
+  if (template.title !== undefined && typeof template.title !== 'string') {
+    errors.push('title must be a string');
+  }
+
+  if (template.duration !== undefined && (!Number.isInteger(template.duration) || template.duration < 1)) {
+    errors.push('Duration must be a whole number of minutes');
+  }
+
+  if (template.dueOffsetDays !== undefined && !isValidDueOffset(template.dueOffsetDays)) {
+    errors.push(`Due date must be between 0 and ${MAX_DUE_OFFSET_DAYS} days after creation`);
+  }
+
+  if (template.dueTime !== undefined && !isValidDueTime(template.dueTime)) {
+    errors.push('Due time must be in HH:MM format');
+  }
+
+  if (template.priority !== undefined && !isValidPriority(template.priority)) {
+    errors.push('priority is not a valid priority');
+  }
+
+  if (template.courseId !== undefined && !isValidCourseId(template.courseId)) {
+    errors.push('courseId is not a valid course id');
+  }
+
+  errors.push(...validateTags(template.tags));
+  errors.push(...validateNotes(template.notes));
+
+  if (template.subtasks !== undefined) {
+    if (!Array.isArray(template.subtasks)) {
+      errors.push('subtasks must be an array');
+    } else if (template.subtasks.length > MAX_TEMPLATE_SUBTASKS) {
+      errors.push(`a template can have at most ${MAX_TEMPLATE_SUBTASKS} subtasks`);
+    } else if (template.subtasks.some(subtask => typeof subtask?.title !== 'string' || subtask.title.trim() === '')) {
+      errors.push('every subtask needs a title');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of templates (e.g. from an import)
+ * @param {Array} templates - Templates to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateTemplates(templates) {
+  const errors = [];
+
+  if (templates === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(templates)) {
+    return ['templates must be an array'];
+  }
+
+  const ids = new Set();
+  templates.forEach((template, index) => {
+    if (!template || !isValidTemplateId(template.id)) {
+      errors.push(`template ${index + 1} must have an id made of letters, digits, - or _`);
+    } else if (ids.has(template.id)) {
+      errors.push(`template ${index + 1} has a duplicate id`);
+    } else {
+      ids.add(template.id);
+    }
+
+    validateTemplate(template, templates).forEach(error => errors.push(`template ${index + 1}: ${error}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Build a template from an existing task
+ * The due date is kept as the number of days between creating the task and
+ * its due date, so the next task made from it gets the same lead time.
+ * @param {Object} task - Task to copy
+ * @returns {Object} Template fields (not yet saved)
+ */
+export function createTemplateFromTask(task) {
+  const data = {
+    name: task.title,
+    title: task.title,
+    duration: task.duration,
+    tags: getTaskTags(task),
+    priority: task.priority,
+    dueTime: task.dueTime,
+    courseId: task.courseId,
+    notes: task.notes,
+    subtasks: task.subtasks
+  };
+
+  const createdAt = new Date(task.createdAt);
+  if (task.dueDate && !isNaN(createdAt.getTime())) {
+    const created = parseDateOnly(formatDateOnly(createdAt));
+    const days = Math.round((parseDateOnly(task.dueDate) - created) / DAY_MS);
+    if (isValidDueOffset(days)) {
+      data.dueOffsetDays = days;
+    }
+  }
+
+  return normalizeTemplate(data);
+}
+
+/**
+ * Work out the due date of a task made from a template
+ * @param {Object} template - Template
+ * @param {Date} now - Creation time (defaults to now)
+ * @returns {string} Date in YYYY-MM-DD format, or '' when the template has none
+ */
+export function getTemplateDueDate(template, now = new Date()) {
+  if (!isValidDueOffset(template.dueOffsetDays)) {
+    return '';
+  }
+  const dueDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + template.dueOffsetDays);
+  return formatDateOnly(dueDate);
+}
+
+/**
+ * Turn a template into task form values
+ * Courses that no longer exist are left out.
+ * @param {Object} template - Template
+ * @param {Array} courses - Current courses
+ * @param {Date} now - Creation time (defaults to now)
+ * @returns {Object} Task fields for the task form
+ */
+export function applyTemplate(template, courses = [], now = new Date()) {
+  return {
+    title: template.title || '',
+    dueDate: getTemplateDueDate(template, now),
+    dueTime: template.dueTime || '',
+    duration: template.duration || '',
+    tags: [...(template.tags || [])],
+    priority: template.priority || DEFAULT_PRIORITY,
+    courseId: courses.some(course => course.id === template.courseId) ? template.courseId : '',
+    notes: template.notes || '',
+    subtasks: (template.subtasks || []).map(subtask => ({ ...subtask }))
+  };
+}
+
+/**
+ * Describe when tasks made from a template are due
+ * @param {Object} template - Template
+ * @returns {string} e.g. "Due 7 days after creation"
+ */
+export function formatTemplateDue(template) {
+  if (!isValidDueOffset(template.dueOffsetDays)) {
+    return 'No due date';
+  }
+  if (template.dueOffsetDays === 0) {
+    return 'Due on the day it is created';
+  }
+  return `Due ${template.dueOffsetDays} day${template.dueOffsetDays !== 1 ? 's' : ''} after creation`;
+}
+
+/**
+ * Sort templates by name
+ * @param {Array} templates - Templates
+ * @returns {Array} New sorted array
+ */
+export function sortTemplates(templates) {
+  return [...(templates || [])].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Merge imported templates into existing ones
+ * Templates with the same ID are replaced by the imported version; an imported
+ * template whose name is already taken by another template replaces that one.
+ * @param {Array} existingTemplates - Current templates
+ * @param {Array} importedTemplates - Imported templates
+ * @returns {Array} Merged templates
+ */
+export function mergeTemplates(existingTemplates, importedTemplates) {
+  const imported = importedTemplates || [];
+  const importedNames = new Set(imported.map(template => template.name.toLowerCase()));
+  const importedIds = new Set(imported.map(template => template.id));
+  const kept = (existingTemplates || []).filter(template =>
+    importedIds.has(template.id) || !importedNames.has(template.name.toLowerCase())
+  );
+
+  const merged = new Map(kept.map(template => [template.id, template]));
+  imported.forEach(template => merged.set(template.id, template));
+  return [...merged.values()];
+}
+
+export default {
+  MAX_TEMPLATE_NAME_LENGTH,
+  MAX_TEMPLATE_SUBTASKS,
+  MAX_DUE_OFFSET_DAYS,
+  generateTemplateId,
+  isValidTemplateId,
+  isValidDueOffset,
+  normalizeTemplate,
+  validateTemplate,
+  validateTemplates,
+  createTemplateFromTask,
+  getTemplateDueDate,
+  applyTemplate,
+  formatTemplateDue,
+  sortTemplates,
+  mergeTemplates
+};
@@ -0,0 +1,306 @@
+/**
+ * Terms module for semesters and the tasks that belong to them
+ * A task refers to its term by ID. Tasks without one fall into whichever open
+ * term their due date lands in. Archived terms are read-only: their tasks are
+ * kept for reference, search and export but can no longer be changed.
+ */
+
+import { isClosedStatus } from './statuses.js';
+import { parseDateOnly, formatDateOnly } from './recurrence.js';
+
+export const MAX_TERM_NAME_LENGTH = 50;
+
+/**
+ * Term filter value that shows the tasks of every term
+ */
+export const ALL_TERMS_FILTER = 'all';
+
+// Term IDs are written into option values and data attributes
+const TERM_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Generate unique term ID
+ * @returns {string} Term ID
+ */
+export function generateTermId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `term_${timestamp}_${random}`;
+}
+
+/**
+ * Check whether a term ID is well formed
+ * @param {string} id - Term ID
+ * @returns {boolean} True if valid
+ */
+export function isValidTermId(id) {
+  return typeof id === 'string' && TERM_ID_PATTERN.test(id) && id !== ALL_TERMS_FILTER;
+}
+
+/**
+ * Normalize raw term input
+ * The archived flag and time are only kept on archived terms.
+ * @param {Object} data - Raw term fields
+ * @returns {Object} Term
+ */
+export function normalizeTerm(data) {
+  const term = {
+    id: isValidTermId(data.id) ? data.id : generateTermId(),
+    name: String(data.name || '').trim().replace(/\s+/g, ' '),
+    startDate: String(data.startDate || ''),
+    endDate: String(data.endDate || '')
+  };
+
+  if (data.archived === true) {
+    term.archived = true;
+    term.archivedAt = data.archivedAt || new Date().toISOString();
+  }
+
+  return term;
+}
+
+/**
+ * Validate a term
+ * @param {Object} term - Term to validate
+ * @param {Array} terms - Other terms (for the unique name check)
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateTerm(term, terms = []) {
+  const errors = [];
+
+  if (!term || typeof term !== 'object') {
+    return ['term must be an object'];
+  }
+
+  if (typeof term.name !== 'string' || term.name.trim() === '') {
+    errors.push('Term name is required');
+  } else if (term.name.length > MAX_TERM_NAME_LENGTH) {
+    errors.push(`Term name must be ${MAX_TERM_NAME_LENGTH} characters or less`);
+  } else if (terms.some(other => other.id !== term.id && other.name.toLowerCase() === term.name.toLowerCase())) {
+    errors.push(`Another term is already called ${term.name}`);
+  }
+
+  const hasStart = DATE_PATTERN.test(term.startDate);
+  const hasEnd = DATE_PATTERN.test(term.endDate);
+  if (!hasStart) {
+    errors.push('Start date must be in YYYY-MM-DD format');
+  }
+  if (!hasEnd) {
+    errors.push('End date must be in YYYY-MM-DD format');
+  }
+  if (hasStart && hasEnd && term.endDate < term.startDate) {
+    errors.push('End date must be on or after the start date');
+  }
+
+  if (term.archived !== undefined && typeof term.archived !== 'boolean') {
+    errors.push('archived must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of terms (e.g. from an import)
+ * @param {Array} terms - Terms to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateTerms(terms) {
+  const errors = [];
+
+  if (terms === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(terms)) {
+    return ['terms must be an array'];
+  }
+
+  const ids = new Set();
+  terms.forEach((term, index) => {
+    if (!term || !isValidTermId(term.id)) {
+      errors.push(`term ${index + 1} must have an id made of letters, digits, - or _`);
+    } else if (ids.has(term.id)) {
+      errors.push(`term ${index + 1} has a duplicate id`);
+    } else {
+      ids.add(term.id);
+    }
+
+    validateTerm(term, terms).forEach(error => errors.push(`term ${index + 1}: ${error}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Find a term by ID
+ * @param {Array} terms - All terms
+ * @param {string} termId - Term ID
+ * @returns {Object|null} Term or null
+ */
+export function getTermById(terms, termId) {
+  if (!termId || !Array.isArray(terms)) {
+    return null;
+  }
+  return terms.find(term => term.id === termId) || null;
+}
+
+/**
+ * Sort terms with the most recent first
+ * @param {Array} terms - Terms
+ * @returns {Array} New sorted array
+ */
+export function sortTerms(terms) {
+  return [...(terms || [])].sort((a, b) => b.startDate.localeCompare(a.startDate) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether a YYYY-MM-DD date falls within a term (both ends included)
+ * @param {string} date - Date to check
+ * @param {Object} term - Term
+ * @returns {boolean} True if the date is in the term
+ */
+export function isDateInTerm(date, term) {
+  return typeof date === 'string' && date >= term.startDate && date <= term.endDate;
+}
+
+/**
+ * Find the open term a date falls in
+ * When terms overlap the one that started first wins.
+ * @param {Array} terms - All terms
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object|null} Term or null
+ */
+export function getTermForDate(terms, date) {
+  return sortTerms(terms)
+    .reverse()
+    .find(term => !term.archived && isDateInTerm(date, term)) || null;
+}
+
+/**
+ * Find the open term that is running today
+ * @param {Array} terms - All terms
+ * @param {Date} today - Reference date (defaults to now)
+ * @returns {Object|null} Term or null
+ */
+export function getCurrentTerm(terms, today = new Date()) {
+  return getTermForDate(terms, formatDateOnly(today));
+}
+
+/**
+ * Work out which term the term switcher is showing
+ * An empty filter follows the calendar: the current term while one is running.
+ * @param {Array} terms - All terms
+ * @param {string} termFilter - Term ID, 'all', or '' for the current term
+ * @param {Date} today - Reference date (defaults to now)
+ * @returns {Object|null} Term, or null when every term is shown
+ */
+export function resolveTermFilter(terms, termFilter, today = new Date()) {
+  if (termFilter === ALL_TERMS_FILTER) {
+    return null;
+  }
+  return getTermById(terms, termFilter) || getCurrentTerm(terms, today);
+}
+
+/**
+ * Check whether a task belongs to a term
+ * Unassigned tasks belong to an open term when their due date is in it;
+ * archived terms only hold the tasks that were assigned to them.
+ * @param {Object} task - Task object
+ * @param {Object} term - Term
+ * @returns {boolean} True if the task is in the term
+ */
+export function isTaskInTerm(task, term) {
+  if (task.termId) {
+    return task.termId === term.id;
+  }
+  return !term.archived && isDateInTerm(task.dueDate, term);
+}
+
+/**
+ * Check whether a task belongs to an archived term and is therefore read-only
+ * @param {Object} task - Task object
+ * @param {Array} terms - All terms
+ * @returns {boolean} True if the task is archived
+ */
+export function isTaskArchived(task, terms) {
+  return Boolean(getTermById(terms, task?.termId)?.archived);
+}
+
+/**
+ * List a term's tasks that are still open and could carry over to the next term
+ * @param {Array} tasks - All tasks
+ * @param {Object} term - Term being closed
+ * @returns {Array} Open tasks, earliest due first
+ */
+export function getUnfinishedTasks(tasks, term) {
+  return tasks
+    .filter(task => isTaskInTerm(task, term) && !isClosedStatus(task.status))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+/**
+ * Suggest the term to roll over: the open term that ended most recently,
+ * or the current one when none has ended yet
+ * @param {Array} terms - All terms
+ * @param {Date} today - Reference date (defaults to now)
+ * @returns {Object|null} Term or null
+ */
+export function getRolloverCandidate(terms, today = new Date()) {
+  const todayString = formatDateOnly(today);
+  const openTerms = sortTerms(terms).filter(term => !term.archived);
+  return openTerms.find(term => term.endDate < todayString) ||
+    getCurrentTerm(terms, today) ||
+    openTerms[openTerms.length - 1] ||
+    null;
+}
+
+/**
+ * Format a term's dates for display
+ * @param {Object} term - Term
+ * @returns {string} Text such as "Sep 1, 2026 – Dec 18, 2026"
+ */
+export function formatTermDates(term) {
+  const format = date => parseDateOnly(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  return `${format(term.startDate)} – ${format(term.endDate)}`;
+}
+
+/**
+ * Merge imported terms into existing ones
+ * Terms with the same ID are replaced by the imported version.
+ * @param {Array} existingTerms - Current terms
+ * @param {Array} importedTerms - Imported terms
+ * @returns {Array} Merged terms
+ */
+export function mergeTerms(existingTerms, importedTerms) {
+  const merged = new Map((existingTerms || []).map(term => [term.id, term]));
+  (importedTerms || []).forEach(term => merged.set(term.id, term));
+  return [...merged.values()];
+}
+
+export default {
+  MAX_TERM_NAME_LENGTH,
+  ALL_TERMS_FILTER,
+  generateTermId,
+  isValidTermId,
+  normalizeTerm,
+  validateTerm,
+  validateTerms,
+  getTermById,
+  sortTerms,
+  isDateInTerm,
+  getTermForDate,
+  getCurrentTerm,
+  resolveTermFilter,
+  isTaskInTerm,
+  isTaskArchived,
+  getUnfinishedTasks,
+  getRolloverCandidate,
+  formatTermDates,
+  mergeTerms
+};
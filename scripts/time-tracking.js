@@ -0,0 +1,200 @@
+/**
+ * Time tracking module for start/stop timers and logged work sessions
+ * Keeps a per-task history of sessions and totals the time actually spent
+ */
+
+/**
+ * How weekly progress is measured
+ * Estimated counts the duration of completed tasks; logged counts tracked sessions.
+ */
+export const ProgressModes = {
+  ESTIMATED: 'estimated',
+  LOGGED: 'logged'
+};
+
+export const DEFAULT_PROGRESS_MODE = ProgressModes.ESTIMATED;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Generate unique time log entry ID
+ * @returns {string} Entry ID
+ */
+export function generateTimeLogId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 9);
+  return `session_${timestamp}_${random}`;
+}
+
+/**
+ * Check whether a value is a parseable timestamp
+ * @param {string} value - ISO timestamp
+ * @returns {boolean} True if valid
+ */
+export function isValidTimestamp(value) {
+  return typeof value === 'string' && value !== '' && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Normalize raw session input into clean time log entries
+ * Entries without a valid start and a later end are dropped; the rest are
+ * sorted oldest first.
+ * @param {Array} timeLog - Raw time log entries
+ * @returns {Array} Normalized entries
+ */
+export function normalizeTimeLog(timeLog) {
+  if (!Array.isArray(timeLog)) {
+    return [];
+  }
+
+  return timeLog
+    .filter(entry => entry && isValidTimestamp(entry.start) && isValidTimestamp(entry.end))
+    .map(entry => ({
+      id: entry.id || generateTimeLogId(),
+      start: new Date(entry.start).toISOString(),
+      end: new Date(entry.end).toISOString()
+    }))
+    .filter(entry => new Date(entry.end) > new Date(entry.start))
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Validate a time log
+ * @param {Array} timeLog - Entries to validate
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateTimeLog(timeLog) {
+  const errors = [];
+
+  if (timeLog === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(timeLog)) {
+    errors.push('timeLog must be an array');
+    return errors;
+  }
+
+  timeLog.forEach((entry, index) => {
+    const label = `time log entry ${index + 1}`;
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!isValidTimestamp(entry.start) || !isValidTimestamp(entry.end)) {
+      errors.push(`${label} must have a valid start and end time`);
+      return;
+    }
+
+    if (new Date(entry.end) <= new Date(entry.start)) {
+      errors.push(`${label} must end after it starts`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether a task has a running timer
+ * @param {Object} task - Task object
+ * @returns {boolean} True if the timer is running
+ */
+export function isTimerRunning(task) {
+  return isValidTimestamp(task?.timerStartedAt);
+}
+
+/**
+ * Time elapsed on a task's running timer
+ * @param {Object} task - Task object
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {number} Milliseconds since the timer started (0 when stopped)
+ */
+export function getTimerElapsed(task, now = new Date()) {
+  return isTimerRunning(task) ? Math.max(0, now - new Date(task.timerStartedAt)) : 0;
+}
+
+/**
+ * Turn a task's running timer into a logged session
+ * @param {Object} task - Task with a running timer
+ * @param {Date} now - Time the timer stops (defaults to now)
+ * @returns {Array} Time log including the new session
+ */
+export function appendTimerSession(task, now = new Date()) {
+  const timeLog = Array.isArray(task?.timeLog) ? task.timeLog : [];
+  if (!isTimerRunning(task)) {
+    return timeLog;
+  }
+
+  return normalizeTimeLog([
+    ...timeLog,
+    { start: task.timerStartedAt, end: now.toISOString() }
+  ]);
+}
+
+/**
+ * Total minutes logged on a task, optionally limited to a period
+ * Sessions crossing the period edges only count the overlapping part, and a
+ * running timer counts up to now.
+ * @param {Object} task - Task object
+ * @param {Object} options - Optional from/to dates and reference time
+ * @returns {number} Logged minutes
+ */
+export function getLoggedMinutes(task, { from = null, to = null, now = new Date() } = {}) {
+  const sessions = Array.isArray(task?.timeLog) ? [...task.timeLog] : [];
+  if (isTimerRunning(task)) {
+    sessions.push({ start: task.timerStartedAt, end: now.toISOString() });
+  }
+
+  const totalMs = sessions.reduce((sum, session) => {
+    const start = Math.max(new Date(session.start).getTime(), from ? from.getTime() : -Infinity);
+    const end = Math.min(new Date(session.end).getTime(), to ? to.getTime() : Infinity);
+    return end > start ? sum + (end - start) : sum;
+  }, 0);
+
+  return totalMs / MINUTE;
+}
+
+/**
+ * Format a timer reading
+ * @param {number} milliseconds - Elapsed time
+ * @returns {string} Text such as "1h 05m" or "12m"
+ */
+export function formatElapsed(milliseconds) {
+  const totalMinutes = Math.floor(milliseconds / MINUTE);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+/**
+ * Convert an ISO timestamp to a datetime-local input value (local time)
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Value in YYYY-MM-DDTHH:MM form, or '' if invalid
+ */
+export function toDateTimeInputValue(timestamp) {
+  if (!isValidTimestamp(timestamp)) {
+    return '';
+  }
+
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export default {
+  ProgressModes,
+  DEFAULT_PROGRESS_MODE,
+  generateTimeLogId,
+  isValidTimestamp,
+  normalizeTimeLog,
+  validateTimeLog,
+  isTimerRunning,
+  getTimerElapsed,
+  appendTimerSession,
+  getLoggedMinutes,
+  formatElapsed,
+  toDateTimeInputValue
+};
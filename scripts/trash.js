@@ -0,0 +1,154 @@
+/**
+ * Trash module for soft-deleted tasks
+ * Deleted tasks are kept apart from the task list with the time they were
+ * deleted, so they drop out of every view but can be restored until they are
+ * purged by hand or by the auto-purge setting.
+ */
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+export const MAX_TRASH_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a retention period is valid
+ * 0 keeps trashed tasks until they are deleted by hand.
+ * @param {number} days - Days to keep trashed tasks
+ * @returns {boolean} True if valid
+ */
+export function isValidRetentionDays(days) {
+  return Number.isInteger(days) && days >= 0 && days <= MAX_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Get the retention period from settings, falling back to the default
+ * @param {Object} settings - App settings
+ * @returns {number} Days to keep trashed tasks
+ */
+export function getRetentionDays(settings) {
+  const days = settings?.trashRetentionDays;
+  return isValidRetentionDays(days) ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Mark a task as trashed
+ * The tasks it blocked are remembered so restoring it can block them again.
+ * @param {Object} task - Task being deleted
+ * @param {Date} now - Deletion time (defaults to now)
+ * @param {Array} blockedTaskIds - IDs of the tasks the deleted task blocked
+ * @returns {Object} Trashed copy of the task
+ */
+export function moveToTrash(task, now = new Date(), blockedTaskIds = []) {
+  const trashedTask = { ...task, deletedAt: now.toISOString() };
+  if (blockedTaskIds.length > 0) {
+    trashedTask.blockedTaskIds = [...blockedTaskIds];
+  }
+  return trashedTask;
+}
+
+/**
+ * Turn a trashed task back into a regular task
+ * Blockers that no longer exist are dropped.
+ * @param {Object} task - Trashed task
+ * @param {Array} tasks - Current tasks
+ * @returns {Object} Restored task
+ */
+export function restoreFromTrash(task, tasks) {
+  const { deletedAt, blockedTaskIds, blockedBy, ...restored } = task;
+  const taskIds = new Set(tasks.map(t => t.id));
+  const remaining = (blockedBy || []).filter(id => taskIds.has(id));
+  return remaining.length > 0 ? { ...restored, blockedBy: remaining } : restored;
+}
+
+/**
+ * Work out when a trashed task will be purged
+ * @param {Object} task - Trashed task
+ * @param {number} retentionDays - Days to keep trashed tasks
+ * @returns {Date|null} Purge time, or null when auto-purge is off
+ */
+export function getPurgeDate(task, retentionDays) {
+  if (retentionDays === 0) {
+    return null;
+  }
+  return new Date(new Date(task.deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * Count the whole days left before a trashed task is purged
+ * @param {Object} task - Trashed task
+ * @param {number} retentionDays - Days to keep trashed tasks
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {number|null} Days left, or null when auto-purge is off
+ */
+export function getDaysUntilPurge(task, retentionDays, now = new Date()) {
+  const purgeDate = getPurgeDate(task, retentionDays);
+  if (!purgeDate) {
+    return null;
+  }
+  return Math.max(0, Math.ceil((purgeDate.getTime() - now.getTime()) / DAY_MS));
+}
+
+/**
+ * Find trashed tasks whose retention period has run out
+ * @param {Array} trash - Trashed tasks
+ * @param {number} retentionDays - Days to keep trashed tasks
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Array} Expired tasks
+ */
+export function getExpiredTrash(trash, retentionDays, now = new Date()) {
+  return (trash || []).filter(task => {
+    const purgeDate = getPurgeDate(task, retentionDays);
+    return purgeDate !== null && purgeDate <= now;
+  });
+}
+
+/**
+ * Sort trashed tasks with the most recently deleted first
+ * @param {Array} trash - Trashed tasks
+ * @returns {Array} New sorted array
+ */
+export function sortTrash(trash) {
+  return [...(trash || [])].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Validate the deletion time of a trashed task
+ * The rest of the task is checked like any other task.
+ * @param {Object} task - Trashed task
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export function validateTrashedTask(task) {
+  if (typeof task?.deletedAt !== 'string' || isNaN(new Date(task.deletedAt).getTime())) {
+    return ['deletedAt must be a valid timestamp'];
+  }
+  return [];
+}
+
+/**
+ * Merge imported trash into the existing trash
+ * Tasks with the same ID are replaced by the imported version.
+ * @param {Array} existingTrash - Current trash
+ * @param {Array} importedTrash - Imported trash
+ * @returns {Array} Merged trash
+ */
+export function mergeTrash(existingTrash, importedTrash) {
+  const merged = new Map((existingTrash || []).map(task => [task.id, task]));
+  (importedTrash || []).forEach(task => merged.set(task.id, task));
+  return [...merged.values()];
+}
+
+export default {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  MAX_TRASH_RETENTION_DAYS,
+  isValidRetentionDays,
+  getRetentionDays,
+  moveToTrash,
+  restoreFromTrash,
+  getPurgeDate,
+  getDaysUntilPurge,
+  getExpiredTrash,
+  sortTrash,
+  validateTrashedTask,
+  mergeTrash
+};
@@ -3,19 +3,20 @@
  */
 
 import { BaseComponent } from '../ui-base.js';
-import { calculateTaskStats } from '../task-utils.js';
+import { calculateTaskStats, filterTasksByTerm } from '../task-utils.js';
 
 export class DashboardStatsComponent extends BaseComponent {
   render() {
-    const tasks = this.state.getTasks();
-    const stats = calculateTaskStats(tasks);
+    const tasks = filterTasksByTerm(this.state.getTasks(), this.state.getActiveTerm());
+    const courses = this.state.getCourses();
+    const stats = calculateTaskStats(tasks, courses);
     
     return `
       <div class="stats-grid">
         <div class="stat-card stat-card--primary">
           <div class="stat-card__value">${stats.totalTasks}</div>
           <div class="stat-card__label">Total Tasks</div>
-          <div class="stat-card__detail">${stats.pendingTasks} pending</div>
+          <div class="stat-card__detail">${stats.pendingTasks} pending${stats.inProgressTasks > 0 ? `, ${stats.inProgressTasks} in progress` : ''}</div>
         </div>
         
         <div class="stat-card stat-card--success">
@@ -49,6 +50,10 @@ export class DashboardStatsComponent extends BaseComponent {
             <span class="stats-summary__label">Average Task Duration:</span>
             <span class="stats-summary__value">${stats.averageTaskDuration.toFixed(1)}h</span>
           </div>
+          <div class="stats-summary__item">
+            <span class="stats-summary__label">Hours Remaining:</span>
+            <span class="stats-summary__value">${stats.remainingHours.toFixed(1)}h</span>
+          </div>
           ${stats.overdueTasks > 0 ? `
             <div class="stats-summary__item stats-summary__item--warning">
               <span class="stats-summary__label">⚠️ Overdue Tasks:</span>
@@ -56,7 +61,33 @@ export class DashboardStatsComponent extends BaseComponent {
             </div>
           ` : ''}
         </div>
+        ${courses.length > 0 ? this.renderCourseBreakdown(stats.courseBreakdown) : ''}
       ` : ''}
     `;
   }
+
+  /**
+   * Render per-course task counts, hours and completion
+   */
+  renderCourseBreakdown(breakdown) {
+    return `
+      <div class="course-stats mt-4">
+        <h3 class="course-stats__title">By Course</h3>
+        <ul class="course-stats__list">
+          ${breakdown.map(entry => `
+            <li class="course-stats__item" ${entry.color ? `style="--course-color: ${entry.color}"` : ''}>
+              <span class="course-stats__code ${entry.color ? '' : 'course-stats__code--none'}">${this.escapeHtml(entry.code)}</span>
+              <span class="course-stats__detail">
+                ${entry.completedTasks}/${entry.totalTasks} done · ${entry.hoursPlanned.toFixed(1)}h planned${entry.overdueTasks > 0 ? ` · <span class="course-stats__overdue">${entry.overdueTasks} overdue</span>` : ''}
+              </span>
+              <span class="course-stats__bar" aria-hidden="true">
+                <span class="course-stats__fill" style="width: ${entry.completionRate.toFixed(0)}%"></span>
+              </span>
+              <span class="course-stats__rate">${entry.completionRate.toFixed(0)}%</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
 }
\ No newline at end of file
@@ -3,15 +3,19 @@
  */
 
 import { BaseComponent } from '../ui-base.js';
-import { calculateWeeklyProgress } from '../task-utils.js';
+import { calculateWeeklyProgress, filterTasksByTerm } from '../task-utils.js';
+import { ProgressModes, DEFAULT_PROGRESS_MODE } from '../../time-tracking.js';
 
 export class ProgressChartComponent extends BaseComponent {
   render() {
     const settings = this.state.getSettings();
     const weeklyTarget = settings.weeklyHourTarget || 40;
-    const tasks = this.state.getTasks();
+    const tasks = filterTasksByTerm(this.state.getTasks(), this.state.getActiveTerm());
+    const mode = settings.progressMode || DEFAULT_PROGRESS_MODE;
+    const isLogged = mode === ProgressModes.LOGGED;
+    const doneLabel = isLogged ? 'Logged' : 'Completed';
     
-    const progress = calculateWeeklyProgress(tasks, weeklyTarget);
+    const progress = calculateWeeklyProgress(tasks, weeklyTarget, mode);
     
     // Determine progress status for ARIA announcements
     let progressStatus = '';
@@ -21,9 +25,9 @@ export class ProgressChartComponent extends BaseComponent {
       progressStatus = `Alert: You have exceeded your weekly target by ${(progress.currentWeekCompletedHours - weeklyTarget).toFixed(1)} hours.`;
       ariaLive = 'assertive';
     } else if (progress.isUnderTarget) {
-      progressStatus = `You have completed ${progress.currentWeekCompletedHours.toFixed(1)} hours of your ${weeklyTarget} hour weekly target. ${progress.remainingHours.toFixed(1)} hours remaining.`;
+      progressStatus = `You have ${isLogged ? 'logged' : 'completed'} ${progress.currentWeekCompletedHours.toFixed(1)} hours of your ${weeklyTarget} hour weekly target. ${progress.remainingHours.toFixed(1)} hours remaining.`;
     } else if (progress.currentWeekCompletedHours === 0) {
-      progressStatus = `Weekly target: ${weeklyTarget} hours. No hours completed yet this week.`;
+      progressStatus = `Weekly target: ${weeklyTarget} hours. No hours ${isLogged ? 'logged' : 'completed'} yet this week.`;
     }
     
     return `
@@ -33,6 +37,14 @@ export class ProgressChartComponent extends BaseComponent {
           <div class="progress-card__period">
             Week of ${this.formatDate(progress.currentWeekStart.toISOString().split('T')[0])}
           </div>
+          <select 
+            class="form-select progress-card__mode" 
+            aria-label="Count progress by"
+            data-change-action="set-progress-mode"
+          >
+            <option value="${ProgressModes.ESTIMATED}" ${!isLogged ? 'selected' : ''}>Estimates of completed tasks</option>
+            <option value="${ProgressModes.LOGGED}" ${isLogged ? 'selected' : ''}>Logged time</option>
+          </select>
         </div>
         
         <!-- ARIA live region for progress announcements -->
@@ -72,7 +84,7 @@ export class ProgressChartComponent extends BaseComponent {
           <div class="progress-legend">
             <div class="progress-legend__item">
               <span class="progress-legend__color progress-legend__color--completed"></span>
-              <span class="progress-legend__label">Completed</span>
+              <span class="progress-legend__label">${doneLabel}</span>
             </div>
             <div class="progress-legend__item">
               <span class="progress-legend__color progress-legend__color--expected"></span>
@@ -90,7 +102,7 @@ export class ProgressChartComponent extends BaseComponent {
         <div class="progress-stats">
           <div class="progress-stat">
             <div class="progress-stat__value ${progress.isOverTarget ? 'progress-stat__value--warning' : ''}">${progress.currentWeekCompletedHours.toFixed(1)}h</div>
-            <div class="progress-stat__label">Completed</div>
+            <div class="progress-stat__label">${doneLabel}</div>
           </div>
           
           <div class="progress-stat">
@@ -127,7 +139,7 @@ export class ProgressChartComponent extends BaseComponent {
         ${progress.isOverTarget ? `
           <div class="progress-alert progress-alert--warning" role="alert">
             <strong>⚠️ Target Exceeded:</strong> 
-            You've completed ${(progress.currentWeekCompletedHours - weeklyTarget).toFixed(1)} hours over your weekly target. 
+            You've ${isLogged ? 'logged' : 'completed'} ${(progress.currentWeekCompletedHours - weeklyTarget).toFixed(1)} hours over your weekly target. 
             Consider adjusting your target or taking a well-deserved break!
           </div>
         ` : ''}
@@ -135,8 +147,8 @@ export class ProgressChartComponent extends BaseComponent {
         ${progress.currentWeekCompletedHours === 0 && progress.daysIntoWeek > 2 ? `
           <div class="progress-alert progress-alert--info" role="alert">
             <strong>💡 Getting Started:</strong> 
-            It's ${progress.currentDay} and you haven't logged any completed hours yet this week. 
-            Consider completing some tasks to track your progress!
+            It's ${progress.currentDay} and you haven't logged any ${isLogged ? '' : 'completed '}hours yet this week. 
+            ${isLogged ? 'Start a timer on a task to track your progress!' : 'Consider completing some tasks to track your progress!'}
           </div>
         ` : ''}
       </div>
@@ -0,0 +1,261 @@
+/**
+ * Search Suggestions Component
+ * Turns the Tasks search box into a combobox: a listbox of recent searches
+ * and completions opens under it, and the arrow keys move through the options
+ * while focus stays in the box (aria-activedescendant).
+ */
+
+import { BaseComponent } from '../ui-base.js';
+import { filterTasksByTerm } from '../task-utils.js';
+import {
+  SuggestionTypes,
+  SUGGESTION_TYPE_LABELS,
+  loadSearchHistory,
+  saveSearchHistory,
+  clearSearchHistory,
+  addToSearchHistory,
+  getSearchSuggestions
+} from '../../search-history.js';
+
+// data-index of the "Clear search history" option, which follows the suggestions
+const CLEAR_HISTORY = 'clear-history';
+
+export class SearchSuggestionsComponent extends BaseComponent {
+  /**
+   * @param {AppState} state - App state
+   * @param {Object} options - { onSearch(query, mode) } called when a search should run right away
+   */
+  constructor(state, options = {}) {
+    super(state, options);
+    this.suggestions = [];
+    this.showClearHistory = false;
+    this.activeIndex = -1;
+    this.input = null;
+    this.listbox = null;
+  }
+
+  /**
+   * Render the options of the listbox
+   * @returns {string} HTML string
+   */
+  render() {
+    const options = this.suggestions.map((suggestion, index) => `
+      <li
+        id="${this.getOptionId(index)}"
+        class="search-suggestions__option"
+        role="option"
+        aria-selected="${index === this.activeIndex ? 'true' : 'false'}"
+        data-index="${index}"
+      >
+        <span class="search-suggestions__label">${this.escapeHtml(suggestion.label)}</span>
+        <span class="search-suggestions__type">${SUGGESTION_TYPE_LABELS[suggestion.type]}</span>
+        ${suggestion.description ? `
+          <span class="search-suggestions__description">${this.escapeHtml(suggestion.description)}</span>
+        ` : ''}
+      </li>
+    `);
+
+    if (this.showClearHistory) {
+      const index = this.suggestions.length;
+      options.push(`
+        <li
+          id="${this.getOptionId(index)}"
+          class="search-suggestions__option search-suggestions__option--action"
+          role="option"
+          aria-selected="${index === this.activeIndex ? 'true' : 'false'}"
+          data-index="${CLEAR_HISTORY}"
+        >
+          Clear search history
+        </li>
+      `);
+    }
+
+    return options.join('');
+  }
+
+  getOptionId(index) {
+    return `task-search-option-${index}`;
+  }
+
+  getOptionCount() {
+    return this.suggestions.length + (this.showClearHistory ? 1 : 0);
+  }
+
+  /**
+   * Wire the combobox up to the search box and its listbox
+   * @param {HTMLInputElement} input - Search box
+   * @param {HTMLElement} listbox - Listbox under it
+   */
+  attach(input, listbox) {
+    this.input = input;
+    this.listbox = listbox;
+    this.close();
+
+    input.addEventListener('input', () => this.open());
+    input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    input.addEventListener('blur', () => this.close());
+
+    // A finished search (Enter or leaving the box) goes into the history
+    input.addEventListener('change', () => this.recordSearch(input.value));
+
+    // Keep focus in the search box while an option is clicked
+    listbox.addEventListener('mousedown', (e) => e.preventDefault());
+    listbox.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) {
+        this.select(option.dataset.index === CLEAR_HISTORY ? this.suggestions.length : Number(option.dataset.index));
+      }
+    });
+  }
+
+  /**
+   * Work out the suggestions for the current text and show them
+   */
+  open() {
+    if (!this.input || !this.listbox) {
+      return;
+    }
+
+    const uiState = this.state.getUIState();
+    const history = loadSearchHistory();
+    this.suggestions = getSearchSuggestions(this.input.value, {
+      history,
+      tasks: filterTasksByTerm(this.state.getTasks(), this.state.getActiveTerm()),
+      mode: uiState.searchMode
+    });
+    this.showClearHistory = this.suggestions.some(suggestion => suggestion.type === SuggestionTypes.RECENT);
+    this.activeIndex = -1;
+
+    if (this.getOptionCount() === 0) {
+      this.close();
+      return;
+    }
+
+    this.listbox.innerHTML = this.render();
+    this.listbox.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+
+  close() {
+    this.activeIndex = -1;
+    if (this.listbox) {
+      this.listbox.hidden = true;
+      this.listbox.innerHTML = '';
+    }
+    if (this.input) {
+      this.input.setAttribute('aria-expanded', 'false');
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  isOpen() {
+    return Boolean(this.listbox && !this.listbox.hidden);
+  }
+
+  /**
+   * Move the highlighted option, wrapping around at either end
+   * @param {number} index - Option to highlight
+   */
+  setActive(index) {
+    const count = this.getOptionCount();
+    this.activeIndex = (index + count) % count;
+
+    this.listbox.querySelectorAll('[role="option"]').forEach((option, i) => {
+      option.setAttribute('aria-selected', i === this.activeIndex ? 'true' : 'false');
+    });
+    const activeOption = document.getElementById(this.getOptionId(this.activeIndex));
+    this.input.setAttribute('aria-activedescendant', this.getOptionId(this.activeIndex));
+    activeOption?.scrollIntoView({ block: 'nearest' });
+  }
+
+  handleKeyDown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        e.preventDefault();
+        if (!this.isOpen()) {
+          this.open();
+        }
+        if (this.isOpen() && !e.altKey) {
+          // Up from the search box goes to the last option
+          const upIndex = this.activeIndex === -1 ? -1 : this.activeIndex - 1;
+          this.setActive(e.key === 'ArrowDown' ? this.activeIndex + 1 : upIndex);
+        }
+        break;
+      case 'Enter':
+        if (this.isOpen() && this.activeIndex !== -1) {
+          e.preventDefault();
+          this.select(this.activeIndex);
+        } else {
+          // Search straight away rather than after the typing pause
+          this.close();
+          this.runSearch(this.input.value);
+          this.recordSearch(this.input.value);
+        }
+        break;
+      case 'Escape':
+        if (this.isOpen()) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.close();
+        }
+        break;
+      case 'Tab':
+        this.close();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Apply an option
+   * A qualifier only completes the word, so the list stays open with its
+   * values; other suggestions run the search.
+   * @param {number} index - Option index
+   */
+  select(index) {
+    if (index === this.suggestions.length && this.showClearHistory) {
+      saveSearchHistory(clearSearchHistory());
+      this.open();
+      return;
+    }
+
+    const suggestion = this.suggestions[index];
+    if (!suggestion) {
+      return;
+    }
+
+    this.input.value = suggestion.value;
+    this.input.focus();
+
+    if (suggestion.type === SuggestionTypes.QUALIFIER) {
+      this.open();
+      return;
+    }
+
+    this.close();
+    this.runSearch(suggestion.value, suggestion.mode);
+    this.recordSearch(suggestion.value, suggestion.mode);
+  }
+
+  runSearch(query, mode) {
+    if (typeof this.options.onSearch === 'function') {
+      this.options.onSearch(query, mode);
+    }
+  }
+
+  /**
+   * Add a search to this device's history
+   * @param {string} query - Search query
+   * @param {string} mode - Search mode (defaults to the current one)
+   */
+  recordSearch(query, mode = this.state.getUIState().searchMode) {
+    const history = loadSearchHistory();
+    const updated = addToSearchHistory(history, query, mode);
+    if (updated !== history) {
+      saveSearchHistory(updated);
+    }
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Smart List Navigation Component
+ * Lists the saved searches in the header with a live count of their tasks.
+ */
+
+import { BaseComponent } from '../ui-base.js';
+import { filterTasks, filterTasksByTerm, searchTasks } from '../task-utils.js';
+import { isSmartListActive, describeSmartList } from '../../smart-lists.js';
+import { validateSearchQuery } from '../../search-query.js';
+import { RegexSearch, RegexSearchStatus } from '../../regex-search.js';
+
+const isSameList = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+
+export class SmartListNavComponent extends BaseComponent {
+  constructor(state, options = {}) {
+    super(state, options);
+    // Regex lists are counted in a worker, one list at a time
+    this.regexSearch = new RegexSearch();
+    this.regexCounts = new Map();
+    this.regexCounting = false;
+    this.containerId = null;
+  }
+
+  render() {
+    const lists = this.state.getSmartLists();
+    if (lists.length === 0) {
+      return '';
+    }
+
+    const uiState = this.state.getUIState();
+    // Counted like the Tasks page counts them: within the active term
+    const tasks = filterTasksByTerm(this.state.getTasks(), this.state.getActiveTerm());
+    const courses = this.state.getCourses();
+    const activeList = uiState.currentPage === 'tasks'
+      ? lists.find(list => isSmartListActive(list, uiState))
+      : null;
+
+    return `
+      <details class="smart-list-nav">
+        <summary class="smart-list-nav__toggle ${activeList ? 'smart-list-nav__toggle--active' : ''}">
+          ${activeList ? this.escapeHtml(activeList.name) : 'Smart Lists'}
+        </summary>
+        <ul class="smart-list-nav__list" role="list">
+          ${lists.map(list => {
+            return `
+              <li>
+                <a
+                  href="#tasks"
+                  class="smart-list-nav__link"
+                  data-action="open-smart-list"
+                  data-smart-list-id="${list.id}"
+                  title="${this.escapeHtml(describeSmartList(list))}"
+                  ${list === activeList ? 'aria-current="page"' : ''}
+                >
+                  <span class="smart-list-nav__name">${this.escapeHtml(list.name)}</span>
+                  ${this.renderCount(this.countTasks(tasks, list, courses))}
+                </a>
+              </li>
+            `;
+          }).join('')}
+          <li>
+            <a href="#settings" class="smart-list-nav__manage" data-action="navigate" data-page="settings">
+              Manage smart lists
+            </a>
+          </li>
+        </ul>
+      </details>
+    `;
+  }
+
+  /**
+   * @param {number|string|null} count - Count from countTasks
+   */
+  renderCount(count) {
+    if (count === null) {
+      return '<span class="smart-list-nav__count" aria-label="Counting">…</span>';
+    }
+    if (count === RegexSearchStatus.TOO_SLOW) {
+      return '<span class="smart-list-nav__count" aria-label="Pattern too slow to count" title="Pattern too slow">!</span>';
+    }
+    return `<span class="smart-list-nav__count" aria-label="${count} task${count !== 1 ? 's' : ''}">${count}</span>`;
+  }
+
+  /**
+   * Count the tasks a smart list shows
+   * @returns {number|string|null} Count, RegexSearchStatus.TOO_SLOW, or null while a regex list is counted
+   */
+  countTasks(tasks, list, courses) {
+    const filtered = filterTasks(tasks, list.filterBy);
+    if (!list.searchQuery) {
+      return filtered.length;
+    }
+    
+    if (list.searchMode === 'regex' && validateSearchQuery(list.searchQuery, 'regex').isValid) {
+      return this.countRegexMatches(filtered, list, courses);
+    }
+    
+    return searchTasks(filtered, list.searchQuery, list.searchMode, {
+      courses,
+      index: this.state.getSearchIndex()
+    }).length;
+  }
+
+  /**
+   * Count a regex smart list from its last search
+   * When the list or its tasks changed, the count is searched again once no
+   * other list is being counted, and the nav re-renders with it.
+   * @returns {number|string|null} Count, RegexSearchStatus.TOO_SLOW, or null while counting
+   */
+  countRegexMatches(tasks, list, courses) {
+    const counted = this.regexCounts.get(list.id);
+    if (counted && counted.query === list.searchQuery &&
+      isSameList(counted.tasks, tasks) && isSameList(counted.courses, courses)) {
+      return counted.count;
+    }
+    
+    if (!this.regexCounting) {
+      this.regexCounting = true;
+      this.regexSearch.search(tasks, list.searchQuery, { courses }).then(result => {
+        this.regexCounting = false;
+        if (result.status === RegexSearchStatus.CANCELLED) {
+          return;
+        }
+        this.regexCounts.set(list.id, {
+          query: list.searchQuery,
+          tasks,
+          courses,
+          count: result.status === RegexSearchStatus.DONE ? result.tasks.length : RegexSearchStatus.TOO_SLOW
+        });
+        // Shows the count and starts on the next list
+        this.update(this.containerId);
+      });
+    }
+    // The previous count stays up while the new one is searched
+    return counted ? counted.count : null;
+  }
+
+  /**
+   * Re-render in place, keeping the dropdown open if it was
+   * @param {string} containerId - ID of the nav item holding the component
+   */
+  update(containerId) {
+    this.containerId = containerId;
+    const container = document.getElementById(containerId);
+    if (!container) {
+      return;
+    }
+
+    const wasOpen = Boolean(container.querySelector('.smart-list-nav[open]'));
+    container.innerHTML = this.render();
+    container.hidden = this.state.getSmartLists().length === 0;
+    if (wasOpen) {
+      container.querySelector('.smart-list-nav')?.setAttribute('open', '');
+    }
+  }
+}
@@ -3,14 +3,43 @@
  */
 
 import { BaseComponent } from '../ui-base.js';
-import { filterTasks, sortTasks, searchTasks } from '../task-utils.js';
+import { filterTasks, filterTasksByTags, filterTasksByCourse, filterTasksByTerm, sortTasks, searchTasks, searchMatchesNotes } from '../task-utils.js';
+import { describeRecurrence } from '../../recurrence.js';
+import { getSubtaskProgress } from '../../subtasks.js';
+import { PRIORITY_LABELS, DEFAULT_PRIORITY } from '../../priority.js';
+import { getBlockingTasks } from '../../dependencies.js';
+import { getTaskTags, countTags } from '../../tags.js';
+import { isTaskOverdue, isTaskDueToday, getTimeUntilDue, formatCountdown } from '../../due-dates.js';
+import { TaskStatuses, isClosedStatus, canTransition } from '../../statuses.js';
+import { isTimerRunning, getTimerElapsed, getLoggedMinutes, formatElapsed } from '../../time-tracking.js';
+import { hasNotes } from '../../notes.js';
+import { renderMarkdown } from '../../markdown.js';
+import { hasAttachments, isPreviewable, formatFileSize, getLinkHost } from '../../attachments.js';
+import { getCourseById } from '../../courses.js';
+import { isTaskArchived, getTermById } from '../../terms.js';
+import { getExamById } from '../../exams.js';
+import { MAX_CHANGE_LOG_ENTRIES, CHANGE_SOURCE_LABELS, TRACKED_FIELDS, hasChangeLog, formatChangeValue } from '../../change-log.js';
+import { validateSearchQuery } from '../../search-query.js';
+import { RegexSearch, RegexSearchStatus, REGEX_TIME_BUDGET_MS, PATTERN_TOO_SLOW_MESSAGE } from '../../regex-search.js';
+
+// Icon and CSS modifier shown on the status toggle for each status
+const STATUS_DISPLAY = {
+  [TaskStatuses.PENDING]: { icon: '○', modifier: 'pending' },
+  [TaskStatuses.IN_PROGRESS]: { icon: '◐', modifier: 'in-progress' },
+  [TaskStatuses.BLOCKED]: { icon: '⛔', modifier: 'blocked' },
+  [TaskStatuses.COMPLETE]: { icon: '✓', modifier: 'complete' },
+  [TaskStatuses.CANCELLED]: { icon: '✕', modifier: 'cancelled' }
+};
 
 export class TaskListComponent extends BaseComponent {
-  constructor(state) {
-    super(state);
+  constructor(state, options = {}) {
+    super(state, options);
     this.lastRenderTime = 0;
     this.renderThrottle = 100; // Throttle renders to every 100ms
     
+    // Regex searches run in a worker and re-render the list when they finish
+    this.regexSearch = new RegexSearch();
+    
     // Subscribe to state changes with throttling
     this.state.subscribe((changes) => {
       if (changes.type === "TASK_ADDED" || changes.type === "TASK_UPDATED" || changes.type === "TASK_DELETED") {
@@ -47,11 +76,13 @@ export class TaskListComponent extends BaseComponent {
 
   render() {
     console.log('TaskList: Rendering');
-    const tasks = this.state.getTasks();
-    console.log('Current tasks:', tasks);
+    const allTasks = this.state.getTasks();
+    console.log('Current tasks:', allTasks);
     const uiState = this.state.getUIState();
+    const activeTerm = this.state.getActiveTerm();
+    const tasks = filterTasksByTerm(allTasks, activeTerm);
     
-    if (tasks.length === 0) {
+    if (allTasks.length === 0) {
       return `
         <div class="empty-state">
           <div class="empty-state__icon">📝</div>
@@ -66,17 +97,55 @@ export class TaskListComponent extends BaseComponent {
       `;
     }
     
+    if (tasks.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-state__icon">🗓️</div>
+          <h3 class="empty-state__title">No tasks in ${this.escapeHtml(activeTerm.name)}</h3>
+          <p class="empty-state__description">
+            Tasks due during this term show up here. Switch to All terms to see everything.
+          </p>
+        </div>
+      `;
+    }
+    
     // Apply filtering and sorting
     let filteredTasks = filterTasks(tasks, uiState.filterBy);
+    filteredTasks = filterTasksByTags(filteredTasks, uiState.tagFilter, uiState.tagMatchMode);
+    filteredTasks = filterTasksByCourse(filteredTasks, uiState.courseFilter);
     filteredTasks = sortTasks(filteredTasks, uiState.sortBy);
     
-    // Apply search if there's a query
-    if (uiState.searchQuery) {
-      filteredTasks = searchTasks(filteredTasks, uiState.searchQuery, uiState.searchMode);
+    const tagFilterBar = this.renderTagFilterBar(tasks, uiState);
+    
+    // Apply search if there's a query; regex queries that don't parse fall
+    // back to a plain text search, which can't backtrack
+    if (uiState.searchQuery && uiState.searchMode === 'regex' && validateSearchQuery(uiState.searchQuery, 'regex').isValid) {
+      const result = this.regexSearch.getResult(filteredTasks, uiState.searchQuery, {
+        courses: this.state.getCourses()
+      }, (finished) => {
+        if (finished.status === RegexSearchStatus.TOO_SLOW) {
+          this.options.focusManager?.announce(PATTERN_TOO_SLOW_MESSAGE, 'assertive');
+        }
+        this.rerender();
+      });
+      
+      if (!result || result.status !== RegexSearchStatus.DONE) {
+        return `
+          ${tagFilterBar}
+          ${this.renderRegexSearchState(result)}
+        `;
+      }
+      filteredTasks = result.tasks;
+    } else if (uiState.searchQuery) {
+      filteredTasks = searchTasks(filteredTasks, uiState.searchQuery, uiState.searchMode, {
+        courses: this.state.getCourses(),
+        index: this.state.getSearchIndex()
+      });
     }
     
     if (filteredTasks.length === 0) {
       return `
+        ${tagFilterBar}
         <div class="empty-state">
           <div class="empty-state__icon">🔍</div>
           <h3 class="empty-state__title">No tasks found</h3>
@@ -98,6 +167,7 @@ export class TaskListComponent extends BaseComponent {
     }
     
     return `
+      ${tagFilterBar}
       ${content}
       
       ${(uiState.selectedTasks || []).length > 0 ? `
@@ -112,6 +182,15 @@ export class TaskListComponent extends BaseComponent {
             <button class="btn btn--sm btn--secondary" data-action="bulk-pending">
               Mark Pending
             </button>
+            <button class="btn btn--sm btn--secondary" data-action="bulk-start">
+              Mark In Progress
+            </button>
+            <button class="btn btn--sm btn--secondary" data-action="bulk-block">
+              Mark Blocked
+            </button>
+            <button class="btn btn--sm btn--secondary" data-action="bulk-cancel">
+              Cancel Tasks
+            </button>
             <button class="btn btn--sm btn--danger" data-action="bulk-delete">
               Delete Selected
             </button>
@@ -121,6 +200,32 @@ export class TaskListComponent extends BaseComponent {
     `;
   }
 
+  /**
+   * Render the list while a regex search runs, or after it was stopped
+   * @param {Object|null} result - Search result, or null while searching
+   */
+  renderRegexSearchState(result) {
+    if (!result) {
+      return `
+        <div class="empty-state" aria-busy="true">
+          <div class="empty-state__icon">⏳</div>
+          <h3 class="empty-state__title">Searching…</h3>
+        </div>
+      `;
+    }
+    
+    return `
+      <div class="empty-state">
+        <div class="empty-state__icon">🐢</div>
+        <h3 class="empty-state__title">Pattern too slow</h3>
+        <p class="empty-state__description">
+          This regular expression took over ${REGEX_TIME_BUDGET_MS / 1000} seconds to search your tasks and was stopped.
+          Nested repeats such as <code>(a+)+</code> can take exponentially long; try a simpler pattern.
+        </p>
+      </div>
+    `;
+  }
+
   renderTableView(filteredTasks, uiState) {
     return `
       <div class="task-table-container">
@@ -133,7 +238,7 @@ export class TaskListComponent extends BaseComponent {
               <th scope="col">Task</th>
               <th scope="col">Due Date</th>
               <th scope="col">Duration</th>
-              <th scope="col">Category</th>
+              <th scope="col">Tags</th>
               <th scope="col">Status</th>
               <th scope="col">Actions</th>
             </tr>
@@ -161,11 +266,14 @@ export class TaskListComponent extends BaseComponent {
   }
 
   renderTaskCard(task, uiState) {
-    const isOverdue = new Date(task.dueDate) < new Date() && task.status === 'Pending';
-    const isDueToday = new Date(task.dueDate).toDateString() === new Date().toDateString();
+    const isOverdue = isTaskOverdue(task);
+    const isDueToday = isTaskDueToday(task);
+    const blockers = this.getBlockers(task);
+    const course = this.getCourse(task);
+    const isArchived = this.isArchived(task);
     
     return `
-      <div class="task-card ${task.status === 'Complete' ? 'task-card--completed' : ''} ${isOverdue ? 'task-card--overdue' : ''} ${isDueToday ? 'task-card--due-today' : ''}" data-task-id="${task.id}">
+      <div class="task-card ${this.getStatusModifier('task-card', task)} ${isOverdue ? 'task-card--overdue' : ''} ${isDueToday ? 'task-card--due-today' : ''} ${blockers.length > 0 ? 'task-card--blocked' : ''} ${course ? 'task-card--has-course' : ''} ${isArchived ? 'task-card--archived' : ''}" data-task-id="${task.id}" ${this.getCourseStyle(course)}>
         <div class="task-card__header">
           <input 
             type="checkbox" 
@@ -173,14 +281,18 @@ export class TaskListComponent extends BaseComponent {
             data-task-id="${task.id}"
             aria-label="Select task: ${this.escapeHtml(task.title)}"
             ${(uiState.selectedTasks || []).includes(task.id) ? 'checked' : ''}
+            ${isArchived ? 'disabled' : ''}
           >
           <button 
-            class="status-toggle ${task.status === 'Complete' ? 'status-toggle--complete' : 'status-toggle--pending'}"
+            class="status-toggle ${this.getStatusToggleClass(task, blockers)}"
             data-action="toggle-task-status"
             data-task-id="${task.id}"
-            aria-label="Mark task as ${task.status === 'Complete' ? 'pending' : 'complete'}"
+            ${isArchived ? 'disabled' : ''}
+            ${this.isToggleDisabled(task, blockers) ? 'aria-disabled="true"' : ''}
+            aria-label="${this.getStatusToggleLabel(task, blockers)}"
+            title="${this.escapeHtml(task.status)}"
           >
-            ${task.status === 'Complete' ? '✓' : '○'}
+            ${blockers.length > 0 ? '⛔' : this.getStatusDisplay(task).icon}
           </button>
         </div>
         
@@ -188,52 +300,334 @@ export class TaskListComponent extends BaseComponent {
           <h3 class="task-card__title" data-action="edit-task-inline" data-task-id="${task.id}" tabindex="0" role="button" aria-label="Edit task title">
             ${this.highlightSearchText(this.escapeHtml(task.title), uiState.searchQuery, uiState.searchMode)}
           </h3>
+          ${this.renderCourseBadge(course)}
+          ${this.renderPriorityBadge(task)}
+          ${this.renderRecurrenceBadge(task)}
+          ${this.renderExamBadge(task)}
+          ${this.renderBlockedBy(blockers)}
+          ${this.renderSubtaskProgress(task, uiState)}
+          ${this.renderDetailsToggle(task, uiState)}
           
           <div class="task-card__meta">
             <div class="task-card__due-date">
               <span class="task-card__label">Due:</span>
-              <time datetime="${task.dueDate}">${this.formatDate(task.dueDate)}</time>
+              <time datetime="${this.getDueDatetime(task)}">${this.formatDate(task.dueDate, task.dueTime)}</time>
               ${isOverdue ? '<span class="task-card__overdue-badge">Overdue</span>' : ''}
-              ${isDueToday ? '<span class="task-card__due-today-badge">Due Today</span>' : ''}
+              ${isDueToday && !isOverdue && !task.dueTime ? '<span class="task-card__due-today-badge">Due Today</span>' : ''}
+              ${this.renderCountdown(task)}
             </div>
             
             <div class="task-card__duration">
               <span class="task-card__label">Duration:</span>
               <span>${this.formatDuration(task.duration)}</span>
+              ${this.renderLoggedTime(task)}
             </div>
             
             <div class="task-card__category">
-              <span class="task-card__label">Category:</span>
-              <span class="task-tag">${this.highlightSearchText(this.escapeHtml(task.tag || 'General'), uiState.searchQuery, uiState.searchMode)}</span>
+              <span class="task-card__label">Tags:</span>
+              ${this.renderTags(task, uiState)}
             </div>
           </div>
         </div>
         
+        ${this.isExpanded(task, uiState) ? `
+          <div class="task-card__details" id="task-details-${task.id}">
+            ${this.renderTaskDetails(task, uiState)}
+          </div>
+        ` : ''}
+        
         <div class="task-card__actions">
-          <button 
-            class="btn btn--sm btn--secondary" 
-            data-action="edit-task"
-            data-task-id="${task.id}"
-            aria-label="Edit task"
-          >
-            Edit
-          </button>
-          <button 
-            class="btn btn--sm btn--danger" 
-            data-action="delete-task"
-            data-task-id="${task.id}"
-            aria-label="Delete task"
-          >
-            Delete
-          </button>
+          ${isArchived ? this.renderArchivedBadge() : `
+            ${this.renderTimerButton(task)}
+            <button 
+              class="btn btn--sm btn--secondary" 
+              data-action="edit-task"
+              data-task-id="${task.id}"
+              aria-label="Edit task"
+            >
+              Edit
+            </button>
+            <button 
+              class="btn btn--sm btn--danger" 
+              data-action="delete-task"
+              data-task-id="${task.id}"
+              aria-label="Delete task"
+            >
+              Delete
+            </button>
+          `}
         </div>
       </div>
     `;
   }
 
+  renderArchivedBadge() {
+    return `
+      <span class="archived-badge" title="Tasks of archived terms are read-only">
+        Archived
+      </span>
+    `;
+  }
+
+  renderCourseBadge(course) {
+    if (!course) {
+      return '';
+    }
+    
+    return `
+      <span class="course-badge">
+        <span class="sr-only">Course: </span>${this.escapeHtml(course.code)}
+      </span>
+    `;
+  }
+
+  renderPriorityBadge(task) {
+    const priority = PRIORITY_LABELS[task.priority] ? task.priority : DEFAULT_PRIORITY;
+    
+    return `
+      <span class="priority-badge priority-badge--${priority}">
+        <span class="sr-only">Priority: </span>${PRIORITY_LABELS[priority]}
+      </span>
+    `;
+  }
+
+  renderTimerButton(task) {
+    if (isTimerRunning(task)) {
+      return `
+        <button 
+          class="btn btn--sm btn--primary task-timer task-timer--running"
+          data-action="stop-task-timer"
+          data-task-id="${task.id}"
+          aria-label="Stop timer (running for ${formatElapsed(getTimerElapsed(task))})"
+        >
+          <span aria-hidden="true">⏹</span> ${formatElapsed(getTimerElapsed(task))}
+        </button>
+      `;
+    }
+    
+    // Closed tasks can't collect more time
+    if (isClosedStatus(task.status)) {
+      return '';
+    }
+    
+    return `
+      <button 
+        class="btn btn--sm btn--secondary task-timer"
+        data-action="start-task-timer"
+        data-task-id="${task.id}"
+        aria-label="Start timer"
+      >
+        <span aria-hidden="true">▶</span> Start
+      </button>
+    `;
+  }
+
+  renderLoggedTime(task) {
+    const loggedMinutes = Math.round(getLoggedMinutes(task));
+    if (loggedMinutes === 0) {
+      return '';
+    }
+    
+    const isOverEstimate = task.duration > 0 && loggedMinutes > task.duration;
+    return `<span class="time-logged ${isOverEstimate ? 'time-logged--over' : ''}" title="Time logged against a ${this.formatDuration(task.duration)} estimate">${this.formatDuration(loggedMinutes)} logged</span>`;
+  }
+
+  getDueDatetime(task) {
+    return task.dueTime ? `${task.dueDate}T${task.dueTime}` : task.dueDate;
+  }
+
+  renderCountdown(task) {
+    // Only timed deadlines later today get a countdown
+    if (isClosedStatus(task.status) || !task.dueTime || !isTaskDueToday(task)) {
+      return '';
+    }
+    
+    const timeUntilDue = getTimeUntilDue(task);
+    if (timeUntilDue < 0) {
+      return '';
+    }
+    
+    return `<span class="due-countdown ${timeUntilDue < 60 * 60 * 1000 ? 'due-countdown--soon' : ''}">${formatCountdown(timeUntilDue)}</span>`;
+  }
+
+  renderTags(task, uiState) {
+    const activeTags = (uiState.tagFilter || []).map(tag => tag.toLowerCase());
+    
+    return `
+      <span class="tag-list">
+        ${getTaskTags(task).map(tag => {
+          const isActive = activeTags.includes(tag.toLowerCase());
+          return `
+            <button 
+              type="button"
+              class="task-tag tag-chip ${isActive ? 'tag-chip--active' : ''}"
+              data-action="toggle-tag-filter"
+              data-tag="${this.escapeHtml(tag)}"
+              aria-pressed="${isActive}"
+              title="${isActive ? 'Stop filtering' : 'Filter'} by ${this.escapeHtml(tag)}"
+            >${this.highlightSearchText(this.escapeHtml(tag), uiState.searchQuery, uiState.searchMode, 'tag')}</button>
+          `;
+        }).join('')}
+      </span>
+    `;
+  }
+
+  renderTagFilterBar(tasks, uiState) {
+    const activeTags = uiState.tagFilter || [];
+    const activeKeys = activeTags.map(tag => tag.toLowerCase());
+    const tagCounts = countTags(tasks);
+    const availableTags = Object.keys(tagCounts)
+      .filter(tag => !activeKeys.includes(tag.toLowerCase()))
+      .sort((a, b) => a.localeCompare(b));
+    
+    if (activeTags.length === 0 && availableTags.length < 2) {
+      return '';
+    }
+    
+    return `
+      <div class="tag-filter" role="group" aria-label="Filter by tags">
+        <select class="form-select tag-filter__add" data-change-action="add-tag-filter" aria-label="Add a tag filter">
+          <option value="">Filter by tag…</option>
+          ${availableTags.map(tag => `
+            <option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)} (${tagCounts[tag]})</option>
+          `).join('')}
+        </select>
+        
+        ${activeTags.length > 0 ? `
+          <select class="form-select tag-filter__mode" data-change-action="set-tag-match-mode" aria-label="Tag match mode">
+            <option value="any" ${uiState.tagMatchMode !== 'all' ? 'selected' : ''}>Any of these tags</option>
+            <option value="all" ${uiState.tagMatchMode === 'all' ? 'selected' : ''}>All of these tags</option>
+          </select>
+          
+          <ul class="tag-filter__active" aria-label="Active tag filters">
+            ${activeTags.map(tag => `
+              <li>
+                <button 
+                  type="button" 
+                  class="tag-chip tag-chip--active" 
+                  data-action="toggle-tag-filter" 
+                  data-tag="${this.escapeHtml(tag)}"
+                  aria-label="Remove tag filter: ${this.escapeHtml(tag)}"
+                >
+                  ${this.escapeHtml(tag)} <span aria-hidden="true">×</span>
+                </button>
+              </li>
+            `).join('')}
+          </ul>
+          
+          <button type="button" class="btn btn--sm btn--secondary" data-action="clear-tag-filter">
+            Clear tags
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  getBlockers(task) {
+    return isClosedStatus(task.status) ? [] : getBlockingTasks(task, this.state.getTasks());
+  }
+
+  getCourse(task) {
+    return getCourseById(this.state.getCourses(), task.courseId);
+  }
+
+  isArchived(task) {
+    return isTaskArchived(task, this.state.getTerms());
+  }
+
+  // Course colours are validated #rrggbb values, so they are safe to inline
+  getCourseStyle(course) {
+    return course ? `style="--course-color: ${course.color}"` : '';
+  }
+
+  getStatusDisplay(task) {
+    return STATUS_DISPLAY[task.status] || STATUS_DISPLAY[TaskStatuses.PENDING];
+  }
+
+  getStatusModifier(block, task) {
+    if (task.status === TaskStatuses.COMPLETE) {
+      return `${block}--completed`;
+    }
+    return task.status === TaskStatuses.CANCELLED ? `${block}--cancelled` : '';
+  }
+
+  getToggleStatus(task) {
+    // The toggle reopens closed tasks and completes open ones
+    return isClosedStatus(task.status) ? TaskStatuses.PENDING : TaskStatuses.COMPLETE;
+  }
+
+  isToggleDisabled(task, blockers) {
+    const workflow = this.state.getSettings().statusWorkflow;
+    return blockers.length > 0 || !canTransition(task.status, this.getToggleStatus(task), workflow);
+  }
+
+  getStatusToggleLabel(task, blockers) {
+    if (blockers.length > 0) {
+      return 'Task is blocked';
+    }
+    
+    const nextStatus = this.getToggleStatus(task).toLowerCase();
+    return this.isToggleDisabled(task, blockers)
+      ? `${this.escapeHtml(task.status)} tasks cannot be marked ${nextStatus}`
+      : `Mark task as ${nextStatus}`;
+  }
+
+  getStatusToggleClass(task, blockers) {
+    if (blockers.length > 0) {
+      return 'status-toggle--blocked';
+    }
+    return `status-toggle--${this.getStatusDisplay(task).modifier}`;
+  }
+
+  renderBlockedBy(blockers) {
+    if (blockers.length === 0) {
+      return '';
+    }
+    
+    return `
+      <span class="task-blocked">
+        <span aria-hidden="true">⛔</span>
+        Blocked by ${blockers.map(blocker => this.escapeHtml(blocker.title)).join(', ')}
+      </span>
+    `;
+  }
+
+  renderRecurrenceBadge(task) {
+    if (!task.recurrence) {
+      return '';
+    }
+    
+    const summary = this.escapeHtml(describeRecurrence(task.recurrence));
+    return `
+      <span class="task-recurrence" title="${summary}">
+        <span aria-hidden="true">↻</span>
+        <span class="sr-only">Repeats: </span>${summary}
+      </span>
+    `;
+  }
+
+  renderExamBadge(task) {
+    const exam = getExamById(this.state.getExams(), task.examId);
+    if (!exam) {
+      return '';
+    }
+    
+    const title = this.escapeHtml(exam.title);
+    return `
+      <span class="task-exam" title="Study session for ${title} on ${this.formatDate(exam.date, exam.time)}">
+        <span aria-hidden="true">🎓</span>
+        <span class="sr-only">Study session for: </span>${title}
+      </span>
+    `;
+  }
+
   renderTaskRow(task, uiState) {
+    const blockers = this.getBlockers(task);
+    const course = this.getCourse(task);
+    const isArchived = this.isArchived(task);
+    
     return `
-      <tr class="task-row ${task.status === 'Complete' ? 'task-row--completed' : ''}" data-task-id="${task.id}">
+      <tr class="task-row ${this.getStatusModifier('task-row', task)} ${course ? 'task-row--has-course' : ''} ${isArchived ? 'task-row--archived' : ''}" data-task-id="${task.id}" ${this.getCourseStyle(course)}>
         <td class="task-cell task-cell--checkbox">
           <input 
             type="checkbox" 
@@ -241,53 +635,363 @@ export class TaskListComponent extends BaseComponent {
             data-task-id="${task.id}"
             aria-label="Select task: ${this.escapeHtml(task.title)}"
             ${(uiState.selectedTasks || []).includes(task.id) ? 'checked' : ''}
+            ${isArchived ? 'disabled' : ''}
           >
         </td>
         <td class="task-cell task-cell--title">
           <div class="task-title" data-action="edit-task-inline" data-task-id="${task.id}" tabindex="0" role="button" aria-label="Edit task title">
             ${this.highlightSearchText(this.escapeHtml(task.title), uiState.searchQuery, uiState.searchMode)}
           </div>
+          ${this.renderCourseBadge(course)}
+          ${this.renderPriorityBadge(task)}
+          ${this.renderRecurrenceBadge(task)}
+          ${this.renderExamBadge(task)}
+          ${this.renderBlockedBy(blockers)}
+          ${this.renderSubtaskProgress(task, uiState)}
+          ${this.renderDetailsToggle(task, uiState)}
         </td>
         <td class="task-cell">
-          <time datetime="${task.dueDate}">${this.formatDate(task.dueDate)}</time>
+          <time datetime="${this.getDueDatetime(task)}">${this.formatDate(task.dueDate, task.dueTime)}</time>
+          ${this.renderCountdown(task)}
         </td>
         <td class="task-cell">
           ${this.formatDuration(task.duration)}
+          ${this.renderLoggedTime(task)}
         </td>
         <td class="task-cell">
-          <span class="task-tag">${this.highlightSearchText(this.escapeHtml(task.tag || 'General'), uiState.searchQuery, uiState.searchMode)}</span>
+          ${this.renderTags(task, uiState)}
         </td>
         <td class="task-cell task-cell--status">
           <button 
-            class="status-toggle ${task.status === 'Complete' ? 'status-toggle--complete' : 'status-toggle--pending'}"
+            class="status-toggle ${this.getStatusToggleClass(task, blockers)}"
             data-action="toggle-task-status"
             data-task-id="${task.id}"
-            aria-label="Mark task as ${task.status === 'Complete' ? 'pending' : 'complete'}"
+            ${isArchived ? 'disabled' : ''}
+            ${this.isToggleDisabled(task, blockers) ? 'aria-disabled="true"' : ''}
+            aria-label="${this.getStatusToggleLabel(task, blockers)}"
           >
-            ${task.status === 'Complete' ? '✓ Complete' : '○ Pending'}
+            ${blockers.length > 0 ? '⛔ Blocked' : `${this.getStatusDisplay(task).icon} ${this.escapeHtml(task.status)}`}
           </button>
         </td>
         <td class="task-cell task-cell--actions">
           <div class="task-actions">
+            ${isArchived ? this.renderArchivedBadge() : `
+              ${this.renderTimerButton(task)}
+              <button 
+                class="btn btn--sm btn--secondary" 
+                data-action="edit-task"
+                data-task-id="${task.id}"
+                aria-label="Edit task"
+              >
+                Edit
+              </button>
+              <button 
+                class="btn btn--sm btn--danger" 
+                data-action="delete-task"
+                data-task-id="${task.id}"
+                aria-label="Delete task"
+              >
+                Delete
+              </button>
+            `}
+          </div>
+        </td>
+      </tr>
+      ${this.isExpanded(task, uiState) ? `
+        <tr class="task-row-details" id="task-details-${task.id}">
+          <td colspan="7" class="task-cell task-cell--details">
+            ${this.renderTaskDetails(task, uiState)}
+          </td>
+        </tr>
+      ` : ''}
+    `;
+  }
+
+  hasSubtasks(task) {
+    return Array.isArray(task.subtasks) && task.subtasks.length > 0;
+  }
+
+  hasTaskDetails(task) {
+    return this.hasSubtasks(task) || hasNotes(task) || hasAttachments(task) || hasChangeLog(task);
+  }
+
+  describeTaskDetails(task) {
+    const parts = [];
+    if (this.hasSubtasks(task)) {
+      parts.push('steps');
+    }
+    if (hasNotes(task)) {
+      parts.push('notes');
+    }
+    if (hasAttachments(task)) {
+      parts.push('attachments');
+    }
+    if (hasChangeLog(task)) {
+      parts.push('history');
+    }
+    return parts.length > 1
+      ? `${parts.slice(0, -1).join(', ')} & ${parts[parts.length - 1]}`
+      : parts[0] || '';
+  }
+
+  isExpanded(task, uiState) {
+    return this.hasTaskDetails(task) && (uiState.expandedTasks || []).includes(task.id);
+  }
+
+  renderNotesMatch(task, uiState) {
+    // Point out search hits hidden in collapsed notes
+    if (this.isExpanded(task, uiState) || !searchMatchesNotes(task, uiState.searchQuery, uiState.searchMode)) {
+      return '';
+    }
+    return '<mark class="task-notes-match">match in notes</mark>';
+  }
+
+  renderSubtaskProgress(task, uiState) {
+    const progress = getSubtaskProgress(task);
+    if (progress.total === 0) {
+      return '';
+    }
+    
+    const isExpanded = this.isExpanded(task, uiState);
+    
+    return `
+      <div class="subtask-progress ${progress.completed === progress.total ? 'subtask-progress--done' : ''}">
+        <div 
+          class="subtask-progress__bar" 
+          role="progressbar"
+          aria-valuenow="${progress.completed}"
+          aria-valuemin="0"
+          aria-valuemax="${progress.total}"
+          aria-label="Subtasks: ${progress.completed} of ${progress.total} done"
+        >
+          <div class="subtask-progress__fill" style="width: ${progress.percentage}%"></div>
+        </div>
+        <span class="subtask-progress__label">${progress.completed}/${progress.total}</span>
+        <button 
+          class="subtask-progress__toggle"
+          data-action="toggle-task-details"
+          data-task-id="${task.id}"
+          aria-expanded="${isExpanded}"
+          aria-controls="task-details-${task.id}"
+        >
+          ${isExpanded ? 'Hide' : 'Show'} ${this.describeTaskDetails(task)}
+        </button>
+        ${this.renderNotesMatch(task, uiState)}
+      </div>
+    `;
+  }
+
+  renderDetailsToggle(task, uiState) {
+    // Tasks with subtasks open their details from the subtask progress toggle
+    if (!this.hasTaskDetails(task) || this.hasSubtasks(task)) {
+      return '';
+    }
+    
+    const isExpanded = this.isExpanded(task, uiState);
+    const fileCount = (task.attachments || []).length + (task.links || []).length;
+    
+    return `
+      <button 
+        class="task-details-toggle"
+        data-action="toggle-task-details"
+        data-task-id="${task.id}"
+        aria-expanded="${isExpanded}"
+        aria-controls="task-details-${task.id}"
+      >
+        <span aria-hidden="true">${hasNotes(task) ? '📝' : hasAttachments(task) ? '📎' : '🕘'}</span> ${isExpanded ? 'Hide' : 'Show'} ${this.describeTaskDetails(task)}${fileCount > 0 ? ` (${fileCount})` : ''}
+      </button>
+      ${this.renderNotesMatch(task, uiState)}
+    `;
+  }
+
+  renderNotes(task, uiState) {
+    if (!hasNotes(task)) {
+      return '';
+    }
+    
+    // renderMarkdown escapes all text and only emits allow-listed elements
+    const notesHtml = renderMarkdown(task.notes, {
+      highlight: { query: uiState.searchQuery, mode: uiState.searchMode }
+    });
+    
+    return `
+      <div class="task-notes" aria-label="Notes for ${this.escapeHtml(task.title)}">
+        ${notesHtml}
+      </div>
+    `;
+  }
+
+  renderAttachments(task) {
+    if (!hasAttachments(task)) {
+      return '';
+    }
+    
+    const attachments = task.attachments || [];
+    const links = task.links || [];
+    
+    return `
+      <ul class="attachment-list" aria-label="Attachments and links for ${this.escapeHtml(task.title)}">
+        ${attachments.map(attachment => `
+          <li class="attachment-list__item">
+            <span class="attachment-list__name">📎 ${this.escapeHtml(attachment.name)}</span>
+            <span class="attachment-list__meta">${formatFileSize(attachment.size)}</span>
+            ${isPreviewable(attachment) ? `
+              <button 
+                class="attachment-list__action"
+                data-action="preview-attachment"
+                data-task-id="${task.id}"
+                data-attachment-id="${this.escapeHtml(attachment.id)}"
+                aria-label="Preview ${this.escapeHtml(attachment.name)}"
+              >
+                Preview
+              </button>
+            ` : ''}
             <button 
-              class="btn btn--sm btn--secondary" 
-              data-action="edit-task"
+              class="attachment-list__action"
+              data-action="download-attachment"
               data-task-id="${task.id}"
-              aria-label="Edit task"
+              data-attachment-id="${this.escapeHtml(attachment.id)}"
+              aria-label="Download ${this.escapeHtml(attachment.name)}"
             >
-              Edit
+              Download
             </button>
+          </li>
+        `).join('')}
+        ${links.map(link => `
+          <li class="attachment-list__item">
+            <a 
+              class="attachment-list__name" 
+              href="${this.escapeHtml(link.url)}" 
+              target="_blank" 
+              rel="noopener noreferrer"
+            >🔗 ${this.escapeHtml(link.label)}</a>
+            <span class="attachment-list__meta">${this.escapeHtml(getLinkHost(link.url))}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  renderTaskDetails(task, uiState) {
+    const subtasks = task.subtasks || [];
+    const isArchived = this.isArchived(task);
+    
+    return `
+      ${this.renderNotes(task, uiState)}
+      ${this.renderAttachments(task)}
+      ${subtasks.length > 0 ? `
+      <ul class="subtask-list" aria-label="Subtasks for ${this.escapeHtml(task.title)}">
+        ${subtasks.map(subtask => `
+          <li class="subtask-list__item ${subtask.status === 'Complete' ? 'subtask-list__item--complete' : ''}">
             <button 
-              class="btn btn--sm btn--danger" 
-              data-action="delete-task"
+              class="subtask-toggle"
+              role="checkbox"
+              aria-checked="${subtask.status === 'Complete'}"
+              data-action="toggle-subtask-status"
               data-task-id="${task.id}"
-              aria-label="Delete task"
+              data-subtask-id="${subtask.id}"
+              ${isArchived ? 'disabled' : ''}
             >
-              Delete
+              <span aria-hidden="true">${subtask.status === 'Complete' ? '✓' : '○'}</span>
+              <span class="subtask-list__title">${this.escapeHtml(subtask.title)}</span>
             </button>
-          </div>
-        </td>
-      </tr>
+            ${subtask.duration ? `<span class="subtask-list__duration">${this.formatDuration(subtask.duration)}</span>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+      ` : ''}
+      ${this.renderChangeLog(task)}
+      <div class="task-details__actions">
+        <button 
+          class="btn btn--sm btn--secondary" 
+          data-action="save-task-as-template"
+          data-task-id="${task.id}"
+        >
+          Save as Template
+        </button>
+      </div>
+    `;
+  }
+
+  renderChangeValue(field, value) {
+    // Show courses and terms by name while they still exist
+    if (field === 'courseId' && value) {
+      const course = getCourseById(this.state.getCourses(), value);
+      return course ? course.code : 'a deleted course';
+    }
+    if (field === 'termId' && value) {
+      const term = getTermById(this.state.getTerms(), value);
+      return term ? term.name : 'a deleted term';
+    }
+    return formatChangeValue(field, value);
+  }
+
+  formatChangeTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return this.formatDate(timestamp, `${pad(date.getHours())}:${pad(date.getMinutes())}`);
+  }
+
+  renderRevertButton(task, changeId) {
+    if (this.isArchived(task)) {
+      return '';
+    }
+    
+    return `
+      <button 
+        class="task-history__revert"
+        data-action="revert-task-version"
+        data-task-id="${task.id}"
+        data-change-id="${this.escapeHtml(changeId)}"
+      >
+        Revert to this version
+      </button>
+    `;
+  }
+
+  renderChangeLog(task) {
+    if (!hasChangeLog(task)) {
+      return '';
+    }
+    
+    // Newest first; every version but the current one can be restored
+    const entries = [...task.changeLog].reverse();
+    
+    return `
+      <ol class="task-history" aria-label="Change history for ${this.escapeHtml(task.title)}">
+        ${entries.map((entry, index) => `
+          <li class="task-history__entry">
+            <div class="task-history__header">
+              <time class="task-history__time" datetime="${this.escapeHtml(entry.at)}">${this.formatChangeTime(entry.at)}</time>
+              <span class="task-history__source task-history__source--${this.escapeHtml(entry.source)}">${CHANGE_SOURCE_LABELS[entry.source] || ''}</span>
+              ${index > 0 ? this.renderRevertButton(task, entry.id) : ''}
+            </div>
+            <ul class="task-history__changes">
+              ${entry.changes.map(change => `
+                <li class="task-history__change">
+                  <span class="task-history__field">${TRACKED_FIELDS[change.field] || ''}:</span>
+                  <del>${this.escapeHtml(this.renderChangeValue(change.field, change.from))}</del>
+                  <span aria-label="changed to">→</span>
+                  <ins>${this.escapeHtml(this.renderChangeValue(change.field, change.to))}</ins>
+                </li>
+              `).join('')}
+            </ul>
+          </li>
+        `).join('')}
+        ${task.changeLog.length >= MAX_CHANGE_LOG_ENTRIES ? `
+          <li class="task-history__entry task-history__entry--created">
+            Older changes are no longer kept
+          </li>
+        ` : `
+          <li class="task-history__entry task-history__entry--created">
+            <div class="task-history__header">
+              <time class="task-history__time" datetime="${this.escapeHtml(task.createdAt)}">${this.formatChangeTime(task.createdAt)}</time>
+              <span class="task-history__source">Created</span>
+              ${this.renderRevertButton(task, '')}
+            </div>
+          </li>
+        `}
+      </ol>
     `;
   }
 }
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Term Switcher Component
+ */
+
+import { BaseComponent } from '../ui-base.js';
+import { ALL_TERMS_FILTER, sortTerms, formatTermDates } from '../../terms.js';
+
+export class TermSwitcherComponent extends BaseComponent {
+  render() {
+    const terms = sortTerms(this.state.getTerms());
+    if (terms.length === 0) {
+      return '';
+    }
+
+    const activeTerm = this.state.getActiveTerm();
+    const selectedId = activeTerm ? activeTerm.id : ALL_TERMS_FILTER;
+    const openTerms = terms.filter(term => !term.archived);
+    const archivedTerms = terms.filter(term => term.archived);
+
+    return `
+      <label class="term-switcher__label" for="term-switcher-select">Term</label>
+      <select id="term-switcher-select" class="form-select term-switcher__select" data-change-action="switch-term">
+        <option value="${ALL_TERMS_FILTER}" ${selectedId === ALL_TERMS_FILTER ? 'selected' : ''}>All terms</option>
+        ${openTerms.map(term => this.renderOption(term, selectedId)).join('')}
+        ${archivedTerms.length > 0 ? `
+          <optgroup label="Archived">
+            ${archivedTerms.map(term => this.renderOption(term, selectedId)).join('')}
+          </optgroup>
+        ` : ''}
+      </select>
+      ${activeTerm ? `
+        <span class="term-switcher__dates">${formatTermDates(activeTerm)}</span>
+      ` : ''}
+      ${activeTerm?.archived ? `
+        <span class="term-switcher__archived">Archived · read-only</span>
+      ` : ''}
+    `;
+  }
+
+  renderOption(term, selectedId) {
+    return `<option value="${term.id}" ${term.id === selectedId ? 'selected' : ''}>${this.escapeHtml(term.name)}</option>`;
+  }
+}
@@ -20,6 +20,7 @@ export {
 
 export {
   filterTasks,
+  filterTasksByTags,
   sortTasks,
   searchTasks,
   getTagSuggestions,
@@ -36,4 +37,6 @@ export { TaskListComponent } from './components/task-list.js';
 export { AboutPage } from './pages/about-page.js';
 export { DashboardPage } from './pages/dashboard-page.js';
 export { TasksPage } from './pages/tasks-page.js';
+export { GradesPage } from './pages/grades-page.js';
+export { TrashPage } from './pages/trash-page.js';
 export { SettingsPage } from './pages/settings-page.js';
\ No newline at end of file
@@ -5,28 +5,22 @@
 import { BasePage } from '../ui-base.js';
 import { DashboardStatsComponent } from '../components/dashboard-stats.js';
 import { ProgressChartComponent } from '../components/progress-chart.js';
+import { TermSwitcherComponent } from '../components/term-switcher.js';
+import { filterTasksByTerm } from '../task-utils.js';
+import { getTaskTags } from '../../tags.js';
+import { isClosedStatus } from '../../statuses.js';
+import { getCourseById } from '../../courses.js';
+import { sortExams, getDaysUntilExam, getExamProgress } from '../../exams.js';
 
 export class DashboardPage extends BasePage {
   constructor(state, eventManager) {
     super(state, eventManager);
     this.dashboardStats = new DashboardStatsComponent(state);
     this.progressChart = new ProgressChartComponent(state);
+    this.termSwitcher = new TermSwitcherComponent(state);
   }
 
   render() {
-    const tasks = this.state.getTasks();
-    
-    // Calculate upcoming tasks for current week
-    const today = new Date();
-    const weekStart = new Date(today.setDate(today.getDate() - today.getDay()));
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekStart.getDate() + 6);
-    
-    const upcomingTasks = tasks.filter(task => {
-      const dueDate = new Date(task.dueDate);
-      return dueDate >= weekStart && dueDate <= weekEnd && task.status === 'Pending';
-    });
-    
     return `
       <div class="container">
         <div class="page-header">
@@ -34,6 +28,9 @@ export class DashboardPage extends BasePage {
           <p class="page-description">
             Overview of your academic progress and task statistics.
           </p>
+          <div id="term-switcher" class="term-switcher">
+            ${this.termSwitcher.render()}
+          </div>
         </div>
         
         <div id="dashboard-stats" class="dashboard-stats">
@@ -56,38 +53,24 @@ export class DashboardPage extends BasePage {
             <div class="card__header">
               <h2 class="card__title">This Week's Tasks</h2>
             </div>
-            <div class="card__body">
-              ${upcomingTasks.length > 0 ? `
-                <div class="upcoming-tasks">
-                  ${upcomingTasks.slice(0, 5).map(task => `
-                    <div class="upcoming-task">
-                      <div class="upcoming-task__title">${this.escapeHtml(task.title)}</div>
-                      <div class="upcoming-task__meta">
-                        <span class="upcoming-task__date">${this.formatDate(task.dueDate)}</span>
-                        <span class="upcoming-task__tag">${this.escapeHtml(task.tag || 'General')}</span>
-                      </div>
-                    </div>
-                  `).join('')}
-                  ${upcomingTasks.length > 5 ? `
-                    <div class="upcoming-task upcoming-task--more">
-                      <a href="#tasks" class="upcoming-task__link">
-                        View ${upcomingTasks.length - 5} more tasks
-                      </a>
-                    </div>
-                  ` : ''}
-                </div>
-              ` : `
-                <div class="empty-state empty-state--small">
-                  <p>No tasks due this week</p>
-                  <button class="btn btn--sm btn--primary" data-action="navigate" data-page="tasks">
-                    Add Task
-                  </button>
-                </div>
-              `}
+            <div class="card__body" id="upcoming-tasks">
+              ${this.renderUpcomingTasks()}
             </div>
           </div>
         </div>
         
+        <div class="card mt-6">
+          <div class="card__header card__header--split">
+            <h2 class="card__title">Exams</h2>
+            <button class="btn btn--sm btn--secondary" data-action="add-exam">
+              Add Exam
+            </button>
+          </div>
+          <div class="card__body" id="exam-overview">
+            ${this.renderExams()}
+          </div>
+        </div>
+        
         <div class="card mt-6">
           <div class="card__header">
             <h2 class="card__title">Quick Actions</h2>
@@ -110,6 +93,123 @@ export class DashboardPage extends BasePage {
     `;
   }
 
+  renderUpcomingTasks() {
+    const tasks = filterTasksByTerm(this.state.getTasks(), this.state.getActiveTerm());
+    
+    // Calculate upcoming tasks for current week
+    const today = new Date();
+    const weekStart = new Date(today.setDate(today.getDate() - today.getDay()));
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekStart.getDate() + 6);
+    
+    const upcomingTasks = tasks.filter(task => {
+      const dueDate = new Date(task.dueDate);
+      return dueDate >= weekStart && dueDate <= weekEnd && !isClosedStatus(task.status);
+    });
+    
+    if (upcomingTasks.length === 0) {
+      return `
+        <div class="empty-state empty-state--small">
+          <p>No tasks due this week</p>
+          <button class="btn btn--sm btn--primary" data-action="navigate" data-page="tasks">
+            Add Task
+          </button>
+        </div>
+      `;
+    }
+    
+    return `
+      <div class="upcoming-tasks">
+        ${upcomingTasks.slice(0, 5).map(task => `
+          <div class="upcoming-task">
+            <div class="upcoming-task__title">${this.escapeHtml(task.title)}</div>
+            <div class="upcoming-task__meta">
+              <span class="upcoming-task__date">${this.formatDate(task.dueDate, task.dueTime)}</span>
+              <span class="upcoming-task__tag">${this.escapeHtml(getTaskTags(task).join(', ') || 'General')}</span>
+            </div>
+          </div>
+        `).join('')}
+        ${upcomingTasks.length > 5 ? `
+          <div class="upcoming-task upcoming-task--more">
+            <a href="#tasks" class="upcoming-task__link">
+              View ${upcomingTasks.length - 5} more tasks
+            </a>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render each exam with the progress of its study sessions
+   * Upcoming exams come first, soonest first; past ones follow, latest first.
+   */
+  renderExams() {
+    const exams = sortExams(this.state.getExams());
+    if (exams.length === 0) {
+      return `
+        <div class="empty-state empty-state--small">
+          <p>No exams yet. Add one to plan study sessions in the days before it.</p>
+        </div>
+      `;
+    }
+    
+    const tasks = this.state.getTasks();
+    const courses = this.state.getCourses();
+    const upcoming = exams.filter(exam => getDaysUntilExam(exam) >= 0);
+    const past = exams.filter(exam => getDaysUntilExam(exam) < 0).reverse();
+    
+    return `
+      <ul class="exam-list">
+        ${[...upcoming, ...past].map(exam => this.renderExam(exam, tasks, courses)).join('')}
+      </ul>
+    `;
+  }
+
+  renderExam(exam, tasks, courses) {
+    const progress = getExamProgress(exam, tasks);
+    const days = getDaysUntilExam(exam);
+    const course = getCourseById(courses, exam.courseId);
+    const countdown = days < 0 ? 'Done' : days === 0 ? 'Today' : days === 1 ? 'Tomorrow' : `In ${days} days`;
+    const title = this.escapeHtml(exam.title);
+    
+    return `
+      <li class="exam-card ${days < 0 ? 'exam-card--past' : ''}">
+        <div class="exam-card__header">
+          <span class="exam-card__title">${title}</span>
+          <span class="exam-card__countdown ${days >= 0 && days <= 3 ? 'exam-card__countdown--soon' : ''}">${countdown}</span>
+        </div>
+        <div class="exam-card__meta">
+          <span>${this.formatDate(exam.date, exam.time)}</span>
+          ${course ? `<span>${this.escapeHtml(course.code)}</span>` : ''}
+          ${exam.topics.length > 0 ? `<span title="${this.escapeHtml(exam.topics.join(', '))}">${exam.topics.length} topic${exam.topics.length !== 1 ? 's' : ''}</span>` : ''}
+        </div>
+        <div 
+          class="exam-card__progress" 
+          role="progressbar"
+          aria-valuenow="${progress.studiedMinutes}"
+          aria-valuemin="0"
+          aria-valuemax="${progress.targetMinutes}"
+          aria-label="${title}: ${this.formatDuration(progress.studiedMinutes)} of ${this.formatDuration(progress.targetMinutes)} studied"
+        >
+          <div class="exam-card__progress-fill" style="width: ${progress.percentage}%"></div>
+        </div>
+        <div class="exam-card__summary">
+          ${progress.completedSessions}/${progress.totalSessions} sessions done ·
+          ${this.formatDuration(progress.studiedMinutes)} of ${this.formatDuration(progress.targetMinutes)} studied
+        </div>
+        <div class="exam-card__actions">
+          <button class="btn btn--sm btn--secondary" data-action="edit-exam" data-exam-id="${exam.id}" aria-label="Edit ${title}">
+            Edit
+          </button>
+          <button class="btn btn--sm btn--danger" data-action="delete-exam" data-exam-id="${exam.id}" aria-label="Delete ${title}">
+            Delete
+          </button>
+        </div>
+      </li>
+    `;
+  }
+
   setupEventListeners() {
     // Navigation buttons
     document.querySelectorAll('[data-action="navigate"]').forEach(button => {
@@ -132,7 +232,18 @@ export class DashboardPage extends BasePage {
   }
 
   updateComponents() {
+    this.termSwitcher.update('term-switcher');
     this.dashboardStats.update('dashboard-stats');
     this.progressChart.update('progress-chart');
+    
+    const upcomingTasks = document.getElementById('upcoming-tasks');
+    if (upcomingTasks) {
+      upcomingTasks.innerHTML = this.renderUpcomingTasks();
+    }
+    
+    const examOverview = document.getElementById('exam-overview');
+    if (examOverview) {
+      examOverview.innerHTML = this.renderExams();
+    }
   }
 }
\ No newline at end of file
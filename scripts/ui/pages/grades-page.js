@@ -0,0 +1,197 @@
+/**
+ * Grades Page Renderer
+ */
+
+import { BasePage } from '../ui-base.js';
+import { sortCourses } from '../../courses.js';
+import {
+  isAssessment,
+  getScorePercent,
+  calculateCourseGrade,
+  calculateRequiredScore,
+  formatGrade
+} from '../../grades.js';
+
+export class GradesPage extends BasePage {
+  render() {
+    return `
+      <div class="container">
+        <div class="page-header">
+          <h1 class="page-title">Grades</h1>
+          <p class="page-description">
+            Record assessment scores and see where each course grade stands.
+          </p>
+        </div>
+
+        <div id="grades-overview">
+          ${this.renderOverview()}
+        </div>
+      </div>
+    `;
+  }
+
+  renderOverview() {
+    const tasks = this.state.getTasks();
+    const courseIds = new Set(this.state.getCourses().map(course => course.id));
+    const groups = sortCourses(this.state.getCourses())
+      .map(course => ({ course, tasks: tasks.filter(task => task.courseId === course.id) }));
+    groups.push({ course: null, tasks: tasks.filter(task => !courseIds.has(task.courseId)) });
+
+    const gradedGroups = groups.filter(group => group.tasks.some(isAssessment));
+
+    if (gradedGroups.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-state__icon">🎓</div>
+          <h3 class="empty-state__title">No graded work yet</h3>
+          <p class="empty-state__description">
+            Give a task a weight (its share of the course grade) in the task editor to track it here.
+          </p>
+          <button class="btn btn--primary" data-action="navigate" data-page="tasks">
+            Go to Tasks
+          </button>
+        </div>
+      `;
+    }
+
+    return gradedGroups.map(group => this.renderCourseGrades(group.course, group.tasks)).join('');
+  }
+
+  renderCourseGrades(course, tasks) {
+    const summary = calculateCourseGrade(tasks);
+    const assessments = [...summary.assessments].sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+    return `
+      <section class="card grade-card" ${course ? `style="--course-color: ${course.color}"` : ''}>
+        <div class="card__header">
+          <h2 class="card__title grade-card__title">
+            ${course ? `${this.escapeHtml(course.code)} <span class="grade-card__name">${this.escapeHtml(course.name)}</span>` : 'No course'}
+          </h2>
+        </div>
+        <div class="card__body">
+          <div class="grade-summary">
+            <div class="grade-summary__item">
+              <span class="grade-summary__value">${formatGrade(summary.currentGrade)}</span>
+              <span class="grade-summary__label">Running grade</span>
+            </div>
+            <div class="grade-summary__item">
+              <span class="grade-summary__value">
+                ${summary.remainingWeight > 0
+                  ? `${formatGrade(summary.minimumGrade)} – ${formatGrade(summary.maximumGrade)}`
+                  : formatGrade(summary.currentGrade)}
+              </span>
+              <span class="grade-summary__label">Projected final</span>
+            </div>
+            <div class="grade-summary__item">
+              <span class="grade-summary__value">${summary.gradedWeight}% / ${summary.totalWeight}%</span>
+              <span class="grade-summary__label">Weight graded</span>
+            </div>
+          </div>
+
+          ${summary.totalWeight !== 100 ? `
+            <p class="grade-card__warning">
+              Weights add up to ${summary.totalWeight}%${summary.totalWeight < 100 ? '; grades are worked out from the assessments entered so far' : ''}.
+            </p>
+          ` : ''}
+
+          ${course ? this.renderTargetCalculator(course, tasks) : ''}
+
+          <table class="grade-table">
+            <thead>
+              <tr>
+                <th scope="col">Assessment</th>
+                <th scope="col">Due</th>
+                <th scope="col">Weight</th>
+                <th scope="col">Score</th>
+                <th scope="col">Percent</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${assessments.map(task => this.renderAssessmentRow(task)).join('')}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    `;
+  }
+
+  renderTargetCalculator(course, tasks) {
+    const target = typeof course.targetGrade === 'number' ? course.targetGrade : null;
+    const required = target === null ? null : calculateRequiredScore(tasks, target);
+
+    let result = '';
+    if (target !== null && required) {
+      const remainingLabel = required.remaining.length === 1
+        ? `on ${this.escapeHtml(required.remaining[0].title)}`
+        : `on average across the ${required.remaining.length} remaining assessments`;
+
+      if (required.secured) {
+        result = `You've already secured ${formatGrade(target)}.`;
+      } else if (!required.achievable) {
+        result = `You would need ${formatGrade(required.requiredPercent)} ${remainingLabel}, which is out of reach without extra credit.`;
+      } else {
+        result = `You need ${formatGrade(required.requiredPercent)} ${remainingLabel}.`;
+      }
+    } else if (target !== null) {
+      result = 'Every assessment has been graded.';
+    }
+
+    return `
+      <div class="grade-target">
+        <label class="grade-target__label" for="grade-target-${course.id}">
+          Target grade
+          <input
+            type="number"
+            id="grade-target-${course.id}"
+            class="form-input grade-target__input"
+            min="0"
+            max="100"
+            step="0.5"
+            placeholder="e.g. 90"
+            value="${target === null ? '' : target}"
+            data-change-action="set-grade-target"
+            data-course-id="${course.id}"
+          >
+          %
+        </label>
+        ${result ? `<p class="grade-target__result" role="status">${result}</p>` : ''}
+      </div>
+    `;
+  }
+
+  renderAssessmentRow(task) {
+    const percent = getScorePercent(task.grade);
+
+    return `
+      <tr class="grade-table__row ${percent === null ? 'grade-table__row--ungraded' : ''}">
+        <td id="grade-task-${task.id}">${this.escapeHtml(task.title)}</td>
+        <td><time datetime="${task.dueDate}">${this.formatDate(task.dueDate, task.dueTime)}</time></td>
+        <td>${task.grade.weight}%</td>
+        <td>
+          <input
+            type="number"
+            class="form-input grade-table__score"
+            min="0"
+            step="any"
+            aria-labelledby="grade-task-${task.id}"
+            value="${percent === null ? '' : task.grade.score}"
+            data-change-action="set-task-score"
+            data-task-id="${task.id}"
+          >
+          <span class="grade-table__out-of">/ ${task.grade.outOf}</span>
+        </td>
+        <td>${formatGrade(percent)}</td>
+      </tr>
+    `;
+  }
+
+  updateComponents() {
+    const overview = document.getElementById('grades-overview');
+    if (overview) {
+      const newContent = this.renderOverview();
+      if (newContent !== overview.innerHTML) {
+        overview.innerHTML = newContent;
+      }
+    }
+  }
+}
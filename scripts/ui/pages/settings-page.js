@@ -3,6 +3,14 @@
  */
 
 import { BasePage } from '../ui-base.js';
+import { TaskStatuses, getAllowedTransitions } from '../../statuses.js';
+import { storage } from '../../storage.js';
+import { formatFileSize } from '../../attachments.js';
+import { sortCourses } from '../../courses.js';
+import { sortTerms, isTaskInTerm, getCurrentTerm, formatTermDates } from '../../terms.js';
+import { MAX_TRASH_RETENTION_DAYS, getRetentionDays } from '../../trash.js';
+import { sortTemplates, formatTemplateDue } from '../../templates.js';
+import { describeSmartList } from '../../smart-lists.js';
 
 export class SettingsPage extends BasePage {
   render() {
@@ -78,6 +86,24 @@ export class SettingsPage extends BasePage {
             </div>
           </div>
           
+          ${this.renderStatusWorkflow(settings.statusWorkflow)}
+          
+          <div class="card" id="course-manager">
+            ${this.renderCourseManager()}
+          </div>
+          
+          <div class="card" id="term-manager">
+            ${this.renderTermManager()}
+          </div>
+          
+          <div class="card" id="template-manager">
+            ${this.renderTemplateManager()}
+          </div>
+          
+          <div class="card" id="smart-list-manager">
+            ${this.renderSmartListManager()}
+          </div>
+          
           <div class="card">
             <div class="card__header">
               <h2 class="card__title">Data Management</h2>
@@ -90,12 +116,20 @@ export class SettingsPage extends BasePage {
                 </div>
                 <div class="stat-item">
                   <span class="stat-label">Completed:</span>
-                  <span class="stat-value">${tasks.filter(t => t.status === 'Complete').length}</span>
+                  <span class="stat-value">${tasks.filter(t => t.status === TaskStatuses.COMPLETE).length}</span>
                 </div>
                 <div class="stat-item">
                   <span class="stat-label">Total Hours:</span>
                   <span class="stat-value">${(tasks.reduce((sum, t) => sum + (t.duration || 0), 0) / 60).toFixed(1)}h</span>
                 </div>
+                <div class="stat-item">
+                  <span class="stat-label">In Trash:</span>
+                  <span class="stat-value">${this.state.getTrash().length}</span>
+                </div>
+                <div class="stat-item">
+                  <span class="stat-label">Attachments:</span>
+                  <span class="stat-value" data-attachment-usage>Calculating…</span>
+                </div>
               </div>
               
               <div class="backup-settings mt-4">
@@ -112,6 +146,36 @@ export class SettingsPage extends BasePage {
                   </label>
                   <div class="form-help">Automatically download backup files when data changes</div>
                 </div>
+                <div class="form-group">
+                  <label class="form-label">
+                    <input 
+                      type="checkbox" 
+                      name="backupAttachments"
+                      ${settings.backupAttachments ? 'checked' : ''}
+                      data-setting="backupAttachments"
+                    >
+                    Include attachment files in backups
+                  </label>
+                  <div class="form-help">Create Backup then downloads a .zip archive with your data and every attached file; import it to restore both</div>
+                </div>
+              </div>
+              
+              <div class="trash-settings mt-4">
+                <h3 class="trash-title">Trash</h3>
+                <div class="form-group">
+                  <label for="trash-retention" class="form-label">Empty Trash After (days)</label>
+                  <input 
+                    type="number" 
+                    id="trash-retention" 
+                    class="form-input" 
+                    value="${getRetentionDays(settings)}" 
+                    min="0" 
+                    max="${MAX_TRASH_RETENTION_DAYS}"
+                    step="1"
+                    data-change-action="set-trash-retention"
+                  >
+                  <div class="form-help">Trashed tasks older than this are deleted for good when the planner opens; 0 keeps them until you empty the trash</div>
+                </div>
               </div>
               
               <div class="button-group mt-4">
@@ -124,12 +188,22 @@ export class SettingsPage extends BasePage {
                 <button class="btn btn--secondary" data-action="export-settings">
                   ⚙️ Export Settings Only
                 </button>
+                <label class="btn btn--secondary" for="import-settings-file">
+                  ⚙️ Import Settings
+                  <input 
+                    type="file" 
+                    id="import-settings-file" 
+                    accept=".json"
+                    style="display: none;"
+                    data-change-action="import-settings-file"
+                  >
+                </label>
                 <label class="btn btn--secondary" for="import-file">
                   📥 Import Data
                   <input 
                     type="file" 
                     id="import-file" 
-                    accept=".json"
+                    accept=".json,.zip"
                     style="display: none;"
                     data-action="import-file"
                   >
@@ -228,6 +302,9 @@ export class SettingsPage extends BasePage {
                   <div class="shortcut-item">
                     <kbd>Space</kbd> Toggle checkboxes
                   </div>
+                  <div class="shortcut-item">
+                    <kbd>Q</kbd> Quick add a task
+                  </div>
                 </div>
               </div>
             </div>
@@ -237,7 +314,291 @@ export class SettingsPage extends BasePage {
     `;
   }
 
+  renderStatusWorkflow(workflow) {
+    const statuses = Object.values(TaskStatuses);
+
+    return `
+      <div class="card">
+        <div class="card__header">
+          <h2 class="card__title">Status Workflow</h2>
+        </div>
+        <div class="card__body">
+          <table class="status-workflow">
+            <caption class="form-help">Choose which status changes are allowed. Rows are the current status, columns the new one.</caption>
+            <thead>
+              <tr>
+                <th scope="col"><span class="sr-only">From</span></th>
+                ${statuses.map(status => `<th scope="col">${status}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${statuses.map(from => {
+                const allowed = getAllowedTransitions(from, workflow);
+                return `
+                  <tr>
+                    <th scope="row">${from}</th>
+                    ${statuses.map(to => `
+                      <td>
+                        ${from === to ? '<span aria-hidden="true">—</span>' : `
+                          <input
+                            type="checkbox"
+                            aria-label="Allow ${from} to ${to}"
+                            data-change-action="toggle-status-transition"
+                            data-from="${from}"
+                            data-to="${to}"
+                            ${allowed.includes(to) ? 'checked' : ''}
+                          >
+                        `}
+                      </td>
+                    `).join('')}
+                  </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+
+          <div class="button-group mt-4">
+            <button class="btn btn--secondary" data-action="reset-status-workflow">
+              Reset to Default Workflow
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderCourseManager() {
+    const courses = sortCourses(this.state.getCourses());
+    const tasks = this.state.getTasks();
+
+    return `
+      <div class="card__header">
+        <h2 class="card__title">Courses</h2>
+      </div>
+      <div class="card__body">
+        ${courses.length === 0 ? `
+          <p class="form-help">Add your courses to link tasks to them, colour-code the task list and see statistics per course.</p>
+        ` : `
+          <ul class="course-list">
+            ${courses.map(course => {
+              const taskCount = tasks.filter(task => task.courseId === course.id).length;
+              return `
+                <li class="course-list__item" style="--course-color: ${course.color}">
+                  <span class="course-list__swatch" aria-hidden="true"></span>
+                  <div class="course-list__info">
+                    <span class="course-list__code">${this.escapeHtml(course.code)}</span>
+                    <span class="course-list__name">${this.escapeHtml(course.name)}</span>
+                    <span class="course-list__meta">
+                      ${course.instructor ? `${this.escapeHtml(course.instructor)} · ` : ''}${course.creditHours} credit${course.creditHours !== 1 ? 's' : ''} · ${taskCount} task${taskCount !== 1 ? 's' : ''}
+                    </span>
+                  </div>
+                  <div class="course-list__actions">
+                    <button class="btn btn--sm btn--secondary" data-action="edit-course" data-course-id="${course.id}" aria-label="Edit ${this.escapeHtml(course.code)}">
+                      Edit
+                    </button>
+                    <button class="btn btn--sm btn--danger" data-action="delete-course" data-course-id="${course.id}" aria-label="Delete ${this.escapeHtml(course.code)}">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              `;
+            }).join('')}
+          </ul>
+        `}
+
+        <div class="button-group mt-4">
+          <button class="btn btn--primary" data-action="add-course">
+            Add Course
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderTermManager() {
+    const terms = sortTerms(this.state.getTerms());
+    const tasks = this.state.getTasks();
+    const currentTerm = getCurrentTerm(terms);
+    const hasOpenTerm = terms.some(term => !term.archived);
+
+    return `
+      <div class="card__header">
+        <h2 class="card__title">Terms</h2>
+      </div>
+      <div class="card__body">
+        ${terms.length === 0 ? `
+          <p class="form-help">Add your semesters or terms to switch the Tasks and Dashboard pages between them, then roll each one over when it ends.</p>
+        ` : `
+          <ul class="term-list">
+            ${terms.map(term => {
+              const taskCount = tasks.filter(task => isTaskInTerm(task, term)).length;
+              return `
+                <li class="term-list__item ${term.archived ? 'term-list__item--archived' : ''}">
+                  <div class="term-list__info">
+                    <span class="term-list__name">
+                      ${this.escapeHtml(term.name)}
+                      ${term.archived ? '<span class="archived-badge">Archived</span>' : ''}
+                      ${currentTerm && currentTerm.id === term.id ? '<span class="term-list__current">Current</span>' : ''}
+                    </span>
+                    <span class="term-list__meta">
+                      ${formatTermDates(term)} · ${taskCount} task${taskCount !== 1 ? 's' : ''}
+                    </span>
+                  </div>
+                  <div class="term-list__actions">
+                    ${term.archived ? `
+                      <button class="btn btn--sm btn--secondary" data-action="reopen-term" data-term-id="${term.id}">
+                        Reopen
+                      </button>
+                    ` : `
+                      <button class="btn btn--sm btn--secondary" data-action="edit-term" data-term-id="${term.id}">
+                        Edit
+                      </button>
+                    `}
+                    <button class="btn btn--sm btn--secondary" data-action="export-term" data-term-id="${term.id}">
+                      Export
+                    </button>
+                    <button class="btn btn--sm btn--danger" data-action="delete-term" data-term-id="${term.id}">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              `;
+            }).join('')}
+          </ul>
+        `}
+
+        <div class="button-group mt-4">
+          <button class="btn btn--primary" data-action="add-term">
+            Add Term
+          </button>
+          ${hasOpenTerm ? `
+            <button class="btn btn--secondary" data-action="start-term-rollover">
+              Roll Over Term…
+            </button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  renderTemplateManager() {
+    const templates = sortTemplates(this.state.getTemplates());
+
+    return `
+      <div class="card__header">
+        <h2 class="card__title">Task Templates</h2>
+      </div>
+      <div class="card__body">
+        ${templates.length === 0 ? `
+          <p class="form-help">Templates pre-fill the task form for assignments you set up again and again. Save one from a task's details on the Tasks page, or add one here.</p>
+        ` : `
+          <ul class="template-list">
+            ${templates.map(template => {
+              const subtaskCount = (template.subtasks || []).length;
+              return `
+                <li class="template-list__item">
+                  <div class="template-list__info">
+                    <span class="template-list__name">${this.escapeHtml(template.name)}</span>
+                    <span class="template-list__meta">
+                      ${formatTemplateDue(template)}${template.duration ? ` · ${this.formatDuration(template.duration)}` : ''}${subtaskCount > 0 ? ` · ${subtaskCount} subtask${subtaskCount !== 1 ? 's' : ''}` : ''}${template.tags.length > 0 ? ` · ${template.tags.map(tag => this.escapeHtml(tag)).join(', ')}` : ''}
+                    </span>
+                  </div>
+                  <div class="template-list__actions">
+                    <button class="btn btn--sm btn--secondary" data-action="edit-template" data-template-id="${template.id}" aria-label="Edit ${this.escapeHtml(template.name)} template">
+                      Edit
+                    </button>
+                    <button class="btn btn--sm btn--danger" data-action="delete-template" data-template-id="${template.id}" aria-label="Delete ${this.escapeHtml(template.name)} template">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              `;
+            }).join('')}
+          </ul>
+        `}
+
+        <div class="button-group mt-4">
+          <button class="btn btn--primary" data-action="add-template">
+            Add Template
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderSmartListManager() {
+    const lists = this.state.getSmartLists();
+
+    return `
+      <div class="card__header">
+        <h2 class="card__title">Smart Lists</h2>
+      </div>
+      <div class="card__body">
+        ${lists.length === 0 ? `
+          <p class="form-help">Smart lists keep a search, filter and sort you use often in the navigation. Set them up on the Tasks page and choose Save List.</p>
+        ` : `
+          <ul class="smart-lists">
+            ${lists.map((list, index) => `
+              <li class="smart-lists__item">
+                <div class="smart-lists__info">
+                  <span class="smart-lists__name">${this.escapeHtml(list.name)}</span>
+                  <span class="smart-lists__meta">${this.escapeHtml(describeSmartList(list))}</span>
+                </div>
+                <div class="smart-lists__actions">
+                  <button class="btn btn--sm btn--secondary" data-action="move-smart-list" data-smart-list-id="${list.id}" data-offset="-1" aria-label="Move ${this.escapeHtml(list.name)} up" ${index === 0 ? 'disabled' : ''}>
+                    ↑
+                  </button>
+                  <button class="btn btn--sm btn--secondary" data-action="move-smart-list" data-smart-list-id="${list.id}" data-offset="1" aria-label="Move ${this.escapeHtml(list.name)} down" ${index === lists.length - 1 ? 'disabled' : ''}>
+                    ↓
+                  </button>
+                  <button class="btn btn--sm btn--secondary" data-action="rename-smart-list" data-smart-list-id="${list.id}" aria-label="Rename ${this.escapeHtml(list.name)} smart list">
+                    Rename
+                  </button>
+                  <button class="btn btn--sm btn--danger" data-action="delete-smart-list" data-smart-list-id="${list.id}" aria-label="Delete ${this.escapeHtml(list.name)} smart list">
+                    Delete
+                  </button>
+                </div>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+      </div>
+    `;
+  }
+
+  updateComponents() {
+    const courseManager = document.getElementById('course-manager');
+    if (courseManager) {
+      courseManager.innerHTML = this.renderCourseManager();
+    }
+
+    const termManager = document.getElementById('term-manager');
+    if (termManager) {
+      termManager.innerHTML = this.renderTermManager();
+    }
+
+    const templateManager = document.getElementById('template-manager');
+    if (templateManager) {
+      templateManager.innerHTML = this.renderTemplateManager();
+    }
+
+    const smartListManager = document.getElementById('smart-list-manager');
+    if (smartListManager) {
+      smartListManager.innerHTML = this.renderSmartListManager();
+    }
+  }
+
   setupEventListeners() {
+    // Attachment files live in IndexedDB, so their usage is filled in once read
+    const attachmentUsage = document.querySelector('[data-attachment-usage]');
+    if (attachmentUsage) {
+      storage.getAttachmentStorageInfo().then(info => {
+        attachmentUsage.textContent = info
+          ? `${info.attachmentCount} file${info.attachmentCount !== 1 ? 's' : ''}, ${formatFileSize(info.attachmentSize)}${info.browserQuota ? ` of ${formatFileSize(info.browserQuota)} available` : ''}`
+          : 'Unavailable';
+      });
+    }
+    
     // Settings form inputs
     document.querySelectorAll('[data-setting]').forEach(input => {
       const settingName = input.dataset.setting;
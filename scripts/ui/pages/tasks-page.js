@@ -4,16 +4,30 @@
 
 import { BasePage } from '../ui-base.js';
 import { TaskListComponent } from '../components/task-list.js';
+import { TermSwitcherComponent } from '../components/term-switcher.js';
+import { SearchSuggestionsComponent } from '../components/search-suggestions.js';
+import { filterTasksByTerm } from '../task-utils.js';
+import { TaskStatuses } from '../../statuses.js';
+import { NO_COURSE_FILTER, sortCourses } from '../../courses.js';
+import { parseQuickAdd, validateQuickAdd } from '../../quick-add.js';
+import { PRIORITY_LABELS } from '../../priority.js';
+import { SEARCH_MODE_LABELS, SEARCH_FIELDS, validateSearchQuery } from '../../search-query.js';
 
 export class TasksPage extends BasePage {
-  constructor(state, eventManager) {
+  constructor(state, eventManager, focusManager = null) {
     super(state, eventManager);
-    this.taskList = new TaskListComponent(state);
+    this.taskList = new TaskListComponent(state, { focusManager });
+    this.termSwitcher = new TermSwitcherComponent(state);
+    this.searchSuggestions = new SearchSuggestionsComponent(state, {
+      onSearch: (query, mode) => this.searchNow(query, mode)
+    });
+    this.searchTimeout = null;
   }
 
   render() {
-    const tasks = this.state.getTasks();
+    const tasks = filterTasksByTerm(this.state.getTasks(), this.state.getActiveTerm());
     const uiState = this.state.getUIState();
+    const { error: searchError } = validateSearchQuery(uiState.searchQuery, uiState.searchMode);
     
     return `
       <div class="container">
@@ -22,8 +36,13 @@ export class TasksPage extends BasePage {
           <p class="page-description">
             Manage your academic tasks and assignments.
           </p>
+          <div id="term-switcher" class="term-switcher">
+            ${this.termSwitcher.render()}
+          </div>
         </div>
         
+        ${this.renderQuickAdd()}
+        
         <div class="tasks-toolbar">
           <div class="tasks-toolbar__primary">
             <button class="btn btn--primary" data-action="add-task">
@@ -51,24 +70,39 @@ export class TasksPage extends BasePage {
           
           <div class="tasks-toolbar__secondary">
             <div class="search-controls">
-              <input 
-                type="search" 
-                id="task-search" 
-                placeholder="Search tasks..." 
-                class="search-input"
-                aria-label="Search tasks"
-                value="${uiState.searchQuery || ''}"
-              >
-              <button class="btn btn--sm btn--secondary" data-action="toggle-search-mode">
-                ${uiState.searchMode === 'regex' ? 'Regex' : 'Text'}
+              <div class="search-combobox">
+                <input 
+                  type="search" 
+                  id="task-search" 
+                  placeholder="Search, e.g. tag:Study due:thisweek" 
+                  class="search-input"
+                  role="combobox"
+                  aria-label="Search tasks"
+                  aria-autocomplete="list"
+                  aria-expanded="false"
+                  aria-controls="task-search-suggestions"
+                  autocomplete="off"
+                  aria-describedby="search-error"
+                  aria-invalid="${searchError ? 'true' : 'false'}"
+                  value="${this.escapeHtml(uiState.searchQuery || '').replace(/"/g, '&quot;')}"
+                >
+                <ul id="task-search-suggestions" class="search-suggestions" role="listbox" aria-label="Search suggestions" hidden></ul>
+              </div>
+              <button class="btn btn--sm btn--secondary" data-action="toggle-search-mode" title="Switch search mode">
+                ${SEARCH_MODE_LABELS[uiState.searchMode] || SEARCH_MODE_LABELS.text}
               </button>
+              ${this.renderSearchHelp()}
+              <div id="search-error" class="search-error" role="alert">${this.escapeHtml(searchError || '')}</div>
             </div>
             
             <div class="filter-controls">
               <select id="task-filter" class="form-select" aria-label="Filter tasks">
                 <option value="all" ${uiState.filterBy === 'all' ? 'selected' : ''}>All Tasks</option>
                 <option value="pending" ${uiState.filterBy === 'pending' ? 'selected' : ''}>Pending</option>
+                <option value="in-progress" ${uiState.filterBy === 'in-progress' ? 'selected' : ''}>In Progress</option>
+                <option value="blocked" ${uiState.filterBy === 'blocked' ? 'selected' : ''}>Blocked</option>
                 <option value="completed" ${uiState.filterBy === 'completed' ? 'selected' : ''}>Completed</option>
+                <option value="cancelled" ${uiState.filterBy === 'cancelled' ? 'selected' : ''}>Cancelled</option>
                 <option value="today" ${uiState.filterBy === 'today' ? 'selected' : ''}>Due Today</option>
                 <option value="week" ${uiState.filterBy === 'week' ? 'selected' : ''}>This Week</option>
                 <option value="overdue" ${uiState.filterBy === 'overdue' ? 'selected' : ''}>Overdue</option>
@@ -81,7 +115,18 @@ export class TasksPage extends BasePage {
                 <option value="title-desc" ${uiState.sortBy === 'title-desc' ? 'selected' : ''}>Title (Z-A)</option>
                 <option value="duration-asc" ${uiState.sortBy === 'duration-asc' ? 'selected' : ''}>Duration (Low-High)</option>
                 <option value="duration-desc" ${uiState.sortBy === 'duration-desc' ? 'selected' : ''}>Duration (High-Low)</option>
+                <option value="priority-high" ${uiState.sortBy === 'priority-high' ? 'selected' : ''}>Priority (High-Low)</option>
+                <option value="priority-low" ${uiState.sortBy === 'priority-low' ? 'selected' : ''}>Priority (Low-High)</option>
+                <option value="urgency" ${uiState.sortBy === 'urgency' ? 'selected' : ''}>Urgency</option>
               </select>
+              
+              <span id="course-filter-container">
+                ${this.renderCourseFilter(uiState)}
+              </span>
+              
+              <button class="btn btn--sm btn--secondary" data-action="save-smart-list" title="Save this search, filter and sort as a smart list">
+                Save List
+              </button>
             </div>
           </div>
         </div>
@@ -103,18 +148,50 @@ export class TasksPage extends BasePage {
   setupEventListeners() {
     console.log('TasksPage: Setting up event listeners');
     
+    // Quick-add bar (previews the parsed fields as you type)
+    const quickAddForm = document.getElementById('quick-add-form');
+    if (quickAddForm) {
+      const input = document.getElementById('quick-add-input');
+      const preview = document.getElementById('quick-add-preview');
+      
+      input.addEventListener('input', () => {
+        preview.innerHTML = this.renderQuickAddPreview(input.value);
+      });
+      
+      quickAddForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const parsed = parseQuickAdd(input.value);
+        if (!validateQuickAdd(parsed).isValid) {
+          preview.innerHTML = this.renderQuickAddPreview(input.value);
+          input.focus();
+          return;
+        }
+        
+        if (this.eventManager && this.eventManager.emit('submit-quick-add', parsed)) {
+          quickAddForm.reset();
+          preview.innerHTML = '';
+          input.focus();
+        }
+      });
+      
+      if (this.quickAddFocusPending) {
+        this.quickAddFocusPending = false;
+        input.focus();
+      }
+    }
+    
     // Search input (needs manual handling for debouncing)
     const searchInput = document.getElementById('task-search');
     if (searchInput) {
-      let searchTimeout;
       searchInput.addEventListener('input', (e) => {
-        clearTimeout(searchTimeout);
-        searchTimeout = setTimeout(() => {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => {
           if (this.eventManager) {
             this.eventManager.emit('search-tasks', { query: e.target.value });
           }
         }, 300); // Debounce search
       });
+      this.searchSuggestions.attach(searchInput, document.getElementById('task-search-suggestions'));
     }
     
     // Filter dropdown (needs manual handling for change events)
@@ -175,49 +252,232 @@ export class TasksPage extends BasePage {
     // Bulk actions (needs manual handling for complex logic)
     document.querySelectorAll('[data-action="bulk-complete"]').forEach(button => {
       button.addEventListener('click', () => {
-        this.handleBulkStatusChange('Complete');
+        this.handleBulkStatusChange(TaskStatuses.COMPLETE);
       });
     });
 
     document.querySelectorAll('[data-action="bulk-pending"]').forEach(button => {
       button.addEventListener('click', () => {
-        this.handleBulkStatusChange('Pending');
+        this.handleBulkStatusChange(TaskStatuses.PENDING);
       });
     });
 
-    document.querySelectorAll('[data-action="bulk-delete"]').forEach(button => {
+    document.querySelectorAll('[data-action="bulk-start"]').forEach(button => {
       button.addEventListener('click', () => {
-        const uiState = this.state.getUIState();
-        const selectedTasks = this.state.getTasks().filter(t => 
-          (uiState.selectedTasks || []).includes(t.id)
-        );
-        if (this.eventManager) {
-          this.eventManager.emit('bulk-delete', { selectedTasks });
-        }
+        this.handleBulkStatusChange(TaskStatuses.IN_PROGRESS);
       });
     });
+
+    document.querySelectorAll('[data-action="bulk-block"]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.handleBulkStatusChange(TaskStatuses.BLOCKED);
+      });
+    });
+
+    document.querySelectorAll('[data-action="bulk-cancel"]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.handleBulkStatusChange(TaskStatuses.CANCELLED);
+      });
+    });
+
+    // Keep "Due in 3h" countdowns and running timers current while the page is open
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = setInterval(() => {
+      if (document.querySelector('.due-countdown, .task-timer--running')) {
+        this.updateComponents();
+      }
+    }, 60 * 1000);
     
     console.log('TasksPage: Event listeners set up, relying on EventManager delegation for task actions');
   }
 
-  handleBulkStatusChange(newStatus) {
-    const uiState = this.state.getUIState();
-    const selectedTaskIds = uiState.selectedTasks || [];
+  /**
+   * Explain the search query language
+   */
+  renderSearchHelp() {
+    return `
+      <details class="search-help">
+        <summary class="btn btn--sm btn--secondary">Syntax</summary>
+        <div class="search-help__content">
+          <p>Words must all match; use OR, AND, NOT or - and parentheses to combine them, and "quotes" for phrases.</p>
+          <dl class="search-help__fields">
+            ${Object.entries(SEARCH_FIELDS).map(([field, description]) => `
+              <dt><code>${field}:</code></dt>
+              <dd>${this.escapeHtml(description)}</dd>
+            `).join('')}
+          </dl>
+          <p>Example: <code>(tag:Exam OR tag:Quiz) due:&lt;2026-12-20 -status:complete</code></p>
+          <p>Fuzzy mode forgives typos and word order and lists the best matches first; Regex mode reads words as regular expressions, and stops a pattern that takes too long to search.</p>
+          <p>While typing, use the arrow keys and Enter to pick a recent search or complete a qualifier, tag or title. Recent searches are only kept on this device.</p>
+        </div>
+      </details>
+    `;
+  }
+
+  focusQuickAdd() {
+    // Focus now, or once the page has rendered when navigating here
+    const input = document.getElementById('quick-add-input');
+    if (input) {
+      input.focus();
+    } else {
+      this.quickAddFocusPending = true;
+    }
+  }
+
+  renderQuickAdd() {
+    return `
+      <form id="quick-add-form" class="quick-add" novalidate>
+        <label for="quick-add-input" class="quick-add__label">
+          Quick add <kbd>Q</kbd>
+        </label>
+        <div class="quick-add__row">
+          <input 
+            type="text" 
+            id="quick-add-input" 
+            class="form-input quick-add__input"
+            placeholder="DB essay due fri 2h30 #Writing !high"
+            autocomplete="off"
+            aria-describedby="quick-add-preview"
+            aria-keyshortcuts="q"
+          >
+          <button type="submit" class="btn btn--primary">Add</button>
+        </div>
+        <div id="quick-add-preview" class="quick-add__preview" aria-live="polite"></div>
+      </form>
+    `;
+  }
+
+  renderQuickAddPreview(text) {
+    if (!text.trim()) {
+      return '';
+    }
     
-    if (selectedTaskIds.length === 0) {
-      return;
+    const parsed = parseQuickAdd(text);
+    const { errors } = validateQuickAdd(parsed);
+    const fields = [
+      { label: 'Title', value: parsed.title, error: errors.title },
+      { label: 'Due', value: parsed.dueDate && this.formatDate(parsed.dueDate, parsed.dueTime), error: errors.date || errors.dueTime },
+      { label: 'Estimate', value: parsed.duration && this.formatDuration(parsed.duration), error: errors.duration },
+      { label: 'Tags', value: parsed.tags.join(', '), error: errors.tags, optional: true },
+      { label: 'Priority', value: PRIORITY_LABELS[parsed.priority], error: errors.priority, optional: true }
+    ];
+    
+    return `
+      <ul class="quick-add__fields">
+        ${fields.filter(field => field.value || field.error || !field.optional).map(field => `
+          <li class="quick-add__field ${field.error ? 'quick-add__field--invalid' : ''}">
+            <span class="quick-add__field-label">${field.label}:</span>
+            ${field.error ? this.escapeHtml(field.error) : this.escapeHtml(field.value)}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Run a search without waiting for the typing pause
+   * @param {string} query - Search query
+   * @param {string} mode - Search mode to switch to, if any
+   */
+  searchNow(query, mode) {
+    clearTimeout(this.searchTimeout);
+    if (this.eventManager) {
+      this.eventManager.emit('search-tasks', { query, mode });
     }
+  }
 
-    selectedTaskIds.forEach(taskId => {
-      this.state.updateTask(taskId, { status: newStatus });
-    });
+  cleanup() {
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+    clearTimeout(this.searchTimeout);
+    this.taskList.regexSearch.cancel();
+  }
+
+  handleBulkStatusChange(newStatus) {
+    // UIManager applies the change and reports skipped tasks
+    if (this.eventManager) {
+      this.eventManager.emit('bulk-status-change', { status: newStatus });
+    }
+  }
+
+  renderCourseFilter(uiState) {
+    const courses = sortCourses(this.state.getCourses());
+    if (courses.length === 0 && !uiState.courseFilter) {
+      return '';
+    }
     
-    // Clear selection
-    this.state.updateUIState({ selectedTasks: [] });
+    return `
+      <select id="task-course-filter" class="form-select" aria-label="Filter tasks by course">
+        <option value="" ${!uiState.courseFilter ? 'selected' : ''}>All Courses</option>
+        ${courses.map(course => `
+          <option value="${course.id}" ${uiState.courseFilter === course.id ? 'selected' : ''}>${this.escapeHtml(course.code)}</option>
+        `).join('')}
+        <option value="${NO_COURSE_FILTER}" ${uiState.courseFilter === NO_COURSE_FILTER ? 'selected' : ''}>No Course</option>
+      </select>
+    `;
+  }
+
+  /**
+   * Show the current search, mode, filter and sort in the toolbar
+   * The search box is left alone while the user is typing in it.
+   * @param {Object} uiState - UI state
+   */
+  syncToolbar(uiState) {
+    const searchInput = document.getElementById('task-search');
+    if (searchInput && document.activeElement !== searchInput && searchInput.value !== (uiState.searchQuery || '')) {
+      searchInput.value = uiState.searchQuery || '';
+    }
+
+    const modeButton = document.querySelector('[data-action="toggle-search-mode"]');
+    const modeLabel = SEARCH_MODE_LABELS[uiState.searchMode] || SEARCH_MODE_LABELS.text;
+    if (modeButton && modeButton.textContent.trim() !== modeLabel) {
+      modeButton.textContent = modeLabel;
+    }
+
+    const filterSelect = document.getElementById('task-filter');
+    if (filterSelect && filterSelect.value !== uiState.filterBy) {
+      filterSelect.value = uiState.filterBy;
+    }
+
+    const sortSelect = document.getElementById('task-sort');
+    if (sortSelect && sortSelect.value !== uiState.sortBy) {
+      sortSelect.value = uiState.sortBy;
+    }
   }
 
   updateComponents() {
     try {
+      // Terms are added, archived and switched without leaving the page
+      const termSwitcher = document.getElementById('term-switcher');
+      if (termSwitcher) {
+        const newTermSwitcher = this.termSwitcher.render();
+        if (newTermSwitcher !== termSwitcher.innerHTML) {
+          termSwitcher.innerHTML = newTermSwitcher;
+        }
+      }
+      
+      // Course options change as courses are added or removed (the select is
+      // handled by EventManager delegation, so replacing it needs no rebinding)
+      const courseFilterContainer = document.getElementById('course-filter-container');
+      if (courseFilterContainer) {
+        const newCourseFilter = this.renderCourseFilter(this.state.getUIState());
+        if (newCourseFilter !== courseFilterContainer.innerHTML) {
+          courseFilterContainer.innerHTML = newCourseFilter;
+        }
+      }
+      
+      // Smart lists and the mode button change the view from outside the controls
+      this.syncToolbar(this.state.getUIState());
+      
+      // Report queries that don't parse; the list falls back to a plain text search
+      const { searchQuery, searchMode } = this.state.getUIState();
+      const { error: searchError } = validateSearchQuery(searchQuery, searchMode);
+      const searchErrorElement = document.getElementById('search-error');
+      if (searchErrorElement && searchErrorElement.textContent !== (searchError || '')) {
+        searchErrorElement.textContent = searchError || '';
+        document.getElementById('task-search')?.setAttribute('aria-invalid', searchError ? 'true' : 'false');
+      }
+      
       // Only update the task list, not the entire page
       const taskListContainer = document.getElementById('task-list');
       if (taskListContainer && this.taskList) {
@@ -227,7 +487,7 @@ export class TasksPage extends BasePage {
         }
         
         // Update task summary
-        const tasks = this.state.getTasks();
+        const tasks = filterTasksByTerm(this.state.getTasks(), this.state.getActiveTerm());
         const summaryContainer = document.querySelector('.tasks-summary');
         if (summaryContainer) {
           if (tasks.length > 0) {
@@ -0,0 +1,97 @@
+/**
+ * Trash Page Renderer
+ */
+
+import { BasePage } from '../ui-base.js';
+import { sortTrash, getRetentionDays, getDaysUntilPurge } from '../../trash.js';
+
+export class TrashPage extends BasePage {
+  render() {
+    return `
+      <div class="container">
+        <div class="page-header">
+          <h1 class="page-title">Trash</h1>
+          <p class="page-description">
+            Deleted tasks wait here so you can restore them.
+          </p>
+        </div>
+
+        <div id="trash-overview">
+          ${this.renderOverview()}
+        </div>
+      </div>
+    `;
+  }
+
+  renderOverview() {
+    const trash = sortTrash(this.state.getTrash());
+    const retentionDays = getRetentionDays(this.state.getSettings());
+
+    if (trash.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-state__icon">🗑️</div>
+          <h3 class="empty-state__title">Trash is empty</h3>
+          <p class="empty-state__description">
+            Tasks you delete show up here until they are purged.
+          </p>
+          <button class="btn btn--primary" data-action="navigate" data-page="tasks">
+            Go to Tasks
+          </button>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="trash-toolbar">
+        <p class="trash-toolbar__retention">
+          ${retentionDays === 0
+            ? 'Trashed tasks are kept until you delete them.'
+            : `Trashed tasks are deleted for good after ${retentionDays} day${retentionDays !== 1 ? 's' : ''}.`}
+          Change this in Settings.
+        </p>
+        <button class="btn btn--sm btn--danger" data-action="empty-trash">
+          Empty Trash
+        </button>
+      </div>
+
+      <ul class="trash-list">
+        ${trash.map(task => this.renderTrashedTask(task, retentionDays)).join('')}
+      </ul>
+    `;
+  }
+
+  renderTrashedTask(task, retentionDays) {
+    const daysLeft = getDaysUntilPurge(task, retentionDays);
+
+    return `
+      <li class="trash-list__item">
+        <div class="trash-list__info">
+          <span class="trash-list__title">${this.escapeHtml(task.title)}</span>
+          <span class="trash-list__meta">
+            Deleted ${this.formatDate(task.deletedAt)} · Due ${this.formatDate(task.dueDate, task.dueTime)}
+            ${daysLeft !== null ? ` · ${daysLeft === 0 ? 'Purged on next visit' : `Purged in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}`}` : ''}
+          </span>
+        </div>
+        <div class="trash-list__actions">
+          <button class="btn btn--sm btn--secondary" data-action="restore-task" data-task-id="${task.id}">
+            Restore
+          </button>
+          <button class="btn btn--sm btn--danger" data-action="purge-task" data-task-id="${task.id}">
+            Delete Forever
+          </button>
+        </div>
+      </li>
+    `;
+  }
+
+  updateComponents() {
+    const overview = document.getElementById('trash-overview');
+    if (overview) {
+      const newContent = this.renderOverview();
+      if (newContent !== overview.innerHTML) {
+        overview.innerHTML = newContent;
+      }
+    }
+  }
+}
@@ -2,6 +2,18 @@
  * Task-related utility functions for filtering, sorting, and searching
  */
 
+import { getRemainingMinutes } from '../subtasks.js';
+import { getPriorityWeight, getUrgencyScore } from '../priority.js';
+import { TagMatchModes, getTaskTags, matchesTags, countTags } from '../tags.js';
+import { getDueTimestamp, isTaskOverdue, isTaskDueToday } from '../due-dates.js';
+import { TaskStatuses, isClosedStatus, canTransition } from '../statuses.js';
+import { ProgressModes, DEFAULT_PROGRESS_MODE, getLoggedMinutes } from '../time-tracking.js';
+import { hasNotes } from '../notes.js';
+import { NO_COURSE_FILTER, getCourseById, sortCourses } from '../courses.js';
+import { isTaskInTerm, isTaskArchived } from '../terms.js';
+import { getBlockingTasks } from '../dependencies.js';
+import { parseSearchQuery, matchesSearchQuery, rankSearchResults, getHighlightRanges } from '../search-query.js';
+
 /**
  * Filter tasks based on filter criteria
  * @param {Array} tasks - Array of tasks
@@ -9,7 +21,8 @@
  * @returns {Array} Filtered tasks
  */
 export function filterTasks(tasks, filterBy) {
-  const today = new Date();
+  const now = new Date();
+  const today = new Date(now);
   today.setHours(0, 0, 0, 0);
   
   const weekStart = new Date(today);
@@ -19,30 +32,74 @@ export function filterTasks(tasks, filterBy) {
   
   switch (filterBy) {
     case 'pending':
-      return tasks.filter(task => task.status === 'Pending');
+      return tasks.filter(task => task.status === TaskStatuses.PENDING);
+    case 'in-progress':
+      return tasks.filter(task => task.status === TaskStatuses.IN_PROGRESS);
+    case 'blocked':
+      return tasks.filter(task => task.status === TaskStatuses.BLOCKED);
     case 'completed':
-      return tasks.filter(task => task.status === 'Complete');
+      return tasks.filter(task => task.status === TaskStatuses.COMPLETE);
+    case 'cancelled':
+      return tasks.filter(task => task.status === TaskStatuses.CANCELLED);
     case 'today':
-      return tasks.filter(task => {
-        const dueDate = new Date(task.dueDate);
-        dueDate.setHours(0, 0, 0, 0);
-        return dueDate.getTime() === today.getTime();
-      });
+      return tasks.filter(task => isTaskDueToday(task, now));
     case 'week':
       return tasks.filter(task => {
         const dueDate = new Date(task.dueDate);
         return dueDate >= weekStart && dueDate <= weekEnd;
       });
     case 'overdue':
-      return tasks.filter(task => {
-        const dueDate = new Date(task.dueDate);
-        return dueDate < today && task.status === 'Pending';
-      });
+      // Compares the real deadline, so a 09:00 quiz is overdue at 09:01;
+      // completed and cancelled tasks are never overdue
+      return tasks.filter(task => isTaskOverdue(task, now));
     default:
       return tasks;
   }
 }
 
+/**
+ * Filter tasks by tags
+ * @param {Array} tasks - Array of tasks
+ * @param {Array} tags - Tags to filter by (empty keeps every task)
+ * @param {string} mode - 'any' to match one of the tags, 'all' to match every tag
+ * @returns {Array} Filtered tasks
+ */
+export function filterTasksByTags(tasks, tags, mode = TagMatchModes.ANY) {
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return tasks;
+  }
+  return tasks.filter(task => matchesTags(task, tags, mode));
+}
+
+/**
+ * Filter tasks by course
+ * @param {Array} tasks - Array of tasks
+ * @param {string} courseFilter - Course ID, 'none' for tasks without a course, or '' to keep every task
+ * @returns {Array} Filtered tasks
+ */
+export function filterTasksByCourse(tasks, courseFilter) {
+  if (!courseFilter) {
+    return tasks;
+  }
+  if (courseFilter === NO_COURSE_FILTER) {
+    return tasks.filter(task => !task.courseId);
+  }
+  return tasks.filter(task => task.courseId === courseFilter);
+}
+
+/**
+ * Filter tasks by term
+ * @param {Array} tasks - Array of tasks
+ * @param {Object|null} term - Term to keep the tasks of, or null to keep every task
+ * @returns {Array} Filtered tasks
+ */
+export function filterTasksByTerm(tasks, term) {
+  if (!term) {
+    return tasks;
+  }
+  return tasks.filter(task => isTaskInTerm(task, term));
+}
+
 /**
  * Sort tasks based on sort criteria
  * @param {Array} tasks - Array of tasks
@@ -54,9 +111,9 @@ export function sortTasks(tasks, sortBy) {
   
   switch (sortBy) {
     case 'date-newest':
-      return sortedTasks.sort((a, b) => new Date(b.dueDate) - new Date(a.dueDate));
+      return sortedTasks.sort((a, b) => getDueTimestamp(b) - getDueTimestamp(a));
     case 'date-oldest':
-      return sortedTasks.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+      return sortedTasks.sort((a, b) => getDueTimestamp(a) - getDueTimestamp(b));
     case 'title-asc':
       return sortedTasks.sort((a, b) => a.title.localeCompare(b.title));
     case 'title-desc':
@@ -65,48 +122,68 @@ export function sortTasks(tasks, sortBy) {
       return sortedTasks.sort((a, b) => (a.duration || 0) - (b.duration || 0));
     case 'duration-desc':
       return sortedTasks.sort((a, b) => (b.duration || 0) - (a.duration || 0));
+    case 'priority-high':
+      return sortedTasks.sort((a, b) => getPriorityWeight(b) - getPriorityWeight(a) || new Date(a.dueDate) - new Date(b.dueDate));
+    case 'priority-low':
+      return sortedTasks.sort((a, b) => getPriorityWeight(a) - getPriorityWeight(b) || new Date(a.dueDate) - new Date(b.dueDate));
+    case 'urgency': {
+      const now = new Date();
+      return sortedTasks.sort((a, b) => getUrgencyScore(b, now) - getUrgencyScore(a, now));
+    }
     default:
       return sortedTasks;
   }
 }
 
 /**
- * Search tasks based on query and mode
+ * Search tasks with the field-qualified query language
+ * With a search index only the tasks it finds for the query's words are
+ * checked; regex queries still check every task.
  * @param {Array} tasks - Array of tasks
- * @param {string} query - Search query
- * @param {string} mode - Search mode ('text' or 'regex')
- * @returns {Array} Filtered tasks
+ * @param {string} query - Search query, e.g. 'tag:Study due:thisweek -status:complete'
+ * @param {string} mode - Search mode ('text', 'regex' or 'fuzzy')
+ * @param {Object} context - { courses } used by course: terms, and an optional { index } (SearchIndex synced with every task)
+ * @returns {Array} Filtered tasks, ranked by relevance in fuzzy mode
  */
-export function searchTasks(tasks, query, mode = 'text') {
+export function searchTasks(tasks, query, mode = 'text', context = {}) {
   if (!query || query.trim() === '') {
     return tasks;
   }
 
-  try {
-    let regex;
-    if (mode === 'regex') {
-      regex = new RegExp(query, 'i');
-    } else {
-      // Escape special regex characters for text search
-      const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      regex = new RegExp(escapedQuery, 'i');
-    }
+  const { expression, error } = parseSearchQuery(query, { mode });
+  if (!error) {
+    const candidates = context.index ? context.index.findCandidates(expression) : null;
+    const matches = tasks.filter(task =>
+      (!candidates || candidates.has(task)) && matchesSearchQuery(task, expression, context)
+    );
+    return rankSearchResults(matches, query, mode);
+  }
 
-    return tasks.filter(task => {
-      return regex.test(task.title) || 
-             regex.test(task.tag || '') ||
-             regex.test(task.status || '');
-    });
-  } catch (error) {
-    console.warn('Invalid search regex:', error);
-    // Fall back to simple text search
-    const lowerQuery = query.toLowerCase();
-    return tasks.filter(task => {
-      return task.title.toLowerCase().includes(lowerQuery) ||
-             (task.tag || '').toLowerCase().includes(lowerQuery) ||
-             (task.status || '').toLowerCase().includes(lowerQuery);
-    });
+  console.warn('Invalid search query:', error);
+  // Fall back to simple text search
+  const lowerQuery = query.toLowerCase();
+  return tasks.filter(task => {
+    return task.title.toLowerCase().includes(lowerQuery) ||
+           getTaskTags(task).some(tag => tag.toLowerCase().includes(lowerQuery)) ||
+           (task.status || '').toLowerCase().includes(lowerQuery) ||
+           (task.notes || '').toLowerCase().includes(lowerQuery);
+  });
+}
+
+/**
+ * Check whether a search query highlights anything in a task's notes
+ * @param {Object} task - Task object
+ * @param {string} query - Search query
+ * @param {string} mode - Search mode ('text', 'regex' or 'fuzzy')
+ * @returns {boolean} True if the notes contain a match
+ */
+export function searchMatchesNotes(task, query, mode = 'text') {
+  if (!query || query.trim() === '' || !hasNotes(task)) {
+    return false;
   }
+
+  // Only plain words and notes: terms highlight in the notes
+  return getHighlightRanges(task.notes, query, mode, 'notes').length > 0;
 }
 
 /**
@@ -115,45 +192,60 @@ export function searchTasks(tasks, query, mode = 'text') {
  * @returns {Array} Array of unique tags
  */
 export function getTagSuggestions(tasks) {
-  const tags = new Set();
+  // Keyed by lowercase so "exam" and "Exam" are suggested once
+  const tags = new Map();
   
   tasks.forEach(task => {
-    if (task.tag) {
-      tags.add(task.tag);
-    }
+    getTaskTags(task).forEach(tag => {
+      if (!tags.has(tag.toLowerCase())) {
+        tags.set(tag.toLowerCase(), tag);
+      }
+    });
   });
   
   // Add some common academic tags
   const commonTags = ['Assignment', 'Study', 'Project', 'Exam', 'Reading', 'Research', 'Lab', 'Homework'];
-  commonTags.forEach(tag => tags.add(tag));
+  commonTags.forEach(tag => {
+    if (!tags.has(tag.toLowerCase())) {
+      tags.set(tag.toLowerCase(), tag);
+    }
+  });
   
-  return Array.from(tags).sort();
+  return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
 }
 
 /**
  * Calculate task statistics
  * @param {Array} tasks - Array of tasks
+ * @param {Array} courses - Courses to break the statistics down by
  * @returns {Object} Statistics object
  */
-export function calculateTaskStats(tasks) {
+export function calculateTaskStats(tasks, courses = []) {
   const totalTasks = tasks.length;
-  const completedTasks = tasks.filter(task => task.status === 'Complete').length;
-  const pendingTasks = tasks.filter(task => task.status === 'Pending').length;
+  const completedTasks = tasks.filter(task => task.status === TaskStatuses.COMPLETE).length;
+  const pendingTasks = tasks.filter(task => task.status === TaskStatuses.PENDING).length;
+  const inProgressTasks = tasks.filter(task => task.status === TaskStatuses.IN_PROGRESS).length;
+  const blockedTasks = tasks.filter(task => task.status === TaskStatuses.BLOCKED).length;
+  const cancelledTasks = tasks.filter(task => task.status === TaskStatuses.CANCELLED).length;
+  
+  // Cancelled tasks are dropped work, so they don't count towards plans or progress
+  const activeTasks = tasks.filter(task => task.status !== TaskStatuses.CANCELLED);
   
-  // Calculate total hours planned (all tasks)
-  const totalHoursPlanned = tasks.reduce((sum, task) => sum + (task.duration || 0), 0) / 60;
+  // Calculate total hours planned (all tasks that weren't cancelled)
+  const totalHoursPlanned = activeTasks.reduce((sum, task) => sum + (task.duration || 0), 0) / 60;
   
   // Calculate completed hours
   const completedHours = tasks
-    .filter(task => task.status === 'Complete')
+    .filter(task => task.status === TaskStatuses.COMPLETE)
     .reduce((sum, task) => sum + (task.duration || 0), 0) / 60;
   
-  // Get most common tag (top tag)
-  const tagCounts = {};
-  tasks.forEach(task => {
-    const tag = task.tag || 'General';
-    tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-  });
+  // Calculate hours still to do, crediting finished subtasks of open tasks
+  const remainingHours = tasks
+    .filter(task => !isClosedStatus(task.status))
+    .reduce((sum, task) => sum + getRemainingMinutes(task), 0) / 60;
+  
+  // Get most common tag (top tag); multi-tagged tasks count towards each tag
+  const tagCounts = countTags(tasks);
   
   let topTag = 'None';
   let maxCount = 0;
@@ -175,42 +267,86 @@ export function calculateTaskStats(tasks) {
   currentWeekEnd.setHours(23, 59, 59, 999);
   
   const upcomingThisWeek = tasks.filter(task => {
-    if (task.status !== 'Pending') return false;
+    if (isClosedStatus(task.status)) return false;
     const dueDate = new Date(task.dueDate);
     return dueDate >= currentWeekStart && dueDate <= currentWeekEnd;
   }).length;
   
-  // Calculate overdue tasks
-  const overdueTasks = tasks.filter(task => {
-    if (task.status !== 'Pending') return false;
-    const dueDate = new Date(task.dueDate);
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    return dueDate < todayStart;
-  }).length;
+  // Calculate overdue tasks (past their due date and time)
+  const now = new Date();
+  const overdueTasks = tasks.filter(task => isTaskOverdue(task, now)).length;
+
+  const courseBreakdown = calculateCourseBreakdown(tasks, courses, now);
 
   return {
     totalTasks,
     completedTasks,
     pendingTasks,
+    inProgressTasks,
+    blockedTasks,
+    cancelledTasks,
     totalHoursPlanned,
     completedHours,
+    remainingHours,
     topTag,
     maxCount,
+    tagCounts,
     upcomingThisWeek,
     overdueTasks,
-    completionRate: totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0,
-    averageTaskDuration: totalTasks > 0 ? totalHoursPlanned / totalTasks : 0
+    courseBreakdown,
+    completionRate: activeTasks.length > 0 ? (completedTasks / activeTasks.length) * 100 : 0,
+    averageTaskDuration: activeTasks.length > 0 ? totalHoursPlanned / activeTasks.length : 0
   };
 }
 
+/**
+ * Break task statistics down by course
+ * Tasks without a course (or whose course was deleted) are grouped last.
+ * @param {Array} tasks - Array of tasks
+ * @param {Array} courses - All courses
+ * @param {Date} now - Reference time for overdue checks
+ * @returns {Array} One entry per course that has tasks
+ */
+export function calculateCourseBreakdown(tasks, courses = [], now = new Date()) {
+  const groups = new Map();
+  sortCourses(courses).forEach(course => groups.set(course.id, { course, tasks: [] }));
+  const unassigned = { course: null, tasks: [] };
+
+  tasks.forEach(task => {
+    const group = getCourseById(courses, task.courseId) ? groups.get(task.courseId) : unassigned;
+    group.tasks.push(task);
+  });
+
+  return [...groups.values(), unassigned]
+    .filter(group => group.tasks.length > 0)
+    .map(({ course, tasks: courseTasks }) => {
+      const activeTasks = courseTasks.filter(task => task.status !== TaskStatuses.CANCELLED);
+      const completedTasks = courseTasks.filter(task => task.status === TaskStatuses.COMPLETE);
+
+      return {
+        courseId: course ? course.id : NO_COURSE_FILTER,
+        code: course ? course.code : 'No course',
+        name: course ? course.name : '',
+        color: course ? course.color : null,
+        totalTasks: courseTasks.length,
+        completedTasks: completedTasks.length,
+        openTasks: courseTasks.filter(task => !isClosedStatus(task.status)).length,
+        overdueTasks: courseTasks.filter(task => isTaskOverdue(task, now)).length,
+        hoursPlanned: activeTasks.reduce((sum, task) => sum + (task.duration || 0), 0) / 60,
+        completedHours: completedTasks.reduce((sum, task) => sum + (task.duration || 0), 0) / 60,
+        completionRate: activeTasks.length > 0 ? (completedTasks.length / activeTasks.length) * 100 : 0
+      };
+    });
+}
+
 /**
  * Calculate weekly progress statistics
  * @param {Array} tasks - Array of tasks
  * @param {number} weeklyTarget - Weekly hour target
+ * @param {string} mode - 'estimated' counts completed task durations, 'logged' counts tracked time
  * @returns {Object} Progress statistics
  */
-export function calculateWeeklyProgress(tasks, weeklyTarget) {
+export function calculateWeeklyProgress(tasks, weeklyTarget, mode = DEFAULT_PROGRESS_MODE) {
   const today = new Date();
   const currentWeekStart = new Date(today);
   currentWeekStart.setDate(today.getDate() - today.getDay()); // Start of week (Sunday)
@@ -220,18 +356,24 @@ export function calculateWeeklyProgress(tasks, weeklyTarget) {
   currentWeekEnd.setDate(currentWeekStart.getDate() + 6); // End of week (Saturday)
   currentWeekEnd.setHours(23, 59, 59, 999);
   
-  // Calculate hours from completed tasks in current week
-  const currentWeekCompletedHours = tasks
-    .filter(task => {
-      if (task.status !== 'Complete') return false;
-      const completedDate = new Date(task.updatedAt || task.createdAt);
-      return completedDate >= currentWeekStart && completedDate <= currentWeekEnd;
-    })
-    .reduce((sum, task) => sum + (task.duration || 0), 0) / 60;
+  // Calculate hours worked this week: time logged in the week on tasks that
+  // weren't cancelled, or estimates of tasks completed in it
+  const currentWeekCompletedHours = mode === ProgressModes.LOGGED
+    ? tasks
+      .filter(task => task.status !== TaskStatuses.CANCELLED)
+      .reduce((sum, task) => sum + getLoggedMinutes(task, { from: currentWeekStart, to: currentWeekEnd, now: today }), 0) / 60
+    : tasks
+      .filter(task => {
+        if (task.status !== TaskStatuses.COMPLETE) return false;
+        const completedDate = new Date(task.updatedAt || task.createdAt);
+        return completedDate >= currentWeekStart && completedDate <= currentWeekEnd;
+      })
+      .reduce((sum, task) => sum + (task.duration || 0), 0) / 60;
   
-  // Calculate planned hours for current week (all tasks due this week)
+  // Calculate planned hours for current week (tasks due this week that weren't cancelled)
   const currentWeekPlannedHours = tasks
     .filter(task => {
+      if (task.status === TaskStatuses.CANCELLED) return false;
       const dueDate = new Date(task.dueDate);
       return dueDate >= currentWeekStart && dueDate <= currentWeekEnd;
     })
@@ -260,6 +402,54 @@ export function calculateWeeklyProgress(tasks, weeklyTarget) {
     currentDay,
     daysIntoWeek,
     expectedHoursByNow,
-    weeklyTarget
+    weeklyTarget,
+    mode
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Work out which selected tasks a bulk status change can move
+ * Tasks the workflow can't move, read-only tasks of archived terms and, when
+ * completing, tasks blocked by unfinished work are skipped. A blocker selected
+ * together with the task it blocks is completed first, so both go through.
+ * Selected IDs of tasks that no longer exist are left out of both lists.
+ * @param {Array} tasks - All tasks
+ * @param {Array} selectedIds - Selected task IDs
+ * @param {string} newStatus - Status to move the tasks to
+ * @param {Object} options - { workflow, terms }
+ * @returns {Object} { updatedIds, skippedIds } with updatedIds in the order to update them
+ */
+export function planBulkStatusChange(tasks, selectedIds, newStatus, { workflow, terms = [] } = {}) {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const selectedTasks = [...new Set(selectedIds)]
+    .map(taskId => tasksById.get(taskId))
+    .filter(Boolean);
+
+  let pending = selectedTasks.filter(task =>
+    !isTaskArchived(task, terms) && canTransition(task.status, newStatus, workflow)
+  );
+  const updatedIds = [];
+
+  if (newStatus === TaskStatuses.COMPLETE) {
+    // Keep taking tasks whose blockers are all finished or already taken
+    const completedIds = new Set();
+    let ready;
+    do {
+      ready = pending.filter(task =>
+        getBlockingTasks(task, tasks).every(blocker => completedIds.has(blocker.id))
+      );
+      ready.forEach(task => {
+        completedIds.add(task.id);
+        updatedIds.push(task.id);
+      });
+      pending = pending.filter(task => !completedIds.has(task.id));
+    } while (ready.length > 0 && pending.length > 0);
+  } else {
+    pending.forEach(task => updatedIds.push(task.id));
+  }
+
+  return {
+    updatedIds,
+    skippedIds: selectedTasks.map(task => task.id).filter(taskId => !updatedIds.includes(taskId))
+  };
+}
@@ -2,6 +2,9 @@
  * Base UI utilities and shared functionality
  */
 
+import { parseDateOnly } from '../recurrence.js';
+import { getHighlightRanges } from '../search-query.js';
+
 /**
  * Escape HTML to prevent XSS attacks
  * @param {string} text - Text to escape
@@ -17,13 +20,35 @@ export function escapeHtml(text) {
 /**
  * Format date for display with relative formatting
  * @param {string} dateString - ISO date string
- * @returns {string} Formatted date
+ * @param {string} timeString - Optional time of day (HH:MM)
+ * @returns {string} Formatted date, with the time appended when given
  */
-export function formatDate(dateString) {
+export function formatDate(dateString, timeString = null) {
   if (!dateString) return 'No date';
   
+  const formattedDate = formatDateLabel(dateString);
+  if (!timeString) {
+    return formattedDate;
+  }
+  
+  const [hours, minutes] = timeString.split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) {
+    return formattedDate;
+  }
+  
+  const time = new Date();
+  time.setHours(hours, minutes, 0, 0);
+  return `${formattedDate}, ${time.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+/**
+ * Format the date part with relative labels (Today, Tomorrow, Yesterday)
+ * @private
+ */
+function formatDateLabel(dateString) {
   try {
-    const date = new Date(dateString);
+    // Plain YYYY-MM-DD dates are local calendar days, not UTC midnight
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? parseDateOnly(dateString) : new Date(dateString);
     const today = new Date();
     const tomorrow = new Date(today);
     tomorrow.setDate(today.getDate() + 1);
@@ -87,29 +112,25 @@ export function formatDuration(minutes, settings = {}) {
 
 /**
  * Highlight search text in content
- * @param {string} text - Text to highlight
+ * Qualified terms (title:, tag:, notes:) only highlight in their own field.
+ * @param {string} text - Escaped text to highlight
  * @param {string} query - Search query
- * @param {string} mode - Search mode ('text' or 'regex')
+ * @param {string} mode - Search mode ('text', 'regex' or 'fuzzy')
+ * @param {string} field - Field the text comes from ('title', 'tag' or 'notes')
  * @returns {string} Text with highlighted matches
  */
-export function highlightSearchText(text, query, mode = 'text') {
-  if (!query || query.trim() === '') {
-    return text;
-  }
-
-  try {
-    let regex;
-    if (mode === 'regex') {
-      regex = new RegExp(`(${query})`, 'gi');
-    } else {
-      const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      regex = new RegExp(`(${escapedQuery})`, 'gi');
-    }
-
-    return text.replace(regex, '<mark>$1</mark>');
-  } catch (error) {
-    return text;
-  }
+export function highlightSearchText(text, query, mode = 'text', field = 'title') {
+  // Blank out escaped characters such as &amp;, so no mark breaks them up
+  const masked = text.replace(/&#?\w+;/g, entity => ' '.repeat(entity.length));
+  const ranges = getHighlightRanges(masked, query, mode, field);
+
+  let html = '';
+  let lastIndex = 0;
+  ranges.forEach(([start, end]) => {
+    html += `${text.slice(lastIndex, start)}<mark>${text.slice(start, end)}</mark>`;
+    lastIndex = end;
+  });
+  return html + text.slice(lastIndex);
 }
 
 /**
@@ -155,8 +176,8 @@ export class BaseComponent {
   /**
    * Get formatted date helper
    */
-  formatDate(dateString) {
-    return formatDate(dateString);
+  formatDate(dateString, timeString = null) {
+    return formatDate(dateString, timeString);
   }
 
   /**
@@ -169,8 +190,8 @@ export class BaseComponent {
   /**
    * Get highlighted search text helper
    */
-  highlightSearchText(text, query, mode) {
-    return highlightSearchText(text, query, mode);
+  highlightSearchText(text, query, mode, field) {
+    return highlightSearchText(text, query, mode, field);
   }
 }
 
@@ -215,8 +236,8 @@ export class BasePage {
   /**
    * Get formatted date helper
    */
-  formatDate(dateString) {
-    return formatDate(dateString);
+  formatDate(dateString, timeString = null) {
+    return formatDate(dateString, timeString);
   }
 
   /**
@@ -6,8 +6,14 @@
 import { FocusManager } from './focus-manager.js';
 import { AboutPage } from './pages/about-page.js';
 import { DashboardPage } from './pages/dashboard-page.js';
+import { GradesPage } from './pages/grades-page.js';
+import { TrashPage } from './pages/trash-page.js';
 import { TasksPage } from './pages/tasks-page.js';
 import { SettingsPage } from './pages/settings-page.js';
+import { SmartListNavComponent } from './components/smart-list-nav.js';
+import { TaskStatuses } from '../statuses.js';
+import { calculateWeeklyProgress, planBulkStatusChange } from './task-utils.js';
+import { ChangeSources } from '../change-log.js';
 
 export class UIManager {
   constructor(state, router = null, eventManager = null, modalManager = null, toastManager = null) {
@@ -28,11 +34,17 @@ export class UIManager {
     // Modal stack for managing multiple modals
     this.modalStack = [];
     
+    // Smart lists live in the header, outside the page renderers
+    this.smartListNav = new SmartListNavComponent(state);
+    this.smartListNavFrame = null;
+    
     // Initialize page renderers
     this.pageRenderers = {
       about: new AboutPage(state, eventManager),
       dashboard: new DashboardPage(state, eventManager),
-      tasks: new TasksPage(state, eventManager),
+      tasks: new TasksPage(state, eventManager, this.focusManager),
+      grades: new GradesPage(state, eventManager),
+      trash: new TrashPage(state, eventManager),
       settings: new SettingsPage(state, eventManager)
     };
     
@@ -91,21 +103,32 @@ export class UIManager {
             changes.uiState.searchMode !== changes.previousUIState.searchMode ||
             changes.uiState.filterBy !== changes.previousUIState.filterBy ||
             changes.uiState.sortBy !== changes.previousUIState.sortBy ||
-            JSON.stringify(changes.uiState.selectedTasks) !== JSON.stringify(changes.previousUIState.selectedTasks);
+            changes.uiState.tagMatchMode !== changes.previousUIState.tagMatchMode ||
+            changes.uiState.courseFilter !== changes.previousUIState.courseFilter ||
+            changes.uiState.termFilter !== changes.previousUIState.termFilter ||
+            JSON.stringify(changes.uiState.tagFilter) !== JSON.stringify(changes.previousUIState.tagFilter) ||
+            JSON.stringify(changes.uiState.selectedTasks) !== JSON.stringify(changes.previousUIState.selectedTasks) ||
+            JSON.stringify(changes.uiState.expandedTasks) !== JSON.stringify(changes.previousUIState.expandedTasks);
           
           if (needsUpdate) {
             this.currentPageRenderer.updateComponents();
           }
         }
+        // The term switcher also scopes the dashboard
+        if (this.currentPage === 'dashboard' && this.currentPageRenderer &&
+            changes.uiState.termFilter !== changes.previousUIState.termFilter) {
+          this.currentPageRenderer.updateComponents();
+        }
         break;
       
       case 'TASK_ADDED':
       case 'TASK_UPDATED':
       case 'TASK_DELETED':
+      case 'TASK_RESTORED':
         // Use requestAnimationFrame to prevent blocking the UI thread
         requestAnimationFrame(() => {
-          // Update task-related components if on tasks page
-          if (this.currentPage === 'tasks' && this.currentPageRenderer) {
+          // Update task-related components if on the tasks, grades or trash page
+          if (['tasks', 'grades', 'trash'].includes(this.currentPage) && this.currentPageRenderer) {
             try {
               this.currentPageRenderer.updateComponents();
             } catch (error) {
@@ -117,7 +140,7 @@ export class UIManager {
             try {
               this.currentPageRenderer.updateComponents();
               // Announce progress updates for completed tasks
-              if (changes.type === 'TASK_UPDATED' && changes.task.status === 'Complete') {
+              if (changes.type === 'TASK_UPDATED' && changes.task.status === TaskStatuses.COMPLETE) {
                 this.announceProgressUpdate();
               }
             } catch (error) {
@@ -127,13 +150,90 @@ export class UIManager {
         });
         break;
       
+      case 'COURSE_ADDED':
+      case 'COURSE_UPDATED':
+      case 'COURSE_DELETED':
+        // Course lists, task colours and per-course stats all follow the course records
+        if (['settings', 'tasks', 'dashboard', 'grades'].includes(this.currentPage) && this.currentPageRenderer) {
+          try {
+            this.currentPageRenderer.updateComponents();
+          } catch (error) {
+            console.error('Error updating course components:', error);
+          }
+        }
+        break;
+      
+      case 'TERM_ADDED':
+      case 'TERM_UPDATED':
+      case 'TERM_DELETED':
+      case 'TERM_ROLLED_OVER':
+        // Term lists, the term switcher and every term-scoped view follow the term records
+        if (['settings', 'tasks', 'dashboard'].includes(this.currentPage) && this.currentPageRenderer) {
+          try {
+            this.currentPageRenderer.updateComponents();
+          } catch (error) {
+            console.error('Error updating term components:', error);
+          }
+        }
+        break;
+      
+      case 'TEMPLATE_ADDED':
+      case 'TEMPLATE_UPDATED':
+      case 'TEMPLATE_DELETED':
+      case 'TEMPLATES_IMPORTED':
+        if (this.currentPage === 'settings' && this.currentPageRenderer) {
+          this.currentPageRenderer.updateComponents();
+        }
+        break;
+      
+      case 'EXAM_ADDED':
+      case 'EXAM_UPDATED':
+      case 'EXAM_DELETED':
+        // Exams add, replan or remove study sessions as well as the exam itself
+        if (['tasks', 'dashboard'].includes(this.currentPage) && this.currentPageRenderer) {
+          try {
+            this.currentPageRenderer.updateComponents();
+          } catch (error) {
+            console.error('Error updating exam components:', error);
+          }
+        }
+        break;
+      
+      case 'SMART_LIST_ADDED':
+      case 'SMART_LIST_UPDATED':
+      case 'SMART_LIST_MOVED':
+      case 'SMART_LIST_DELETED':
+      case 'SMART_LISTS_IMPORTED':
+        if (this.currentPage === 'settings' && this.currentPageRenderer) {
+          this.currentPageRenderer.updateComponents();
+        }
+        break;
+      
+      case 'TRASH_PURGED':
+        if (this.currentPage === 'trash' && this.currentPageRenderer) {
+          this.currentPageRenderer.updateComponents();
+        }
+        break;
+      
+      case 'HISTORY_APPLIED':
+        // An undo or redo can touch any mix of tasks, courses, terms and settings
+        if (this.currentPageRenderer && typeof this.currentPageRenderer.updateComponents === 'function') {
+          try {
+            this.currentPageRenderer.updateComponents();
+          } catch (error) {
+            console.error('Error updating components after undo/redo:', error);
+          }
+        }
+        break;
+      
       case 'SETTINGS_UPDATED':
         // Re-render settings page if visible
         if (this.currentPage === 'settings') {
           this.renderPage(this.currentPage);
         }
-        // Update dashboard progress if weekly target changed
-        if (changes.settings.weeklyHourTarget !== changes.previousSettings.weeklyHourTarget) {
+        // Update dashboard progress if weekly target or progress mode changed
+        if (changes.settings.weeklyHourTarget !== changes.previousSettings.weeklyHourTarget ||
+            changes.settings.progressMode !== changes.previousSettings.progressMode) {
           if (this.currentPage === 'dashboard' && this.currentPageRenderer) {
             this.currentPageRenderer.updateComponents();
             this.announceProgressUpdate();
@@ -141,6 +241,9 @@ export class UIManager {
         }
         break;
     }
+    
+    // Smart list counts and the active list follow tasks and the Tasks page view
+    this.updateSmartListNav();
   }
 
   /**
@@ -150,6 +253,33 @@ export class UIManager {
     const uiState = this.state.getUIState();
     this.renderPage(uiState.currentPage);
     this.updateNavigation(uiState.currentPage);
+    this.updateSmartListNav();
+  }
+
+  /**
+   * Refresh the smart lists in the navigation
+   * State changes often come in bursts, so the update waits for the next frame.
+   */
+  updateSmartListNav() {
+    if (this.smartListNavFrame) {
+      return;
+    }
+    this.smartListNavFrame = requestAnimationFrame(() => {
+      this.smartListNavFrame = null;
+      try {
+        this.smartListNav.update('smart-list-nav');
+      } catch (error) {
+        console.error('Error updating smart lists:', error);
+      }
+    });
+  }
+
+  /**
+   * Focus the quick-add bar on the Tasks page
+   * Callers navigate to the Tasks page; the bar is focused once it renders.
+   */
+  focusQuickAdd() {
+    this.pageRenderers.tasks.focusQuickAdd();
   }
 
   /**
@@ -317,26 +447,12 @@ export class UIManager {
     const settings = this.state.getSettings();
     const weeklyTarget = settings.weeklyHourTarget || 40;
     
-    // Calculate current week progress
-    const today = new Date();
-    const currentWeekStart = new Date(today);
-    currentWeekStart.setDate(today.getDate() - today.getDay());
-    currentWeekStart.setHours(0, 0, 0, 0);
-    
-    const currentWeekEnd = new Date(currentWeekStart);
-    currentWeekEnd.setDate(currentWeekStart.getDate() + 6);
-    currentWeekEnd.setHours(23, 59, 59, 999);
-    
-    const currentWeekCompletedHours = tasks
-      .filter(task => {
-        if (task.status !== 'Complete') return false;
-        const completedDate = new Date(task.updatedAt || task.createdAt);
-        return completedDate >= currentWeekStart && completedDate <= currentWeekEnd;
-      })
-      .reduce((sum, task) => sum + (task.duration || 0), 0) / 60;
-    
-    const isOverTarget = currentWeekCompletedHours > weeklyTarget;
-    const remainingHours = Math.max(weeklyTarget - currentWeekCompletedHours, 0);
+    // Calculate current week progress (estimated or logged, as chosen on the dashboard)
+    const {
+      currentWeekCompletedHours,
+      isOverTarget,
+      remainingHours
+    } = calculateWeeklyProgress(tasks, weeklyTarget, settings.progressMode);
     
     if (isOverTarget) {
       // Use assertive announcement for over-target alerts
@@ -414,17 +530,40 @@ export class UIManager {
     }
 
     try {
-      selectedTaskIds.forEach(taskId => {
-        this.state.updateTask(taskId, { status: newStatus });
+      // Tasks the workflow can't move yet (or blocked tasks being completed) stay
+      // selected, as do read-only tasks of archived terms
+      const { updatedIds, skippedIds } = planBulkStatusChange(this.state.getTasks(), selectedTaskIds, newStatus, {
+        workflow: this.state.getSettings().statusWorkflow,
+        terms: this.state.getTerms()
       });
+
+      // The whole batch is undone as one step
+      if (updatedIds.length > 0) {
+        const previousChange = this.state.getLastChange();
+        this.state.recordHistory(`Mark ${updatedIds.length} task${updatedIds.length !== 1 ? 's' : ''} as ${newStatus.toLowerCase()}`, () => {
+          updatedIds.forEach(taskId => {
+            this.state.updateTask(taskId, { status: newStatus }, { source: ChangeSources.BULK });
+          });
+        });
+
+        // The app shows the toast so it gets the same Undo button as other destructive actions
+        const message = `${updatedIds.length} task${updatedIds.length !== 1 ? 's' : ''} marked as ${newStatus.toLowerCase()}`;
+        if (this.eventManager) {
+          this.eventManager.emit('bulk-status-changed', { message, previousChange });
+        } else {
+          this.showToast(message, 'success');
+        }
+      }
       
-      this.showToast(
-        `${selectedTaskIds.length} task${selectedTaskIds.length !== 1 ? 's' : ''} marked as ${newStatus.toLowerCase()}`,
-        'success'
-      );
+      if (skippedIds.length > 0) {
+        this.showToast(
+          `${skippedIds.length} task${skippedIds.length !== 1 ? 's' : ''} can't be marked as ${newStatus.toLowerCase()} and ${skippedIds.length !== 1 ? 'were' : 'was'} skipped`,
+          'warning'
+        );
+      }
       
       // Clear selection
-      this.state.updateUIState({ selectedTasks: [] });
+      this.state.updateUIState({ selectedTasks: skippedIds });
     } catch (error) {
       console.error('Error updating tasks:', error);
       this.showToast('Error updating tasks. Please try again.', 'error');
@@ -461,7 +600,13 @@ export class UIManager {
     if (this.unsubscribe) {
       this.unsubscribe();
     }
-    
+
+    if (this.smartListNavFrame) {
+      cancelAnimationFrame(this.smartListNavFrame);
+      this.smartListNavFrame = null;
+    }
+    this.smartListNav.regexSearch.destroy();
+
     // Cleanup current page renderer
     if (this.currentPageRenderer && this.currentPageRenderer.cleanup) {
       this.currentPageRenderer.cleanup();
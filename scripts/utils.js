@@ -3,6 +3,9 @@
  * Handles minute-to-hour conversions and display formatting based on user preferences
  */
 
+import { ProgressModes, DEFAULT_PROGRESS_MODE, getLoggedMinutes } from './time-tracking.js';
+import { TaskStatuses } from './statuses.js';
+
 /**
  * Unit conversion utilities
  */
@@ -142,9 +145,10 @@ export const utils = {
    * @param {Array} tasks - Array of task objects
    * @param {number} weeklyTargetHours - Target hours per week
    * @param {Date} weekStart - Start of the week (optional, defaults to current week)
+   * @param {string} mode - 'estimated' counts completed task durations, 'logged' counts tracked time
    * @returns {Object} Progress information
    */
-  calculateWeeklyProgress(tasks, weeklyTargetHours, weekStart = null) {
+  calculateWeeklyProgress(tasks, weeklyTargetHours, weekStart = null, mode = DEFAULT_PROGRESS_MODE) {
     if (!Array.isArray(tasks) || typeof weeklyTargetHours !== 'number') {
       return {
         completedHours: 0,
@@ -164,18 +168,30 @@ export const utils = {
     endOfWeek.setDate(startOfWeek.getDate() + 6);
     endOfWeek.setHours(23, 59, 59, 999);
 
-    // Filter tasks for current week and completed status
-    const weeklyTasks = tasks.filter(task => {
-      const taskDate = new Date(task.dueDate);
-      return taskDate >= startOfWeek && 
-             taskDate <= endOfWeek && 
-             task.status === 'Complete';
-    });
+    let weeklyTasks;
+    let totalMinutes;
 
-    // Calculate total completed minutes and convert to hours
-    const totalMinutes = weeklyTasks.reduce((total, task) => {
-      return total + (task.duration || 0);
-    }, 0);
+    if (mode === ProgressModes.LOGGED) {
+      // Count time logged during the week, whatever the task's due date;
+      // cancelled tasks don't count towards progress
+      const countedTasks = tasks.filter(task => task.status !== TaskStatuses.CANCELLED);
+      const loggedMinutes = countedTasks.map(task => getLoggedMinutes(task, { from: startOfWeek, to: endOfWeek }));
+      weeklyTasks = countedTasks.filter((task, index) => loggedMinutes[index] > 0);
+      totalMinutes = Math.round(loggedMinutes.reduce((total, minutes) => total + minutes, 0));
+    } else {
+      // Filter tasks for current week and completed status
+      weeklyTasks = tasks.filter(task => {
+        const taskDate = new Date(task.dueDate);
+        return taskDate >= startOfWeek && 
+               taskDate <= endOfWeek && 
+               task.status === 'Complete';
+      });
+
+      // Calculate total completed minutes and convert to hours
+      totalMinutes = weeklyTasks.reduce((total, task) => {
+        return total + (task.duration || 0);
+      }, 0);
+    }
 
     const completedHours = this.minutesToHours(totalMinutes);
     const percentage = weeklyTargetHours > 0 ? 
@@ -191,7 +207,8 @@ export const utils = {
       isOverTarget,
       remainingHours,
       weeklyTasks: weeklyTasks.length,
-      totalMinutes
+      totalMinutes,
+      mode
     };
   },
 
@@ -17,6 +17,12 @@ export const patterns = {
   // Tag validation: letters, spaces, and hyphens only
   tag: /^[A-Za-z]+(?:[ -][A-Za-z]+)*$/,
   
+  // Due time validation: optional 24-hour HH:MM
+  dueTime: /^([01]\d|2[0-3]):[0-5]\d$/,
+  
+  // Priority validation: one of the known priority levels
+  priority: /^(low|normal|high|critical)$/,
+  
   // Advanced pattern: duplicate word detection using back-reference
   duplicateWords: /\b(\w+)\s+\1\b/i
 };
@@ -39,6 +45,12 @@ export const errorMessages = {
     required: 'Tag is required',
     invalid: 'Tag can only contain letters, spaces, and hyphens'
   },
+  dueTime: {
+    invalid: 'Due time must be in HH:MM format (24-hour)'
+  },
+  priority: {
+    invalid: 'Priority must be low, normal, high, or critical'
+  },
   duplicateWords: {
     invalid: 'Text contains duplicate words'
   }
@@ -88,7 +100,7 @@ export function validateTask(task) {
   let isValid = true;
 
   // Required fields to validate
-  const fieldsToValidate = ['title', 'duration', 'date', 'tag'];
+  const fieldsToValidate = ['title', 'duration', 'date'];
 
   fieldsToValidate.forEach(field => {
     const result = validateField(field, task[field]);
@@ -100,6 +112,38 @@ export function validateTask(task) {
     }
   });
 
+  // Every tag in the tag list must be valid (a legacy single tag is treated as a list of one)
+  const tags = Array.isArray(task.tags) ? task.tags : [task.tag];
+  const invalidTag = tags.map(tag => validateField('tag', tag)).find(result => !result.isValid);
+  validFields.tags = !invalidTag;
+  
+  if (invalidTag) {
+    errors.tags = invalidTag.error;
+    isValid = false;
+  }
+
+  // Due time is optional, but must be HH:MM when present
+  if (task.dueTime !== undefined && task.dueTime !== '') {
+    const dueTimeResult = validateField('dueTime', task.dueTime);
+    validFields.dueTime = dueTimeResult.isValid;
+    
+    if (!dueTimeResult.isValid) {
+      errors.dueTime = dueTimeResult.error;
+      isValid = false;
+    }
+  }
+
+  // Priority is optional, but must be a known level when present
+  if (task.priority !== undefined && task.priority !== '') {
+    const priorityResult = validateField('priority', task.priority);
+    validFields.priority = priorityResult.isValid;
+    
+    if (!priorityResult.isValid) {
+      errors.priority = priorityResult.error;
+      isValid = false;
+    }
+  }
+
   // Check for duplicate words in title if title is valid
   if (validFields.title && task.title) {
     const duplicateResult = checkDuplicateWords(task.title);
@@ -0,0 +1,197 @@
+/**
+ * ZIP module for backup archives
+ * Writes and reads uncompressed ("stored") ZIP files so a backup can bundle
+ * the task data with its attachment files without a compression library.
+ * Archives open in any standard unzip tool.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const METHOD_STORED = 0;
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Calculate the CRC-32 checksum ZIP uses for file contents
+ * @param {Uint8Array} bytes - File contents
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a date in the MS-DOS format used by ZIP headers
+ * @private
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a ZIP archive
+ * @param {Array} files - Entries as { name, data } where data is a Uint8Array
+ * @param {Date} modified - Timestamp recorded for every entry (defaults to now)
+ * @returns {Uint8Array} Archive bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = file.data;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+
+  return archive;
+}
+
+/**
+ * Check whether bytes start like a ZIP archive
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True if the ZIP signature is present
+ */
+export function isZip(bytes) {
+  return bytes.length >= 4 &&
+    new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+}
+
+/**
+ * Read the entries of a ZIP archive created by createZip
+ * Only stored (uncompressed) entries are supported.
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Array} Entries as { name, data }
+ * @throws {Error} If the archive is damaged or uses compression
+ */
+export function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // The end-of-directory record sits at the end, possibly followed by a comment
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a valid ZIP archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('ZIP archive is damaged');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const checksum = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (method !== METHOD_STORED) {
+      throw new Error(`"${name}" is compressed; only archives created by this app can be imported`);
+    }
+
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+
+    if (data.length !== size || crc32(data) !== checksum) {
+      throw new Error(`"${name}" in the ZIP archive is damaged`);
+    }
+
+    entries.push({ name, data });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+export default {
+  crc32,
+  createZip,
+  isZip,
+  readZip
+};